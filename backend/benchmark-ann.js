@@ -0,0 +1,103 @@
+const { HnswIndex, annConfigFromEnv } = require('./services/hnswIndex');
+
+/**
+ * Benchmark the HNSW index against a brute-force scan
+ *
+ * Usage: node benchmark-ann.js [vectors=5000] [queries=200] [dimension=384]
+ *
+ * Uses clustered synthetic embeddings (a seeded PRNG, so runs are repeatable) and
+ * reports build time, per-query latency and recall@10 for several efSearch values.
+ * Graph parameters come from ANN_M and ANN_EF_CONSTRUCTION, as in the vector services.
+ */
+
+const VECTOR_COUNT = parseInt(process.argv[2]) || 5000;
+const QUERY_COUNT = parseInt(process.argv[3]) || 200;
+const DIMENSION = parseInt(process.argv[4]) || 384;
+const CLUSTERS = 50;
+const K = 10;
+
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = createRandom(7);
+
+function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return vector.map(value => value / norm);
+}
+
+// Topic-like clusters, similar to chunks of pages about the same subject
+const centroids = Array.from({ length: CLUSTERS }, () => Array.from({ length: DIMENSION }, gaussian));
+
+function sampleVector() {
+    const centroid = centroids[Math.floor(random() * CLUSTERS)];
+    return Float32Array.from(normalize(centroid.map(value => value + gaussian() * 1.5)));
+}
+
+function bruteForce(vectors, query, k) {
+    const scored = [];
+    for (const [id, vector] of vectors) {
+        let dot = 0;
+        for (let i = 0; i < DIMENSION; i++) dot += vector[i] * query[i];
+        scored.push({ id, similarity: dot });
+    }
+    return scored.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+}
+
+function runBenchmark() {
+    console.log('🏁 HNSW vs brute-force benchmark');
+    console.log('='.repeat(60));
+    console.log(`📊 ${VECTOR_COUNT} vectors, ${QUERY_COUNT} queries, ${DIMENSION} dimensions, recall@${K}`);
+
+    const vectors = new Map();
+    for (let i = 0; i < VECTOR_COUNT; i++) {
+        vectors.set(`chunk_${i}`, sampleVector());
+    }
+    const queries = Array.from({ length: QUERY_COUNT }, sampleVector);
+
+    let startTime = Date.now();
+    const config = annConfigFromEnv();
+    const index = new HnswIndex({ ...config, dimension: DIMENSION });
+    for (const [id, vector] of vectors) {
+        index.add(id, vector);
+    }
+    console.log(`🕸️ HNSW build (M=${config.M}, efConstruction=${config.efConstruction}): ${Date.now() - startTime}ms`);
+
+    startTime = process.hrtime.bigint();
+    const exact = queries.map(query => bruteForce(vectors, query, K));
+    const bruteForceMs = Number(process.hrtime.bigint() - startTime) / 1e6 / QUERY_COUNT;
+    console.log(`🐢 Brute force: ${bruteForceMs.toFixed(3)}ms/query`);
+
+    for (const efSearch of [16, 32, 64, 128, 256]) {
+        startTime = process.hrtime.bigint();
+        const approximate = queries.map(query => index.search(query, K, { efSearch }));
+        const annMs = Number(process.hrtime.bigint() - startTime) / 1e6 / QUERY_COUNT;
+
+        let hits = 0;
+        approximate.forEach((results, i) => {
+            const expected = new Set(exact[i].map(result => result.id));
+            hits += results.filter(result => expected.has(result.id)).length;
+        });
+
+        const recall = hits / (QUERY_COUNT * K);
+        console.log(`⚡ efSearch=${String(efSearch).padEnd(4)} ${annMs.toFixed(3)}ms/query  recall@${K}=${recall.toFixed(3)}  speedup=${(bruteForceMs / annMs).toFixed(1)}x`);
+    }
+
+    const serialized = index.serialize();
+    const restored = HnswIndex.deserialize(serialized, id => vectors.get(id));
+    console.log(`💾 Serialized graph: ${(serialized.length / 1024).toFixed(1)} KB, reload ${restored && restored.size === index.size ? 'ok' : 'FAILED'}`);
+}
+
+runBenchmark();
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const RAGService = require('./services/rag');
+const ConfidenceModel = require('./services/confidenceModel');
+const AdminQuestion = require('./models/AdminQuestion');
+const Conversation = require('./models/Conversation');
+require('dotenv').config();
+
+/**
+ * Calibrate the answer confidence model
+ *
+ * Usage: node calibrate-confidence.js [--examples file.json] [--target-precision 0.9]
+ *                                     [--partial-precision 0.7] [--report path] [--dry-run]
+ *
+ * Labelled examples come from MongoDB, or from a JSON file with --examples:
+ *   - answered AdminQuestions: positive when the passages retrieved today support the admin's answer
+ *   - bot answers in rated conversations: positive for ratings of 4-5, negative for 1-2
+ * File entries look like { question, language?, referenceAnswer? } or { question, answer, label }.
+ *
+ * The questions are run through the current retrieval pipeline to compute features, a
+ * logistic model is fitted, and thresholds are picked so direct answers reach the target
+ * precision. The report lists precision and coverage at every threshold, using
+ * cross-validated scores, next to the raw max-similarity baseline.
+ */
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const EXAMPLES_FILE = option('--examples', null);
+const TARGET_PRECISION = parseFloat(option('--target-precision', '0.9'));
+const PARTIAL_PRECISION = parseFloat(option('--partial-precision', '0.7'));
+const REPORT_PATH = option('--report', path.join(__dirname, 'data', 'confidence-calibration-report.json'));
+const DRY_RUN = args.includes('--dry-run');
+
+const SUPPORT_LABEL_THRESHOLD = 0.6;
+const MIN_ANSWERED = 3;
+const FOLDS = 5;
+const THRESHOLDS = Array.from({ length: 19 }, (_, i) => Math.round((i + 1) * 5) / 100);
+
+async function loadExamplesFromDatabase() {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college-rag');
+    console.log('✅ MongoDB Connected for confidence calibration');
+
+    const examples = [];
+
+    const answered = await AdminQuestion.find({
+        status: { $in: ['answered', 'closed'] },
+        'adminResponse.response': { $exists: true, $ne: '' }
+    }).select('question questionLanguage adminResponse.response');
+
+    for (const adminQuestion of answered) {
+        examples.push({
+            source: 'admin',
+            question: adminQuestion.question,
+            language: adminQuestion.questionLanguage,
+            referenceAnswer: adminQuestion.adminResponse.response
+        });
+    }
+    console.log(`📋 ${answered.length} answered admin questions`);
+
+    const rated = await Conversation.find({
+        userSatisfactionRating: { $exists: true, $ne: 3 }
+    }).select('messages userSatisfactionRating');
+
+    let ratedAnswers = 0;
+    for (const conversation of rated) {
+        const label = conversation.userSatisfactionRating >= 4 ? 1 : 0;
+
+        conversation.messages.forEach((message, i) => {
+            const previous = conversation.messages[i - 1];
+            if (message.sender !== 'bot' || !message.ragContext || !previous || previous.sender !== 'user') return;
+
+            examples.push({
+                source: 'rating',
+                question: previous.content.text,
+                language: previous.content.language,
+                answer: message.content.text,
+                storedConfidence: message.ragContext.confidence,
+                label
+            });
+            ratedAnswers++;
+        });
+    }
+    console.log(`⭐ ${ratedAnswers} bot answers in ${rated.length} rated conversations`);
+
+    await mongoose.connection.close();
+    return examples;
+}
+
+function loadExamplesFromFile(file) {
+    const examples = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`📂 ${examples.length} examples from ${file}`);
+    return examples.map(example => ({
+        source: example.referenceAnswer ? 'admin' : 'rating',
+        language: 'english',
+        ...example
+    }));
+}
+
+/**
+ * Run an example through retrieval and turn it into { features, label }
+ */
+async function labelExample(ragService, example) {
+    const { processedQuestion, retrievalResult } = await ragService.retrieve(example.question, example.language || 'english');
+    const passages = ragService.selectContextResults(retrievalResult.results, processedQuestion);
+
+    if (example.referenceAnswer) {
+        const support = ragService.verifier.verify(example.referenceAnswer, passages).supportedRatio;
+        return {
+            ...example,
+            features: ragService.confidenceModel.extractFeatures(retrievalResult, processedQuestion.text),
+            label: passages.length > 0 && support >= SUPPORT_LABEL_THRESHOLD ? 1 : 0
+        };
+    }
+
+    const supportRatio = example.answer ? ragService.verifier.verify(example.answer, passages).supportedRatio : null;
+    const stored = example.storedConfidence;
+    const features = stored && stored.topScore !== undefined && stored.topScore !== null
+        ? { ...stored, supportRatio: stored.supportRatio ?? supportRatio }
+        : ragService.confidenceModel.extractFeatures(retrievalResult, processedQuestion.text, supportRatio);
+
+    return { ...example, features, label: example.label ? 1 : 0 };
+}
+
+/**
+ * Out-of-fold scores, so the report is not measured on the examples the model was fitted to
+ */
+function crossValidatedScores(examples) {
+    if (examples.length < FOLDS * 4) {
+        console.log(`⚠️ Only ${examples.length} examples; reporting in-sample precision`);
+        const model = new ConfidenceModel({ model: { ...ConfidenceModel.fit(examples), thresholds: {} } });
+        return examples.map(example => ({ label: example.label, score: model.score(example.features) }));
+    }
+
+    const scored = [];
+    for (let fold = 0; fold < FOLDS; fold++) {
+        const training = examples.filter((_, i) => i % FOLDS !== fold);
+        const model = new ConfidenceModel({ model: { ...ConfidenceModel.fit(training), thresholds: {} } });
+        examples.forEach((example, i) => {
+            if (i % FOLDS === fold) {
+                scored.push({ label: example.label, score: model.score(example.features) });
+            }
+        });
+    }
+    return scored;
+}
+
+function brierScore(scored) {
+    return scored.reduce((sum, example) => sum + (example.score - example.label) ** 2, 0) / Math.max(scored.length, 1);
+}
+
+function pickThreshold(table, precision, fallback) {
+    const row = table.find(entry => entry.answered >= MIN_ANSWERED && entry.precision !== null && entry.precision >= precision);
+    return row ? row.threshold : fallback;
+}
+
+function printTable(title, table) {
+    console.log(`\n${title}`);
+    console.log('  threshold  answered  coverage  precision');
+    for (const row of table) {
+        const precision = row.precision === null ? '     -' : row.precision.toFixed(3);
+        console.log(`  ${row.threshold.toFixed(2).padStart(9)}  ${String(row.answered).padStart(8)}  ${row.coverage.toFixed(3).padStart(8)}  ${precision.padStart(9)}`);
+    }
+}
+
+async function calibrate() {
+    try {
+        console.log('🎯 Calibrating answer confidence');
+        console.log('='.repeat(60));
+
+        const rawExamples = EXAMPLES_FILE ? loadExamplesFromFile(EXAMPLES_FILE) : await loadExamplesFromDatabase();
+        if (rawExamples.length === 0) {
+            console.log('⚠️ No labelled examples found. Answer some admin questions or collect ratings first.');
+            return;
+        }
+
+        const ragService = new RAGService();
+        await ragService.initialize();
+
+        const examples = [];
+        for (const example of rawExamples) {
+            try {
+                examples.push(await labelExample(ragService, example));
+            } catch (error) {
+                console.warn(`⚠️ Skipping "${example.question}":`, error.message);
+            }
+        }
+
+        const positives = examples.filter(example => example.label === 1).length;
+        console.log(`\n🏷️ ${examples.length} labelled examples (${positives} positive, ${examples.length - positives} negative)`);
+        if (positives === 0 || positives === examples.length) {
+            console.log('⚠️ Calibration needs both positive and negative examples.');
+            return;
+        }
+
+        const scored = crossValidatedScores(examples);
+        const baseline = examples.map(example => ({ label: example.label, score: example.features.topScore }));
+        const table = ConfidenceModel.precisionAtThresholds(scored, THRESHOLDS);
+        const baselineTable = ConfidenceModel.precisionAtThresholds(baseline, THRESHOLDS);
+
+        const current = ragService.confidenceModel.thresholds;
+        const highConfidence = pickThreshold(table, TARGET_PRECISION, current.highConfidence);
+        const mediumConfidence = Math.min(pickThreshold(table, PARTIAL_PRECISION, current.mediumConfidence), highConfidence);
+
+        const fitted = ConfidenceModel.fit(examples);
+        const model = {
+            version: `calibrated-${new Date().toISOString().slice(0, 10)}`,
+            calibratedAt: new Date().toISOString(),
+            examples: examples.length,
+            ...fitted,
+            thresholds: {
+                highConfidence,
+                mediumConfidence,
+                lowConfidence: mediumConfidence
+            }
+        };
+
+        printTable('📈 Calibrated model (cross-validated)', table);
+        printTable('📉 Raw max similarity (baseline)', baselineTable);
+        console.log(`\n🎯 Brier score: ${brierScore(scored).toFixed(4)} (baseline ${brierScore(baseline).toFixed(4)})`);
+        console.log(`✅ Thresholds: answer >= ${highConfidence}, partial answer >= ${mediumConfidence}`);
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            examples: examples.length,
+            positives,
+            sources: {
+                admin: examples.filter(example => example.source === 'admin').length,
+                rating: examples.filter(example => example.source === 'rating').length
+            },
+            targetPrecision: TARGET_PRECISION,
+            partialPrecision: PARTIAL_PRECISION,
+            brierScore: brierScore(scored),
+            baselineBrierScore: brierScore(baseline),
+            precisionAtThreshold: table,
+            baselinePrecisionAtThreshold: baselineTable,
+            model
+        };
+        fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+        console.log(`📝 Report written to ${REPORT_PATH}`);
+
+        if (DRY_RUN) {
+            console.log('🧪 Dry run: model not saved');
+        } else {
+            ragService.confidenceModel.save(model);
+            console.log(`💾 Model saved to ${ragService.confidenceModel.modelPath}; restart the server to use it`);
+        }
+    } catch (error) {
+        console.error('❌ Calibration failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+calibrate().then(() => process.exit());
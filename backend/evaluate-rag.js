@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const RAGService = require('./services/rag');
+const {
+    DEFAULT_GOLDEN_SET_PATH,
+    loadGoldenSet,
+    runEvaluation,
+    diffReports,
+    renderHtml
+} = require('./services/ragEvaluation');
+require('dotenv').config();
+
+/**
+ * Offline RAG evaluation against a golden question set
+ *
+ * Usage: node evaluate-rag.js [--golden file.json] [--out dir] [--baseline file.json]
+ *                             [--save-baseline] [--language english] [--limit n]
+ *                             [--fail-on-regression]
+ *
+ * Every golden question goes through RAGService.processQuestion() with the current index
+ * and configuration. Retrieval recall@k, MRR, answer exact match / F1, strategy accuracy and
+ * latency are written to <out>/rag-eval-<timestamp>.json and .html, and compared with the
+ * saved baseline when there is one. --save-baseline stores this run as the new baseline;
+ * --fail-on-regression exits with code 1 when a question that passed in the baseline fails.
+ */
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const GOLDEN_SET_PATH = option('--golden', DEFAULT_GOLDEN_SET_PATH);
+const OUT_DIR = option('--out', path.join(__dirname, 'eval-results'));
+const BASELINE_PATH = option('--baseline', path.join(__dirname, 'data', 'eval', 'baseline.json'));
+const LANGUAGE = option('--language', null);
+const LIMIT = parseInt(option('--limit', '0')) || 0;
+const SAVE_BASELINE = args.includes('--save-baseline');
+const FAIL_ON_REGRESSION = args.includes('--fail-on-regression');
+
+function formatValue(name, value) {
+    if (value === null || value === undefined) return '-';
+    if (name.startsWith('latency')) return `${Math.round(value)} ms`;
+    return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+async function evaluate() {
+    try {
+        console.log('🧪 RAG evaluation');
+        console.log('='.repeat(60));
+
+        const goldenSet = loadGoldenSet(GOLDEN_SET_PATH);
+        let questions = goldenSet.questions;
+        if (LANGUAGE) {
+            questions = questions.filter(item => (item.language || 'english') === LANGUAGE);
+        }
+        if (LIMIT > 0) {
+            questions = questions.slice(0, LIMIT);
+        }
+        console.log(`📋 Golden set ${goldenSet.version}: ${questions.length} questions`);
+
+        // Every question must run the full pipeline, not return an answer cached from an earlier one
+        const ragService = new RAGService({ cache: false });
+        await ragService.initialize();
+
+        const report = await runEvaluation(ragService, { ...goldenSet, questions }, {
+            onResult: result => {
+                const mark = result.strategyCorrect && result.exactMatch !== 0 ? '✅' : '❌';
+                console.log(`${mark} ${result.id.padEnd(28)} ${result.strategy.padEnd(16)} rank ${String(result.firstRelevantRank ?? '-').padEnd(3)} ${result.latencyMs} ms`);
+            }
+        });
+
+        if (fs.existsSync(BASELINE_PATH)) {
+            const baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+            report.diff = diffReports(report, baseline);
+            if (!report.diff.sameGoldenSet) {
+                console.warn(`⚠️ Baseline uses golden set ${baseline.goldenSetVersion}, this run uses ${goldenSet.version}`);
+            }
+        }
+
+        console.log('\n📊 Metrics');
+        for (const [name, value] of Object.entries(report.metrics)) {
+            const diff = report.diff?.metrics[name];
+            const delta = diff ? `  (${diff.delta >= 0 ? '+' : ''}${formatValue(name, diff.delta)}${diff.regressed ? ' ⬇️' : ''})` : '';
+            console.log(`  ${name.padEnd(22)} ${formatValue(name, value)}${delta}`);
+        }
+
+        if (report.diff) {
+            console.log(`\n🔁 vs baseline: ${report.diff.regressions.length} regressed, ${report.diff.improvements.length} improved, ${report.diff.added.length} new`);
+            report.diff.regressions.forEach(id => console.log(`  ❌ ${id}`));
+        }
+
+        fs.mkdirSync(OUT_DIR, { recursive: true });
+        const stamp = report.generatedAt.replace(/[:.]/g, '-');
+        const jsonPath = path.join(OUT_DIR, `rag-eval-${stamp}.json`);
+        const htmlPath = path.join(OUT_DIR, `rag-eval-${stamp}.html`);
+        fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+        fs.writeFileSync(htmlPath, renderHtml(report), 'utf8');
+        console.log(`\n📝 Report written to ${jsonPath} and ${htmlPath}`);
+
+        if (SAVE_BASELINE) {
+            const { diff, ...baseline } = report;
+            fs.writeFileSync(BASELINE_PATH, JSON.stringify(baseline, null, 2) + '\n', 'utf8');
+            console.log(`💾 Saved as baseline: ${BASELINE_PATH}`);
+        }
+
+        if (FAIL_ON_REGRESSION && report.diff && report.diff.regressions.length > 0) {
+            console.error(`❌ ${report.diff.regressions.length} questions regressed`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Evaluation failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+evaluate().then(() => process.exit());
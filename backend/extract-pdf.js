@@ -1,11 +1,12 @@
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
 // Import models
 const Document = require('./models/Document');
+const { extractPdfStructure, chunkBlocks } = require('./services/pdfStructure');
+const { tablesFromBlocks } = require('./services/tableExtraction');
 
 // PDF file path - adjust this to match your file location
 const PDF_PATH = path.join(__dirname, '..', '..', 'rizvi_college_info (1).pdf');
@@ -20,7 +21,7 @@ async function connectDatabase() {
     }
 }
 
-async function extractPDFText() {
+async function extractPDFStructure() {
     try {
         console.log('📄 Reading PDF file:', PDF_PATH);
         
@@ -33,42 +34,43 @@ async function extractPDFText() {
         // Read the PDF file
         const dataBuffer = fs.readFileSync(PDF_PATH);
         
-        // Extract text from PDF
-        const data = await pdf(dataBuffer);
+        // Extract pages, headings and tables (running headers and footers are dropped)
+        const structure = await extractPdfStructure(dataBuffer);
         
         console.log('📝 PDF Info:');
-        console.log(`- Pages: ${data.numpages}`);
-        console.log(`- Text length: ${data.text.length} characters`);
+        console.log(`- Pages: ${structure.pages}`);
+        console.log(`- Blocks: ${structure.blocks.length} (${structure.blocks.filter(block => block.type === 'table').length} tables)`);
+        console.log(`- Header/footer lines removed: ${structure.removedLines}`);
         
-        return data.text;
+        return structure;
     } catch (error) {
         console.error('❌ Error extracting PDF text:', error.message);
         return null;
     }
 }
 
-function chunkText(text, maxChunkSize = 1000) {
-    // Split text into meaningful chunks
-    const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
-    const chunks = [];
-    let currentChunk = '';
+function splitIntoSections(blocks, maxChunkSize = 1000) {
+    // One section per top-level heading; chunks keep their page and section path
+    const groups = [];
     
-    for (const paragraph of paragraphs) {
-        const cleanParagraph = paragraph.trim().replace(/\s+/g, ' ');
+    for (const block of blocks) {
+        const heading = block.sectionPath[0] || null;
+        const current = groups[groups.length - 1];
         
-        if (currentChunk.length + cleanParagraph.length > maxChunkSize && currentChunk.length > 0) {
-            chunks.push(currentChunk.trim());
-            currentChunk = cleanParagraph;
+        if (current && current.heading === heading) {
+            current.blocks.push(block);
         } else {
-            currentChunk += (currentChunk ? '\n\n' : '') + cleanParagraph;
+            groups.push({ heading, blocks: [block] });
         }
     }
     
-    if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-    }
-    
-    return chunks.filter(chunk => chunk.length > 50); // Filter out very short chunks
+    return groups
+        .map(group => ({
+            heading: group.heading,
+            tables: tablesFromBlocks(group.blocks),
+            ...chunkBlocks(group.blocks, { chunkSize: maxChunkSize })
+        }))
+        .filter(section => section.text.length > 50); // Filter out very short sections
 }
 
 async function clearOldRizviData() {
@@ -87,7 +89,7 @@ async function clearOldRizviData() {
     }
 }
 
-async function saveToDatabase(textChunks) {
+async function saveToDatabase(sections) {
     try {
         console.log('💾 Saving PDF content to database...');
         
@@ -96,18 +98,17 @@ async function saveToDatabase(textChunks) {
         
         const documents = [];
         
-        for (let i = 0; i < textChunks.length; i++) {
-            const chunk = textChunks[i];
+        for (let i = 0; i < sections.length; i++) {
+            const section = sections[i];
             
-            // Generate a meaningful title based on content
-            const firstLine = chunk.split('\n')[0].trim();
-            const title = firstLine.length > 100 
-                ? `Rizvi College Info - Section ${i + 1}` 
-                : firstLine || `Rizvi College Info - Section ${i + 1}`;
+            // The section heading is the title
+            const title = section.heading && section.heading.length <= 100
+                ? section.heading
+                : `Rizvi College Info - Section ${i + 1}`;
             
             const document = new Document({
                 title: title,
-                content: chunk,
+                content: section.text,
                 source: 'manual',
                 fileType: 'pdf',
                 originalFileName: 'rizvi_college_info (1).pdf',
@@ -116,15 +117,17 @@ async function saveToDatabase(textChunks) {
                 metadata: {
                     source: 'PDF Document',
                     section: i + 1,
-                    totalSections: textChunks.length,
+                    totalSections: sections.length,
                     extractedAt: new Date(),
-                    wordCount: chunk.split(/\s+/).length,
+                    wordCount: section.text.split(/\s+/).length,
                     keywords: ['Rizvi College', 'Engineering', 'Education']
                 },
                 status: 'processed',
                 isActive: true,
                 isEmbedded: false
             });
+            document.setChunks(section.chunks);
+            document.setTables(section.tables);
             
             documents.push(document);
         }
@@ -147,33 +150,35 @@ async function main() {
         // Connect to database
         await connectDatabase();
         
-        // Extract text from PDF
-        const pdfText = await extractPDFText();
+        // Extract structure from PDF
+        const structure = await extractPDFStructure();
         
-        if (!pdfText) {
+        if (!structure) {
             console.error('❌ Failed to extract PDF text');
             return;
         }
         
-        // Split text into chunks
-        const chunks = chunkText(pdfText);
-        console.log(`📚 Created ${chunks.length} text chunks`);
+        // Split into sections and chunks
+        const sections = splitIntoSections(structure.blocks);
+        const chunkCount = sections.reduce((sum, section) => sum + section.chunks.length, 0);
+        console.log(`📚 Created ${sections.length} sections with ${chunkCount} chunks`);
         
-        // Show first chunk preview
-        if (chunks.length > 0) {
-            console.log('\n📖 First chunk preview:');
+        // Show first section preview
+        if (sections.length > 0) {
+            console.log('\n📖 First section preview:');
             console.log('=' .repeat(50));
-            console.log(chunks[0].substring(0, 200) + '...');
+            console.log(sections[0].text.substring(0, 200) + '...');
             console.log('=' .repeat(50));
         }
         
         // Save to database
-        const savedDocs = await saveToDatabase(chunks);
+        const savedDocs = await saveToDatabase(sections);
         
         console.log('\n✅ PDF extraction completed successfully!');
         console.log(`📊 Statistics:`);
-        console.log(`- Total text length: ${pdfText.length} characters`);
-        console.log(`- Number of chunks: ${chunks.length}`);
+        console.log(`- Total text length: ${sections.reduce((sum, section) => sum + section.text.length, 0)} characters`);
+        console.log(`- Number of sections: ${sections.length}`);
+        console.log(`- Number of chunks: ${chunkCount}`);
         console.log(`- Saved documents: ${savedDocs.length}`);
         
         // Close database connection
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const VectorDatabaseService = require('./services/vectorDatabase');
+const LocalVectorDatabaseService = require('./services/localVectorDatabase');
 const Document = require('./models/Document');
 require('dotenv').config();
 
@@ -21,8 +21,8 @@ async function generateVectorEmbeddings() {
         // Connect to database
         await connectDatabase();
         
-        // Initialize vector service
-        const vectorService = new VectorDatabaseService();
+        // Initialize vector service (the local index keeps the PDF page, section and table structure)
+        const vectorService = new LocalVectorDatabaseService();
         await vectorService.initialize();
         
         // Get all PDF documents that need processing
@@ -51,11 +51,16 @@ async function generateVectorEmbeddings() {
                 const result = await vectorService.addDocument({
                     title: doc.title,
                     content: doc.content,
+                    chunks: doc.chunks,
+                    tables: doc.tables,
                     metadata: {
                         ...doc.metadata,
                         documentId: doc._id.toString()
                     }
                 });
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
                 
                 console.log(`✅ Added to vector database with ${result.chunkCount} chunks`);
                 
@@ -77,6 +82,9 @@ async function generateVectorEmbeddings() {
             }
         }
         
+        // Write the batched index changes before reporting
+        await vectorService.flush();
+        
         // Get vector database stats
         const stats = vectorService.getStats();
         
@@ -87,7 +95,7 @@ async function generateVectorEmbeddings() {
         console.log(`❌ Failed to process: ${errorCount} documents`);
         console.log(`🔍 Total vectors in database: ${stats.totalVectors}`);
         console.log(`📚 Total document chunks: ${stats.totalChunks}`);
-        console.log(`💾 Vector index size: ${stats.indexSize} KB`);
+        console.log(`🔤 Vocabulary size: ${stats.vocabularySize} terms`);
         
         // Test vector search with a sample query
         console.log('\n🧪 Testing vector search...');
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const GoldenSetMiner = require('./services/goldenSetMiner');
+require('dotenv').config();
+
+/**
+ * Mine answered admin questions into the evaluation golden set
+ *
+ * Usage: node mine-golden-set.js [--golden file.json] [--since 2025-01-01] [--limit n]
+ *                                [--ingest] [--dry-run]
+ *
+ * Every answered AdminQuestion not yet in the golden set is redacted, checked against the
+ * existing questions for near-duplicates and appended with the admin's reply as the expected
+ * answer; the golden set version is bumped. With --ingest each pair is also saved as a manual
+ * FAQ Document and added to the local index (restart the server to pick it up).
+ * --dry-run prints what would be added without writing anything.
+ */
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const GOLDEN_SET_PATH = option('--golden', undefined);
+const SINCE = option('--since', null);
+const LIMIT = parseInt(option('--limit', '0')) || 0;
+const INGEST = args.includes('--ingest');
+const DRY_RUN = args.includes('--dry-run');
+
+async function mine() {
+    try {
+        console.log('⛏️ Mining golden questions from admin answers');
+        console.log('='.repeat(60));
+
+        if (SINCE && isNaN(new Date(SINCE))) {
+            throw new Error(`Invalid --since date: ${SINCE}`);
+        }
+
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college-rag');
+        console.log('✅ MongoDB Connected for golden set mining');
+
+        const miner = new GoldenSetMiner({ goldenSetPath: GOLDEN_SET_PATH });
+        const result = await miner.mine({
+            since: SINCE ? new Date(SINCE) : null,
+            limit: LIMIT,
+            ingest: INGEST,
+            dryRun: DRY_RUN
+        });
+
+        for (const item of result.added) {
+            console.log(`➕ ${item.id} [${item.language}] ${item.question.substring(0, 70)}`);
+        }
+        console.log(`\n📊 ${result.added.length} added, ${result.duplicates.length} duplicates, ${result.skipped.length} skipped after redaction`);
+        if (INGEST) {
+            console.log(`📚 ${result.ingested} FAQ documents ingested`);
+        }
+
+        if (result.added.length === 0) {
+            console.log('✅ Golden set already up to date');
+        } else if (DRY_RUN) {
+            console.log(`🧪 Dry run: golden set would become version ${result.goldenSet.version}`);
+        } else {
+            console.log(`💾 Golden set ${miner.goldenSetPath} is now version ${result.goldenSet.version}`);
+        }
+    } catch (error) {
+        console.error('❌ Golden set mining failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+mine().then(() => process.exit());
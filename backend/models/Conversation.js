@@ -75,6 +75,38 @@ const conversationSchema = new mongoose.Schema({
         content: String,
         source: String
       }],
+      citations: [{
+        index: Number,
+        documentId: String,
+        title: String,
+        sourceUrl: String,
+        chunkId: String,
+        page: Number,
+        section: String,
+        snippet: String
+      }],
+      verification: {
+        verdict: String,
+        supportedRatio: Number,
+        action: String,
+        originalStrategy: String,
+        claims: [{
+          text: String,
+          supported: Boolean,
+          support: Number,
+          citation: Number,
+          missing: [String]
+        }]
+      },
+      confidence: {
+        score: Number,
+        modelVersion: String,
+        questionType: String,
+        topScore: Number,
+        margin: Number,
+        agreement: Number,
+        supportRatio: Number
+      },
       queryEmbedding: [Number], // Vector representation
       responseGenerated: Boolean
     },
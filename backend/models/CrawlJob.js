@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+/**
+ * Crawl Job Schema
+ * One run of the website crawler (services/crawler.js): what to crawl, how far it got,
+ * and what happened to every URL it visited
+ */
+const crawlJobSchema = new mongoose.Schema({
+  // Crawl settings
+  seeds: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length > 0 && v.every(url => /^https?:\/\/.+/.test(url));
+      },
+      message: 'Seeds must be a non-empty list of http(s) URLs'
+    }
+  },
+
+  maxDepth: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 2
+  },
+
+  maxPages: {
+    type: Number,
+    min: 1,
+    default: 200
+  },
+
+  // Regular expressions matched against absolute URLs; seeds are always crawled
+  includePatterns: [String],
+  excludePatterns: [String],
+
+  // Also seed from the pages listed in the hosts' sitemaps
+  useSitemaps: {
+    type: Boolean,
+    default: true
+  },
+
+  // Who started the job
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled', 'cli'],
+    default: 'manual'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Progress
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  startedAt: Date,
+  finishedAt: Date,
+
+  // Why the whole job failed (per-URL failures are kept in results)
+  error: String,
+
+  // One entry per visited URL
+  results: [{
+    url: {
+      type: String,
+      required: true
+    },
+    depth: Number,
+    fileType: {
+      type: String,
+      enum: ['webpage', 'pdf']
+    },
+    status: {
+      type: String,
+      enum: ['created', 'updated', 'unchanged', 'skipped', 'failed']
+    },
+    httpStatus: Number,
+    attempts: Number,
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
+    title: String,
+    error: String,
+    fetchedAt: Date
+  }],
+
+  stats: {
+    discovered: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    blocked: { type: Number, default: 0 }, // disallowed by robots.txt
+    fromSitemaps: { type: Number, default: 0 }
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better performance
+crawlJobSchema.index({ status: 1, createdAt: -1 });
+crawlJobSchema.index({ createdAt: -1 });
+
+// Pre-save middleware to update timestamps
+crawlJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to record the outcome of one URL
+crawlJobSchema.methods.addResult = function(result) {
+  this.results.push({ fetchedAt: new Date(), ...result });
+  if (this.stats[result.status] !== undefined) {
+    this.stats[result.status] += 1;
+  }
+};
+
+// Instance method to get a summary without the per-URL results
+crawlJobSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    seeds: this.seeds,
+    maxDepth: this.maxDepth,
+    maxPages: this.maxPages,
+    includePatterns: this.includePatterns,
+    excludePatterns: this.excludePatterns,
+    useSitemaps: this.useSitemaps,
+    trigger: this.trigger,
+    status: this.status,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    error: this.error,
+    stats: this.stats,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('CrawlJob', crawlJobSchema);
@@ -78,12 +78,17 @@ const documentSchema = new mongoose.Schema({
     startIndex: Number,
     endIndex: Number,
     
+    // Location in the source file (structured PDF extraction)
+    page: Number,
+    sectionPath: [String],
+    
     // Vector embeddings
     embedding: {
       type: [Number], // Array of numbers for vector
       validate: {
         validator: function(v) {
-          return v.length === 384; // Assuming 384-dimensional embeddings
+          // Chunks that are not embedded yet carry no vector
+          return v.length === 0 || v.length === 384; // Assuming 384-dimensional embeddings
         },
         message: 'Embedding must be 384 dimensions'
       }
@@ -99,7 +104,20 @@ const documentSchema = new mongoose.Schema({
       default: false
     }
   }],
-  
+
+  // Data tables (fees, timetables, intake) extracted from HTML pages and PDFs, for exact cell lookups
+  tables: [{
+    caption: String,
+    sectionPath: [String],
+    page: Number,
+    headers: [String],
+    rows: [[String]],
+    source: {
+      type: String,
+      enum: ['html', 'pdf']
+    }
+  }],
+
   // Document Metadata
   metadata: {
     // Scraping metadata
@@ -107,10 +125,26 @@ const documentSchema = new mongoose.Schema({
     lastScrapedAt: Date,
     scrapeFrequency: String, // daily, weekly, monthly
     
+    // Validity (e.g. announcements stop being served after expiresAt)
+    publishedAt: Date,
+    expiresAt: Date,
+
+    // FAQ documents mined from an answered admin question
+    sourceQuestionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminQuestion'
+    },
+
+    // Uploaded files: page count, and the part number when split across documents
+    pageCount: Number,
+    part: Number,
+    partCount: Number,
+
     // Processing metadata
     wordCount: Number,
     characterCount: Number,
     chunkCount: Number,
+    tableCount: Number,
     
     // Content analysis
     keywords: [String],
@@ -141,6 +175,18 @@ const documentSchema = new mongoose.Schema({
     default: 'pending'
   },
   
+  // Progress of background processing (uploads): queued, indexing, done, failed
+  processingProgress: {
+    step: String,
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    updatedAt: Date
+  },
+  
   isActive: {
     type: Boolean,
     default: true
@@ -250,6 +296,38 @@ documentSchema.methods.getEmbeddingStatus = function() {
   };
 };
 
+// Instance method to get the flat metadata stored with the document in the local vector index
+documentSchema.methods.getIndexMetadata = function() {
+  return {
+    documentId: this._id.toString(),
+    source: this.source,
+    sourceUrl: this.sourceUrl,
+    contentType: this.contentType,
+    language: this.language,
+    categories: this.metadata?.categories || [],
+    isActive: this.isActive,
+    hasTables: this.tables.length > 0,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    scrapedAt: this.metadata?.scrapedAt,
+    lastScrapedAt: this.metadata?.lastScrapedAt,
+    publishedAt: this.metadata?.publishedAt,
+    expiresAt: this.metadata?.expiresAt
+  };
+};
+
+// Instance method to attach precomputed chunks (e.g. from structured PDF extraction)
+documentSchema.methods.setChunks = function(chunks) {
+  this.chunks = chunks.map((chunk, i) => ({ chunkId: `${this._id}_chunk_${i}`, ...chunk }));
+  this.metadata.chunkCount = this.chunks.length;
+};
+
+// Instance method to attach extracted tables (see tableExtraction.js)
+documentSchema.methods.setTables = function(tables) {
+  this.tables = tables;
+  this.metadata.tableCount = this.tables.length;
+};
+
 // Static method to find documents needing embedding
 documentSchema.statics.findNeedingEmbedding = function() {
   return this.find({
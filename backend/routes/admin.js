@@ -4,6 +4,7 @@ const Conversation = require('../models/Conversation');
 const Document = require('../models/Document');
 const User = require('../models/User');
 const WhatsAppService = require('../services/whatsapp');
+const QueryRewriter = require('../services/queryRewriter');
 const { authenticate, adminOnly } = require('../middleware/auth');
 // Removed validation middleware (prototype mode) - basic checks will be inline
 const router = express.Router();
@@ -555,4 +556,61 @@ router.get('/analytics', adminOnly, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/synonyms
+ * @desc    Get the abbreviation/synonym dictionary used for query rewriting
+ * @access  Private (Admin only)
+ */
+router.get('/synonyms', adminOnly, async (req, res) => {
+  try {
+    res.json({ dictionary: QueryRewriter.readDictionary() });
+
+  } catch (error) {
+    console.error('❌ Failed to read synonym dictionary:', error);
+    res.status(500).json({
+      error: 'Failed to read synonym dictionary',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/synonyms
+ * @desc    Replace the abbreviation/synonym dictionary (picked up on the next question)
+ * @access  Private (Admin only)
+ */
+router.put('/synonyms', adminOnly, async (req, res) => {
+  try {
+    const { abbreviations, caseSensitive, synonyms } = req.body;
+
+    if (typeof abbreviations !== 'object' || typeof synonyms !== 'object') {
+      return res.status(400).json({
+        error: 'abbreviations and synonyms objects are required'
+      });
+    }
+
+    let dictionary;
+    try {
+      dictionary = QueryRewriter.writeDictionary({ abbreviations, caseSensitive, synonyms });
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid dictionary',
+        message: validationError.message
+      });
+    }
+
+    res.json({
+      message: 'Synonym dictionary updated successfully',
+      dictionary: dictionary
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to update synonym dictionary:', error);
+    res.status(500).json({
+      error: 'Failed to update synonym dictionary',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -21,6 +21,74 @@ if (!DISABLE_RAG) {
   console.log('🛑 RAG disabled via DISABLE_RAG flag. Using canned responses.');
 }
 
+/**
+ * Active conversation for the user, or a new one
+ */
+async function findOrCreateConversation(userId, platform, language) {
+  let conversation = await Conversation.findActiveConversation(userId, platform);
+
+  if (!conversation) {
+    conversation = new Conversation({
+      userId: userId,
+      platform: platform,
+      sessionId: `web_${userId}_${Date.now()}`,
+      status: 'active',
+      conversationLanguage: language
+    });
+  }
+
+  return conversation;
+}
+
+/**
+ * Canned answer used while RAG is disabled
+ */
+function getCannedAnswer(message) {
+  const lowerMsg = message.toLowerCase();
+  let answer = 'This is a prototype response. The intelligent answer system is disabled.';
+  if (lowerMsg.includes('admission')) answer = 'Admissions typically open in June. (Prototype)';
+  else if (lowerMsg.includes('course')) answer = 'We offer multiple undergraduate courses. (Prototype)';
+  else if (lowerMsg.includes('exam')) answer = 'Mid-sem exams are usually in October. (Prototype)';
+  else if (lowerMsg.includes('sports')) answer = 'Sports activities occur in November. (Prototype)';
+  return answer;
+}
+
+/**
+ * Store the bot answer on the conversation and forward low-confidence questions to admins
+ */
+async function saveRagResult(conversation, message, ragResult, { userId, language, platform }) {
+  conversation.addMessage({
+    sender: 'bot',
+    content: { text: ragResult.response, language: ragResult.targetLanguage },
+    ragContext: { ...ragResult.retrievalResults, citations: ragResult.sources || [] }
+  });
+
+  if (ragResult.needsAdminResponse) {
+    conversation.status = 'waiting_admin';
+    const retrievalResults = ragResult.retrievalResults || {};
+    const adminQuestion = new AdminQuestion({
+      question: message,
+      questionLanguage: language,
+      detectedLanguage: ragResult.detectedLanguage,
+      userId: userId,
+      platform: platform,
+      conversationId: conversation._id,
+      ragContext: {
+        retrievedDocs: retrievalResults.retrievedDocs,
+        maxSimilarityScore: retrievalResults.maxSimilarity,
+        averageSimilarityScore: retrievalResults.averageSimilarity,
+        confidenceThreshold: 0.7,
+        belowThreshold: ragResult.confidence < 0.7
+      },
+      status: 'pending',
+      priority: 'medium',
+      category: 'general'
+    });
+    await adminQuestion.save();
+  }
+  await conversation.save();
+}
+
 /**
  * @route   POST /api/chat/message
  * @desc    Send message to chatbot
@@ -35,17 +103,7 @@ router.post('/message', authenticate, async (req, res) => {
     console.log(`💬 Chat message from user ${userId}: "${message}"`);
 
     // Find or create conversation
-    let conversation = await Conversation.findActiveConversation(userId, platform);
-    
-    if (!conversation) {
-      conversation = new Conversation({
-        userId: userId,
-        platform: platform,
-        sessionId: `web_${userId}_${Date.now()}`,
-        status: 'active',
-        conversationLanguage: language
-      });
-    }
+    const conversation = await findOrCreateConversation(userId, platform, language);
 
     // Add user message to conversation
     conversation.addMessage({
@@ -58,91 +116,158 @@ router.post('/message', authenticate, async (req, res) => {
 
     await conversation.save();
 
-    let responsePayload;
     if (DISABLE_RAG) {
-      // Simple canned responses for prototype
-      const lowerMsg = message.toLowerCase();
-      let answer = 'This is a prototype response. The intelligent answer system is disabled.';
-      if (lowerMsg.includes('admission')) answer = 'Admissions typically open in June. (Prototype)';
-      else if (lowerMsg.includes('course')) answer = 'We offer multiple undergraduate courses. (Prototype)';
-      else if (lowerMsg.includes('exam')) answer = 'Mid-sem exams are usually in October. (Prototype)';
-      else if (lowerMsg.includes('sports')) answer = 'Sports activities occur in November. (Prototype)';
-
-      responsePayload = {
+      const answer = getCannedAnswer(message);
+
+      conversation.addMessage({
+        sender: 'bot',
+        content: { text: answer, language }
+      });
+      await conversation.save();
+      return res.json({
         response: answer,
         confidence: 0,
         needsAdminResponse: false,
         conversationId: conversation._id,
+        sources: [],
         metadata: {
           detectedLanguage: language,
           strategy: 'stub',
           retrievedDocs: 0,
           ragDisabled: true
         }
-      };
+      });
+    }
+
+    const ragResult = await ragService.processQuestion(message, {
+      userId: userId,
+      language: language,
+      platform: platform,
+      conversationId: conversation._id,
+      history: ragService.getConversationHistory(conversation, { excludeLatest: true })
+    });
+
+    await saveRagResult(conversation, message, ragResult, { userId, language, platform });
+
+    return res.json({
+      response: ragResult.response,
+      confidence: ragResult.confidence,
+      needsAdminResponse: ragResult.needsAdminResponse,
+      conversationId: conversation._id,
+      sources: ragResult.sources || [],
+      metadata: {
+        detectedLanguage: ragResult.detectedLanguage,
+        strategy: ragResult.strategy,
+        retrievedDocs: ragResult.retrievalResults?.totalResults || 0,
+        cached: !!ragResult.metadata?.cached
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Chat message processing failed:', error);
+    res.status(500).json({
+      error: 'Message processing failed',
+      message: 'I apologize, but I encountered an error while processing your message.'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/chat/stream?message=...&language=...&platform=...
+ * @desc    Send message to chatbot and stream the answer as Server-Sent Events:
+ *          `metadata` (retrieval results), `token` (answer pieces), then `done`
+ *          (final answer, confidence and sources) or `error`
+ * @access  Private
+ */
+router.get('/stream', authenticate, async (req, res) => {
+  const { message, language = 'english', platform = 'web' } = req.query;
+  const userId = req.user._id;
+
+  if (!message || !message.trim()) {
+    return res.status(400).json({
+      error: 'Message required',
+      message: 'Please provide a message to send'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // The client may go away mid-answer; the answer is still generated and saved
+  let clientClosed = false;
+  req.on('close', () => {
+    clientClosed = true;
+  });
+
+  const send = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers output unless flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  try {
+    console.log(`💬 Streaming chat message from user ${userId}: "${message}"`);
+
+    const conversation = await findOrCreateConversation(userId, platform, language);
+    conversation.addMessage({
+      sender: 'user',
+      content: { text: message, language }
+    });
+    await conversation.save();
+
+    if (DISABLE_RAG) {
+      const answer = getCannedAnswer(message);
+      send('metadata', { conversationId: conversation._id, strategy: 'stub', retrievedDocs: 0, ragDisabled: true });
+      send('token', { text: answer });
 
       conversation.addMessage({
         sender: 'bot',
         content: { text: answer, language }
       });
       await conversation.save();
-      return res.json(responsePayload);
-    } else {
-      const ragResult = await ragService.processQuestion(message, {
-        userId: userId,
-        language: language,
-        platform: platform,
-        conversationId: conversation._id
-      });
 
-      conversation.addMessage({
-        sender: 'bot',
-        content: { text: ragResult.response, language: ragResult.targetLanguage },
-        ragContext: ragResult.retrievalResults
-      });
+      send('done', { response: answer, confidence: 0, needsAdminResponse: false, conversationId: conversation._id, sources: [] });
+      return res.end();
+    }
+
+    const ragResult = await ragService.processQuestion(message, {
+      userId: userId,
+      language: language,
+      platform: platform,
+      conversationId: conversation._id,
+      history: ragService.getConversationHistory(conversation, { excludeLatest: true }),
+      onEvent: (event, data) => send(event, event === 'metadata' ? { conversationId: conversation._id, ...data } : data)
+    });
 
-      if (ragResult.needsAdminResponse) {
-        conversation.status = 'waiting_admin';
-        const adminQuestion = new AdminQuestion({
-          question: message,
-          questionLanguage: language,
-          detectedLanguage: ragResult.detectedLanguage,
-          userId: userId,
-          platform: platform,
-          conversationId: conversation._id,
-          ragContext: {
-            retrievedDocs: ragResult.retrievalResults.retrievedDocs,
-            maxSimilarityScore: ragResult.retrievalResults.maxSimilarity,
-            averageSimilarityScore: ragResult.retrievalResults.averageSimilarity,
-            confidenceThreshold: 0.7,
-            belowThreshold: ragResult.confidence < 0.7
-          },
-          status: 'pending',
-          priority: 'medium',
-          category: 'general'
-        });
-        await adminQuestion.save();
+    await saveRagResult(conversation, message, ragResult, { userId, language, platform });
+
+    send('done', {
+      response: ragResult.response,
+      confidence: ragResult.confidence,
+      needsAdminResponse: ragResult.needsAdminResponse,
+      conversationId: conversation._id,
+      sources: ragResult.sources || [],
+      metadata: {
+        detectedLanguage: ragResult.detectedLanguage,
+        strategy: ragResult.strategy,
+        retrievedDocs: ragResult.retrievalResults?.totalResults || 0,
+        cached: !!ragResult.metadata?.cached
       }
-      await conversation.save();
-      return res.json({
-        response: ragResult.response,
-        confidence: ragResult.confidence,
-        needsAdminResponse: ragResult.needsAdminResponse,
-        conversationId: conversation._id,
-        metadata: {
-          detectedLanguage: ragResult.detectedLanguage,
-          strategy: ragResult.strategy,
-            retrievedDocs: ragResult.retrievalResults.totalResults
-        }
-      });
-    }
+    });
+    res.end();
 
   } catch (error) {
-    console.error('❌ Chat message processing failed:', error);
-    res.status(500).json({
+    console.error('❌ Chat stream processing failed:', error);
+    send('error', {
       error: 'Message processing failed',
       message: 'I apologize, but I encountered an error while processing your message.'
     });
+    res.end();
   }
 });
 
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const ScrapingService = require('../services/scraping');
+const { CrawlerService, CrawlJobError } = require('../services/crawler');
+const { adminOnly } = require('../middleware/auth');
 
-// Initialize scraping service
-const scrapingService = new ScrapingService();
+// Shared with the scheduled scrape, so both see the same running job
+const crawler = CrawlerService.getSharedInstance();
+
+function isPatternList(value) {
+  return Array.isArray(value) && value.every(pattern => typeof pattern === 'string' && pattern.length > 0);
+}
 
 /**
  * @route GET /api/scrape/status
@@ -12,12 +17,14 @@ const scrapingService = new ScrapingService();
  */
 router.get('/status', async (req, res) => {
   try {
+    const crawlerStatus = crawler.getStatus();
     const status = {
       enabled: process.env.SCRAPING_ENABLED === 'true',
-      lastScrapeTime: scrapingService.getLastScrapeTime(),
-      totalDocuments: await scrapingService.getDocumentCount(),
-      queuedUrls: scrapingService.getQueuedUrlsCount(),
-      isRunning: scrapingService.isRunning()
+      lastScrapeTime: crawlerStatus.lastScrapeTime,
+      totalDocuments: await crawler.getDocumentCount(),
+      queuedUrls: crawlerStatus.queuedUrlsCount,
+      isRunning: crawlerStatus.isRunning,
+      currentJob: crawlerStatus.currentJob
     };
 
     res.json({
@@ -35,45 +42,68 @@ router.get('/status', async (req, res) => {
 
 /**
  * @route POST /api/scrape/start
- * @desc Start manual scraping process
+ * @desc Start a crawl job; include/exclude are regular expressions matched against URLs,
+ *       sitemaps: false skips seeding from sitemap.xml
  * @access Private (Admin only)
  */
-router.post('/start', async (req, res) => {
+router.post('/start', adminOnly, async (req, res) => {
   try {
-    const { urls, maxDepth } = req.body || {};
+    const { urls, maxDepth, maxPages, include, exclude, sitemaps } = req.body || {};
     if (urls && !Array.isArray(urls)) {
       return res.status(400).json({ success: false, error: 'urls must be an array' });
     }
     if (urls && urls.some(u => typeof u !== 'string' || !/^https?:\/\//i.test(u))) {
       return res.status(400).json({ success: false, error: 'Each URL must be a valid http(s) URL string' });
     }
-    if (maxDepth && (isNaN(maxDepth) || maxDepth < 1 || maxDepth > 5)) {
-      return res.status(400).json({ success: false, error: 'maxDepth must be between 1 and 5' });
+    const hasMaxDepth = maxDepth !== undefined && maxDepth !== null && maxDepth !== '';
+    if (hasMaxDepth && (isNaN(maxDepth) || maxDepth < 0 || maxDepth > 5)) {
+      return res.status(400).json({ success: false, error: 'maxDepth must be between 0 and 5' });
+    }
+    if (maxPages && (isNaN(maxPages) || maxPages < 1 || maxPages > 1000)) {
+      return res.status(400).json({ success: false, error: 'maxPages must be between 1 and 1000' });
+    }
+    if ((include && !isPatternList(include)) || (exclude && !isPatternList(exclude))) {
+      return res.status(400).json({ success: false, error: 'include and exclude must be arrays of patterns' });
+    }
+    if (sitemaps !== undefined && typeof sitemaps !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'sitemaps must be a boolean' });
     }
 
     // Check if already running
-    if (scrapingService.isRunning()) {
+    if (crawler.isRunning()) {
       return res.status(409).json({
         success: false,
         error: 'Scraping is already in progress'
       });
     }
 
-    // Use provided URLs or default ones
-    const scrapeUrls = urls || process.env.SCRAPING_URLS?.split(',') || ['https://eng.rizvi.edu.in/'];
-    const depth = maxDepth || 2;
-
-    // Start scraping (non-blocking)
-    scrapingService.startScraping(scrapeUrls, { maxDepth: depth });
+    // Start the job (non-blocking); without URLs the crawler uses its default seeds
+    const { job } = await crawler.startJob({
+      seeds: urls,
+      maxDepth: hasMaxDepth ? parseInt(maxDepth) : undefined,
+      maxPages: maxPages ? parseInt(maxPages) : undefined,
+      includePatterns: include,
+      excludePatterns: exclude,
+      useSitemaps: sitemaps,
+      trigger: 'manual',
+      userId: req.user._id
+    });
 
     res.json({
       success: true,
       message: 'Scraping started',
-      urls: scrapeUrls,
-      maxDepth: depth
+      jobId: job._id,
+      urls: job.seeds,
+      maxDepth: job.maxDepth
     });
 
   } catch (error) {
+    if (error instanceof CrawlJobError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     console.error('Error starting scraping:', error);
     res.status(500).json({
       success: false,
@@ -87,13 +117,13 @@ router.post('/start', async (req, res) => {
  * @desc Stop scraping process
  * @access Private (Admin only)
  */
-router.post('/stop', async (req, res) => {
+router.post('/stop', adminOnly, async (req, res) => {
   try {
-    await scrapingService.stopScraping();
+    const stopping = crawler.cancelJob();
 
     res.json({
       success: true,
-      message: 'Scraping stopped'
+      message: stopping ? 'Scraping will stop after the current page' : 'No scraping in progress'
     });
 
   } catch (error) {
@@ -105,16 +135,74 @@ router.post('/stop', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/scrape/jobs
+ * @desc List crawl jobs, newest first (without per-URL results)
+ * @access Private (Admin only)
+ */
+router.get('/jobs', adminOnly, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const jobs = await crawler.getJobs({
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit) || 20)),
+      status: typeof status === 'string' ? status : undefined
+    });
+
+    res.json({
+      success: true,
+      jobs: jobs
+    });
+
+  } catch (error) {
+    console.error('Error getting crawl jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get crawl jobs'
+    });
+  }
+});
+
+/**
+ * @route GET /api/scrape/jobs/:id
+ * @desc Get a crawl job with the result of every URL it visited
+ * @access Private (Admin only)
+ */
+router.get('/jobs/:id', adminOnly, async (req, res) => {
+  try {
+    const job = await crawler.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Crawl job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: { ...job.getSummary(), results: job.results }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, error: 'Crawl job not found' });
+    }
+    console.error('Error getting crawl job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get crawl job'
+    });
+  }
+});
+
 /**
  * @route GET /api/scrape/documents
  * @desc Get scraped documents
  * @access Private (Admin only)
  */
-router.get('/documents', async (req, res) => {
+router.get('/documents', adminOnly, async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
     
-    const documents = await scrapingService.getDocuments({
+    const documents = await crawler.getDocuments({
       page: parseInt(page),
       limit: parseInt(limit),
       search: search
@@ -139,11 +227,11 @@ router.get('/documents', async (req, res) => {
  * @desc Delete specific document
  * @access Private (Admin only)
  */
-router.delete('/documents/:id', async (req, res) => {
+router.delete('/documents/:id', adminOnly, async (req, res) => {
   try {
     const { id } = req.params;
     
-    await scrapingService.deleteDocument(id);
+    await crawler.deleteDocument(id);
 
     res.json({
       success: true,
@@ -171,7 +259,7 @@ router.post('/test', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Valid URL is required' });
     }
     
-    const result = await scrapingService.testScrapeUrl(url);
+    const result = await crawler.testScrapeUrl(url);
 
     res.json({
       success: true,
@@ -0,0 +1,265 @@
+const express = require('express');
+const multer = require('multer');
+const Document = require('../models/Document');
+const DocumentUploadService = require('../services/documentUpload');
+const { FileTypeError, SUPPORTED_TYPES } = require('../services/fileExtraction');
+const { adminOnly } = require('../middleware/auth');
+const router = express.Router();
+
+const uploadService = new DocumentUploadService();
+
+// Files are kept in memory for type detection and extraction, then written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploadService.maxFileSize, files: 1 }
+});
+
+// Fields returned for uploaded documents (content and chunks can be large)
+const SUMMARY_FIELDS = 'title originalFileName fileType fileSize contentType language status processingProgress processingErrors metadata.pageCount metadata.part metadata.partCount metadata.chunkCount metadata.tableCount createdAt';
+
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, error => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File too large',
+        message: `Files can be at most ${Math.round(uploadService.maxFileSize / (1024 * 1024))} MB`
+      });
+    }
+    res.status(400).json({
+      error: 'Upload failed',
+      message: error.message
+    });
+  });
+};
+
+/**
+ * @route   POST /api/upload
+ * @desc    Upload a PDF, DOCX, TXT or HTML file; text is extracted and indexed in the background
+ * @access  Private (Admin only)
+ */
+router.post('/', adminOnly, receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: `Send a ${SUPPORTED_TYPES.join(', ')} file in the "file" field`
+      });
+    }
+
+    const { title, contentType, language } = req.body || {};
+    const documents = await uploadService.createFromUpload(req.file, {
+      title,
+      contentType,
+      language,
+      userId: req.user._id
+    });
+
+    // Indexing continues after the response; poll GET /api/upload/:id for progress
+    uploadService.processDocuments(documents).catch(error => {
+      console.error('❌ Background processing of upload failed:', error);
+    });
+
+    res.status(202).json({
+      message: 'File uploaded, processing started',
+      documents: documents.map(document => ({
+        _id: document._id,
+        title: document.title,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        status: document.status,
+        processingProgress: document.processingProgress
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof FileTypeError || error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: error.message
+      });
+    }
+    console.error('❌ Failed to process upload:', error);
+    res.status(500).json({
+      error: 'Failed to process upload',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/upload
+ * @desc    List uploaded documents with their processing status
+ * @access  Private (Admin only)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { source: 'uploaded' };
+    if (status) {
+      query.status = status;
+    }
+
+    const documents = await Document.find(query)
+      .select(SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Document.countDocuments(query);
+
+    res.json({
+      documents,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to fetch uploaded documents:', error);
+    res.status(500).json({
+      error: 'Failed to fetch uploaded documents',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/upload/:id
+ * @desc    Processing status of an uploaded document
+ * @access  Private (Admin only)
+ */
+router.get('/:id', adminOnly, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, source: 'uploaded' }).select(SUMMARY_FIELDS);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({ document });
+
+  } catch (error) {
+    console.error('❌ Failed to fetch document status:', error);
+    res.status(500).json({
+      error: 'Failed to fetch document status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/upload/:id/file
+ * @desc    Download the original uploaded file (always as an attachment, never rendered)
+ * @access  Private (Admin only)
+ */
+router.get('/:id/file', adminOnly, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, source: 'uploaded' }).select('filePath originalFileName');
+
+    if (!document || !document.filePath) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    res.download(uploadService.storedFilePath(document), document.originalFileName, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          error: 'File not found'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to download file:', error);
+    res.status(500).json({
+      error: 'Failed to download file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/upload/:id/reprocess
+ * @desc    Retry indexing of a failed upload
+ * @access  Private (Admin only)
+ */
+router.post('/:id/reprocess', adminOnly, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, source: 'uploaded' });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    if (document.status === 'processing') {
+      return res.status(409).json({
+        error: 'Document is already being processed'
+      });
+    }
+
+    await uploadService.setProgress(document, 'queued', 0, 'pending');
+    uploadService.processDocuments([document]).catch(error => {
+      console.error('❌ Reprocessing failed:', error);
+    });
+
+    res.status(202).json({
+      message: 'Processing restarted',
+      document: {
+        _id: document._id,
+        status: document.status,
+        processingProgress: document.processingProgress
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to reprocess document:', error);
+    res.status(500).json({
+      error: 'Failed to reprocess document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/upload/:id
+ * @desc    Delete an uploaded document, its index entries and (when unused) the stored file
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', adminOnly, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, source: 'uploaded' });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    await uploadService.deleteDocument(document);
+
+    res.json({
+      message: 'Document deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to delete document:', error);
+    res.status(500).json({
+      error: 'Failed to delete document',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
 require('dotenv').config();
+const LocalVectorDatabaseService = require('./services/localVectorDatabase');
 
 // Basic metadata
 const { version: APP_VERSION } = require('./package.json');
@@ -79,7 +80,10 @@ app.use(limiter);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static file serving (uploads)
+// Static file serving (uploads). Uploaded documents are admin-only: they are stored in
+// storage/documents and downloaded through GET /api/upload/:id/file; older uploads kept
+// under uploads/documents are not served either.
+app.use('/uploads/documents', (req, res) => res.status(404).end());
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Serve built frontend (if exists) from ../frontend/build
@@ -170,6 +174,7 @@ app.use('/api/chat', require('./routes/chat'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/whatsapp', require('./routes/whatsapp'));
 app.use('/api/scrape', require('./routes/scrape'));
+app.use('/api/upload', require('./routes/upload'));
 
 // Basic test endpoint
 app.get('/api/test', (req, res) => {
@@ -250,9 +255,10 @@ const startServer = async () => {
   }
 };
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
+// Handle graceful shutdown; index changes waiting for a batched save are written first
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  await LocalVectorDatabaseService.getSharedInstance().flush();
   mongoose.connection.close(() => {
     console.log('MongoDB connection closed.');
     process.exit(0);
@@ -262,6 +268,7 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', async () => {
   console.log('SIGINT received. Shutting down gracefully...');
   try {
+    await LocalVectorDatabaseService.getSharedInstance().flush();
     await mongoose.connection.close();
     console.log('MongoDB connection closed.');
     process.exit(0);
@@ -0,0 +1,217 @@
+const { getEmbeddingProvider } = require('./embeddingProviders');
+
+/**
+ * Answer Cache
+ * Reuses answers to questions that were asked before, per answer language. A question hits
+ * when its normalized text matches a cached one exactly, or when its embedding is at least
+ * `similarityThreshold` similar and it has the same key terms: numbers, year and branch codes,
+ * and negation words. Otherwise "TE computer fees" would get the cached answer for "BE computer
+ * fees", and "is there not a hostel" the one for "is there a hostel".
+ * Entries expire after `ttlMs` and are dropped as soon as one of the documents the answer was
+ * built from is updated or removed.
+ */
+
+// Year, degree and branch shorthand; `extraKeyTerms` adds the synonym dictionary's abbreviations
+const DEFAULT_KEY_TERMS = [
+  'fe', 'se', 'te', 'be', 'me', 'dse', 'btech', 'mtech', 'mba', 'mca', 'phd', 'diploma',
+  'civil', 'computer', 'comps', 'cse', 'it', 'mechanical', 'mech', 'electrical', 'electronics',
+  'extc', 'entc', 'chemical', 'instrumentation', 'ai', 'ds', 'aids', 'aiml'
+];
+const NEGATION_TERMS = ['not', 'no', 'never', 'cannot', 'nor', 'without', 'नहीं', 'नही', 'नाही', 'ना', 'मत', 'नको'];
+
+class AnswerCache {
+  constructor(options = {}) {
+    this.embeddingProvider = options.embeddingProvider || getEmbeddingProvider();
+    this.extraKeyTerms = options.extraKeyTerms || (() => []);
+    this.similarityThreshold = options.similarityThreshold ?? 0.92;
+    this.ttlMs = options.ttlMs ?? 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 500;
+
+    this.entries = new Map(); // language -> Map(normalized question -> entry)
+    this.size = 0;
+    this.stats = { lookups: 0, exactHits: 0, semanticHits: 0, stores: 0, invalidations: 0, expirations: 0 };
+  }
+
+  normalize(question = '') {
+    return question
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\p{M}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Terms two questions must share for a semantic hit: numbers, shorthand codes and negations
+   */
+  keyTerms(question = '') {
+    const codes = new Set([...DEFAULT_KEY_TERMS, ...this.extraKeyTerms().map(term => term.toLowerCase())]);
+    const negations = new Set(NEGATION_TERMS);
+    const terms = new Set();
+
+    // "can't", "isn't" lose their apostrophe in normalize()
+    if (/n['’]t\b/i.test(question)) terms.add('not');
+    for (const word of this.normalize(question).split(' ')) {
+      if (/^\d+$/.test(word) || codes.has(word)) {
+        terms.add(word);
+      } else if (negations.has(word)) {
+        terms.add('not');
+      }
+    }
+    return [...terms].sort().join(',');
+  }
+
+  similarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    const magnitude = Math.sqrt(normA) * Math.sqrt(normB);
+    return magnitude > 0 ? Math.min(1, dot / magnitude) : 0;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return now - entry.createdAt > this.ttlMs;
+  }
+
+  deleteEntry(language, key) {
+    const entries = this.entries.get(language);
+    if (entries && entries.delete(key)) {
+      this.size--;
+    }
+  }
+
+  /**
+   * Cached answer for a question, or null
+   * @returns {Object|null} { result, match: 'exact'|'semantic', similarity, cachedAt }
+   */
+  async lookup(question, language = 'english') {
+    this.stats.lookups++;
+    const entries = this.entries.get(language);
+    if (!entries || entries.size === 0) return null;
+
+    const now = Date.now();
+    const key = this.normalize(question);
+    const exact = entries.get(key);
+    if (exact && !this.isExpired(exact, now)) {
+      return this.hit(exact, 'exact', 1);
+    }
+
+    const embedding = await this.embeddingProvider.embed(key);
+    const keyTerms = this.keyTerms(question);
+    let best = null;
+    let bestSimilarity = 0;
+
+    for (const [entryKey, entry] of entries) {
+      if (this.isExpired(entry, now)) {
+        this.deleteEntry(language, entryKey);
+        this.stats.expirations++;
+        continue;
+      }
+      if (entry.keyTerms !== keyTerms) continue;
+
+      const similarity = this.similarity(embedding, entry.embedding);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    return best && bestSimilarity >= this.similarityThreshold ? this.hit(best, 'semantic', bestSimilarity) : null;
+  }
+
+  hit(entry, match, similarity) {
+    entry.hits++;
+    this.stats[match === 'exact' ? 'exactHits' : 'semanticHits']++;
+    return { result: entry.result, match, similarity, cachedAt: new Date(entry.createdAt) };
+  }
+
+  /**
+   * Cache an answer; documentIds are the documents it was built from
+   */
+  async store(question, language = 'english', result, documentIds = []) {
+    const key = this.normalize(question);
+    if (!key) return;
+
+    if (!this.entries.has(language)) {
+      this.entries.set(language, new Map());
+    }
+    const entries = this.entries.get(language);
+
+    if (!entries.has(key)) {
+      this.size++;
+    }
+    entries.set(key, {
+      result,
+      embedding: await this.embeddingProvider.embed(key),
+      keyTerms: this.keyTerms(question),
+      documentIds: new Set(documentIds.map(String)),
+      createdAt: Date.now(),
+      hits: 0
+    });
+    this.stats.stores++;
+
+    this.evict();
+  }
+
+  /**
+   * Drop the oldest entries once the cache is full
+   */
+  evict() {
+    while (this.size > this.maxEntries) {
+      let oldest = null;
+      for (const [language, entries] of this.entries) {
+        for (const [key, entry] of entries) {
+          if (!oldest || entry.createdAt < oldest.createdAt) {
+            oldest = { language, key, createdAt: entry.createdAt };
+          }
+        }
+      }
+      this.deleteEntry(oldest.language, oldest.key);
+    }
+  }
+
+  /**
+   * Drop every answer built from a document; returns how many were dropped
+   */
+  invalidateDocument(documentId) {
+    const id = String(documentId);
+    let removed = 0;
+
+    for (const [language, entries] of this.entries) {
+      for (const [key, entry] of entries) {
+        if (entry.documentIds.has(id)) {
+          this.deleteEntry(language, key);
+          removed++;
+        }
+      }
+    }
+
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  getStats() {
+    const hits = this.stats.exactHits + this.stats.semanticHits;
+    return {
+      ...this.stats,
+      hits,
+      misses: this.stats.lookups - hits,
+      hitRate: this.stats.lookups > 0 ? hits / this.stats.lookups : 0,
+      entries: this.size,
+      byLanguage: Object.fromEntries([...this.entries].map(([language, entries]) => [language, entries.size])),
+      similarityThreshold: this.similarityThreshold,
+      ttlMinutes: this.ttlMs / 60000
+    };
+  }
+}
+
+module.exports = AnswerCache;
@@ -0,0 +1,97 @@
+const AnswerCache = require('./answerCache');
+const { LocalHashedEmbeddingProvider } = require('./embeddingProviders');
+
+// Every question embeds to the same vector, so only the key terms tell them apart
+const identicalEmbeddings = { embed: async () => [1, 0, 0] };
+
+function answer(response) {
+  return { response, strategy: 'direct_answer' };
+}
+
+describe('AnswerCache', () => {
+  test('returns an exact hit for the same normalized question', async () => {
+    const cache = new AnswerCache({ embeddingProvider: new LocalHashedEmbeddingProvider() });
+    await cache.store('What are the fees?', 'english', answer('Rs. 1,20,000'));
+
+    const hit = await cache.lookup('what are the FEES', 'english');
+    expect(hit.match).toBe('exact');
+    expect(hit.result.response).toBe('Rs. 1,20,000');
+  });
+
+  test('keeps answers per language', async () => {
+    const cache = new AnswerCache({ embeddingProvider: identicalEmbeddings });
+    await cache.store('hostel fees', 'english', answer('Rs. 80,000'));
+
+    expect(await cache.lookup('hostel fees', 'hindi')).toBeNull();
+  });
+
+  test('serves a semantic hit when the key terms match', async () => {
+    const cache = new AnswerCache({ embeddingProvider: identicalEmbeddings });
+    await cache.store('TE computer fees', 'english', answer('Rs. 1,35,000'));
+
+    const hit = await cache.lookup('fees for TE computer', 'english');
+    expect(hit.match).toBe('semantic');
+  });
+
+  test.each([
+    ['TE computer fees', 'BE computer fees'],
+    ['FE civil fees', 'SE civil fees'],
+    ['DSE fees for civil', 'DSE fees for mechanical'],
+    ['fees for year 1', 'fees for year 2'],
+    ['is there a hostel', 'is there not a hostel'],
+    ['can I pay online', "can't I pay online"],
+    ['हॉस्टल उपलब्ध है', 'हॉस्टल उपलब्ध नहीं है']
+  ])('does not serve "%s" for "%s"', async (cached, asked) => {
+    const cache = new AnswerCache({ embeddingProvider: identicalEmbeddings });
+    await cache.store(cached, 'english', answer('cached'));
+
+    expect(await cache.lookup(asked, 'english')).toBeNull();
+  });
+
+  test('treats the synonym dictionary abbreviations as key terms', async () => {
+    const cache = new AnswerCache({ embeddingProvider: identicalEmbeddings, extraKeyTerms: () => ['ATKT'] });
+    await cache.store('ATKT rules', 'english', answer('cached'));
+
+    expect(await cache.lookup('exam rules', 'english')).toBeNull();
+    expect(await cache.lookup('rules for ATKT', 'english')).not.toBeNull();
+  });
+
+  test('needs the similarity threshold for a semantic hit', async () => {
+    const cache = new AnswerCache({ embeddingProvider: new LocalHashedEmbeddingProvider() });
+    await cache.store('What is the library timing?', 'english', answer('9 to 5'));
+
+    expect(await cache.lookup('Who is the principal of the college?', 'english')).toBeNull();
+  });
+
+  test('expires entries after the TTL', async () => {
+    const cache = new AnswerCache({ embeddingProvider: identicalEmbeddings, ttlMs: 1000 });
+    await cache.store('library timing', 'english', answer('9 to 5'));
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    try {
+      expect(await cache.lookup('library timing', 'english')).toBeNull();
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('drops answers built from a changed document', async () => {
+    const cache = new AnswerCache({ embeddingProvider: new LocalHashedEmbeddingProvider() });
+    await cache.store('library timing', 'english', answer('9 to 5'), ['doc1']);
+    await cache.store('canteen timing', 'english', answer('8 to 6'), ['doc2']);
+
+    expect(cache.invalidateDocument('doc1')).toBe(1);
+    expect(await cache.lookup('library timing', 'english')).toBeNull();
+    expect(await cache.lookup('canteen timing', 'english')).not.toBeNull();
+  });
+
+  test('evicts the oldest entries beyond maxEntries', async () => {
+    const cache = new AnswerCache({ embeddingProvider: identicalEmbeddings, maxEntries: 2 });
+    await cache.store('question one', 'english', answer('1'));
+    await cache.store('question two', 'english', answer('2'));
+    await cache.store('question three', 'english', answer('3'));
+
+    expect(cache.getStats().entries).toBe(2);
+  });
+});
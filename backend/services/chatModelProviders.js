@@ -0,0 +1,190 @@
+const { extractAnswer } = require('./answerExtraction');
+const { tokenizerForModel } = require('./tokenCounters');
+
+/**
+ * Chat Model Providers
+ * Common interface for generating chat completions, selected with CHAT_MODEL_PROVIDER:
+ *   - 'openai':     OpenAI chat completions API (OPENAI_API_KEY, CHAT_MODEL)
+ *   - 'local':      OpenAI-compatible local server such as llama.cpp or Ollama (LOCAL_LLM_URL, LOCAL_LLM_MODEL)
+ *   - 'extractive': deterministic answers extracted from the retrieved passages, no network needed
+ * Generative providers follow free-form instructions; the extractive provider can only
+ * answer from passages, so callers skip LLM-only steps (condensing, paraphrasing, grading) for it.
+ * Every provider counts tokens with its model's tokenizer (estimated for models without a
+ * tiktoken encoding, see tokenCounters.js) and knows the model's context window
+ * (CHAT_MODEL_CONTEXT_WINDOW overrides it, e.g. for a local server started with a larger context).
+ */
+
+class ChatModelProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model || null;
+    this.generative = true;
+
+    const { counter, contextWindow } = tokenizerForModel(this.model);
+    this.tokenCounter = counter;
+    this.contextWindow = options.contextWindow || parseInt(process.env.CHAT_MODEL_CONTEXT_WINDOW) || contextWindow;
+  }
+
+  signature() {
+    return `${this.name}:${this.model || 'default'}`;
+  }
+
+  /**
+   * Number of prompt tokens the text costs with this model
+   */
+  countTokens(text) {
+    return this.tokenCounter.count(text);
+  }
+
+  /**
+   * Complete a conversation; returns the reply text.
+   * options: { temperature, maxTokens, context: { question, results, tableLookup } }
+   */
+  async complete(messages, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement complete()`);
+  }
+
+  /**
+   * Stream the reply in pieces; providers without streaming yield the whole reply once
+   */
+  async *stream(messages, options = {}) {
+    yield await this.complete(messages, options);
+  }
+}
+
+/**
+ * OpenAI chat completions
+ */
+class OpenAIChatModelProvider extends ChatModelProvider {
+  constructor(options = {}) {
+    super({ model: 'gpt-3.5-turbo', ...options });
+    this.name = 'openai';
+
+    const OpenAI = require('openai');
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      ...(options.baseURL ? { baseURL: options.baseURL } : {})
+    });
+  }
+
+  createRequest(messages, options) {
+    return {
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? 0.3,
+      max_tokens: options.maxTokens || 500
+    };
+  }
+
+  async complete(messages, options = {}) {
+    const response = await this.client.chat.completions.create(this.createRequest(messages, options));
+    return (response.choices[0].message.content || '').trim();
+  }
+
+  async *stream(messages, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      ...this.createRequest(messages, options),
+      stream: true
+    });
+
+    for await (const part of stream) {
+      const token = part.choices[0]?.delta?.content;
+      if (token) {
+        yield token;
+      }
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible local servers (llama.cpp `server`, Ollama, vLLM, ...)
+ */
+class LocalChatModelProvider extends OpenAIChatModelProvider {
+  constructor(options = {}) {
+    super({
+      model: process.env.LOCAL_LLM_MODEL || 'llama3',
+      baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+      // Local servers ignore the key, but the client requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      ...options
+    });
+    this.name = 'local';
+  }
+}
+
+/**
+ * Deterministic answers from the top retrieved passage, cited by its position in the context;
+ * a table lookup (see tableLookup.js) is answered with the looked-up value
+ */
+class ExtractiveChatModelProvider extends ChatModelProvider {
+  constructor(options = {}) {
+    super({ model: 'rules-v1', ...options });
+    this.name = 'extractive';
+    this.generative = false;
+  }
+
+  async complete(messages, options = {}) {
+    const { question, results = [], tableLookup = null } = options.context || {};
+    if (!question) {
+      throw new Error('The extractive provider needs the question and retrieved passages');
+    }
+
+    if (tableLookup) {
+      return `${tableLookup.statement} [${tableLookup.citation}]`;
+    }
+
+    const top = results.find(result => (result.content || '').trim().length > 0);
+    if (!top) {
+      return "I couldn't find this in the college documents.";
+    }
+
+    return `${extractAnswer(question, top.content)} [${results.indexOf(top) + 1}]`;
+  }
+}
+
+function createChatModelProvider(name, options = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIChatModelProvider(options);
+
+    case 'local':
+    case 'ollama':
+    case 'llamacpp':
+      return new LocalChatModelProvider(options);
+
+    case 'extractive':
+      return new ExtractiveChatModelProvider(options);
+
+    default:
+      throw new Error(`Unknown chat model provider: ${name}`);
+  }
+}
+
+let sharedProvider = null;
+
+/**
+ * Provider shared by every RAG service, configured from the environment.
+ * Without CHAT_MODEL_PROVIDER, OpenAI is used when an API key is present and the extractive provider otherwise.
+ */
+function getChatModelProvider() {
+  if (!sharedProvider) {
+    const name = process.env.CHAT_MODEL_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'extractive');
+    const options = {};
+    if (process.env.CHAT_MODEL) {
+      options.model = process.env.CHAT_MODEL;
+    }
+
+    sharedProvider = createChatModelProvider(name, options);
+    console.log(`💡 Chat model provider: ${sharedProvider.signature()}`);
+  }
+  return sharedProvider;
+}
+
+module.exports = {
+  ChatModelProvider,
+  OpenAIChatModelProvider,
+  LocalChatModelProvider,
+  ExtractiveChatModelProvider,
+  createChatModelProvider,
+  getChatModelProvider
+};
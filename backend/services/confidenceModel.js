@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Confidence Model
+ * Estimates the probability that an answer built from the retrieved passages is correct.
+ * Raw similarities are not comparable across queries, so the model combines:
+ *   topScore        similarity of the best passage (after re-ranking)
+ *   margin          lead of the best passage over the second
+ *   agreement       share of the other passages scoring close to the best one
+ *   supportRatio    share of answer claims the grounding verifier found support for
+ *                   (only known after generation; `verified` tells the model whether it is set)
+ *   question type   fees, exams, admission, courses, hostel, events or general
+ * Weights are fitted offline with calibrate-confidence.js and read from data/confidence-model.json;
+ * hand-set defaults are used until a calibration has been run.
+ */
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', 'data', 'confidence-model.json');
+
+// Checked in order; the first match wins
+const QUESTION_TYPES = [
+  ['fees', /\b(fees?|tuition|refunds?|payments?|scholarships?)\b|शुल्क|फीस/i],
+  ['exams', /\b(exams?|examinations?|results?|timetable|atkt|kt|marks|grades?|cgpa|sgpa)\b|परीक्षा|परिणाम/i],
+  ['admission', /\b(admissions?|eligibility|cutoffs?|cap|apply|application|dse)\b|प्रवेश|दाखला/i],
+  ['courses', /\b(courses?|departments?|branch(es)?|syllabus|programs?|programmes?|degrees?|subjects?)\b|पाठ्यक्रम|विभाग/i],
+  ['hostel', /\b(hostels?|accommodation|mess|canteen)\b|छात्रावास|हॉस्टल/i],
+  ['events', /\b(sports?|events?|fests?|festivals?|competitions?|tournaments?)\b|खेल|उत्सव/i]
+];
+
+const FEATURE_NAMES = [
+  'topScore',
+  'margin',
+  'agreement',
+  'verified',
+  'supportRatio',
+  ...QUESTION_TYPES.map(([type]) => `type:${type}`)
+];
+
+const DEFAULT_MODEL = {
+  version: 'default',
+  bias: -3,
+  weights: {
+    topScore: 5,
+    margin: 2,
+    agreement: 1,
+    verified: -0.75,
+    supportRatio: 1.5,
+    'type:fees': -0.3
+  },
+  thresholds: {
+    highConfidence: 0.7,
+    mediumConfidence: 0.4,
+    lowConfidence: 0.3
+  }
+};
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+class ConfidenceModel {
+  constructor(options = {}) {
+    this.modelPath = options.modelPath || process.env.CONFIDENCE_MODEL_PATH || DEFAULT_MODEL_PATH;
+    this.agreementRatio = options.agreementRatio ?? 0.75;
+    this.model = options.model || this.load();
+  }
+
+  /**
+   * Read calibrated weights, or fall back to the defaults
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.modelPath)) {
+        const model = JSON.parse(fs.readFileSync(this.modelPath, 'utf8'));
+        console.log(`🎯 Loaded confidence model ${model.version} from ${this.modelPath}`);
+        return { ...DEFAULT_MODEL, ...model };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load confidence model, using defaults:', error.message);
+    }
+    return DEFAULT_MODEL;
+  }
+
+  save(model, modelPath = this.modelPath) {
+    fs.writeFileSync(modelPath, JSON.stringify(model, null, 2) + '\n', 'utf8');
+    this.model = model;
+  }
+
+  get thresholds() {
+    return this.model.thresholds;
+  }
+
+  /**
+   * Question type used as a feature (and as the admin question category)
+   */
+  static classifyQuestion(question = '') {
+    const match = QUESTION_TYPES.find(([, pattern]) => pattern.test(question));
+    return match ? match[0] : 'general';
+  }
+
+  /**
+   * Features of a retrieval result; pass the verifier's supportedRatio once the answer exists
+   */
+  extractFeatures(retrievalResult, question, supportRatio = null) {
+    const scores = (retrievalResult.results || [])
+      .map(result => result.similarity || 0)
+      .sort((a, b) => b - a);
+
+    const topScore = scores[0] || 0;
+    const others = scores.slice(1);
+
+    return {
+      questionType: ConfidenceModel.classifyQuestion(question),
+      topScore,
+      margin: others.length > 0 ? topScore - others[0] : topScore,
+      agreement: others.length > 0 && topScore > 0
+        ? others.filter(score => score >= topScore * this.agreementRatio).length / others.length
+        : 0,
+      supportRatio
+    };
+  }
+
+  /**
+   * Numeric feature vector in FEATURE_NAMES order
+   */
+  static vectorize(features) {
+    const verified = features.supportRatio !== null && features.supportRatio !== undefined;
+    const values = {
+      topScore: features.topScore || 0,
+      margin: features.margin || 0,
+      agreement: features.agreement || 0,
+      verified: verified ? 1 : 0,
+      supportRatio: verified ? features.supportRatio : 0
+    };
+    for (const [type] of QUESTION_TYPES) {
+      values[`type:${type}`] = features.questionType === type ? 1 : 0;
+    }
+    return FEATURE_NAMES.map(name => values[name]);
+  }
+
+  /**
+   * Calibrated probability (0..1) that the answer is correct
+   */
+  score(features) {
+    const vector = ConfidenceModel.vectorize(features);
+    const logit = FEATURE_NAMES.reduce(
+      (sum, name, i) => sum + (this.model.weights[name] || 0) * vector[i],
+      this.model.bias
+    );
+    return sigmoid(logit);
+  }
+
+  /**
+   * Fit logistic regression weights to labelled examples [{ features, label: 0|1 }]
+   */
+  static fit(examples, options = {}) {
+    const { iterations = 3000, learningRate = 0.5, l2 = 0.01 } = options;
+    const rows = examples.map(example => ConfidenceModel.vectorize(example.features));
+    const labels = examples.map(example => example.label);
+    const weights = new Array(FEATURE_NAMES.length).fill(0);
+    let bias = 0;
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const gradient = new Array(weights.length).fill(0);
+      let biasGradient = 0;
+
+      rows.forEach((row, i) => {
+        const prediction = sigmoid(row.reduce((sum, value, j) => sum + weights[j] * value, bias));
+        const error = prediction - labels[i];
+        row.forEach((value, j) => {
+          gradient[j] += error * value;
+        });
+        biasGradient += error;
+      });
+
+      for (let j = 0; j < weights.length; j++) {
+        weights[j] -= learningRate * (gradient[j] / rows.length + l2 * weights[j]);
+      }
+      bias -= learningRate * biasGradient / rows.length;
+    }
+
+    return {
+      bias,
+      weights: Object.fromEntries(FEATURE_NAMES.map((name, j) => [name, weights[j]]))
+    };
+  }
+
+  /**
+   * Precision and coverage of "answer when score >= threshold" for each threshold
+   */
+  static precisionAtThresholds(scored, thresholds) {
+    return thresholds.map(threshold => {
+      const accepted = scored.filter(example => example.score >= threshold);
+      const correct = accepted.filter(example => example.label === 1).length;
+      return {
+        threshold,
+        answered: accepted.length,
+        coverage: scored.length > 0 ? accepted.length / scored.length : 0,
+        precision: accepted.length > 0 ? correct / accepted.length : null
+      };
+    });
+  }
+}
+
+ConfidenceModel.DEFAULT_MODEL = DEFAULT_MODEL;
+ConfidenceModel.DEFAULT_MODEL_PATH = DEFAULT_MODEL_PATH;
+ConfidenceModel.FEATURE_NAMES = FEATURE_NAMES;
+
+module.exports = ConfidenceModel;
@@ -0,0 +1,198 @@
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Context Assembler
+ * Packs retrieved passages into a token budget for the prompt:
+ *   1. chunks of the same document whose ranges overlap or touch are merged into one passage
+ *   2. passages repeating a better-ranked one (same terms, e.g. a page scraped twice) are dropped
+ *   3. passages are added by rank; one longer than `maxPassageTokens`, or than the budget left,
+ *      is compressed to its sentences that share most terms with the question
+ *   4. the packed passages are ordered by document (best-ranked first), then by position
+ *      in the document, so neighbouring chunks read in order
+ * Passages keep the retrieval result fields, plus `chunkIds`, `compressed` and `tokens`.
+ */
+
+const SENTENCE_PATTERN = /(?<=[.!?।])\s+|\n+/;
+
+class ContextAssembler {
+  constructor(options = {}) {
+    this.countTokens = options.countTokens || (text => Math.ceil(text.length / 4));
+    this.formatPassage = options.formatPassage || ((passage, number) => `[${number}] ${passage.content}`);
+    this.tokenizer = options.tokenizer || new Tokenizer({ stem: true });
+    this.maxPassageTokens = options.maxPassageTokens ?? 350;
+    this.duplicateThreshold = options.duplicateThreshold ?? 0.85;
+  }
+
+  /**
+   * @returns {Object} { passages, tokens, budget, merged, duplicates, compressed, dropped }
+   */
+  assemble(results = [], question = '', budget = Infinity) {
+    const stats = { merged: 0, duplicates: 0, compressed: 0, dropped: 0 };
+    const candidates = this.dedupe(this.mergeOverlapping(results, stats), stats);
+    const queryTerms = new Set(this.tokenizer.tokenize(question));
+
+    const selected = [];
+    let tokens = 0;
+
+    for (const candidate of candidates) {
+      const remaining = budget - tokens;
+      let passage = candidate;
+      let cost = this.countTokens(this.formatPassage(passage, selected.length + 1));
+
+      if (cost > this.maxPassageTokens || cost > remaining) {
+        const overhead = cost - this.countTokens(passage.content);
+        const content = this.compress(passage.content, queryTerms, Math.min(this.maxPassageTokens, remaining) - overhead);
+        if (content) {
+          passage = { ...passage, content, compressed: true };
+          cost = this.countTokens(this.formatPassage(passage, selected.length + 1));
+          stats.compressed++;
+        }
+      }
+
+      if (cost > remaining) {
+        stats.dropped++;
+        continue;
+      }
+
+      selected.push({ ...passage, tokens: cost });
+      tokens += cost;
+    }
+
+    return { passages: this.orderByDocument(selected), tokens, budget, ...stats };
+  }
+
+  /**
+   * Merge chunks of one document whose character ranges overlap or are adjacent
+   */
+  mergeOverlapping(results, stats) {
+    const passages = [];
+
+    results.forEach((result, rank) => {
+      const passage = { ...result, rank, chunkIds: [result.chunkId], compressed: false };
+      if (!this.hasRange(passage)) {
+        passages.push(passage);
+        return;
+      }
+
+      const neighbour = passages.find(other => other.documentId === passage.documentId &&
+        this.hasRange(other) &&
+        passage.startIndex <= other.endIndex &&
+        passage.endIndex >= other.startIndex);
+
+      if (!neighbour) {
+        passages.push(passage);
+        return;
+      }
+
+      const [first, second] = neighbour.startIndex <= passage.startIndex ? [neighbour, passage] : [passage, neighbour];
+      if (second.endIndex > first.endIndex) {
+        neighbour.content = first.content + second.content.substring(first.endIndex - second.startIndex);
+      } else {
+        neighbour.content = first.content;
+      }
+      neighbour.startIndex = first.startIndex;
+      neighbour.endIndex = Math.max(first.endIndex, second.endIndex);
+      neighbour.chunkIds.push(passage.chunkId);
+      neighbour.similarity = Math.max(neighbour.similarity || 0, passage.similarity || 0);
+      stats.merged++;
+    });
+
+    return passages;
+  }
+
+  /**
+   * Offsets can only be trusted when they span exactly the chunk content
+   */
+  hasRange(passage) {
+    return Number.isInteger(passage.startIndex) && Number.isInteger(passage.endIndex) &&
+      passage.endIndex - passage.startIndex === (passage.content || '').length;
+  }
+
+  /**
+   * Drop passages whose terms mostly repeat a better-ranked passage
+   */
+  dedupe(passages, stats) {
+    const kept = [];
+    const keptTerms = [];
+
+    for (const passage of passages) {
+      const terms = new Set(this.tokenizer.tokenize(passage.content || ''));
+      const duplicate = keptTerms.some(other => this.overlap(terms, other) >= this.duplicateThreshold);
+      if (duplicate) {
+        stats.duplicates++;
+        continue;
+      }
+      kept.push(passage);
+      keptTerms.push(terms);
+    }
+
+    return kept;
+  }
+
+  overlap(terms, otherTerms) {
+    if (terms.size === 0 || otherTerms.size === 0) return 0;
+    let shared = 0;
+    for (const term of terms) {
+      if (otherTerms.has(term)) shared++;
+    }
+    return shared / (terms.size + otherTerms.size - shared);
+  }
+
+  /**
+   * Keep the sentences sharing most terms with the question, in their original order,
+   * within maxTokens; '…' marks left-out text
+   */
+  compress(content, queryTerms, maxTokens) {
+    if (maxTokens <= 0) return '';
+
+    const sentences = content
+      .split(SENTENCE_PATTERN)
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(sentence => sentence.length > 0)
+      .map((text, position) => ({
+        text,
+        position,
+        score: new Set(this.tokenizer.tokenize(text).filter(term => queryTerms.has(term))).size,
+        tokens: this.countTokens(text) + 1
+      }));
+
+    // Only sentences sharing a question term, best first; without any, the passage is cut in reading order
+    const relevant = sentences.filter(sentence => sentence.score > 0);
+    const ranked = relevant.length > 0
+      ? relevant.sort((a, b) => b.score - a.score || a.position - b.position)
+      : sentences;
+    const chosen = [];
+    let tokens = 0;
+    for (const sentence of ranked) {
+      if (tokens + sentence.tokens > maxTokens) continue;
+      chosen.push(sentence);
+      tokens += sentence.tokens;
+    }
+
+    if (chosen.length === 0) return '';
+
+    chosen.sort((a, b) => a.position - b.position);
+    return chosen
+      .map((sentence, i) => (i > 0 && sentence.position !== chosen[i - 1].position + 1 ? `… ${sentence.text}` : sentence.text))
+      .join(' ');
+  }
+
+  /**
+   * Group passages by document in order of each document's best rank, then by position
+   */
+  orderByDocument(passages) {
+    const documentRank = new Map();
+    for (const passage of passages) {
+      const rank = documentRank.get(passage.documentId);
+      if (rank === undefined || passage.rank < rank) {
+        documentRank.set(passage.documentId, passage.rank);
+      }
+    }
+
+    return [...passages].sort((a, b) =>
+      documentRank.get(a.documentId) - documentRank.get(b.documentId) ||
+      (a.startIndex ?? a.rank) - (b.startIndex ?? b.rank));
+  }
+}
+
+module.exports = ContextAssembler;
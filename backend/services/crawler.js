@@ -0,0 +1,991 @@
+const puppeteer = require('puppeteer');
+const cheerio = require('cheerio');
+const axios = require('axios');
+const { URL } = require('url');
+const Document = require('../models/Document');
+const CrawlJob = require('../models/CrawlJob');
+const VectorDatabaseService = require('./vectorDatabase');
+const LocalVectorDatabaseService = require('./localVectorDatabase');
+const { extractPdfStructure, blocksToText, chunkBlocks } = require('./pdfStructure');
+const { extractHtmlTables, blocksWithTables, tablesFromBlocks } = require('./tableExtraction');
+const { RobotsRules } = require('./robotsTxt');
+const { sitemapText, parseSitemap } = require('./sitemap');
+
+/**
+ * Website Crawler
+ * The one crawler behind the scrape routes, the scheduled scrape and `scripts/scraper.js`.
+ * Each run is a CrawlJob: pages are visited breadth-first from the seeds on the seeds' hosts,
+ * down to `maxDepth` links and at most `maxPages` URLs, keeping only URLs that match the job's
+ * include patterns and none of its exclude patterns. Web pages are rendered with puppeteer;
+ * linked PDFs are downloaded and extracted with their pages, sections and tables.
+ * Every visited URL is recorded on the job as created / updated / unchanged / skipped / failed.
+ * Only one job runs at a time per process.
+ *
+ * Politeness, per host:
+ *   - robots.txt is read once per job; disallowed URLs are not fetched, and its Crawl-delay
+ *     (for our user agent, else "*") replaces `delayMs` and limits the host to one request at a time
+ *   - the sitemaps it lists (else /sitemap.xml) add their pages to the seeds, through sitemap indexes
+ *   - at most `hostConcurrency` requests run at once, started at least the delay apart
+ *   - 429 and 5xx responses are retried with exponential backoff (or the Retry-After the server
+ *     asks for), pausing the whole host meanwhile
+ */
+
+const MAX_CONTENT_LENGTH = 50000; // Document.content maxlength
+const MIN_CONTENT_LENGTH = 100;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; CollegeRAGBot/1.0)';
+const MAX_CRAWL_DELAY_MS = 60000;
+const MAX_BACKOFF_MS = 120000;
+const MAX_SITEMAPS = 20;
+const MAX_SITEMAP_URLS = 5000;
+const MAX_PATTERN_LENGTH = 200;
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (.*\/)* (catastrophic backtracking)
+const NESTED_QUANTIFIER = /\([^()]*[+*}][^()]*\)\s*[+*{]/;
+const SKIPPED_EXTENSIONS = /\.(doc|docx|xls|xlsx|ppt|pptx|jpg|jpeg|png|gif|svg|mp4|mp3|zip|rar)$/i;
+const PDF_EXTENSION = /\.pdf$/i;
+
+// Content type of a page from its URL path, after the sections of the college site
+const CONTENT_TYPE_RULES = [
+  { pattern: /faq|frequently-asked/i, contentType: 'faq' },
+  { pattern: /news|announcement|notice|circular|latest-update/i, contentType: 'announcement' },
+  { pattern: /event/i, contentType: 'event' },
+  { pattern: /contact/i, contentType: 'contact' },
+  { pattern: /academic|admission|course|fee|placement|exam|result/i, contentType: 'academic' }
+];
+
+const FAQ_ITEM_SELECTORS = ['.faq-item', '.qa-item', '.question-answer', '.accordion-item'];
+
+// Invalid job settings (400), or a job already running (409)
+class CrawlJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CrawlJobError';
+    this.status = status;
+  }
+}
+
+class CrawlerService {
+  constructor(options = {}) {
+    this.localVectorDB = options.localVectorDB || LocalVectorDatabaseService.getSharedInstance();
+    this.vectorDB = options.vectorDB || new VectorDatabaseService();
+    this.browser = null;
+    this.activeJob = null;
+    this.queue = [];
+    this.cancelRequested = false;
+    this.lastScrapeTime = null;
+    this.initialized = null;
+    this.storing = null;
+
+    // Configuration
+    const maxDepth = parseInt(process.env.MAX_SCRAPING_DEPTH);
+    this.maxDepth = isNaN(maxDepth) ? 2 : maxDepth; // 0 crawls only the seeds
+    this.maxPages = parseInt(process.env.CRAWL_MAX_PAGES) || 200;
+    this.delayMs = parseInt(process.env.SCRAPING_DELAY) || 1000;
+    this.timeout = 30000;
+    this.maxPdfBytes = (parseInt(process.env.CRAWLER_MAX_PDF_MB) || 25) * 1024 * 1024;
+    this.userAgent = process.env.CRAWLER_USER_AGENT || DEFAULT_USER_AGENT;
+    this.respectRobots = process.env.CRAWLER_RESPECT_ROBOTS !== 'false';
+    this.useSitemaps = process.env.CRAWLER_USE_SITEMAPS !== 'false';
+    this.concurrency = parseInt(process.env.CRAWLER_CONCURRENCY) || 4;
+    this.hostConcurrency = parseInt(process.env.CRAWLER_HOST_CONCURRENCY) || 2;
+    this.maxRetries = parseInt(process.env.CRAWLER_MAX_RETRIES) || 3;
+    this.backoffMs = parseInt(process.env.CRAWLER_BACKOFF_MS) || 1000;
+  }
+
+  /**
+   * One crawler per process, so routes, the cron job and scripts see the same running job
+   */
+  static getSharedInstance() {
+    if (!CrawlerService.sharedInstance) {
+      CrawlerService.sharedInstance = new CrawlerService();
+    }
+    return CrawlerService.sharedInstance;
+  }
+
+  /**
+   * Load the indexes and close out jobs left running by a previous process (only runs once)
+   */
+  async initialize() {
+    if (!this.initialized) {
+      this.initialized = (async () => {
+        try {
+          await this.localVectorDB.initialize();
+          await this.vectorDB.initialize();
+        } catch (error) {
+          console.error('❌ Failed to initialize crawler indexes:', error);
+        }
+
+        const interrupted = await CrawlJob.updateMany(
+          { status: { $in: ['queued', 'running'] } },
+          { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() }
+        );
+        if (interrupted.modifiedCount > 0) {
+          console.log(`⚠️  Marked ${interrupted.modifiedCount} interrupted crawl jobs as failed`);
+        }
+        console.log('🕷️  Crawler ready');
+      })();
+    }
+    return this.initialized;
+  }
+
+  /**
+   * Seeds from SCRAPING_URLS (comma separated), else the college website
+   */
+  getDefaultSeeds() {
+    const urlsString = process.env.SCRAPING_URLS || process.env.COLLEGE_WEBSITE_URL || 'https://eng.rizvi.edu.in/';
+    return urlsString.split(',').map(url => url.trim()).filter(url => url);
+  }
+
+  /**
+   * Compile URL patterns, rejecting invalid regular expressions
+   */
+  compilePatterns(patterns = []) {
+    return patterns.map(pattern => {
+      // Patterns come from admins, but a catastrophic one would still stall the crawl on every URL
+      if (pattern.length > MAX_PATTERN_LENGTH || NESTED_QUANTIFIER.test(pattern) || /\\\d/.test(pattern)) {
+        throw new CrawlJobError(`URL pattern "${pattern.substring(0, 40)}" is too long or uses nested quantifiers or backreferences`);
+      }
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new CrawlJobError(`Invalid URL pattern "${pattern}": ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Create a crawl job and start running it
+   * options: { seeds, maxDepth, maxPages, includePatterns, excludePatterns, useSitemaps, trigger, userId }
+   * @returns {Object} { job, finished } - `finished` resolves with the job once the crawl ends
+   */
+  async startJob(options = {}) {
+    if (this.activeJob) {
+      throw new CrawlJobError('A crawl is already in progress', 409);
+    }
+
+    const includePatterns = options.includePatterns || [];
+    const excludePatterns = options.excludePatterns || [];
+    this.compilePatterns([...includePatterns, ...excludePatterns]);
+
+    // Claim the crawler before the first await, so two callers cannot both start
+    this.activeJob = new CrawlJob({
+      seeds: options.seeds && options.seeds.length > 0 ? options.seeds : this.getDefaultSeeds(),
+      maxDepth: options.maxDepth ?? this.maxDepth,
+      maxPages: options.maxPages || this.maxPages,
+      includePatterns,
+      excludePatterns,
+      useSitemaps: options.useSitemaps ?? this.useSitemaps,
+      trigger: options.trigger || 'manual',
+      createdBy: options.userId
+    });
+    const job = this.activeJob;
+
+    try {
+      await this.initialize();
+      await job.save();
+    } catch (error) {
+      this.activeJob = null;
+      throw error;
+    }
+
+    return { job, finished: this.runJob(job) };
+  }
+
+  /**
+   * Crawl breadth-first from the job's seeds, several hosts and pages at a time;
+   * never throws, failures end up on the job
+   */
+  async runJob(job) {
+    this.cancelRequested = false;
+    this.queue = [];
+    const include = this.compilePatterns(job.includePatterns);
+    const exclude = this.compilePatterns(job.excludePatterns);
+    const hosts = new Map(); // hostname -> { origin, robots, delayMs, concurrency, active, nextAt }
+    const seen = new Set();
+    const running = new Set();
+    let saving = Promise.resolve();
+
+    // Queue a URL on one of the seeds' hosts, unless already seen, filtered out or disallowed
+    const enqueue = (url, depth, title, filter = true) => {
+      if (!url || seen.has(url)) return false;
+      const host = hosts.get(new URL(url).hostname);
+      if (!host || (filter && !this.isAllowed(url, include, exclude))) return false;
+      seen.add(url);
+      if (!host.robots.isAllowed(url)) {
+        job.stats.blocked += 1;
+        return false;
+      }
+      this.queue.push({ url, depth, title, attempt: 0 });
+      job.stats.discovered += 1;
+      return true;
+    };
+    // Redirect targets are checked against the robots.txt of the host they land on;
+    // hosts only reached through redirects get their rules fetched once, but are not crawled
+    const redirectRobots = new Map(); // hostname -> Promise of RobotsRules
+    const robotsAllow = async url => {
+      const { hostname, origin } = new URL(url);
+      const host = hosts.get(hostname);
+      if (host) return host.robots.isAllowed(url);
+      if (!redirectRobots.has(hostname)) {
+        redirectRobots.set(hostname, this.respectRobots ? this.fetchRobots(origin) : Promise.resolve(RobotsRules.allowAll()));
+      }
+      return (await redirectRobots.get(hostname)).isAllowed(url);
+    };
+    // Job saves are chained: a document cannot be saved while a save is in flight
+    const persist = () => {
+      saving = saving.then(() => job.save()).catch(error => console.error('❌ Failed to save crawl job:', error.message));
+      return saving;
+    };
+
+    try {
+      console.log(`🕷️  Crawl job ${job._id}: ${job.seeds.length} seeds, depth ${job.maxDepth}, up to ${job.maxPages} URLs`);
+      job.status = 'running';
+      job.startedAt = new Date();
+      await job.save();
+
+      for (const seed of job.seeds) {
+        const { hostname, origin } = new URL(seed);
+        if (!hosts.has(hostname)) {
+          hosts.set(hostname, await this.prepareHost(origin));
+        }
+      }
+      job.seeds.forEach(seed => enqueue(this.normalizeUrl(seed), 0, null, false));
+      if (job.useSitemaps) {
+        for (const host of hosts.values()) {
+          const urls = await this.discoverSitemapUrls(host);
+          job.stats.fromSitemaps += urls.filter(url => enqueue(this.normalizeUrl(url), 0)).length;
+        }
+      }
+      await persist();
+
+      this.browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+
+      while (!this.cancelRequested) {
+        const now = Date.now();
+        const budget = job.maxPages - job.results.length - running.size;
+        const index = running.size < this.concurrency && budget > 0
+          ? this.queue.findIndex(item => {
+            const host = hosts.get(new URL(item.url).hostname);
+            return host.active < host.concurrency && host.nextAt <= now;
+          })
+          : -1;
+
+        if (index === -1) {
+          if (running.size === 0 && (this.queue.length === 0 || budget <= 0)) break;
+          // Wait for a request to finish or for the next host to become free
+          const waits = [...running];
+          const nextAt = Math.min(...[...hosts.values()].filter(host => host.active < host.concurrency).map(host => host.nextAt));
+          if (this.queue.length > 0 && budget > 0 && isFinite(nextAt)) {
+            waits.push(this.delay(Math.max(10, nextAt - now)));
+          }
+          await Promise.race(waits);
+          continue;
+        }
+
+        const [item] = this.queue.splice(index, 1);
+        const host = hosts.get(new URL(item.url).hostname);
+        host.active += 1;
+        host.nextAt = now + host.delayMs;
+
+        const task = this.crawlUrl(job, item, robotsAllow)
+          .then(({ links, retryAfter }) => {
+            if (retryAfter !== undefined) {
+              // Pause the host and try the URL again first once it resumes
+              host.nextAt = Math.max(host.nextAt, Date.now() + retryAfter);
+              this.queue.unshift({ ...item, attempt: item.attempt + 1 });
+              return;
+            }
+            if (item.depth < job.maxDepth) {
+              links.forEach(link => enqueue(link.url, item.depth + 1, link.text));
+            }
+            return persist();
+          })
+          .finally(() => {
+            host.active -= 1;
+            host.nextAt = Math.max(host.nextAt, Date.now() + host.delayMs);
+            running.delete(task);
+          });
+        running.add(task);
+      }
+
+      await Promise.all(running);
+      job.status = this.cancelRequested ? 'cancelled' : 'completed';
+      this.lastScrapeTime = new Date();
+      console.log(`✅ Crawl job ${job._id} ${job.status}: ${job.results.length} URLs, ${job.stats.created} new, ${job.stats.updated} updated, ${job.stats.failed} failed`);
+
+    } catch (error) {
+      console.error(`❌ Crawl job ${job._id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      await Promise.allSettled(running);
+      await this.cleanup();
+      job.finishedAt = new Date();
+      await saving;
+      await this.localVectorDB.flush();
+      try {
+        await job.save();
+      } catch (error) {
+        console.error('❌ Failed to save crawl job:', error);
+      }
+      this.activeJob = null;
+    }
+
+    return job;
+  }
+
+  /**
+   * Politeness state of a host, from its robots.txt
+   */
+  async prepareHost(origin) {
+    const robots = this.respectRobots ? await this.fetchRobots(origin) : RobotsRules.allowAll();
+    const crawlDelayMs = robots.crawlDelay !== null ? Math.min(robots.crawlDelay * 1000, MAX_CRAWL_DELAY_MS) : null;
+
+    return {
+      origin,
+      robots,
+      delayMs: crawlDelayMs ?? this.delayMs,
+      concurrency: crawlDelayMs !== null ? 1 : this.hostConcurrency,
+      active: 0,
+      nextAt: 0
+    };
+  }
+
+  /**
+   * robots.txt rules of a host for our user agent
+   */
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: 10000,
+        maxContentLength: 512 * 1024,
+        responseType: 'text',
+        headers: { 'User-Agent': this.userAgent },
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        const rules = RobotsRules.fromText(String(response.data), this.userAgent);
+        console.log(`🤖 robots.txt for ${origin}: ${rules.rules.length} rules` +
+          (rules.crawlDelay !== null ? `, crawl-delay ${rules.crawlDelay}s` : ''));
+        return rules;
+      }
+      if (response.status >= 400 && response.status < 500) {
+        return RobotsRules.allowAll();
+      }
+      console.log(`⚠️  robots.txt for ${origin} returned ${response.status}; not crawling the host`);
+      return RobotsRules.disallowAll();
+
+    } catch (error) {
+      console.log(`⚠️  robots.txt for ${origin} unreachable (${error.message}); not crawling the host`);
+      return RobotsRules.disallowAll();
+    }
+  }
+
+  /**
+   * Page URLs listed by a host's sitemaps (from robots.txt, else /sitemap.xml), following
+   * sitemap indexes
+   */
+  async discoverSitemapUrls(host) {
+    const pending = host.robots.sitemaps.length > 0 ? [...host.robots.sitemaps] : [`${host.origin}/sitemap.xml`];
+    const visited = new Set();
+    const urls = [];
+
+    while (pending.length > 0 && visited.size < MAX_SITEMAPS && urls.length < MAX_SITEMAP_URLS) {
+      const sitemapUrl = pending.shift();
+      if (visited.has(sitemapUrl) || !host.robots.isAllowed(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
+
+      try {
+        const response = await axios.get(sitemapUrl, {
+          timeout: this.timeout,
+          maxContentLength: 50 * 1024 * 1024,
+          responseType: 'arraybuffer',
+          headers: { 'User-Agent': this.userAgent }
+        });
+        const sitemap = parseSitemap(sitemapText(response.data));
+        if (sitemap.type === 'index') {
+          pending.push(...sitemap.urls);
+        } else {
+          urls.push(...sitemap.urls);
+        }
+      } catch (error) {
+        console.log(`⚠️  Sitemap ${sitemapUrl} not available: ${error.message}`);
+      }
+    }
+
+    if (urls.length > 0) {
+      console.log(`🗺️  ${urls.length} URLs in the sitemaps of ${host.origin}`);
+    }
+    return urls.slice(0, MAX_SITEMAP_URLS);
+  }
+
+  /**
+   * Wait before retrying a URL: Retry-After when the server sent one, else exponential backoff
+   */
+  backoffDelay(attempt, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delayMs = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!isNaN(delayMs)) return Math.min(Math.max(delayMs, 0), MAX_BACKOFF_MS);
+    }
+    return Math.min(this.backoffMs * 2 ** attempt, MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Fetch, extract, save and index one URL, recording the outcome on the job.
+   * `robotsAllow(url)` resolves whether robots.txt lets us use the page a redirect ended on.
+   * @returns {Object} { links: [{ url, text }], retryAfter } - retryAfter (ms) when the URL
+   *   should be tried again
+   */
+  async crawlUrl(job, { url, depth, title, attempt }, robotsAllow = async () => true) {
+    const isPdf = PDF_EXTENSION.test(new URL(url).pathname);
+    const result = { url, depth, fileType: isPdf ? 'pdf' : 'webpage', attempts: attempt + 1 };
+    let links = [];
+
+    try {
+      console.log(`📄 Crawling: ${url} (depth: ${depth}${attempt > 0 ? `, retry ${attempt}` : ''})`);
+
+      const response = isPdf ? await this.fetchPdf(url) : await this.fetchPage(url);
+      result.httpStatus = response.httpStatus;
+      if (response.httpStatus === 429 || response.httpStatus >= 500) {
+        if (attempt < this.maxRetries) {
+          const retryAfter = this.backoffDelay(attempt, response.retryAfter);
+          console.log(`⏳ ${url} returned ${response.httpStatus}, retrying in ${retryAfter}ms`);
+          return { links, retryAfter };
+        }
+      }
+      if (response.httpStatus >= 400) {
+        job.addResult({ ...result, status: 'failed', error: `HTTP ${response.httpStatus}` });
+        return { links };
+      }
+
+      const finalUrl = response.url || url;
+      if (finalUrl !== url && !(await robotsAllow(finalUrl))) {
+        job.stats.blocked += 1;
+        job.addResult({ ...result, status: 'skipped', error: `Redirected to ${finalUrl}, which robots.txt disallows` });
+        return { links };
+      }
+
+      let data;
+      if (isPdf) {
+        data = await this.processPdf(url, title, response.data);
+      } else {
+        links = this.extractLinks(response.html, finalUrl);
+        data = await this.processPageContent(url, response.title, response.html);
+      }
+
+      if (!data) {
+        job.addResult({ ...result, status: 'skipped', error: 'Content too short' });
+        return { links };
+      }
+
+      // One document at a time goes into the database and the index
+      const store = (this.storing || Promise.resolve()).then(async () => {
+        const saved = await this.saveDocument(data);
+        if (saved.status !== 'unchanged') {
+          await this.addToVectorDB(saved.document);
+        }
+        return saved;
+      });
+      this.storing = store.catch(() => {});
+      const { document, status } = await store;
+      job.addResult({ ...result, status, documentId: document._id, title: document.title });
+
+    } catch (error) {
+      console.error(`❌ Failed to crawl ${url}:`, error.message);
+      job.addResult({ ...result, status: 'failed', error: error.message });
+    }
+
+    return { links };
+  }
+
+  /**
+   * Render a page in the browser
+   * @returns {Object} { html, title, url, httpStatus, retryAfter } - url is where redirects ended
+   */
+  async fetchPage(url) {
+    const page = await this.browser.newPage();
+    try {
+      await page.setDefaultTimeout(this.timeout);
+      await page.setUserAgent(this.userAgent);
+
+      const response = await page.goto(url, { waitUntil: 'networkidle2' });
+      return {
+        html: await page.content(),
+        title: await page.title(),
+        url: page.url(),
+        httpStatus: response ? response.status() : null,
+        retryAfter: response ? response.headers()['retry-after'] : undefined
+      };
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Download a PDF of at most `maxPdfBytes`
+   * @returns {Object} { data, url, httpStatus, retryAfter } - url is where redirects ended
+   */
+  async fetchPdf(url) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      maxContentLength: this.maxPdfBytes,
+      headers: { 'User-Agent': this.userAgent },
+      validateStatus: () => true
+    });
+    return {
+      data: response.data,
+      url: response.request?.res?.responseUrl || url,
+      httpStatus: response.status,
+      retryAfter: response.headers['retry-after']
+    };
+  }
+
+  /**
+   * Process page content
+   * Data tables are taken out before the text is cleaned and kept as structured rows; the
+   * content then holds them as "Header: value; ..." lines, chunked so no chunk splits a row.
+   * FAQ pages built from question/answer items keep one "Q: ... A: ..." paragraph per item.
+   */
+  async processPageContent(url, title, html) {
+    try {
+      const $ = cheerio.load(html);
+
+      // Remove unwanted elements
+      $('script, style, nav, header, footer, .nav, .menu, .sidebar').remove();
+
+      // Try to find main content areas
+      const contentSelectors = [
+        'main', '.main', '.content', '.main-content',
+        'article', '.article', '.post', '.page-content',
+        '#content', '#main', '.container'
+      ];
+
+      let contentElement = null;
+      for (const selector of contentSelectors) {
+        const element = $(selector);
+        if (element.length > 0 && element.text().trim().length > 100) {
+          contentElement = element;
+          break;
+        }
+      }
+
+      // If no main content found, use body
+      if (!contentElement) {
+        contentElement = $('body');
+      }
+
+      const faqs = this.extractFaqs($, contentElement);
+      let tables = [];
+      let blocks;
+      if (faqs.length > 0) {
+        blocks = faqs.map(text => ({ type: 'paragraph', sectionPath: [], text }));
+      } else {
+        // Extract tables, then clean and normalize the text around them
+        tables = extractHtmlTables($, contentElement);
+        blocks = blocksWithTables(contentElement.text(), tables, text => this.cleanContent(text));
+      }
+      const content = blocksToText(blocks);
+
+      if (content.length < MIN_CONTENT_LENGTH) {
+        console.log(`⚠️  Content too short for ${url}, skipping`);
+        return null;
+      }
+
+      return this.limitContent({
+        sourceUrl: url,
+        title: (title || 'Untitled').substring(0, 200),
+        content: content,
+        chunks: tables.length > 0 ? chunkBlocks(blocks, { chunkSize: this.localVectorDB.chunkSize }).chunks : null,
+        tables: tables,
+        metadata: {
+          wordCount: content.split(/\s+/).length,
+          tableCount: tables.length,
+          scrapedAt: new Date()
+        },
+        contentType: faqs.length > 0 ? 'faq' : this.contentTypeFor(url),
+        fileType: 'webpage',
+        source: 'scraped'
+      });
+
+    } catch (error) {
+      console.error(`❌ Failed to process content for ${url}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Question/answer pairs of FAQ markup, as "Q: ...\nA: ..." paragraphs
+   */
+  extractFaqs($, scope) {
+    for (const selector of FAQ_ITEM_SELECTORS) {
+      const items = scope.find(selector);
+      if (items.length === 0) continue;
+
+      const faqs = [];
+      items.each((i, item) => {
+        const question = this.cleanContent($(item).find('.question, .faq-question, h3, h4').first().text());
+        const answer = this.cleanContent($(item).find('.answer, .faq-answer, p').first().text());
+        if (question && answer) {
+          faqs.push(`Q: ${question}\nA: ${answer}`);
+        }
+      });
+      return faqs;
+    }
+    return [];
+  }
+
+  /**
+   * Extract a downloaded PDF with its pages, sections and tables
+   */
+  async processPdf(url, linkText, data) {
+    const structure = await extractPdfStructure(Buffer.from(data));
+    const { text, chunks } = chunkBlocks(structure.blocks, { chunkSize: this.localVectorDB.chunkSize });
+    if (text.trim().length < MIN_CONTENT_LENGTH) {
+      return null;
+    }
+
+    const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop()).replace(PDF_EXTENSION, '');
+    const tables = tablesFromBlocks(structure.blocks);
+    return this.limitContent({
+      sourceUrl: url,
+      title: (linkText || fileName || 'PDF Document').substring(0, 200),
+      content: text,
+      chunks,
+      tables,
+      metadata: {
+        wordCount: text.split(/\s+/).length,
+        pageCount: structure.pages,
+        tableCount: tables.length,
+        scrapedAt: new Date()
+      },
+      contentType: 'policy',
+      fileType: 'pdf',
+      source: 'scraped'
+    });
+  }
+
+  /**
+   * Cut content to what a Document holds, dropping chunks past the cut
+   */
+  limitContent(data) {
+    if (data.content.length <= MAX_CONTENT_LENGTH) return data;
+    return {
+      ...data,
+      content: data.content.substring(0, MAX_CONTENT_LENGTH),
+      chunks: data.chunks ? data.chunks.filter(chunk => chunk.endIndex <= MAX_CONTENT_LENGTH) : null
+    };
+  }
+
+  contentTypeFor(url) {
+    const { pathname } = new URL(url);
+    const rule = CONTENT_TYPE_RULES.find(candidate => candidate.pattern.test(pathname));
+    return rule ? rule.contentType : 'text';
+  }
+
+  /**
+   * Clean content text
+   */
+  cleanContent(text) {
+    return text
+      .replace(/\s+/g, ' ')           // Replace multiple spaces with single space
+      .replace(/\n\s*\n/g, '\n')      // Remove empty lines
+      .replace(/[^\w\s\.,!?;:()\-]/g, ' ') // Remove special characters except basic punctuation
+      .trim();
+  }
+
+  /**
+   * Absolute http(s) URL without its fragment, or null
+   */
+  normalizeUrl(href, baseUrl) {
+    try {
+      const url = new URL(href, baseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      url.hash = '';
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extract links from page: web pages and PDFs, without media and office files
+   * @returns {Array} [{ url, text }]
+   */
+  extractLinks(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const links = new Map();
+
+    $('a[href]').each((i, element) => {
+      const url = this.normalizeUrl($(element).attr('href'), baseUrl);
+      if (!url || links.has(url) || SKIPPED_EXTENSIONS.test(new URL(url).pathname)) return;
+      links.set(url, { url, text: this.cleanContent($(element).text()) || null });
+    });
+
+    return Array.from(links.values());
+  }
+
+  isAllowed(url, include, exclude) {
+    if (include.length > 0 && !include.some(pattern => pattern.test(url))) return false;
+    return !exclude.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Save document to database
+   * @returns {Object} { document, status } - status is created, updated or unchanged
+   */
+  async saveDocument(data) {
+    const existingDoc = await Document.findOne({ sourceUrl: data.sourceUrl });
+
+    if (existingDoc) {
+      existingDoc.metadata.lastScrapedAt = new Date();
+
+      if (existingDoc.content === data.content && existingDoc.title === data.title) {
+        await existingDoc.save();
+        return { document: existingDoc, status: 'unchanged' };
+      }
+
+      // Update existing document
+      existingDoc.content = data.content;
+      existingDoc.title = data.title;
+      existingDoc.setChunks(data.chunks || []);
+      existingDoc.setTables(data.tables || []);
+      existingDoc.contentType = data.contentType;
+      existingDoc.fileType = data.fileType;
+      existingDoc.metadata.wordCount = data.metadata.wordCount;
+      existingDoc.metadata.pageCount = data.metadata.pageCount;
+      existingDoc.metadata.scrapedAt = data.metadata.scrapedAt;
+      existingDoc.updatedAt = new Date();
+
+      await existingDoc.save();
+      console.log(`📝 Updated document: ${data.title}`);
+      return { document: existingDoc, status: 'updated' };
+    }
+
+    // Create new document
+    const { chunks, tables, ...fields } = data;
+    const doc = new Document({
+      ...fields,
+      metadata: { ...fields.metadata, lastScrapedAt: new Date() }
+    });
+    if (chunks) {
+      doc.setChunks(chunks);
+    }
+    doc.setTables(tables || []);
+    await doc.save();
+    console.log(`💾 Saved new document: ${data.title}`);
+    return { document: doc, status: 'created' };
+  }
+
+  /**
+   * Add document to vector database
+   */
+  async addToVectorDB(savedDocument) {
+    try {
+      // Update the local index first so the page is searchable immediately
+      await this.localVectorDB.initialize();
+      await this.localVectorDB.updateDocument({
+        title: savedDocument.title,
+        content: savedDocument.content,
+        chunks: savedDocument.chunks.map(chunk => chunk.toObject()),
+        tables: savedDocument.tables,
+        metadata: savedDocument.getIndexMetadata()
+      });
+      console.log(`🔍 Indexed locally: ${savedDocument.title}`);
+    } catch (error) {
+      console.error('❌ Failed to add to local vector index:', error);
+    }
+
+    try {
+      // Use the document ID to process the document through vector database
+      await this.vectorDB.processDocument(savedDocument._id);
+      console.log(`🔍 Added to vector DB: ${savedDocument.title}`);
+    } catch (error) {
+      console.error('❌ Failed to add to vector DB:', error);
+    }
+  }
+
+  /**
+   * Stop the running job after the URL in progress
+   * @returns {boolean} whether a job was running
+   */
+  cancelJob() {
+    if (!this.activeJob) return false;
+    console.log('⏹️  Stopping crawl job...');
+    this.cancelRequested = true;
+    return true;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    if (this.browser) {
+      try {
+        await this.browser.close();
+        console.log('🧹 Browser cleanup completed');
+      } catch (error) {
+        console.error('❌ Browser cleanup failed:', error);
+      }
+      this.browser = null;
+    }
+
+    this.queue = [];
+  }
+
+  /**
+   * Test scrape a single URL, without saving it
+   */
+  async testScrapeUrl(url) {
+    try {
+      console.log(`🧪 Testing scrape for: ${url}`);
+
+      const response = await axios.get(url, {
+        timeout: 10000,
+        headers: {
+          'User-Agent': this.userAgent
+        }
+      });
+
+      const processed = await this.processPageContent(url, 'Test Page', response.data);
+
+      return {
+        success: true,
+        url: url,
+        title: processed?.title || 'No title',
+        contentType: processed?.contentType || null,
+        contentLength: processed?.content?.length || 0,
+        wordCount: processed?.metadata?.wordCount || 0,
+        tableCount: processed?.tables?.length || 0,
+        links: this.extractLinks(response.data, url).length,
+        preview: processed ? processed.content.substring(0, 200) + '...' : 'No content'
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        url: url,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get crawler status, with the running job
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning(),
+      lastScrapeTime: this.lastScrapeTime,
+      queuedUrlsCount: this.queue.length,
+      currentJob: this.activeJob ? this.activeJob.getSummary() : null,
+      maxDepth: this.maxDepth,
+      maxPages: this.maxPages,
+      delay: this.delayMs,
+      userAgent: this.userAgent,
+      respectRobots: this.respectRobots,
+      concurrency: this.concurrency,
+      hostConcurrency: this.hostConcurrency
+    };
+  }
+
+  isRunning() {
+    return Boolean(this.activeJob);
+  }
+
+  /**
+   * Recent jobs, newest first, without their per-URL results
+   */
+  async getJobs(options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const query = status ? { status } : {};
+
+    const [jobs, total] = await Promise.all([
+      CrawlJob.find(query).select('-results').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      CrawlJob.countDocuments(query)
+    ]);
+
+    return {
+      jobs: jobs.map(job => job.getSummary()),
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  async getJob(id) {
+    return CrawlJob.findById(id);
+  }
+
+  async getDocumentCount() {
+    try {
+      return await Document.countDocuments({ source: 'scraped' });
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async getDocuments(options = {}) {
+    try {
+      const { page = 1, limit = 20, search } = options;
+      const skip = (page - 1) * limit;
+
+      let query = { source: 'scraped' };
+
+      if (search) {
+        query.$or = [
+          { title: { $regex: search, $options: 'i' } },
+          { content: { $regex: search, $options: 'i' } }
+        ];
+      }
+
+      const documents = await Document.find(query)
+        .select('title url scrapedAt wordCount')
+        .sort({ scrapedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Document.countDocuments(query);
+
+      return {
+        documents,
+        total,
+        page,
+        totalPages: Math.ceil(total / limit)
+      };
+
+    } catch (error) {
+      console.error('Failed to get documents:', error);
+      return { documents: [], total: 0, page: 1, totalPages: 0 };
+    }
+  }
+
+  async deleteDocument(id) {
+    try {
+      await Document.findByIdAndDelete(id);
+      // Also remove from both vector indexes so answers stop citing it
+      await this.localVectorDB.initialize();
+      await this.localVectorDB.removeDocument(id);
+      await this.vectorDB.removeDocument(id);
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = {
+  CrawlerService,
+  CrawlJobError
+};
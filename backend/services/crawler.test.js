@@ -0,0 +1,170 @@
+const axios = require('axios');
+const CrawlJob = require('../models/CrawlJob');
+const { CrawlerService, CrawlJobError } = require('./crawler');
+
+const PAGE = `<html><body><main>
+  <p>${'The admissions office is open on weekdays for document verification. '.repeat(3)}</p>
+  <a href="notices/">Notices</a>
+</main></body></html>`;
+
+let savedMaxDepth;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  savedMaxDepth = process.env.MAX_SCRAPING_DEPTH;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  if (savedMaxDepth === undefined) delete process.env.MAX_SCRAPING_DEPTH;
+  else process.env.MAX_SCRAPING_DEPTH = savedMaxDepth;
+});
+
+// Indexes are never touched by these tests
+function crawler() {
+  return new CrawlerService({ localVectorDB: {}, vectorDB: {} });
+}
+
+function crawlJob() {
+  return new CrawlJob({ seeds: ['https://eng.rizvi.edu.in/'] });
+}
+
+describe('CrawlerService maxDepth', () => {
+  test('reads MAX_SCRAPING_DEPTH=0 as seeds only', () => {
+    process.env.MAX_SCRAPING_DEPTH = '0';
+
+    expect(crawler().maxDepth).toBe(0);
+  });
+
+  test('defaults to 2 when MAX_SCRAPING_DEPTH is unset', () => {
+    delete process.env.MAX_SCRAPING_DEPTH;
+
+    expect(crawler().maxDepth).toBe(2);
+  });
+
+  test('keeps a job maxDepth of 0', async () => {
+    const service = crawler();
+    service.initialized = Promise.resolve();
+    jest.spyOn(CrawlJob.prototype, 'save').mockResolvedValue();
+    jest.spyOn(service, 'runJob').mockResolvedValue();
+
+    const { job } = await service.startJob({ seeds: ['https://eng.rizvi.edu.in/'], maxDepth: 0 });
+
+    expect(job.maxDepth).toBe(0);
+  });
+});
+
+describe('CrawlerService.compilePatterns', () => {
+  test('compiles case-insensitive patterns', () => {
+    const [pattern] = crawler().compilePatterns(['/admissions/']);
+
+    expect(pattern.test('https://eng.rizvi.edu.in/ADMISSIONS/fees')).toBe(true);
+  });
+
+  test.each([
+    ['nested quantifiers', '(a+)+$'],
+    ['a quantified group with a wildcard', '(.*\\/)*notices'],
+    ['backreferences', '(fee)\\1'],
+    ['patterns over 200 characters', 'a'.repeat(201)]
+  ])('rejects %s', (description, pattern) => {
+    expect(() => crawler().compilePatterns([pattern])).toThrow(CrawlJobError);
+  });
+
+  test('rejects invalid regular expressions with a 400', () => {
+    expect(() => crawler().compilePatterns(['notices['])).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('CrawlerService.isAllowed', () => {
+  test('needs an include match and no exclude match', () => {
+    const service = crawler();
+    const include = service.compilePatterns(['/admissions/']);
+    const exclude = service.compilePatterns(['\\.pdf$']);
+
+    expect(service.isAllowed('https://eng.rizvi.edu.in/admissions/fees', include, exclude)).toBe(true);
+    expect(service.isAllowed('https://eng.rizvi.edu.in/admissions/brochure.pdf', include, exclude)).toBe(false);
+    expect(service.isAllowed('https://eng.rizvi.edu.in/events', include, exclude)).toBe(false);
+    expect(service.isAllowed('https://eng.rizvi.edu.in/events', [], exclude)).toBe(true);
+  });
+});
+
+describe('CrawlerService.backoffDelay', () => {
+  test('doubles per attempt without Retry-After', () => {
+    const service = crawler();
+    service.backoffMs = 1000;
+
+    expect([0, 1, 2].map(attempt => service.backoffDelay(attempt))).toEqual([1000, 2000, 4000]);
+  });
+
+  test('uses Retry-After seconds or dates, capped at two minutes', () => {
+    const service = crawler();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-06-01T10:00:00Z'));
+
+    expect(service.backoffDelay(0, '7')).toBe(7000);
+    expect(service.backoffDelay(0, 'Sat, 01 Jun 2024 10:00:30 GMT')).toBe(30000);
+    expect(service.backoffDelay(0, '3600')).toBe(120000);
+  });
+});
+
+describe('CrawlerService.fetchPdf', () => {
+  test('limits the download to CRAWLER_MAX_PDF_MB', async () => {
+    const service = crawler();
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({ data: Buffer.from('%PDF'), status: 200, headers: {} });
+
+    await service.fetchPdf('https://eng.rizvi.edu.in/fees.pdf');
+
+    expect(service.maxPdfBytes).toBe(25 * 1024 * 1024);
+    expect(get.mock.calls[0][1].maxContentLength).toBe(service.maxPdfBytes);
+  });
+
+  test('reports where redirects ended', async () => {
+    const finalUrl = 'https://docs.rizvi.edu.in/fees.pdf';
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: Buffer.from('%PDF'), status: 200, headers: {}, request: { res: { responseUrl: finalUrl } } });
+
+    expect((await crawler().fetchPdf('https://eng.rizvi.edu.in/fees.pdf')).url).toBe(finalUrl);
+  });
+});
+
+describe('CrawlerService.crawlUrl redirects', () => {
+  const item = { url: 'https://eng.rizvi.edu.in/admissions', depth: 0, title: null, attempt: 0 };
+
+  function redirectingCrawler(finalUrl) {
+    const service = crawler();
+    jest.spyOn(service, 'fetchPage').mockResolvedValue({ html: PAGE, title: 'Admissions', url: finalUrl, httpStatus: 200 });
+    jest.spyOn(service, 'processPageContent').mockResolvedValue(null);
+    return service;
+  }
+
+  test('skips a page whose redirect target robots.txt disallows', async () => {
+    const service = redirectingCrawler('https://eng.rizvi.edu.in/admin/login');
+    const job = crawlJob();
+    const robotsAllow = jest.fn().mockResolvedValue(false);
+
+    const { links } = await service.crawlUrl(job, item, robotsAllow);
+
+    expect(robotsAllow).toHaveBeenCalledWith('https://eng.rizvi.edu.in/admin/login');
+    expect(service.processPageContent).not.toHaveBeenCalled();
+    expect(links).toEqual([]);
+    expect(job.stats.blocked).toBe(1);
+    expect(job.results[0].status).toBe('skipped');
+  });
+
+  test('resolves links against an allowed redirect target', async () => {
+    const service = redirectingCrawler('https://eng.rizvi.edu.in/admissions/');
+    const robotsAllow = jest.fn().mockResolvedValue(true);
+
+    const { links } = await service.crawlUrl(crawlJob(), item, robotsAllow);
+
+    expect(links).toEqual([{ url: 'https://eng.rizvi.edu.in/admissions/notices/', text: 'Notices' }]);
+  });
+
+  test('does not check pages that were not redirected', async () => {
+    const service = redirectingCrawler(item.url);
+    const robotsAllow = jest.fn();
+
+    await service.crawlUrl(crawlJob(), item, robotsAllow);
+
+    expect(robotsAllow).not.toHaveBeenCalled();
+    expect(service.processPageContent).toHaveBeenCalled();
+  });
+});
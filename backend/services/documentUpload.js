@@ -0,0 +1,265 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Document = require('../models/Document');
+const LocalVectorDatabaseService = require('./localVectorDatabase');
+const { FileTypeError, detectFileType, extractText } = require('./fileExtraction');
+const { blocksToText, chunkBlocks } = require('./pdfStructure');
+const { tablesFromBlocks } = require('./tableExtraction');
+
+/**
+ * Document Upload Service
+ * Turns an uploaded file into indexed documents: the type is detected from the file contents,
+ * text is extracted while the request waits, and the original is stored under `uploadDir`, which
+ * is outside the publicly served /uploads directory (admins download it through the upload API).
+ * Text longer than a Document can hold is split at paragraph boundaries into numbered parts.
+ * PDFs are chunked by section and page up front, so their chunks carry { page, sectionPath }.
+ * Tables found in PDF and HTML files are also stored on each part as structured rows.
+ * Indexing runs in the background; `processingProgress` tracks queued -> indexing -> done/failed.
+ */
+
+const MAX_CONTENT_LENGTH = 50000; // Document.content maxlength
+const MIN_TEXT_LENGTH = 20;
+
+class DocumentUploadService {
+  constructor(options = {}) {
+    this.uploadDir = options.uploadDir || process.env.UPLOAD_DIR || path.join(__dirname, '..', 'storage', 'documents');
+    this.maxFileSize = options.maxFileSize || (parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 20) * 1024 * 1024;
+    this.localVectorDB = options.localVectorDB || LocalVectorDatabaseService.getSharedInstance();
+  }
+
+  /**
+   * Create documents from an uploaded file (multer memory storage)
+   * options: { title, contentType, language, userId }
+   * @returns {Array} saved documents, status 'pending'
+   */
+  async createFromUpload(file, options = {}) {
+    if (!file || !file.buffer || file.size === 0) {
+      throw new FileTypeError('The uploaded file is empty');
+    }
+
+    const fileType = detectFileType(file.buffer, file.originalname);
+    const extracted = await extractText(file.buffer, fileType);
+
+    if (extracted.text.length < MIN_TEXT_LENGTH) {
+      throw new FileTypeError(fileType === 'pdf'
+        ? 'No text found in the PDF; scanned documents need OCR before upload'
+        : 'No text found in the file');
+    }
+
+    const filePath = await this.storeFile(file);
+    const parts = extracted.blocks
+      ? this.splitBlocks(extracted.blocks, fileType)
+      : this.splitContent(extracted.text).map(content => ({ content }));
+    const baseTitle = (options.title || extracted.title || path.parse(file.originalname).name)
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 180);
+
+    const documents = [];
+    for (let i = 0; i < parts.length; i++) {
+      const document = new Document({
+        title: parts.length > 1 ? `${baseTitle} (part ${i + 1}/${parts.length})` : baseTitle,
+        content: parts[i].content,
+        source: 'uploaded',
+        originalFileName: file.originalname,
+        fileType,
+        filePath,
+        fileSize: file.size,
+        contentType: options.contentType || 'text',
+        language: options.language || 'english',
+        status: 'pending',
+        processingProgress: { step: 'queued', percent: 0, updatedAt: new Date() },
+        createdBy: options.userId,
+        metadata: {
+          publishedAt: new Date(),
+          pageCount: extracted.pages,
+          part: parts.length > 1 ? i + 1 : undefined,
+          partCount: parts.length > 1 ? parts.length : undefined,
+          wordCount: parts[i].content.split(/\s+/).length,
+          characterCount: parts[i].content.length
+        }
+      });
+      if (parts[i].chunks) {
+        document.setChunks(parts[i].chunks);
+      }
+      if (parts[i].tables?.length) {
+        document.setTables(parts[i].tables);
+      }
+      await document.save();
+      documents.push(document);
+    }
+
+    console.log(`📤 Uploaded ${file.originalname} (${fileType}, ${documents.length} document${documents.length > 1 ? 's' : ''})`);
+    return documents;
+  }
+
+  /**
+   * Write the original file with a unique, filesystem-safe name
+   * @returns {String} path relative to the backend directory
+   */
+  async storeFile(file) {
+    await fs.mkdir(this.uploadDir, { recursive: true });
+
+    const { name, ext } = path.parse(file.originalname);
+    const safeName = name.replace(/[^\w.-]+/g, '_').substring(0, 80) || 'document';
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1e6)}-${safeName}${ext.toLowerCase()}`;
+    const fullPath = path.join(this.uploadDir, fileName);
+
+    await fs.writeFile(fullPath, file.buffer);
+    return path.relative(path.join(__dirname, '..'), fullPath);
+  }
+
+  /**
+   * Split text into parts of at most maxLength characters, at paragraph boundaries where possible
+   */
+  splitContent(text, maxLength = MAX_CONTENT_LENGTH) {
+    if (text.length <= maxLength) return [text];
+
+    const parts = [];
+    let current = '';
+
+    const pushPiece = piece => {
+      if (current && current.length + piece.length + 2 > maxLength) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    };
+
+    for (const paragraph of text.split(/\n{2,}/)) {
+      if (paragraph.length <= maxLength) {
+        pushPiece(paragraph);
+        continue;
+      }
+
+      // A paragraph longer than a part is cut at the last space before the limit
+      let rest = paragraph;
+      while (rest.length > maxLength) {
+        const cut = rest.lastIndexOf(' ', maxLength);
+        const end = cut > maxLength / 2 ? cut : maxLength;
+        pushPiece(rest.substring(0, end).trim());
+        rest = rest.substring(end).trim();
+      }
+      if (rest) pushPiece(rest);
+    }
+
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Group extracted blocks into parts that fit a Document, chunked by section and page
+   * @returns {Array} [{ content, chunks, tables }]
+   */
+  splitBlocks(blocks, fileType = 'pdf', maxLength = MAX_CONTENT_LENGTH) {
+    // Blocks too long for one part are split first: paragraphs by text, tables by rows
+    const pieces = blocks.flatMap(block => {
+      if (blocksToText([block]).length <= maxLength) return [block];
+      if (block.type !== 'table') {
+        return this.splitContent(block.text, maxLength).map(text => ({ ...block, text }));
+      }
+      const rowsPerPiece = Math.max(1, Math.floor(block.rows.length * maxLength / blocksToText([block]).length));
+      const tables = [];
+      for (let i = 0; i < block.rows.length; i += rowsPerPiece) {
+        tables.push({ ...block, rows: block.rows.slice(i, i + rowsPerPiece), continued: block.continued || i > 0 });
+      }
+      return tables;
+    });
+
+    const groups = [];
+    let group = [];
+    let length = 0;
+    for (const piece of pieces) {
+      const pieceLength = blocksToText([piece]).length;
+      if (group.length > 0 && length + 2 + pieceLength > maxLength) {
+        groups.push(group);
+        group = [];
+        length = 0;
+      }
+      length += (group.length > 0 ? 2 : 0) + pieceLength;
+      group.push(piece);
+    }
+    if (group.length > 0) groups.push(group);
+
+    return groups.map(blocksInPart => {
+      const { text, chunks } = chunkBlocks(blocksInPart, { chunkSize: this.localVectorDB.chunkSize });
+      return { content: text, chunks, tables: tablesFromBlocks(blocksInPart, fileType) };
+    });
+  }
+
+  async setProgress(document, step, percent, status) {
+    document.processingProgress = { step, percent, updatedAt: new Date() };
+    if (status) document.status = status;
+    await document.save();
+  }
+
+  /**
+   * Chunk and index a document, recording progress and errors on it
+   */
+  async indexDocument(document) {
+    try {
+      await this.setProgress(document, 'indexing', 50, 'processing');
+
+      await this.localVectorDB.initialize();
+      const result = await this.localVectorDB.updateDocument({
+        title: document.title,
+        content: document.content,
+        chunks: document.chunks.map(chunk => chunk.toObject()),
+        tables: document.tables,
+        metadata: document.getIndexMetadata()
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Indexing failed');
+      }
+
+      document.chunks = result.chunks;
+      document.isEmbedded = true;
+      document.metadata.chunkCount = result.chunkCount;
+      await this.setProgress(document, 'done', 100, 'processed');
+      console.log(`✅ Processed uploaded document: ${document.title}`);
+    } catch (error) {
+      console.error(`❌ Failed to process uploaded document ${document.title}:`, error.message);
+      document.processingErrors.push({ error: error.message, timestamp: new Date(), step: 'indexing' });
+      await this.setProgress(document, 'failed', 100, 'failed');
+    }
+
+    return document;
+  }
+
+  /**
+   * Index documents one after another; called without awaiting after the upload responds
+   */
+  async processDocuments(documents) {
+    for (const document of documents) {
+      await this.indexDocument(document);
+    }
+    await this.localVectorDB.flush();
+  }
+
+  /**
+   * Absolute path of a document's stored original
+   */
+  storedFilePath(document) {
+    return path.join(__dirname, '..', document.filePath);
+  }
+
+  /**
+   * Remove a document from the index and the database; the stored file is deleted
+   * once no other part refers to it
+   */
+  async deleteDocument(document) {
+    await this.localVectorDB.initialize();
+    await this.localVectorDB.removeDocument(document._id);
+    await Document.deleteOne({ _id: document._id });
+
+    if (document.filePath) {
+      const remaining = await Document.countDocuments({ filePath: document.filePath });
+      if (remaining === 0) {
+        await fs.unlink(this.storedFilePath(document)).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = DocumentUploadService;
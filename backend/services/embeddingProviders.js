@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Embedding Providers
+ * Common interface for turning text into dense vectors. Both vector services
+ * share one provider, selected with EMBEDDING_PROVIDER:
+ *   - 'huggingface': Hugging Face inference API (HUGGINGFACE_API_KEY)
+ *   - 'openai':      OpenAI embeddings API (OPENAI_API_KEY)
+ *   - 'local':       deterministic hashed n-gram projection, runs offline on the CPU
+ * Every provider returns vectors of `dimension` length (384 by default, matching the Document schema).
+ */
+
+const DEFAULT_DIMENSION = 384;
+
+class EmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model || null;
+    this.dimension = options.dimension || DEFAULT_DIMENSION;
+  }
+
+  /**
+   * Identifier persisted next to stored embeddings; vectors from different signatures are not comparable
+   */
+  signature() {
+    return `${this.name}:${this.model || 'default'}:${this.dimension}`;
+  }
+
+  /**
+   * Embed one text
+   */
+  async embed(text) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  /**
+   * Embed several texts; providers with a batch API override this
+   */
+  async embedBatch(texts) {
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.embed(text));
+    }
+    return embeddings;
+  }
+
+  cleanText(text, maxLength = 1000) {
+    return (text || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, maxLength);
+  }
+
+  /**
+   * Pad or truncate a vector to the configured dimension
+   */
+  fitDimension(embedding) {
+    if (embedding.length === this.dimension) return embedding;
+
+    console.warn(`⚠️ Embedding dimension mismatch: expected ${this.dimension}, got ${embedding.length}`);
+    return embedding.length < this.dimension
+      ? [...embedding, ...Array(this.dimension - embedding.length).fill(0)]
+      : embedding.slice(0, this.dimension);
+  }
+}
+
+/**
+ * Hugging Face feature-extraction models
+ */
+class HuggingFaceEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ model: 'sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2', ...options });
+    this.name = 'huggingface';
+
+    const { HfInference } = require('@huggingface/inference');
+    this.client = new HfInference(options.apiKey || process.env.HUGGINGFACE_API_KEY);
+  }
+
+  async embed(text) {
+    const response = await this.client.featureExtraction({
+      model: this.model,
+      inputs: this.cleanText(text)
+    });
+
+    // Handle different response formats
+    let embedding;
+    if (Array.isArray(response) && Array.isArray(response[0])) {
+      embedding = response[0]; // First token embedding
+    } else if (Array.isArray(response)) {
+      embedding = response;
+    } else {
+      throw new Error('Unexpected embedding response format');
+    }
+
+    return this.fitDimension(embedding);
+  }
+}
+
+/**
+ * OpenAI embedding models; text-embedding-3-* can return the configured dimension directly
+ */
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ model: 'text-embedding-3-small', ...options });
+    this.name = 'openai';
+
+    const OpenAI = require('openai');
+    this.client = new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedBatch([text]);
+    return embedding;
+  }
+
+  async embedBatch(texts) {
+    if (texts.length === 0) return [];
+
+    // Older models such as text-embedding-ada-002 reject the `dimensions` parameter
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts.map(text => this.cleanText(text, 8000)),
+      ...(this.model.startsWith('text-embedding-3') ? { dimensions: this.dimension } : {})
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => this.fitDimension(item.embedding));
+  }
+}
+
+/**
+ * Offline embedder: hashes words, word bigrams and character trigrams into a fixed
+ * number of buckets (the "hashing trick") and L2-normalizes the result.
+ * Deterministic, so dev and CI runs give reproducible rankings without network access.
+ */
+class LocalHashedEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ model: 'hashed-ngram-v1', ...options });
+    this.name = 'local';
+    this.tokenizer = new Tokenizer();
+    this.weights = { word: 1, bigram: 0.7, trigram: 0.35, ...options.weights };
+  }
+
+  features(text) {
+    const tokens = this.tokenizer.tokenize(text);
+    const features = [];
+
+    tokens.forEach((token, i) => {
+      features.push([`w:${token}`, this.weights.word]);
+
+      if (i > 0) {
+        features.push([`b:${tokens[i - 1]} ${token}`, this.weights.bigram]);
+      }
+
+      // Character trigrams make spelling and inflection variants land close together
+      const chars = Array.from(`<${token}>`);
+      for (let j = 0; j + 3 <= chars.length; j++) {
+        features.push([`c:${chars.slice(j, j + 3).join('')}`, this.weights.trigram]);
+      }
+    });
+
+    return features;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+
+    for (const [feature, weight] of this.features(text)) {
+      const hash = crypto.createHash('md5').update(feature, 'utf8').digest();
+      const bucket = hash.readUInt32LE(0) % this.dimension;
+      const sign = hash[4] & 1 ? 1 : -1; // Signed hashing keeps collisions from piling up
+      vector[bucket] += sign * weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+}
+
+/**
+ * Create a provider by name
+ */
+function createEmbeddingProvider(name, options = {}) {
+  switch (name) {
+    case 'huggingface':
+    case 'hf':
+      return new HuggingFaceEmbeddingProvider(options);
+
+    case 'openai':
+      return new OpenAIEmbeddingProvider(options);
+
+    case 'local':
+      return new LocalHashedEmbeddingProvider(options);
+
+    default:
+      throw new Error(`Unknown embedding provider: ${name}`);
+  }
+}
+
+let sharedProvider = null;
+
+/**
+ * Provider shared by every vector service, configured from the environment.
+ * Without EMBEDDING_PROVIDER, Hugging Face is used when an API key is present and the local embedder otherwise.
+ */
+function getEmbeddingProvider() {
+  if (!sharedProvider) {
+    const name = process.env.EMBEDDING_PROVIDER || (process.env.HUGGINGFACE_API_KEY ? 'huggingface' : 'local');
+    const options = {
+      dimension: parseInt(process.env.EMBEDDING_DIMENSION) || DEFAULT_DIMENSION
+    };
+    if (process.env.EMBEDDING_MODEL) {
+      options.model = process.env.EMBEDDING_MODEL;
+    }
+
+    sharedProvider = createEmbeddingProvider(name, options);
+    console.log(`🧬 Embedding provider: ${sharedProvider.signature()}`);
+  }
+  return sharedProvider;
+}
+
+module.exports = {
+  EmbeddingProvider,
+  HuggingFaceEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  LocalHashedEmbeddingProvider,
+  createEmbeddingProvider,
+  getEmbeddingProvider
+};
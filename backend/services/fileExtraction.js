@@ -0,0 +1,162 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const { extractPdfStructure, blocksToText } = require('./pdfStructure');
+const { extractHtmlTables, blocksWithTables } = require('./tableExtraction');
+
+/**
+ * File Extraction
+ * Detects the type of an uploaded file from its contents (not just its name) and extracts
+ * plain text from it:
+ *   pdf    page, heading and table structure (see pdfStructure.js), without running headers/footers
+ *   docx   mammoth raw text (paragraphs separated by blank lines)
+ *   html   cheerio, without scripts, styles and page chrome; <title> becomes the title and
+ *          data tables are kept as rows (see tableExtraction.js)
+ *   txt    UTF-8 text
+ */
+
+const SUPPORTED_TYPES = ['pdf', 'docx', 'html', 'txt'];
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'txt',
+  '.text': 'txt',
+  '.md': 'txt'
+};
+
+class FileTypeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FileTypeError';
+  }
+}
+
+function isUtf8(bytes) {
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * File type from magic bytes, using the extension to tell apart formats that share them
+ */
+function detectFileType(buffer, originalName = '') {
+  const extension = path.extname(originalName).toLowerCase();
+  const claimed = EXTENSIONS[extension];
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+
+  // DOCX is a zip archive; other zip-based files (xlsx, odt, ...) are not supported
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    if (claimed === 'docx' || buffer.includes('word/document.xml')) {
+      return 'docx';
+    }
+    throw new FileTypeError('Only .docx archives are supported');
+  }
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+    throw new FileTypeError('Legacy .doc files are not supported; save the file as .docx');
+  }
+
+  // Binary content has NUL bytes; text must also decode as UTF-8
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0) || !isUtf8(sample)) {
+    throw new FileTypeError(`Unsupported file type${extension ? ` (${extension})` : ''}`);
+  }
+
+  if (claimed === 'pdf' || claimed === 'docx') {
+    throw new FileTypeError(`${originalName} is not a valid ${claimed.toUpperCase()} file`);
+  }
+
+  const head = sample.toString('utf8').trimStart().substring(0, 200).toLowerCase();
+  if (claimed === 'html' || head.startsWith('<!doctype html') || head.startsWith('<html')) {
+    return 'html';
+  }
+
+  return 'txt';
+}
+
+function cleanText(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function extractPdf(buffer) {
+  const structure = await extractPdfStructure(buffer);
+  return {
+    text: blocksToText(structure.blocks),
+    title: structure.title,
+    pages: structure.pages,
+    blocks: structure.blocks
+  };
+}
+
+async function extractDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return { text: cleanText(result.value), title: null };
+}
+
+function extractHtml(buffer) {
+  const $ = cheerio.load(buffer.toString('utf8'));
+  const title = $('title').first().text().trim() || $('h1').first().text().trim() || null;
+
+  $('script, style, noscript, nav, header, footer, iframe, svg, form').remove();
+  // Keep block boundaries as line breaks so paragraphs do not run together
+  $('p, div, li, tr, h1, h2, h3, h4, h5, h6, br, section, article').each((i, element) => {
+    $(element).append('\n');
+  });
+
+  const root = $('body').length > 0 ? $('body') : $.root();
+  const tables = extractHtmlTables($, root);
+  const text = root.text();
+  if (tables.length === 0) {
+    return { text: cleanText(text.replace(/[ \t]+/g, ' ')), title };
+  }
+
+  const blocks = blocksWithTables(text, tables, part => cleanText(part.replace(/[ \t]+/g, ' ')));
+  return { text: blocksToText(blocks), title, blocks };
+}
+
+function extractTxt(buffer) {
+  return { text: cleanText(buffer.toString('utf8')), title: null };
+}
+
+/**
+ * Extract text from a file of a detected type
+ * @returns {Object} { text, title, pages?, blocks? } - blocks (PDF, and HTML with tables) keep
+ * page, section and table structure
+ */
+async function extractText(buffer, fileType) {
+  switch (fileType) {
+    case 'pdf':
+      return extractPdf(buffer);
+    case 'docx':
+      return extractDocx(buffer);
+    case 'html':
+      return extractHtml(buffer);
+    case 'txt':
+      return extractTxt(buffer);
+    default:
+      throw new FileTypeError(`Unsupported file type: ${fileType}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  FileTypeError,
+  detectFileType,
+  extractText
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const AdminQuestion = require('../models/AdminQuestion');
+const Document = require('../models/Document');
+const LocalVectorDatabaseService = require('./localVectorDatabase');
+const Tokenizer = require('./tokenizer');
+const { DEFAULT_GOLDEN_SET_PATH, loadGoldenSet } = require('./ragEvaluation');
+
+/**
+ * Golden Set Miner
+ * Turns answered admin questions into evaluation data. Each student question with the
+ * admin's reply becomes a golden question (id "admin-<AdminQuestion id>"), after:
+ *   redaction    emails, phone numbers, Aadhaar-style and student ids, and the asker's own name
+ *   dedupe       questions whose stemmed terms overlap an existing one (Jaccard) are skipped,
+ *                keeping the most recent answer
+ * Optionally each pair is also saved as a manual FAQ Document and indexed, so the bot can
+ * answer the question itself next time; the golden question then expects that document.
+ */
+
+// Applied in order, so numbers in known formats are replaced before labelled ids
+const REDACTIONS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+  [/\b\d{4}\s?\d{4}\s?\d{4}\b/g, '[id]'],
+  [/(\+91[\s-]?)?\b[6-9]\d{4}[\s-]?\d{5}\b/g, '[phone]'],
+  [/\b0\d{2,4}[\s-]\d{6,8}\b/g, '[phone]'],
+  // "roll no is 21CE045", "PRN: 7120", "registration number = 45/2023"
+  [/\b(aadhaar|aadhar|roll|prn|enrol(l)?ment|student\s*id|registration)(\s*(no\.?|number|num|#))?(\s*(is|was|[:=#-]))*\s*[A-Z0-9/-]*\d[A-Z0-9/-]*/gi, '$1 [id]'],
+  // Unlabelled college ids: admission year, branch code, serial ("21CE045")
+  [/\b\d{2}[A-Z]{2,4}\d{2,}\b/gi, '[id]']
+];
+
+class GoldenSetMiner {
+  constructor(options = {}) {
+    this.goldenSetPath = options.goldenSetPath || DEFAULT_GOLDEN_SET_PATH;
+    this.duplicateThreshold = options.duplicateThreshold ?? 0.8;
+    this.minAnswerLength = options.minAnswerLength ?? 10;
+    this.tokenizer = options.tokenizer || new Tokenizer({ stem: true });
+    this.localVectorDB = options.localVectorDB || LocalVectorDatabaseService.getSharedInstance();
+  }
+
+  /**
+   * Remove personal data; `user` is the asker, whose name, email and numbers are removed verbatim too
+   */
+  redact(text = '', user = null) {
+    let redacted = text;
+    for (const [pattern, replacement] of REDACTIONS) {
+      redacted = redacted.replace(pattern, replacement);
+    }
+
+    if (user) {
+      const personal = [user.email, user.phone, user.whatsappNumber, user.studentId]
+        .filter(value => value && String(value).trim().length >= 4);
+      for (const value of personal) {
+        redacted = redacted.split(String(value).trim()).join('[redacted]');
+      }
+
+      const nameParts = (user.name || '').split(/\s+/).filter(part => part.length >= 3);
+      for (const part of nameParts) {
+        redacted = redacted.replace(new RegExp(`(?<![\\p{L}])${part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}])`, 'giu'), '[name]');
+      }
+    }
+    return redacted.trim();
+  }
+
+  questionTerms(question) {
+    return new Set(this.tokenizer.tokenize(question));
+  }
+
+  /**
+   * Jaccard overlap of stemmed terms
+   */
+  similarity(terms, otherTerms) {
+    if (terms.size === 0 || otherTerms.size === 0) return 0;
+    let shared = 0;
+    for (const term of terms) {
+      if (otherTerms.has(term)) shared++;
+    }
+    return shared / (terms.size + otherTerms.size - shared);
+  }
+
+  /**
+   * Answered admin questions, most recent answer first
+   */
+  async findAnsweredQuestions(options = {}) {
+    const { since = null, limit = 0 } = options;
+    const query = {
+      status: { $in: ['answered', 'closed'] },
+      'adminResponse.response': { $exists: true, $ne: '' }
+    };
+    if (since) {
+      query['adminResponse.respondedAt'] = { $gte: since };
+    }
+
+    let find = AdminQuestion.find(query)
+      .populate('userId', 'name email phone whatsappNumber studentId')
+      .sort({ 'adminResponse.respondedAt': -1 });
+    if (limit > 0) {
+      find = find.limit(limit);
+    }
+    return find;
+  }
+
+  /**
+   * Golden question for an answered admin question, or null when too little is left after redaction
+   */
+  toGoldenItem(adminQuestion) {
+    const user = adminQuestion.userId && adminQuestion.userId.name !== undefined ? adminQuestion.userId : null;
+    const question = this.redact(adminQuestion.originalQuestion || adminQuestion.question, user);
+    const answer = this.redact(adminQuestion.adminResponse.translatedResponse || adminQuestion.adminResponse.response, user);
+
+    if (this.questionTerms(question).size === 0 || answer.length < this.minAnswerLength) {
+      return null;
+    }
+
+    return {
+      id: `admin-${adminQuestion._id}`,
+      language: adminQuestion.questionLanguage,
+      question,
+      expectedAnswer: answer,
+      expectedSources: [],
+      expectedStrategy: 'answer',
+      origin: {
+        type: 'admin_question',
+        adminQuestionId: adminQuestion._id.toString(),
+        category: adminQuestion.category,
+        answeredAt: adminQuestion.adminResponse.respondedAt
+      }
+    };
+  }
+
+  /**
+   * Save a mined pair as a manual FAQ document and index it; reuses the document on later runs
+   */
+  async ingestAsFaq(adminQuestion, item) {
+    let document = await Document.findOne({ 'metadata.sourceQuestionId': adminQuestion._id });
+
+    if (!document) {
+      const language = adminQuestion.adminResponse.translatedResponse
+        ? adminQuestion.questionLanguage
+        : adminQuestion.adminResponse.responseLanguage || adminQuestion.questionLanguage;
+
+      document = new Document({
+        title: `FAQ: ${item.question}`.substring(0, 200),
+        content: `Question: ${item.question}\nAnswer: ${item.expectedAnswer}`,
+        source: 'manual',
+        contentType: 'faq',
+        language,
+        status: 'processed',
+        createdBy: adminQuestion.adminResponse.respondedBy,
+        metadata: {
+          categories: [adminQuestion.category],
+          publishedAt: adminQuestion.adminResponse.respondedAt,
+          sourceQuestionId: adminQuestion._id
+        }
+      });
+      await document.save();
+      console.log(`💾 Saved FAQ document: ${document.title}`);
+    }
+
+    await this.localVectorDB.initialize();
+    const result = await this.localVectorDB.updateDocument({
+      title: document.title,
+      content: document.content,
+      metadata: document.getIndexMetadata()
+    }, { persist: false });
+
+    if (result.success && document.chunks.length === 0) {
+      result.chunks.forEach(chunk => document.chunks.push(chunk));
+      document.isEmbedded = true;
+      await document.save();
+    }
+
+    return document;
+  }
+
+  /**
+   * Mine answered questions into the golden set.
+   * options: { since, limit, ingest, dryRun }
+   * @returns {Object} { goldenSet, added, duplicates, skipped, ingested }
+   */
+  async mine(options = {}) {
+    const { ingest = false, dryRun = false } = options;
+    const goldenSet = loadGoldenSet(this.goldenSetPath);
+    const knownIds = new Set(goldenSet.questions.map(item => item.id));
+    const known = goldenSet.questions.map(item => this.questionTerms(item.question));
+
+    const summary = { added: [], duplicates: [], skipped: [], ingested: 0 };
+    const adminQuestions = await this.findAnsweredQuestions(options);
+    console.log(`📋 ${adminQuestions.length} answered admin questions`);
+
+    for (const adminQuestion of adminQuestions) {
+      const id = `admin-${adminQuestion._id}`;
+      if (knownIds.has(id)) continue;
+
+      const item = this.toGoldenItem(adminQuestion);
+      if (!item) {
+        summary.skipped.push(id);
+        continue;
+      }
+
+      const terms = this.questionTerms(item.question);
+      if (known.some(other => this.similarity(terms, other) >= this.duplicateThreshold)) {
+        summary.duplicates.push(id);
+        continue;
+      }
+
+      if (ingest && !dryRun) {
+        try {
+          const document = await this.ingestAsFaq(adminQuestion, item);
+          item.expectedSources = [document.title];
+          summary.ingested++;
+        } catch (error) {
+          console.error(`❌ Failed to ingest ${id} as FAQ:`, error.message);
+        }
+      }
+
+      goldenSet.questions.push(item);
+      knownIds.add(id);
+      known.push(terms);
+      summary.added.push(item);
+    }
+
+    if (summary.ingested > 0) {
+      await this.localVectorDB.saveVectorIndex();
+    }
+
+    if (summary.added.length > 0) {
+      const [major, minor = 0] = String(goldenSet.version).split('.').map(part => parseInt(part) || 0);
+      goldenSet.version = `${major}.${minor + 1}`;
+      goldenSet.updatedAt = new Date().toISOString().slice(0, 10);
+
+      if (!dryRun) {
+        fs.writeFileSync(this.goldenSetPath, JSON.stringify(goldenSet, null, 2) + '\n', 'utf8');
+      }
+    }
+
+    return { goldenSet, ...summary };
+  }
+}
+
+module.exports = GoldenSetMiner;
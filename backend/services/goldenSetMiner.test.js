@@ -0,0 +1,33 @@
+const GoldenSetMiner = require('./goldenSetMiner');
+
+const miner = new GoldenSetMiner({ localVectorDB: {} });
+
+describe('GoldenSetMiner.redact', () => {
+  test.each([
+    ['My roll no is 21CE045, when is my exam?', 'My roll [id], when is my exam?'],
+    ['roll number = 1234', 'roll [id]'],
+    ['PRN: 7120031', 'PRN [id]'],
+    ['My registration number was 45/2023', 'My registration [id]'],
+    ['Student ID - 21IT012 cannot log in', 'Student ID [id] cannot log in'],
+    ['I am 21CE045 from TE', 'I am [id] from TE'],
+    ['Aadhaar 1234 5678 9012 is linked', 'Aadhaar [id] is linked'],
+    ['Call me on +91 98765 43210', 'Call me on [phone]'],
+    ['Mail rahul.k@example.com', 'Mail [email]']
+  ])('redacts "%s"', (text, expected) => {
+    expect(miner.redact(text)).toBe(expected);
+  });
+
+  test.each([
+    'Is registration open till 15 May?',
+    'What are the fees for TE computer in 2024?',
+    'Is the roll call at 9?'
+  ])('keeps "%s"', text => {
+    expect(miner.redact(text)).toBe(text);
+  });
+
+  test('removes the asker\'s own name and details', () => {
+    const user = { name: 'Priya Sharma', email: 'priya@rizvi.edu.in', studentId: 'RZ-4471' };
+
+    expect(miner.redact('I am Priya, id RZ-4471', user)).toBe('I am [name], id [redacted]');
+  });
+});
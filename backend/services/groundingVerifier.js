@@ -0,0 +1,189 @@
+const Tokenizer = require('./tokenizer');
+
+/**
+ * Grounding Verifier
+ * Checks a generated answer against the passages it was generated from. The answer is
+ * split into sentence-level claims and each claim is matched against every passage:
+ *   exact     numbers (fees, dates, counts), month names and proper names must appear verbatim
+ *   lexical   share of the claim's content words found in the passage (stemmed)
+ *   negation  the passage sentence closest to the claim must be negated exactly when the claim is;
+ *             the tokenizer drops "not" as a stopword, so "hostel is not available" would
+ *             otherwise be supported by "hostel is available"
+ * A claim is supported when one passage passes the exact checks and covers enough of its words.
+ */
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'
+];
+
+// Words that frame an answer rather than state facts
+const FRAMING_WORDS = new Set([
+  'based', 'according', 'college', 'document', 'documents', 'information', 'context',
+  'mentioned', 'provided', 'stated', 'states', 'per', 'note', 'details', 'detail'
+]);
+
+// Sentences that are advice or hedging, not claims about the college
+const NON_CLAIM_PATTERN = /^(please|note|for (more|further|the most)|you (can|may|should)|feel free|i (don't|do not|couldn't|could not|can't|cannot|am not|found)|sorry|i apologi[sz]e|unfortunately|⚠️|📄)/i;
+
+// Negation cues (English, Hindi, Marathi); "n't" is matched separately
+const NEGATION_WORDS = new Set(['not', 'no', 'never', 'cannot', 'nor', 'none', 'nothing', 'नहीं', 'नही', 'नाही', 'नको', 'मत']);
+
+// Sentence boundaries, except after abbreviations such as "Rs." or "Dr."
+const SENTENCE_PATTERN = /(?<!\b(?:rs|dr|mr|mrs|ms|prof|no|st|sr|jr|vs|e\.g|i\.e|etc)\.)(?<=[.!?।])\s+|\n+/i;
+
+class GroundingVerifier {
+  constructor(options = {}) {
+    this.tokenizer = options.tokenizer || new Tokenizer({ stem: true });
+    this.entailmentThreshold = options.entailmentThreshold ?? 0.6;
+  }
+
+  /**
+   * Verify an answer against the passages (retrieval results, cited as [1], [2], ... in order)
+   * @returns {Object} { verdict, supportedRatio, claims: [{ text, supported, support, citation, missing }] }
+   */
+  verify(answer, passages = []) {
+    const prepared = passages.map(passage => this.preparePassage(passage.content || ''));
+    const claims = this.splitClaims(answer).map(claim => this.checkClaim(claim, prepared));
+
+    const supported = claims.filter(claim => claim.supported).length;
+    const supportedRatio = claims.length > 0 ? supported / claims.length : 1;
+
+    return {
+      verdict: supportedRatio === 1 ? 'supported' : supportedRatio >= 0.5 ? 'weak' : 'unsupported',
+      supportedRatio,
+      totalClaims: claims.length,
+      unsupportedClaims: claims.length - supported,
+      claims
+    };
+  }
+
+  /**
+   * Sentences of the answer that state something checkable
+   */
+  splitClaims(answer) {
+    return (answer || '')
+      .split(SENTENCE_PATTERN)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length > 0)
+      .filter(sentence => !NON_CLAIM_PATTERN.test(sentence.replace(/^[-*•\d.)\s]+/, '')))
+      .filter(sentence => this.contentTerms(sentence).length > 0 || this.extractNumbers(sentence).length > 0);
+  }
+
+  preparePassage(content) {
+    const lower = content.toLowerCase();
+    return {
+      lower,
+      terms: new Set(this.tokenizer.tokenize(content)),
+      numbers: new Set(this.extractNumbers(content)),
+      sentences: content.split(SENTENCE_PATTERN)
+        .filter(sentence => sentence.trim().length > 0)
+        .map(sentence => ({
+          terms: new Set(this.tokenizer.tokenize(sentence)),
+          numbers: new Set(this.extractNumbers(sentence)),
+          negated: this.isNegated(sentence)
+        }))
+    };
+  }
+
+  checkClaim(text, passages) {
+    const claim = text.replace(/\s*\[\d+\]/g, '');
+    const terms = this.contentTerms(claim);
+    const numbers = this.extractNumbers(claim);
+    const months = MONTHS.filter(month => new RegExp(`\\b${month}\\b`, 'i').test(claim));
+    const names = this.extractNames(claim);
+    const negated = this.isNegated(claim);
+
+    let best = null;
+
+    passages.forEach((passage, i) => {
+      const missing = [
+        ...numbers.filter(number => !passage.numbers.has(number)),
+        ...months.filter(month => !passage.lower.includes(month)),
+        ...names.filter(name => !passage.lower.includes(name.toLowerCase()))
+      ];
+      const closest = this.closestSentence(passage, terms, numbers);
+      if (closest && closest.negated !== negated) {
+        missing.push(negated ? 'not' : '(negated in passage)');
+      }
+      const coverage = terms.length > 0
+        ? terms.filter(term => passage.terms.has(term)).length / terms.length
+        : 1;
+      const support = missing.length === 0 ? coverage : 0;
+
+      if (!best || support > best.support || (support === best.support && missing.length < best.missing.length)) {
+        best = { support, citation: i + 1, missing };
+      }
+    });
+
+    if (!best) {
+      best = { support: 0, citation: null, missing: [...numbers, ...months, ...names] };
+    }
+
+    return {
+      text,
+      supported: best.support >= this.entailmentThreshold,
+      support: Math.round(best.support * 1000) / 1000,
+      citation: best.support > 0 ? best.citation : null,
+      missing: best.support > 0 ? [] : best.missing
+    };
+  }
+
+  /**
+   * Passage sentence sharing the most content words and numbers with a claim
+   */
+  closestSentence(passage, terms, numbers) {
+    let closest = null;
+    let closestOverlap = 0;
+    for (const sentence of passage.sentences) {
+      const overlap = terms.filter(term => sentence.terms.has(term)).length +
+        numbers.filter(number => sentence.numbers.has(number)).length;
+      if (overlap > closestOverlap) {
+        closest = sentence;
+        closestOverlap = overlap;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Whether a sentence contains a negation cue; "No." before a number or "of" is an abbreviation
+   */
+  isNegated(text) {
+    if (/n['’]t\b/i.test(text)) return true;
+    const words = text.toLowerCase()
+      .replace(/\bno\.\s*(?=\d|of\b)/g, ' ')
+      .split(/[^\p{L}\p{M}]+/u);
+    return words.some(word => NEGATION_WORDS.has(word));
+  }
+
+  /**
+   * Stemmed content words of a claim, without answer framing
+   */
+  contentTerms(text) {
+    return [...new Set(this.tokenizer.tokenize(text))].filter(term => !FRAMING_WORDS.has(term) && !/^\d+$/.test(term));
+  }
+
+  /**
+   * Numbers normalized for comparison: "Rs. 1,20,000" -> "120000", "15th" -> "15", "8.5" -> "8.5"
+   */
+  extractNumbers(text) {
+    const matches = text.match(/\d[\d,]*(?:\.\d+)?/g) || [];
+    return [...new Set(matches
+      .map(match => match.replace(/,/g, '').replace(/\.0+$/, ''))
+      .filter(number => number.length > 0))];
+  }
+
+  /**
+   * Capitalised words and acronyms that are not at the start of the sentence, e.g. "Rizvi", "NAAC"
+   */
+  extractNames(text) {
+    const words = text.replace(/[^\p{L}\p{N}\s'-]/gu, ' ').split(/\s+/).filter(Boolean);
+    return [...new Set(words
+      .slice(1)
+      .filter(word => /^\p{Lu}[\p{L}'-]+$/u.test(word))
+      .filter(word => !MONTHS.includes(word.toLowerCase()) && !FRAMING_WORDS.has(word.toLowerCase())))];
+  }
+}
+
+module.exports = GroundingVerifier;
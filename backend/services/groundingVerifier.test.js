@@ -0,0 +1,87 @@
+const GroundingVerifier = require('./groundingVerifier');
+
+const verifier = new GroundingVerifier();
+
+function passage(content) {
+  return { content };
+}
+
+describe('GroundingVerifier', () => {
+  test('supports a claim restated from the passage', () => {
+    const result = verifier.verify(
+      'The annual tuition fee for Computer Engineering is Rs. 1,20,000 [1].',
+      [passage('Tuition fee for Computer Engineering: Rs. 1,20,000 per annum.')]
+    );
+
+    expect(result.verdict).toBe('supported');
+    expect(result.claims[0].citation).toBe(1);
+  });
+
+  test('rejects a claim whose numbers are not in any passage', () => {
+    const result = verifier.verify(
+      'The annual tuition fee for Computer Engineering is Rs. 1,50,000.',
+      [passage('Tuition fee for Computer Engineering: Rs. 1,20,000 per annum.')]
+    );
+
+    expect(result.verdict).toBe('unsupported');
+    expect(result.claims[0].missing).toContain('150000');
+  });
+
+  test('rejects a claim whose month or name is not in the passage', () => {
+    const [claim] = verifier.verify(
+      'Admissions close in July at Rizvi College.',
+      [passage('Admissions close in June at the college office.')]
+    ).claims;
+
+    expect(claim.supported).toBe(false);
+    expect(claim.missing).toEqual(expect.arrayContaining(['july', 'Rizvi']));
+  });
+
+  test('skips advice and hedging sentences', () => {
+    const claims = verifier.splitClaims('Hostel fees are Rs. 80,000. Please contact the office for more details.');
+
+    expect(claims).toEqual(['Hostel fees are Rs. 80,000.']);
+  });
+
+  test('does not split after abbreviations such as Rs. and Dr.', () => {
+    expect(verifier.splitClaims('The principal is Dr. Varsha Shah. Fees are Rs. 5,000.')).toHaveLength(2);
+  });
+
+  describe('negation', () => {
+    test.each([
+      ['The hostel is not available for first year students.', 'The hostel is available for first year students.'],
+      ['The hostel is available for first year students.', 'The hostel is not available for first year students.'],
+      ['Students cannot pay the fees in installments.', 'Students can pay the fees in installments.'],
+      ["Students can't pay the fees in installments.", 'Students can pay the fees in installments.'],
+      ['Late submission is never accepted.', 'Late submission is accepted with a fine.'],
+      ['छात्रावास उपलब्ध नहीं है।', 'छात्रावास उपलब्ध है।']
+    ])('does not support "%s" from "%s"', (answer, content) => {
+      const [claim] = verifier.verify(answer, [passage(content)]).claims;
+
+      expect(claim.supported).toBe(false);
+    });
+
+    test('supports a negated claim from a negated passage', () => {
+      const [claim] = verifier.verify(
+        'The hostel is not available for first year students.',
+        [passage('Admissions are open. The hostel is not available for first year students.')]
+      ).claims;
+
+      expect(claim.supported).toBe(true);
+    });
+
+    test('only compares the passage sentence the claim is about', () => {
+      const [claim] = verifier.verify(
+        'The library is open on Saturdays.',
+        [passage('The canteen is not open on Sundays. The library is open on Saturdays.')]
+      ).claims;
+
+      expect(claim.supported).toBe(true);
+    });
+
+    test('does not read "No." in a roll or seat number as a negation', () => {
+      expect(verifier.isNegated('Seat No. 45 is reserved for the topper.')).toBe(false);
+      expect(verifier.isNegated('There is no hostel on campus.')).toBe(true);
+    });
+  });
+});
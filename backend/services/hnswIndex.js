@@ -0,0 +1,458 @@
+const fs = require('fs').promises;
+
+/**
+ * HNSW Index
+ * In-process approximate nearest neighbour search over dense embeddings
+ * (Hierarchical Navigable Small World graphs, Malkov & Yashunin 2016).
+ *
+ * Vectors are L2-normalized on insert, so the similarity is the cosine.
+ * Recall/speed is traded off with:
+ *   - M:              links per node (more links: better recall, more memory, slower inserts)
+ *   - efConstruction: candidate list size while inserting (higher: better graph, slower builds)
+ *   - efSearch:       candidate list size while searching (higher: better recall, slower queries)
+ *
+ * Only the graph is persisted; the owner supplies the vectors again when loading,
+ * so embeddings are not stored twice on disk.
+ */
+
+const MAGIC = 'HNSW';
+const FORMAT_VERSION = 1;
+
+/**
+ * ANN settings shared by both vector services
+ */
+function annConfigFromEnv() {
+  return {
+    enabled: process.env.ANN_ENABLED !== 'false',
+    minVectors: parseInt(process.env.ANN_MIN_VECTORS) || 1000, // Brute force is exact and fast enough below this
+    M: parseInt(process.env.ANN_M) || 16,
+    efConstruction: parseInt(process.env.ANN_EF_CONSTRUCTION) || 100,
+    efSearch: parseInt(process.env.ANN_EF_SEARCH) || 64
+  };
+}
+
+/**
+ * Binary heap ordered by `compare` (smallest first)
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Deterministic PRNG so the same inserts always produce the same graph
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) norm += result[i] * result[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) result[i] /= norm;
+  }
+  return result;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+class HnswIndex {
+  constructor(options = {}) {
+    this.dimension = options.dimension;
+    this.M = options.M || 16;
+    this.maxConnections0 = this.M * 2; // Layer 0 is denser
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+    this.random = mulberry32(options.seed ?? 42);
+
+    this.nodes = new Map(); // id -> { id, vector, level, neighbors: [layer] -> [ids] }
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  maxConnections(level) {
+    return level === 0 ? this.maxConnections0 : this.M;
+  }
+
+  similarity(vector, id) {
+    return dot(vector, this.nodes.get(id).vector);
+  }
+
+  /**
+   * Best-first search of one layer, returns up to `ef` closest nodes as [{ id, similarity }] (best first).
+   * With a `filter`, rejected nodes are still traversed but never returned.
+   */
+  searchLayer(query, entryIds, ef, level, filter = null) {
+    const visited = new Set(entryIds);
+    const candidates = new Heap((a, b) => b.similarity - a.similarity); // best first
+    const found = new Heap((a, b) => a.similarity - b.similarity); // worst first
+
+    for (const id of entryIds) {
+      const entry = { id, similarity: this.similarity(query, id) };
+      candidates.push(entry);
+      if (!filter || filter(id)) found.push(entry);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (found.size >= ef && current.similarity < found.peek().similarity) break;
+
+      for (const neighborId of this.nodes.get(current.id).neighbors[level] || []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const similarity = this.similarity(query, neighborId);
+        if (found.size < ef || similarity > found.peek().similarity) {
+          const entry = { id: neighborId, similarity };
+          candidates.push(entry);
+          if (!filter || filter(neighborId)) {
+            found.push(entry);
+            if (found.size > ef) found.pop();
+          }
+        }
+      }
+    }
+
+    return found.items.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the base node than to
+   * any neighbour already chosen, which keeps links spread across clusters
+   */
+  selectNeighbors(candidates, count) {
+    const sorted = [...candidates].sort((a, b) => b.similarity - a.similarity);
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= count) break;
+
+      const vector = this.nodes.get(candidate.id).vector;
+      const diverse = selected.every(chosen => candidate.similarity > dot(vector, this.nodes.get(chosen.id).vector));
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    // Fill remaining slots with the best pruned candidates
+    for (const candidate of pruned) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected.map(candidate => candidate.id);
+  }
+
+  /**
+   * Add (or replace) a vector
+   */
+  add(id, vector) {
+    if (vector.length !== this.dimension) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dimension}`);
+    }
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+
+    const level = this.randomLevel();
+    const node = {
+      id,
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => [])
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    this.connect(node);
+
+    if (level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Link a node into every layer up to its level
+   */
+  connect(node) {
+    let entryIds = [this.entryPoint];
+
+    // Greedy descent through the layers above the node's level
+    for (let level = this.maxLevel; level > node.level; level--) {
+      entryIds = [this.searchLayer(node.vector, entryIds, 1, level)[0].id];
+    }
+
+    for (let level = Math.min(node.level, this.maxLevel); level >= 0; level--) {
+      const found = this.searchLayer(node.vector, entryIds, this.efConstruction, level)
+        .filter(candidate => candidate.id !== node.id);
+      node.neighbors[level] = this.selectNeighbors(found, this.M);
+
+      for (const neighborId of node.neighbors[level]) {
+        this.linkBack(neighborId, node.id, level);
+      }
+
+      entryIds = found.length > 0 ? found.map(candidate => candidate.id) : entryIds;
+    }
+  }
+
+  /**
+   * Add a reverse link, shrinking the neighbour list when it grows too long
+   */
+  linkBack(id, neighborId, level) {
+    const node = this.nodes.get(id);
+    const links = node.neighbors[level];
+    if (links.includes(neighborId)) return;
+
+    links.push(neighborId);
+
+    // Keep the closest links; cheaper than re-running the heuristic on every overflow
+    if (links.length > this.maxConnections(level)) {
+      node.neighbors[level] = links
+        .map(linkId => ({ id: linkId, similarity: this.similarity(node.vector, linkId) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.maxConnections(level))
+        .map(candidate => candidate.id);
+    }
+  }
+
+  /**
+   * Remove a vector and repair the links of the nodes that pointed at it
+   */
+  remove(id) {
+    const removed = this.nodes.get(id);
+    if (!removed) return false;
+
+    this.nodes.delete(id);
+
+    for (const node of this.nodes.values()) {
+      for (let level = 0; level <= Math.min(node.level, removed.level); level++) {
+        const links = node.neighbors[level];
+        const position = links.indexOf(id);
+        if (position === -1) continue;
+
+        // Reconnect through the removed node's own neighbours
+        links.splice(position, 1);
+        const candidateIds = new Set([...links, ...removed.neighbors[level]]);
+        candidateIds.delete(node.id);
+        candidateIds.delete(id);
+
+        const candidates = Array.from(candidateIds)
+          .filter(candidateId => this.nodes.has(candidateId))
+          .map(candidateId => ({ id: candidateId, similarity: this.similarity(node.vector, candidateId) }));
+        node.neighbors[level] = this.selectNeighbors(candidates, this.maxConnections(level));
+      }
+    }
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const node of this.nodes.values()) {
+        if (node.level > this.maxLevel) {
+          this.entryPoint = node.id;
+          this.maxLevel = node.level;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Approximate k nearest neighbours as [{ id, similarity }] (best first);
+   * `options.filter(id)` restricts the results (e.g. to chunks passing metadata filters)
+   */
+  search(vector, k = 10, options = {}) {
+    if (this.entryPoint === null) return [];
+
+    const query = normalize(vector);
+    const ef = Math.max(options.efSearch || this.efSearch, k);
+    let entryIds = [this.entryPoint];
+
+    for (let level = this.maxLevel; level > 0; level--) {
+      entryIds = [this.searchLayer(query, entryIds, 1, level)[0].id];
+    }
+
+    return this.searchLayer(query, entryIds, ef, 0, options.filter).slice(0, k);
+  }
+
+  /**
+   * Serialize the graph (ids, levels and links; no vectors)
+   */
+  serialize() {
+    const ids = Array.from(this.nodes.keys());
+    const positions = new Map(ids.map((id, i) => [id, i]));
+    const idsBuffer = Buffer.from(JSON.stringify(ids), 'utf8');
+
+    let linkCount = 0;
+    for (const node of this.nodes.values()) {
+      linkCount += node.neighbors.reduce((sum, links) => sum + 1 + links.length, 1);
+    }
+
+    const buffer = Buffer.alloc(32 + idsBuffer.length + linkCount * 4);
+    buffer.write(MAGIC, 0, 'ascii');
+    buffer.writeUInt16LE(FORMAT_VERSION, 4);
+    buffer.writeUInt32LE(this.dimension, 8);
+    buffer.writeUInt32LE(this.M, 12);
+    buffer.writeUInt32LE(this.efConstruction, 16);
+    buffer.writeInt32LE(this.entryPoint === null ? -1 : positions.get(this.entryPoint), 20);
+    buffer.writeInt32LE(this.maxLevel, 24);
+    buffer.writeUInt32LE(idsBuffer.length, 28);
+    idsBuffer.copy(buffer, 32);
+
+    // Per node: level, then for each layer the link count followed by node positions
+    let offset = 32 + idsBuffer.length;
+    for (const id of ids) {
+      const node = this.nodes.get(id);
+      buffer.writeUInt32LE(node.level, offset);
+      offset += 4;
+      for (const links of node.neighbors) {
+        buffer.writeUInt32LE(links.length, offset);
+        offset += 4;
+        for (const linkId of links) {
+          buffer.writeUInt32LE(positions.get(linkId), offset);
+          offset += 4;
+        }
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Rebuild an index from serialize() output; `getVector(id)` supplies each node's vector.
+   * Returns null when a vector is missing or its dimension changed, so the caller can rebuild.
+   */
+  static deserialize(buffer, getVector, options = {}) {
+    if (buffer.length < 32 || buffer.toString('ascii', 0, 4) !== MAGIC || buffer.readUInt16LE(4) !== FORMAT_VERSION) {
+      return null;
+    }
+
+    const index = new HnswIndex({
+      ...options,
+      dimension: buffer.readUInt32LE(8),
+      M: buffer.readUInt32LE(12),
+      efConstruction: buffer.readUInt32LE(16)
+    });
+    const entryPosition = buffer.readInt32LE(20);
+    index.maxLevel = buffer.readInt32LE(24);
+    const idsLength = buffer.readUInt32LE(28);
+    const ids = JSON.parse(buffer.toString('utf8', 32, 32 + idsLength));
+
+    let offset = 32 + idsLength;
+    for (const id of ids) {
+      const vector = getVector(id);
+      if (!vector || vector.length !== index.dimension) return null;
+
+      const level = buffer.readUInt32LE(offset);
+      offset += 4;
+      const neighbors = [];
+      for (let layer = 0; layer <= level; layer++) {
+        const count = buffer.readUInt32LE(offset);
+        offset += 4;
+        const links = [];
+        for (let i = 0; i < count; i++) {
+          links.push(ids[buffer.readUInt32LE(offset)]);
+          offset += 4;
+        }
+        neighbors.push(links);
+      }
+
+      index.nodes.set(id, { id, vector: normalize(vector), level, neighbors });
+    }
+
+    index.entryPoint = entryPosition >= 0 ? ids[entryPosition] : null;
+    return index;
+  }
+
+  async save(filePath) {
+    await fs.writeFile(filePath, this.serialize());
+  }
+
+  static async load(filePath, getVector, options = {}) {
+    const buffer = await fs.readFile(filePath).catch(() => null);
+    return buffer ? HnswIndex.deserialize(buffer, getVector, options) : null;
+  }
+}
+
+module.exports = {
+  HnswIndex,
+  annConfigFromEnv
+};
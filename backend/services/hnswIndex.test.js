@@ -0,0 +1,167 @@
+const { HnswIndex, annConfigFromEnv } = require('./hnswIndex');
+
+const DIMENSION = 16;
+
+/**
+ * Deterministic pseudo-random vectors
+ */
+function randomVectors(count, seed = 7) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () => Array.from({ length: DIMENSION }, next));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / Math.sqrt(normA * normB);
+}
+
+function bruteForce(vectors, query, k) {
+  return vectors
+    .map((vector, i) => ({ id: `v${i}`, similarity: cosine(vector, query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(match => match.id);
+}
+
+function buildIndex(vectors, options = {}) {
+  const index = new HnswIndex({ dimension: DIMENSION, M: 8, efConstruction: 64, ...options });
+  vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+  return index;
+}
+
+describe('HnswIndex', () => {
+  const vectors = randomVectors(400);
+  const queries = randomVectors(20, 99);
+  const index = buildIndex(vectors);
+
+  test('finds the exact neighbours of an indexed vector', () => {
+    const [best] = index.search(vectors[42], 1);
+
+    expect(best.id).toBe('v42');
+    expect(best.similarity).toBeCloseTo(1);
+  });
+
+  test('recalls at least 90% of the true top 10', () => {
+    let found = 0;
+    for (const query of queries) {
+      const truth = new Set(bruteForce(vectors, query, 10));
+      found += index.search(query, 10, { efSearch: 64 }).filter(match => truth.has(match.id)).length;
+    }
+
+    expect(found / (queries.length * 10)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('returns results best first with cosine similarities', () => {
+    const results = index.search(queries[0], 5);
+
+    expect(results).toHaveLength(5);
+    results.forEach(match => {
+      expect(match.similarity).toBeCloseTo(cosine(vectors[Number(match.id.slice(1))], queries[0]), 5);
+    });
+    expect(results.map(match => match.similarity)).toEqual([...results.map(match => match.similarity)].sort((a, b) => b - a));
+  });
+
+  test('only returns ids accepted by the filter', () => {
+    const even = id => Number(id.slice(1)) % 2 === 0;
+    const results = index.search(queries[1], 10, { filter: even });
+
+    expect(results).toHaveLength(10);
+    expect(results.every(match => even(match.id))).toBe(true);
+  });
+
+  test('builds the same graph for the same inserts', () => {
+    const again = buildIndex(vectors);
+
+    expect(again.serialize().equals(index.serialize())).toBe(true);
+  });
+
+  test('rejects vectors of the wrong dimension', () => {
+    expect(() => index.add('bad', [1, 2, 3])).toThrow('does not match index dimension');
+  });
+
+  test('removes nodes and keeps the rest searchable', () => {
+    const small = buildIndex(vectors.slice(0, 100));
+
+    expect(small.remove('v10')).toBe(true);
+    expect(small.remove('v10')).toBe(false);
+    expect(small.size).toBe(99);
+    expect(small.search(vectors[10], 5).map(match => match.id)).not.toContain('v10');
+    expect(small.search(vectors[11], 1)[0].id).toBe('v11');
+  });
+
+  test('moves the entry point when it is removed', () => {
+    const small = buildIndex(vectors.slice(0, 50));
+    const entryPoint = small.entryPoint;
+
+    small.remove(entryPoint);
+
+    expect(small.entryPoint).not.toBeNull();
+    expect(small.entryPoint).not.toBe(entryPoint);
+    for (let i = 0; i < 50; i++) {
+      if (`v${i}` !== entryPoint) {
+        expect(small.search(vectors[i], 1)[0].id).toBe(`v${i}`);
+      }
+    }
+  });
+
+  test('searches an empty index', () => {
+    expect(new HnswIndex({ dimension: DIMENSION }).search(queries[0], 5)).toEqual([]);
+  });
+
+  describe('serialization', () => {
+    const getVector = id => vectors[Number(id.slice(1))];
+
+    test('restores the graph from the owner\'s vectors', () => {
+      const restored = HnswIndex.deserialize(index.serialize(), getVector);
+
+      expect(restored.size).toBe(index.size);
+      expect(restored.entryPoint).toBe(index.entryPoint);
+      expect(restored.search(queries[2], 10)).toEqual(index.search(queries[2], 10));
+    });
+
+    test('returns null when a vector is missing or has another dimension', () => {
+      const buffer = index.serialize();
+
+      expect(HnswIndex.deserialize(buffer, id => (id === 'v3' ? null : getVector(id)))).toBeNull();
+      expect(HnswIndex.deserialize(buffer, () => [1, 0, 0])).toBeNull();
+    });
+
+    test('returns null for data in another format', () => {
+      expect(HnswIndex.deserialize(Buffer.from('not an index at all, just some bytes'), getVector)).toBeNull();
+    });
+  });
+});
+
+describe('annConfigFromEnv', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  test('uses the defaults', () => {
+    for (const name of ['ANN_ENABLED', 'ANN_MIN_VECTORS', 'ANN_M', 'ANN_EF_CONSTRUCTION', 'ANN_EF_SEARCH']) {
+      delete process.env[name];
+    }
+
+    expect(annConfigFromEnv()).toEqual({ enabled: true, minVectors: 1000, M: 16, efConstruction: 100, efSearch: 64 });
+  });
+
+  test('reads the environment', () => {
+    process.env.ANN_ENABLED = 'false';
+    process.env.ANN_EF_SEARCH = '128';
+
+    expect(annConfigFromEnv()).toMatchObject({ enabled: false, efSearch: 128 });
+  });
+});
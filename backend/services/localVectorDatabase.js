@@ -1,28 +1,110 @@
 const fs = require('fs').promises;
+const EventEmitter = require('events');
 const path = require('path');
 const Document = require('../models/Document');
+const { createScorer } = require('./scorers');
+const Tokenizer = require('./tokenizer');
+const { getEmbeddingProvider } = require('./embeddingProviders');
+const { HnswIndex, annConfigFromEnv } = require('./hnswIndex');
+const { hasFilters, matchesFilters } = require('./searchFilters');
+const { hashVocabulary, writeIndexFile, readIndexFile } = require('./vectorIndexFile');
 
 /**
  * Simple Local Vector Database Service
- * Uses TF-IDF and cosine similarity for document retrieval without external APIs
+ * Uses TF-IDF and cosine similarity for chunk-level retrieval without external APIs.
+ * Emits 'documentChanged' ({ documentId, change: 'added'|'updated'|'removed' }) when the index changes.
  */
-class LocalVectorDatabaseService {
+class LocalVectorDatabaseService extends EventEmitter {
   constructor() {
+    super();
     this.vectorStorePath = process.env.VECTOR_DB_PATH || './data/vectors';
-    this.embeddingDimension = 100; // Simplified local embedding dimension
+    this.chunkSize = parseInt(process.env.LOCAL_CHUNK_SIZE) || 800; // Characters per chunk
+    this.chunkOverlap = parseInt(process.env.LOCAL_CHUNK_OVERLAP) || 150; // Overlap between chunks
     
     // In-memory vector index for development
-    this.vectorIndex = new Map(); // documentId -> embedding
+    this.vectorIndex = new Map(); // chunkId -> sparse TF-IDF vector (Map termId -> weight)
+    this.chunkIndex = new Map(); // chunkId -> chunk offsets, plus text until it is persisted
     this.documentIndex = new Map(); // documentId -> document metadata
-    this.vocabulary = new Map(); // word -> index
-    this.idf = new Map(); // word -> inverse document frequency
+    this.vocabulary = new Map(); // word -> term id (append-only, ids are never reused)
+    this.terms = []; // term id -> word
     this.processedDocuments = new Set();
+    this.initialization = null;
+    
+    // On-disk files: binary postings index, chunk content store and vocabulary, written together
+    // into generation-N directories; the manifest names the current generation
+    this.manifestFileName = 'current.json';
+    this.generation = 0;
+    this.generationPath = this.vectorStorePath;
+    this.saveQueue = Promise.resolve();
+    this.pendingSave = null;
+    // Changes are written in batches, at most `saveDelayMs` after the first unsaved one
+    this.saveDelayMs = parseInt(process.env.LOCAL_SAVE_DELAY_MS) || 2000;
+    this.saveTimer = null;
+    this.indexFileName = 'local-vector-index.bin';
+    this.contentFileName = 'local-vector-content.bin';
+    this.vocabularyFileName = 'vocabulary.json';
+    this.embeddingsFileName = 'local-vector-embeddings.bin';
+    this.annFileName = 'local-vector-ann.bin';
+    this.contentHandle = null; // open handle on the content store for lazy reads
+    
+    // Script-aware tokenizer (Latin and Devanagari)
+    this.tokenizer = new Tokenizer({
+      stem: process.env.LOCAL_TOKENIZER_STEM === 'true'
+    });
+    
+    // Term statistics, updated incrementally as chunks are added and removed.
+    // Chunk vectors are refreshed lazily, and only once a term's IDF has drifted more than
+    // `idfTolerance` (relative) from the value the vectors were built with.
+    this.termFrequencies = new Map(); // chunkId -> Map(word -> count)
+    this.chunkLengths = new Map(); // chunkId -> token count
+    this.documentFrequency = new Map(); // word -> number of chunks containing it
+    this.totalChunkLength = 0;
+    this.averageChunkLength = 0;
+    this.statsVersion = 0;
+    this.idfTolerance = process.env.LOCAL_IDF_TOLERANCE !== undefined ? parseFloat(process.env.LOCAL_IDF_TOLERANCE) : 0.02;
+    this.vectorIdf = new Map(); // word -> IDF the chunk vectors were built with
+    this.dirtyTerms = new Set(); // words whose chunk count changed since the last refresh
+    this.unvectorizedChunks = new Set(); // chunks without a TF-IDF vector yet
+    this.vectorChunkCount = 0; // corpus size at the last refresh
+    
+    // Ranking function used when similaritySearch() is not told otherwise
+    this.defaultScorer = process.env.LOCAL_VECTOR_SCORER || 'tfidf';
+    this.scorers = new Map(); // scorer cache keyed by name and options
+    
+    // Dense embeddings from the shared provider, computed lazily for the 'dense' scorer
+    this.embeddingProvider = getEmbeddingProvider();
+    this.embeddingDimension = this.embeddingProvider.dimension;
+    this.chunkEmbeddings = new Map(); // chunkId -> Float32Array
+    
+    // Approximate nearest neighbour index over chunkEmbeddings, built once the corpus is large enough
+    this.annConfig = annConfigFromEnv();
+    this.annIndex = null;
+  }
+
+  /**
+   * Shared instance so chat, scraping and admin routes see the same live index
+   */
+  static getSharedInstance() {
+    if (!LocalVectorDatabaseService.sharedInstance) {
+      LocalVectorDatabaseService.sharedInstance = new LocalVectorDatabaseService();
+    }
+    return LocalVectorDatabaseService.sharedInstance;
   }
 
   /**
-   * Initialize the vector database
+   * Initialize the vector database (only loads once, even when called concurrently)
    */
   async initialize() {
+    if (!this.initialization) {
+      this.initialization = this.loadIndex();
+    }
+    return this.initialization;
+  }
+
+  /**
+   * Create the vector store directory and load the saved index
+   */
+  async loadIndex() {
     try {
       console.log('🚀 Initializing Local Vector Database Service...');
       
@@ -33,7 +115,7 @@ class LocalVectorDatabaseService {
       await this.loadVectorIndex();
       
       console.log('✅ Local Vector Database Service initialized');
-      console.log(`📊 Loaded ${this.vectorIndex.size} vectors`);
+      console.log(`📊 Loaded ${this.chunkIndex.size} chunks`);
       
       return true;
     } catch (error) {
@@ -43,83 +125,276 @@ class LocalVectorDatabaseService {
   }
 
   /**
-   * Simple text preprocessing
+   * Text preprocessing: normalized Latin and Devanagari tokens without stopwords
    */
-  preprocessText(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .split(' ')
-      .filter(word => word.length > 2); // Remove short words
+  preprocessText(text, language) {
+    return this.tokenizer.tokenize(text, language);
   }
 
   /**
-   * Build vocabulary from all documents
+   * Split text into overlapping chunks, keeping character offsets into the original text
    */
-  buildVocabulary(documents) {
-    const wordCounts = new Map();
-    let vocabIndex = 0;
+  splitIntoChunks(text) {
+    const chunks = [];
+    let start = 0;
     
-    // Count word occurrences across all documents
-    for (const doc of documents) {
-      const words = this.preprocessText(doc.content);
-      const uniqueWords = new Set(words);
+    while (start < text.length) {
+      // Skip leading whitespace so offsets point at real content
+      while (start < text.length && /\s/.test(text[start])) start++;
+      if (start >= text.length) break;
+      
+      let end = Math.min(start + this.chunkSize, text.length);
+      
+      if (end < text.length) {
+        // Prefer a sentence boundary in the second half of the window, else the last word boundary
+        const window = text.slice(start, end);
+        const sentenceBreak = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+        const wordBreak = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\t'));
+        
+        if (sentenceBreak > this.chunkSize / 2) {
+          end = start + sentenceBreak + 1;
+        } else if (wordBreak > 0) {
+          end = start + wordBreak;
+        }
+      }
+      
+      const content = text.slice(start, end).trimEnd();
+      chunks.push({
+        content: content,
+        startIndex: start,
+        endIndex: start + content.length
+      });
       
-      for (const word of uniqueWords) {
-        wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+      if (end >= text.length) break;
+      
+      // Step back by the overlap, aligned to the start of a word
+      let next = end - this.chunkOverlap;
+      if (next > start) {
+        const wordStart = text.slice(next, end).search(/\s/);
+        next = wordStart === -1 ? end : next + wordStart + 1;
+      } else {
+        next = end;
       }
+      start = next;
     }
     
-    // Build vocabulary (only include words that appear in at least 2 documents)
-    for (const [word, count] of wordCounts) {
-      if (count >= 2 && !this.vocabulary.has(word)) {
-        this.vocabulary.set(word, vocabIndex++);
-      }
+    return chunks;
+  }
+
+  /**
+   * Get the id of a word, adding it to the vocabulary if needed
+   */
+  getTermId(word) {
+    let termId = this.vocabulary.get(word);
+    
+    if (termId === undefined) {
+      termId = this.terms.length;
+      this.vocabulary.set(word, termId);
+      this.terms.push(word);
+    }
+    
+    return termId;
+  }
+
+  /**
+   * Smoothed inverse chunk frequency; terms present in every chunk keep some weight
+   */
+  getIdf(word) {
+    const chunkCount = this.documentFrequency.get(word);
+    if (!chunkCount) return 0;
+    
+    return Math.log(1 + this.chunkIndex.size / chunkCount);
+  }
+
+  /**
+   * Add one chunk's term counts to the corpus statistics
+   */
+  indexChunkTerms(chunkId, counts) {
+    let length = 0;
+    
+    for (const [word, count] of counts) {
+      this.getTermId(word);
+      this.documentFrequency.set(word, (this.documentFrequency.get(word) || 0) + 1);
+      this.dirtyTerms.add(word);
+      length += count;
     }
     
-    // Calculate IDF for each word
-    const totalDocs = documents.length;
-    for (const [word, docCount] of wordCounts) {
-      if (this.vocabulary.has(word)) {
-        this.idf.set(word, Math.log(totalDocs / docCount));
+    this.termFrequencies.set(chunkId, counts);
+    this.unvectorizedChunks.add(chunkId);
+    this.chunkLengths.set(chunkId, length);
+    this.totalChunkLength += length;
+  }
+
+  /**
+   * Remove one chunk from the index and the corpus statistics
+   */
+  removeChunk(chunkId) {
+    const counts = this.termFrequencies.get(chunkId);
+    
+    if (counts) {
+      for (const word of counts.keys()) {
+        const chunkCount = (this.documentFrequency.get(word) || 0) - 1;
+        if (chunkCount > 0) {
+          this.documentFrequency.set(word, chunkCount);
+        } else {
+          this.documentFrequency.delete(word);
+        }
+        this.dirtyTerms.add(word);
       }
+      this.totalChunkLength -= this.chunkLengths.get(chunkId) || 0;
     }
     
-    console.log(`📚 Built vocabulary with ${this.vocabulary.size} words`);
+    this.termFrequencies.delete(chunkId);
+    this.chunkLengths.delete(chunkId);
+    this.chunkIndex.delete(chunkId);
+    this.vectorIndex.delete(chunkId);
+    this.unvectorizedChunks.delete(chunkId);
+    this.chunkEmbeddings.delete(chunkId);
+    this.annIndex?.remove(chunkId);
   }
 
   /**
-   * Generate TF-IDF vector for text
+   * Count the terms of a text
    */
-  generateTFIDFVector(text) {
-    const words = this.preprocessText(text);
-    const wordCounts = new Map();
+  countTerms(text) {
+    const counts = new Map();
     
-    // Count word frequencies in this text
-    for (const word of words) {
-      wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+    for (const word of this.preprocessText(text)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
     }
     
-    // Create TF-IDF vector
-    const vector = new Array(this.vocabulary.size).fill(0);
-    const totalWords = words.length;
+    return counts;
+  }
+
+  /**
+   * Text a chunk is indexed by: its content, plus the headings of its section when known,
+   * so a table row under "Fee Structure" matches a question about fees
+   */
+  chunkTermText(chunk) {
+    return Array.isArray(chunk.sectionPath) && chunk.sectionPath.length > 0
+      ? `${chunk.sectionPath.join('\n')}\n${chunk.content}`
+      : chunk.content;
+  }
+
+  /**
+   * Record a change of the corpus statistics (vectors are brought up to date by refreshVectors)
+   */
+  touchStatistics() {
+    this.averageChunkLength = this.chunkIndex.size > 0 ? this.totalChunkLength / this.chunkIndex.size : 0;
+    this.statsVersion++;
+  }
+
+  /**
+   * Clear term statistics and cached vectors
+   */
+  resetStatistics() {
+    this.termFrequencies = new Map();
+    this.chunkLengths = new Map();
+    this.documentFrequency = new Map();
+    this.vectorIndex = new Map();
+    this.vectorIdf = new Map();
+    this.dirtyTerms = new Set();
+    this.unvectorizedChunks = new Set();
+    this.vectorChunkCount = 0;
+    this.totalChunkLength = 0;
+  }
+
+  /**
+   * Recompute term statistics from scratch by re-tokenizing every chunk
+   */
+  buildTermStatistics() {
+    this.resetStatistics();
+    
+    for (const [chunkId, chunk] of this.chunkIndex) {
+      this.indexChunkTerms(chunkId, this.countTerms(this.chunkTermText(chunk)));
+    }
     
-    for (const [word, count] of wordCounts) {
-      if (this.vocabulary.has(word)) {
-        const index = this.vocabulary.get(word);
-        const tf = count / totalWords; // Term frequency
-        const idf = this.idf.get(word) || 1; // Inverse document frequency
-        vector[index] = tf * idf;
+    this.touchStatistics();
+  }
+
+  /**
+   * Get (and cache) a scorer instance
+   */
+  getScorer(name = this.defaultScorer, options = {}) {
+    const key = `${name}:${JSON.stringify(options)}`;
+    
+    if (!this.scorers.has(key)) {
+      this.scorers.set(key, createScorer(name, options));
+    }
+    
+    return this.scorers.get(key);
+  }
+
+  /**
+   * Embed every chunk that has no dense embedding yet
+   */
+  async ensureChunkEmbeddings(batchSize = 32) {
+    const missing = Array.from(this.chunkIndex.keys()).filter(chunkId => !this.chunkEmbeddings.has(chunkId));
+    if (missing.length === 0) return 0;
+    
+    console.log(`🧬 Embedding ${missing.length} chunks with ${this.embeddingProvider.signature()}`);
+    
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize);
+      const texts = await Promise.all(batch.map(chunkId => this.getChunkContent(chunkId)));
+      const embeddings = await this.embeddingProvider.embedBatch(texts);
+      
+      batch.forEach((chunkId, j) => {
+        this.chunkEmbeddings.set(chunkId, Float32Array.from(embeddings[j]));
+        this.annIndex?.add(chunkId, this.chunkEmbeddings.get(chunkId));
+      });
+    }
+    
+    return missing.length;
+  }
+
+  /**
+   * HNSW index over the chunk embeddings, or null when brute force should be used
+   * (ANN disabled or fewer than annConfig.minVectors embeddings)
+   */
+  getAnnIndex() {
+    if (!this.annConfig.enabled || this.chunkEmbeddings.size < this.annConfig.minVectors) {
+      return null;
+    }
+    
+    if (!this.annIndex) {
+      const startTime = Date.now();
+      this.annIndex = new HnswIndex({ ...this.annConfig, dimension: this.embeddingProvider.dimension });
+      for (const [chunkId, embedding] of this.chunkEmbeddings) {
+        this.annIndex.add(chunkId, embedding);
       }
+      console.log(`🕸️ Built HNSW index over ${this.annIndex.size} embeddings in ${Date.now() - startTime}ms`);
+    }
+    
+    return this.annIndex;
+  }
+
+  /**
+   * Build a normalized sparse TF-IDF vector from term counts
+   */
+  buildSparseVector(counts) {
+    const vector = new Map();
+    let totalWords = 0;
+    
+    for (const count of counts.values()) {
+      totalWords += count;
+    }
+    
+    let magnitude = 0;
+    for (const [word, count] of counts) {
+      const idf = this.getIdf(word);
+      if (idf === 0) continue;
+      
+      const weight = (count / totalWords) * idf;
+      vector.set(this.vocabulary.get(word), weight);
+      magnitude += weight * weight;
     }
     
     // Normalize vector
-    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    magnitude = Math.sqrt(magnitude);
     if (magnitude > 0) {
-      for (let i = 0; i < vector.length; i++) {
-        vector[i] /= magnitude;
+      for (const [termId, weight] of vector) {
+        vector.set(termId, weight / magnitude);
       }
     }
     
@@ -127,48 +402,144 @@ class LocalVectorDatabaseService {
   }
 
   /**
-   * Calculate cosine similarity between two vectors
+   * Generate TF-IDF vector for text
+   */
+  generateTFIDFVector(text) {
+    return this.buildSparseVector(this.countTerms(text));
+  }
+
+  /**
+   * Bring chunk vectors up to date with the term statistics. Only new chunks and chunks
+   * containing a term whose IDF drifted past `idfTolerance` are rebuilt; a change in corpus
+   * size shifts every IDF a little, so all terms are checked then, but few usually drift.
+   */
+  refreshVectors() {
+    const sizeChanged = this.chunkIndex.size !== this.vectorChunkCount;
+    if (!sizeChanged && this.dirtyTerms.size === 0 && this.unvectorizedChunks.size === 0) {
+      return 0;
+    }
+    
+    const candidates = sizeChanged ? new Set([...this.vectorIdf.keys(), ...this.dirtyTerms]) : this.dirtyTerms;
+    const drifted = new Set();
+    for (const word of candidates) {
+      const idf = this.getIdf(word);
+      const built = this.vectorIdf.get(word);
+      if (built === undefined) continue; // not in any vector yet
+      if (idf === 0) {
+        this.vectorIdf.delete(word);
+      } else if (Math.abs(idf - built) > this.idfTolerance * built) {
+        drifted.add(word);
+        this.vectorIdf.set(word, idf);
+      }
+    }
+    
+    const stale = new Set(this.unvectorizedChunks);
+    if (drifted.size > 0) {
+      for (const [chunkId, counts] of this.termFrequencies) {
+        const [fewer, more] = drifted.size < counts.size ? [drifted, counts] : [counts, drifted];
+        for (const word of fewer.keys()) {
+          if (more.has(word)) {
+            stale.add(chunkId);
+            break;
+          }
+        }
+      }
+    }
+    
+    for (const chunkId of stale) {
+      const counts = this.termFrequencies.get(chunkId);
+      if (!counts) continue;
+      for (const word of counts.keys()) {
+        if (!this.vectorIdf.has(word)) this.vectorIdf.set(word, this.getIdf(word));
+      }
+      this.vectorIndex.set(chunkId, this.buildSparseVector(counts));
+    }
+    
+    this.dirtyTerms.clear();
+    this.unvectorizedChunks.clear();
+    this.vectorChunkCount = this.chunkIndex.size;
+    return stale.size;
+  }
+
+  /**
+   * Calculate cosine similarity between two sparse vectors
    */
   cosineSimilarity(vec1, vec2) {
-    if (vec1.length !== vec2.length) return 0;
+    const [smaller, larger] = vec1.size <= vec2.size ? [vec1, vec2] : [vec2, vec1];
     
     let dotProduct = 0;
+    for (const [termId, weight] of smaller) {
+      const other = larger.get(termId);
+      if (other) dotProduct += weight * other;
+    }
+    
     let norm1 = 0;
     let norm2 = 0;
-    
-    for (let i = 0; i < vec1.length; i++) {
-      dotProduct += vec1[i] * vec2[i];
-      norm1 += vec1[i] * vec1[i];
-      norm2 += vec2[i] * vec2[i];
-    }
+    for (const weight of vec1.values()) norm1 += weight * weight;
+    for (const weight of vec2.values()) norm2 += weight * weight;
     
     const magnitude = Math.sqrt(norm1) * Math.sqrt(norm2);
     return magnitude > 0 ? dotProduct / magnitude : 0;
   }
 
   /**
-   * Add document to vector database
+   * Add document to vector database (replaces any earlier version of it)
+   * options: { persist } - false skips saving; otherwise the change goes into the next batched save (see flush())
    */
-  async addDocument(documentData) {
+  async addDocument(documentData, options = {}) {
     try {
+      const { persist = true } = options;
       const { title, content, metadata } = documentData;
       const docId = metadata.documentId || Date.now().toString();
+      const isUpdate = this.documentIndex.has(docId);
+      
+      // Drop chunks left over from a previous version of this document
+      this.removeDocumentChunks(docId);
+      
+      // Reuse chunks already stored on the Document, otherwise split the content
+      const sourceChunks = Array.isArray(documentData.chunks) && documentData.chunks.length > 0
+        ? documentData.chunks
+        : this.splitIntoChunks(content);
+      
+      const chunks = sourceChunks.map((chunk, i) => ({
+        chunkId: chunk.chunkId || `${docId}_chunk_${i}`,
+        content: chunk.content,
+        startIndex: chunk.startIndex,
+        endIndex: chunk.endIndex,
+        // Structured extraction (pdfStructure.js) locates chunks by page and section
+        ...(chunk.page ? { page: chunk.page } : {}),
+        ...(chunk.sectionPath?.length ? { sectionPath: [...chunk.sectionPath] } : {})
+      }));
       
-      // Store document metadata
+      for (let i = 0; i < chunks.length; i++) {
+        const { chunkId, ...chunk } = chunks[i];
+        this.chunkIndex.set(chunkId, { documentId: docId, chunkIndex: i, ...chunk });
+        this.indexChunkTerms(chunkId, this.countTerms(this.chunkTermText(chunk)));
+      }
+      this.touchStatistics();
+      
+      // Store document metadata, and its data tables for exact cell lookups (see tableLookup.js)
       this.documentIndex.set(docId, {
         title,
         content: content.substring(0, 500), // Store preview
-        fullContent: content,
         metadata,
+        chunkIds: chunks.map(chunk => chunk.chunkId),
+        ...(documentData.tables?.length ? { tables: documentData.tables.map(table => this.plainTable(table)) } : {}),
         addedAt: new Date()
       });
       
-      console.log(`📄 Added document: ${title} (ID: ${docId})`);
+      console.log(`📄 Indexed document: ${title} (ID: ${docId}, ${chunks.length} chunks)`);
       this.processedDocuments.add(docId);
+      this.emit('documentChanged', { documentId: docId, change: isUpdate ? 'updated' : 'added' });
+      
+      if (persist) {
+        this.scheduleSave();
+      }
       
       return {
         documentId: docId,
-        chunkCount: 1,
+        chunkCount: chunks.length,
+        chunks: chunks,
         success: true
       };
       
@@ -182,28 +553,100 @@ class LocalVectorDatabaseService {
   }
 
   /**
-   * Build vectors after all documents are added
+   * Table as stored in the index metadata (Document subdocuments become plain arrays)
+   */
+  plainTable(table) {
+    return {
+      caption: table.caption || null,
+      sectionPath: [...(table.sectionPath || [])],
+      page: table.page || null,
+      headers: [...table.headers],
+      rows: table.rows.map(row => [...row])
+    };
+  }
+
+  /**
+   * Data tables of indexed documents, keyed by document ID
+   */
+  getDocumentTables(documentIds) {
+    const tables = new Map();
+    for (const documentId of documentIds) {
+      const doc = this.documentIndex.get(String(documentId));
+      if (doc?.tables?.length) {
+        tables.set(String(documentId), doc.tables);
+      }
+    }
+    return tables;
+  }
+
+  /**
+   * Re-index a document whose content changed
+   */
+  async updateDocument(documentData, options = {}) {
+    return this.addDocument(documentData, options);
+  }
+
+  /**
+   * Remove a document and its chunks from the index
+   */
+  async removeDocument(docId, options = {}) {
+    const { persist = true } = options;
+    const id = docId.toString();
+    
+    if (!this.documentIndex.has(id)) {
+      return false;
+    }
+    
+    this.removeDocumentChunks(id);
+    this.documentIndex.delete(id);
+    this.processedDocuments.delete(id);
+    
+    console.log(`🗑️ Removed document from local index: ${id}`);
+    this.emit('documentChanged', { documentId: id, change: 'removed' });
+    
+    if (persist) {
+      this.scheduleSave();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Remove all chunks (and their statistics) belonging to a document
+   */
+  removeDocumentChunks(docId) {
+    const existing = this.documentIndex.get(docId);
+    if (!existing || !existing.chunkIds) return;
+    
+    for (const chunkId of existing.chunkIds) {
+      this.removeChunk(chunkId);
+    }
+    this.touchStatistics();
+  }
+
+  /**
+   * Rebuild the whole index from the stored chunks
    */
   async buildVectors() {
     try {
       console.log('🔧 Building TF-IDF vectors...');
       
-      const documents = Array.from(this.documentIndex.values());
-      if (documents.length === 0) {
+      if (this.chunkIndex.size === 0) {
         console.log('⚠️ No documents to process');
         return;
       }
       
-      // Build vocabulary
-      this.buildVocabulary(documents);
+      // Re-tokenizing needs every chunk's text in memory
+      await this.loadAllChunkContents();
       
-      // Generate vectors for all documents
-      for (const [docId, doc] of this.documentIndex) {
-        const vector = this.generateTFIDFVector(doc.fullContent);
-        this.vectorIndex.set(docId, vector);
-      }
+      // Fresh vocabulary, BM25 statistics and vectors
+      this.vocabulary = new Map();
+      this.terms = [];
+      this.buildTermStatistics();
+      this.refreshVectors();
       
-      console.log(`✅ Generated ${this.vectorIndex.size} document vectors`);
+      console.log(`📚 Built vocabulary with ${this.vocabulary.size} words from ${this.chunkIndex.size} chunks`);
+      console.log(`✅ Generated ${this.vectorIndex.size} chunk vectors for ${this.documentIndex.size} documents`);
       
       // Save to disk
       await this.saveVectorIndex();
@@ -213,49 +656,98 @@ class LocalVectorDatabaseService {
     }
   }
 
+  /**
+   * Chunks whose document passes the metadata filters (see searchFilters.js)
+   */
+  getAllowedChunks(filters) {
+    const allowed = new Set();
+    
+    for (const [docId, doc] of this.documentIndex) {
+      if (matchesFilters(doc.metadata, filters)) {
+        for (const chunkId of doc.chunkIds || []) {
+          allowed.add(chunkId);
+        }
+      }
+    }
+    
+    return allowed;
+  }
+
   /**
    * Perform similarity search
+   * `filters` restricts the candidate chunks by document metadata before any scoring
    */
   async similaritySearch(query, options = {}) {
     try {
-      const { topK = 5, threshold = 0.1 } = options;
+      const {
+        topK = 5,
+        threshold = 0.1,
+        scorer = this.defaultScorer,
+        scorerOptions = {},
+        filters = null
+      } = options;
       
-      if (this.vectorIndex.size === 0) {
-        console.log('⚠️ No vectors in database, building now...');
-        await this.buildVectors();
-      }
+      // Bring vectors up to date with the latest incremental changes
+      this.refreshVectors();
       
-      // Generate query vector
-      const queryVector = this.generateTFIDFVector(query);
-      const results = [];
+      // Dense scorers need chunk embeddings and the query embedding
+      const rankingScorer = this.getScorer(scorer, scorerOptions);
+      const context = {};
       
-      // Calculate similarity with all documents
-      for (const [docId, docVector] of this.vectorIndex) {
-        const similarity = this.cosineSimilarity(queryVector, docVector);
+      // Pre-filter on document metadata
+      if (hasFilters(filters)) {
+        context.allowedChunks = this.getAllowedChunks(filters);
+        console.log(`🔎 Filters allow ${context.allowedChunks.size}/${this.chunkIndex.size} chunks`);
+      }
+      if (rankingScorer.requiresEmbeddings) {
+        const embedded = await this.ensureChunkEmbeddings();
+        const annWasBuilt = Boolean(this.annIndex);
+        
+        // A brute-force scan is cheaper when the filters leave only a few chunks
+        const fewAllowed = context.allowedChunks && context.allowedChunks.size < this.annConfig.minVectors;
+        context.annIndex = fewAllowed ? null : this.getAnnIndex();
+        context.candidates = Math.max(topK * 4, 50);
+        context.efSearch = scorerOptions.efSearch;
+        context.queryEmbedding = await this.embeddingProvider.embed(query);
         
-        if (similarity >= threshold) {
-          const docInfo = this.documentIndex.get(docId);
-          results.push({
-            documentId: docId,
-            documentTitle: docInfo?.title || 'Unknown',
-            content: docInfo?.content || '',
-            fullContent: docInfo?.fullContent || '',
-            similarity: similarity,
-            metadata: docInfo?.metadata || {}
-          });
+        if (embedded > 0 || (context.annIndex && !annWasBuilt)) {
+          this.scheduleSave();
         }
       }
       
-      // Sort by similarity and take top K
-      results.sort((a, b) => b.similarity - a.similarity);
-      const topResults = results.slice(0, topK);
+      // Rank chunks with the selected scorer (already sorted best first)
+      const ranked = rankingScorer.score(query, this, context);
+      const results = ranked.filter(match => match.similarity >= threshold && this.chunkIndex.has(match.chunkId));
+      const topResults = [];
       
-      const maxSimilarity = topResults.length > 0 ? topResults[0].similarity : 0;
+      // Only the returned chunks have their text read from the content store
+      for (const match of results.slice(0, topK)) {
+        const chunkInfo = this.chunkIndex.get(match.chunkId);
+        const docInfo = this.documentIndex.get(chunkInfo.documentId);
+        
+        topResults.push({
+          chunkId: match.chunkId,
+          documentId: chunkInfo.documentId,
+          documentTitle: docInfo?.title || 'Unknown',
+          chunkIndex: chunkInfo.chunkIndex,
+          content: await this.getChunkContent(match.chunkId),
+          startIndex: chunkInfo.startIndex,
+          endIndex: chunkInfo.endIndex,
+          page: chunkInfo.page,
+          sectionPath: chunkInfo.sectionPath,
+          similarity: match.similarity,
+          rankScore: match.score,
+          scores: match.scores,
+          metadata: docInfo?.metadata || {}
+        });
+      }
+      
+      const maxSimilarity = topResults.reduce((max, r) => Math.max(max, r.similarity), 0);
       const avgSimilarity = topResults.length > 0 
         ? topResults.reduce((sum, r) => sum + r.similarity, 0) / topResults.length 
         : 0;
       
-      console.log(`🔍 Found ${results.length} matches above threshold ${threshold}`);
+      console.log(`🔍 Found ${results.length} matches above threshold ${threshold} (scorer: ${scorer})`);
       console.log(`📊 Max similarity: ${maxSimilarity.toFixed(3)}, Avg: ${avgSimilarity.toFixed(3)}`);
       
       return {
@@ -278,53 +770,221 @@ class LocalVectorDatabaseService {
     }
   }
 
+  /**
+   * Get a chunk's text, reading it from the content store if it is not in memory
+   */
+  async getChunkContent(chunkId) {
+    const chunk = this.chunkIndex.get(chunkId);
+    return chunk ? this.readChunkContent(chunk) : '';
+  }
+
+  async readChunkContent(chunk) {
+    if (chunk.content !== undefined) return chunk.content;
+    if (!this.contentHandle) return '';
+    
+    const buffer = Buffer.alloc(chunk.contentLength);
+    await this.contentHandle.read(buffer, 0, chunk.contentLength, chunk.contentOffset);
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Pull every chunk's text into memory (needed before a full re-tokenization)
+   */
+  async loadAllChunkContents() {
+    for (const [chunkId, chunk] of this.chunkIndex) {
+      if (chunk.content === undefined) {
+        chunk.content = await this.getChunkContent(chunkId);
+      }
+    }
+  }
+
+  /**
+   * Save the index within `saveDelayMs`; every change until then goes into the same save
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveVectorIndex();
+    }, this.saveDelayMs);
+  }
+
+  /**
+   * Write scheduled changes now and wait until every save has finished
+   */
+  async flush() {
+    if (this.saveTimer) {
+      await this.saveVectorIndex();
+    }
+    await this.saveQueue;
+  }
+
   /**
    * Save vector index to disk
+   * Saves run one at a time; calls made while a save is waiting to start share that save.
+   */
+  saveVectorIndex() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.pendingSave) {
+      this.pendingSave = this.saveQueue.then(() => {
+        this.pendingSave = null;
+        return this.writeGeneration();
+      });
+      this.saveQueue = this.pendingSave;
+    }
+    return this.pendingSave;
+  }
+
+  /**
+   * Write the index files into a new generation directory, then switch to it by renaming
+   * the manifest (current.json) over the old one. A crash at any point leaves the manifest
+   * naming a complete generation; superseded generations are deleted after the switch.
    */
-  async saveVectorIndex() {
+  async writeGeneration() {
     try {
-      const indexPath = path.join(this.vectorStorePath, 'local-vector-index.json');
-      const vocabPath = path.join(this.vectorStorePath, 'vocabulary.json');
+      // Snapshot everything synchronously, so documents changed during the writes cannot mix in
+      const snapshot = [];
+      const postings = [];
+      const embeddings = [];
       
-      await fs.writeFile(indexPath, JSON.stringify({
-        vectors: Object.fromEntries(this.vectorIndex),
-        documents: Object.fromEntries(this.documentIndex),
-        savedAt: new Date().toISOString()
-      }), 'utf8');
+      for (const [chunkId, chunk] of this.chunkIndex) {
+        const embedding = this.chunkEmbeddings.get(chunkId);
+        const embeddingSlot = embedding ? embeddings.push(embedding) - 1 : -1;
+        snapshot.push({ chunkId, chunk, embeddingSlot });
+        
+        // Weights are the raw in-chunk term counts; TF-IDF weights are derived on load
+        const counts = this.termFrequencies.get(chunkId) || new Map();
+        postings.push(Array.from(counts, ([word, count]) => [this.vocabulary.get(word), count]));
+      }
+      const terms = [...this.terms];
+      const vocabulary = Object.fromEntries(this.vocabulary);
+      const documents = Object.fromEntries(this.documentIndex);
+      const ann = this.annIndex ? this.annIndex.serialize() : null;
+      
+      const contents = [];
+      const chunks = [];
+      let contentOffset = 0;
+      for (const { chunkId, chunk, embeddingSlot } of snapshot) {
+        const content = Buffer.from(await this.readChunkContent(chunk), 'utf8');
+        const { content: _text, ...offsets } = chunk;
+        
+        contents.push(content);
+        chunks.push({ ...offsets, chunkId, contentOffset, contentLength: content.length, embeddingSlot });
+        contentOffset += content.length;
+      }
+      
+      const generation = this.generation + 1;
+      const generationPath = path.join(this.vectorStorePath, `generation-${generation}`);
+      await fs.rm(generationPath, { recursive: true, force: true });
+      await fs.mkdir(generationPath, { recursive: true });
+      
+      await fs.writeFile(path.join(generationPath, this.contentFileName), Buffer.concat(contents));
+      await fs.writeFile(path.join(generationPath, this.embeddingsFileName), Buffer.concat(embeddings.map(embedding => Buffer.from(embedding.buffer, embedding.byteOffset, embedding.byteLength))));
+      if (ann) {
+        await fs.writeFile(path.join(generationPath, this.annFileName), ann);
+      }
+      await writeIndexFile(path.join(generationPath, this.indexFileName), {
+        terms,
+        metadata: {
+          tokenizer: this.tokenizer.signature(),
+          savedAt: new Date().toISOString(),
+          documents,
+          embeddings: {
+            provider: this.embeddingProvider.signature(),
+            dimension: this.embeddingProvider.dimension
+          },
+          chunks: chunks
+        },
+        postings: postings
+      });
+      await fs.writeFile(path.join(generationPath, this.vocabularyFileName), JSON.stringify({ vocabulary }), 'utf8');
       
-      await fs.writeFile(vocabPath, JSON.stringify({
-        vocabulary: Object.fromEntries(this.vocabulary),
-        idf: Object.fromEntries(this.idf)
-      }), 'utf8');
+      // The switch: a single rename
+      const manifestPath = path.join(this.vectorStorePath, this.manifestFileName);
+      await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify({ generation, savedAt: new Date().toISOString() }), 'utf8');
+      await fs.rename(`${manifestPath}.tmp`, manifestPath);
+      this.generation = generation;
+      this.generationPath = generationPath;
       
-      console.log('💾 Vector index saved to disk');
+      // Chunk text now lives in the content store; keep only offsets in memory.
+      // Chunks replaced while saving are new objects and keep their text until the next save.
+      await this.openContentStore(() => {
+        snapshot.forEach(({ chunkId, chunk }, i) => {
+          if (this.chunkIndex.get(chunkId) !== chunk) return;
+          delete chunk.content;
+          chunk.contentOffset = chunks[i].contentOffset;
+          chunk.contentLength = chunks[i].contentLength;
+          chunk.embeddingSlot = chunks[i].embeddingSlot;
+        });
+      });
+      await this.removeStaleGenerations();
+      
+      console.log(`💾 Vector index saved to disk (generation ${generation})`);
     } catch (error) {
       console.warn('⚠️ Failed to save vector index:', error.message);
     }
   }
 
   /**
-   * Load vector index from disk
+   * Delete superseded generation directories and index files from before generations were used
+   */
+  async removeStaleGenerations() {
+    const current = path.basename(this.generationPath);
+    const flatFiles = [this.indexFileName, this.contentFileName, this.embeddingsFileName, this.annFileName];
+    
+    for (const entry of await fs.readdir(this.vectorStorePath, { withFileTypes: true })) {
+      const stale = entry.isDirectory()
+        ? /^generation-\d+$/.test(entry.name) && entry.name !== current
+        : flatFiles.includes(entry.name);
+      if (stale) {
+        await fs.rm(path.join(this.vectorStorePath, entry.name), { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * (Re)open the current generation's content store for positional reads.
+   * Node has no portable mmap, so chunk text is read on demand instead of being held in memory.
+   * `onSwitch` runs synchronously with the handle swap, so no read pairs new offsets with the old file.
+   */
+  async openContentStore(onSwitch = () => {}) {
+    const previous = this.contentHandle;
+    const handle = await fs.open(path.join(this.generationPath, this.contentFileName), 'r');
+    
+    this.contentHandle = handle;
+    onSwitch();
+    
+    if (previous) {
+      await previous.close();
+    }
+  }
+
+  /**
+   * Generation named by the manifest, or null for indexes saved before generations were used
+   */
+  async readManifest() {
+    const manifestPath = path.join(this.vectorStorePath, this.manifestFileName);
+    const manifest = await fs.readFile(manifestPath, 'utf8').then(JSON.parse).catch(() => null);
+    return Number.isInteger(manifest?.generation) ? manifest : null;
+  }
+
+  /**
+   * Load vector index from disk, migrating the older JSON formats when no binary index exists
    */
   async loadVectorIndex() {
     try {
-      const indexPath = path.join(this.vectorStorePath, 'local-vector-index.json');
-      const vocabPath = path.join(this.vectorStorePath, 'vocabulary.json');
+      const manifest = await this.readManifest();
+      this.generation = manifest ? manifest.generation : 0;
+      this.generationPath = manifest
+        ? path.join(this.vectorStorePath, `generation-${manifest.generation}`)
+        : this.vectorStorePath;
+      const indexPath = path.join(this.generationPath, this.indexFileName);
       
       if (await fs.access(indexPath).then(() => true).catch(() => false)) {
-        const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
-        this.vectorIndex = new Map(Object.entries(indexData.vectors || {}));
-        this.documentIndex = new Map(Object.entries(indexData.documents || {}));
-        console.log('📁 Loaded existing vector index from disk');
-      }
-      
-      if (await fs.access(vocabPath).then(() => true).catch(() => false)) {
-        const vocabData = JSON.parse(await fs.readFile(vocabPath, 'utf8'));
-        this.vocabulary = new Map(Object.entries(vocabData.vocabulary || {}));
-        this.idf = new Map(Object.entries(vocabData.idf || {}));
-        console.log('📚 Loaded vocabulary from disk');
+        await this.loadBinaryIndex(indexPath);
       } else {
-        console.log('📁 No existing vector index found, starting fresh');
+        await this.loadJsonIndex();
       }
       
     } catch (error) {
@@ -333,17 +993,138 @@ class LocalVectorDatabaseService {
     }
   }
 
+  /**
+   * Load the binary index; chunk text stays on disk until it is needed
+   */
+  async loadBinaryIndex(indexPath) {
+    const vocabPath = path.join(this.generationPath, this.vocabularyFileName);
+    const index = await readIndexFile(indexPath);
+    const vocabData = JSON.parse(await fs.readFile(vocabPath, 'utf8'));
+    
+    this.vocabulary = new Map(Object.entries(vocabData.vocabulary || {}));
+    this.terms = [];
+    for (const [word, termId] of this.vocabulary) {
+      this.terms[termId] = word;
+    }
+    
+    this.documentIndex = new Map(Object.entries(index.metadata.documents || {}));
+    this.chunkIndex = new Map(index.metadata.chunks.map(({ chunkId, postingsCount, ...chunk }) => [chunkId, chunk]));
+    this.resetStatistics();
+    await this.openContentStore();
+    await this.loadChunkEmbeddings(index.metadata);
+    await this.loadAnnIndex();
+    
+    // Postings are only trusted when they were written against this exact vocabulary and tokenizer
+    const vocabularyMatches = hashVocabulary(this.terms).equals(index.vocabularyHash);
+    if (!vocabularyMatches || index.metadata.tokenizer !== this.tokenizer.signature()) {
+      console.log('🔤 Vocabulary or tokenizer changed since the index was saved, rebuilding vectors');
+      await this.buildVectors();
+      return;
+    }
+    
+    index.metadata.chunks.forEach((chunk, i) => {
+      const counts = new Map(index.postings[i].map(([termId, weight]) => [this.terms[termId], weight]));
+      this.indexChunkTerms(chunk.chunkId, counts);
+    });
+    this.touchStatistics();
+    
+    console.log('📁 Loaded binary vector index from disk');
+  }
+
+  /**
+   * Load saved dense embeddings, unless they came from a different embedding provider
+   */
+  async loadChunkEmbeddings(metadata) {
+    this.chunkEmbeddings = new Map();
+    
+    const saved = metadata.embeddings;
+    if (!saved || saved.provider !== this.embeddingProvider.signature()) {
+      return;
+    }
+    
+    const buffer = await fs.readFile(path.join(this.generationPath, this.embeddingsFileName)).catch(() => null);
+    if (!buffer) return;
+    
+    const vectorBytes = saved.dimension * Float32Array.BYTES_PER_ELEMENT;
+    for (const chunk of metadata.chunks) {
+      if (chunk.embeddingSlot >= 0 && (chunk.embeddingSlot + 1) * vectorBytes <= buffer.length) {
+        const bytes = buffer.subarray(chunk.embeddingSlot * vectorBytes, (chunk.embeddingSlot + 1) * vectorBytes);
+        this.chunkEmbeddings.set(chunk.chunkId, new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)));
+      }
+    }
+  }
+
+  /**
+   * Load the saved HNSW graph; it is dropped (and rebuilt on demand) unless it covers exactly the loaded embeddings
+   */
+  async loadAnnIndex() {
+    const annIndex = await HnswIndex.load(
+      path.join(this.generationPath, this.annFileName),
+      chunkId => this.chunkEmbeddings.get(chunkId),
+      this.annConfig
+    );
+    
+    this.annIndex = annIndex && annIndex.size === this.chunkEmbeddings.size ? annIndex : null;
+  }
+
+  /**
+   * Load an index saved in one of the older JSON formats and convert it to the binary format
+   */
+  async loadJsonIndex() {
+    const indexPath = path.join(this.vectorStorePath, 'local-vector-index.json');
+    
+    if (!(await fs.access(indexPath).then(() => true).catch(() => false))) {
+      console.log('📁 No existing vector index found, starting fresh');
+      return;
+    }
+    
+    const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+    
+    if (indexData.chunks) {
+      // Chunk-level JSON index: keep the chunks, re-tokenize them
+      this.chunkIndex = new Map(Object.entries(indexData.chunks));
+      this.documentIndex = new Map(Object.entries(indexData.documents || {}));
+      for (const doc of this.documentIndex.values()) {
+        delete doc.fullContent;
+      }
+      console.log('📁 Migrating JSON vector index to the binary format');
+      await this.buildVectors();
+    } else {
+      // Older indexes stored one vector per document; re-chunk them
+      console.log('📁 Migrating document-level vector index to chunks');
+      for (const [docId, doc] of Object.entries(indexData.documents || {})) {
+        await this.addDocument({
+          title: doc.title,
+          content: doc.fullContent || doc.content || '',
+          metadata: { ...doc.metadata, documentId: docId }
+        }, { persist: false });
+      }
+      await this.saveVectorIndex();
+    }
+  }
+
   /**
    * Get statistics
    */
   getStats() {
+    let totalPostings = 0;
+    for (const counts of this.termFrequencies.values()) {
+      totalPostings += counts.size;
+    }
+    
     return {
       totalVectors: this.vectorIndex.size,
+      totalChunks: this.chunkIndex.size,
       totalDocuments: this.documentIndex.size,
-      vocabularySize: this.vocabulary.size,
-      indexSize: Math.round((JSON.stringify(Object.fromEntries(this.vectorIndex)).length) / 1024)
+      vocabularySize: this.documentFrequency.size,
+      totalPostings: totalPostings,
+      statsVersion: this.statsVersion,
+      indexFormat: 'binary',
+      embeddingProvider: this.embeddingProvider.signature(),
+      embeddedChunks: this.chunkEmbeddings.size,
+      annIndexSize: this.annIndex ? this.annIndex.size : 0
     };
   }
 }
 
-module.exports = LocalVectorDatabaseService;
\ No newline at end of file
+module.exports = LocalVectorDatabaseService;
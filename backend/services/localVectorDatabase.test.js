@@ -0,0 +1,376 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LocalVectorDatabaseService = require('./localVectorDatabase');
+const { hashVocabulary, writeIndexFile, readIndexFile } = require('./vectorIndexFile');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('splitIntoChunks', () => {
+  const index = new LocalVectorDatabaseService();
+  index.chunkSize = 100;
+  index.chunkOverlap = 20;
+
+  const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+  function expectOffsets(text, chunks) {
+    for (const chunk of chunks) {
+      expect(text.slice(chunk.startIndex, chunk.endIndex)).toBe(chunk.content);
+    }
+  }
+
+  test('returns no chunks for empty or blank text', () => {
+    expect(index.splitIntoChunks('')).toEqual([]);
+    expect(index.splitIntoChunks(' \n\t ')).toEqual([]);
+  });
+
+  test('keeps short text in one chunk without the surrounding whitespace', () => {
+    expect(index.splitIntoChunks('  Hostel fees are Rs. 80,000.  ')).toEqual([
+      { content: 'Hostel fees are Rs. 80,000.', startIndex: 2, endIndex: 29 }
+    ]);
+  });
+
+  test('splits a sentence longer than the chunk size at word boundaries', () => {
+    const text = words(60);
+    const chunks = index.splitIntoChunks(text);
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expectOffsets(text, chunks);
+    for (const chunk of chunks) {
+      expect(chunk.content.length).toBeLessThanOrEqual(index.chunkSize);
+      expect(chunk.endIndex === text.length || text[chunk.endIndex] === ' ').toBe(true);
+      expect(chunk.startIndex === 0 || text[chunk.startIndex - 1] === ' ').toBe(true);
+    }
+    expect(new Set(chunks.flatMap(chunk => chunk.content.split(' ')))).toEqual(new Set(text.split(' ')));
+  });
+
+  test('cuts a word longer than the chunk size at the chunk size', () => {
+    const text = 'x'.repeat(250);
+
+    expect(index.splitIntoChunks(text).map(chunk => [chunk.startIndex, chunk.endIndex]))
+      .toEqual([[0, 100], [100, 200], [200, 250]]);
+  });
+
+  test('overlaps consecutive chunks by at most the overlap, starting on a word', () => {
+    const text = words(80);
+    const chunks = index.splitIntoChunks(text);
+
+    for (let i = 1; i < chunks.length; i++) {
+      const overlap = chunks[i - 1].endIndex - chunks[i].startIndex;
+      expect(overlap).toBeGreaterThan(0);
+      expect(overlap).toBeLessThanOrEqual(index.chunkOverlap);
+      expect(text[chunks[i].startIndex - 1]).toBe(' ');
+    }
+  });
+
+  test('prefers a sentence boundary in the second half of the window', () => {
+    const text = `${'a'.repeat(60)}. ${'b'.repeat(30)} ${'c'.repeat(30)}`;
+    const [first] = index.splitIntoChunks(text);
+
+    expect(first.content).toBe(`${'a'.repeat(60)}.`);
+  });
+});
+
+describe('persistence', () => {
+  let storePath;
+  let services;
+
+  beforeEach(async () => {
+    storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'local-vectors-'));
+    services = [];
+  });
+
+  afterEach(async () => {
+    for (const service of services) {
+      await service.contentHandle?.close();
+    }
+    await fs.rm(storePath, { recursive: true, force: true });
+  });
+
+  function createService() {
+    const service = new LocalVectorDatabaseService();
+    service.vectorStorePath = storePath;
+    service.generationPath = storePath;
+    services.push(service);
+    return service;
+  }
+
+  async function indexed(documents) {
+    const service = createService();
+    for (const [documentId, content] of Object.entries(documents)) {
+      await service.addDocument({ title: documentId, content, metadata: { documentId } }, { persist: false });
+    }
+    return service;
+  }
+
+  async function loaded() {
+    const service = createService();
+    await service.loadVectorIndex();
+    return service;
+  }
+
+  async function ranking(service, query) {
+    const { results } = await service.similaritySearch(query, { threshold: 0 });
+    return results.map(result => [result.chunkId, result.content, result.similarity]);
+  }
+
+  const documents = {
+    fees: 'Hostel fees are Rs. 80,000 per year. Tuition fees are Rs. 1,20,000 per year.',
+    library: 'The library is open from 9 am to 8 pm on all working days.',
+    exams: 'छात्रावास शुल्क परीक्षा से पहले जमा करें।'
+  };
+
+  test('round-trips postings, metadata and the vocabulary hash through the binary file', async () => {
+    const filePath = path.join(storePath, 'index.bin');
+    const terms = ['hostel', 'fees', 'छात्रावास'];
+    await writeIndexFile(filePath, {
+      terms,
+      metadata: { tokenizer: 'test', chunks: [{ chunkId: 'a' }, { chunkId: 'b' }] },
+      postings: [[[0, 2], [1, 1]], [[2, 3]]]
+    });
+
+    const index = await readIndexFile(filePath);
+
+    expect(index.postings).toEqual([[[0, 2], [1, 1]], [[2, 3]]]);
+    expect(index.metadata.chunks.map(chunk => chunk.postingsCount)).toEqual([2, 1]);
+    expect(index.vocabularySize).toBe(3);
+    expect(index.vocabularyHash.equals(hashVocabulary(terms))).toBe(true);
+    expect(index.vocabularyHash.equals(hashVocabulary(['fees', 'hostel', 'छात्रावास']))).toBe(false);
+  });
+
+  test('rejects files that are not a vector index or have another format version', async () => {
+    const filePath = path.join(storePath, 'index.bin');
+    await fs.writeFile(filePath, Buffer.alloc(64));
+    await expect(readIndexFile(filePath)).rejects.toThrow('Not a local vector index file');
+
+    await writeIndexFile(filePath, { terms: [], metadata: { chunks: [] }, postings: [] });
+    const buffer = await fs.readFile(filePath);
+    buffer.writeUInt16LE(99, 4);
+    await fs.writeFile(filePath, buffer);
+    await expect(readIndexFile(filePath)).rejects.toThrow('Unsupported vector index format version 99');
+  });
+
+  test('reloads a saved index with the same statistics and rankings, reading chunk text on demand', async () => {
+    const saved = await indexed(documents);
+    await saved.saveVectorIndex();
+
+    const restored = await loaded();
+
+    expect(restored.documentFrequency).toEqual(saved.documentFrequency);
+    expect(restored.chunkLengths).toEqual(saved.chunkLengths);
+    expect([...restored.chunkIndex.values()].every(chunk => chunk.content === undefined)).toBe(true);
+    expect(await ranking(restored, 'hostel fees')).toEqual(await ranking(saved, 'hostel fees'));
+    expect(await ranking(restored, 'छात्रावास शुल्क')).toEqual(await ranking(saved, 'छात्रावास शुल्क'));
+  });
+
+  test('switches generations through current.json and deletes the superseded one', async () => {
+    const service = await indexed(documents);
+    await service.saveVectorIndex();
+    await service.removeDocument('library', { persist: false });
+    await service.saveVectorIndex();
+
+    expect(JSON.parse(await fs.readFile(path.join(storePath, 'current.json'), 'utf8')).generation).toBe(2);
+    expect((await fs.readdir(storePath)).sort()).toEqual(['current.json', 'generation-2']);
+  });
+
+  test('ignores a generation the manifest does not name, as left by an interrupted save', async () => {
+    const service = await indexed(documents);
+    await service.saveVectorIndex();
+    await fs.mkdir(path.join(storePath, 'generation-2'));
+    await fs.writeFile(path.join(storePath, 'generation-2', 'local-vector-index.bin'), 'partial');
+
+    const restored = await loaded();
+
+    expect(restored.generation).toBe(1);
+    expect(restored.documentIndex.size).toBe(3);
+  });
+
+  test('rebuilds the vectors when the vocabulary no longer matches the postings', async () => {
+    const saved = await indexed(documents);
+    await saved.saveVectorIndex();
+
+    const vocabularyPath = path.join(storePath, 'generation-1', 'vocabulary.json');
+    const { vocabulary } = JSON.parse(await fs.readFile(vocabularyPath, 'utf8'));
+    const [first, second] = Object.keys(vocabulary);
+    [vocabulary[first], vocabulary[second]] = [vocabulary[second], vocabulary[first]];
+    await fs.writeFile(vocabularyPath, JSON.stringify({ vocabulary }));
+
+    const restored = createService();
+    const rebuild = jest.spyOn(restored, 'buildVectors');
+    await restored.loadVectorIndex();
+
+    expect(rebuild).toHaveBeenCalled();
+    expect(restored.documentFrequency).toEqual(saved.documentFrequency);
+    expect(await ranking(restored, 'hostel fees')).toEqual(await ranking(saved, 'hostel fees'));
+  });
+
+  test('migrates a chunk-level JSON index to the binary format', async () => {
+    const source = await indexed(documents);
+    const chunks = Object.fromEntries(source.chunkIndex);
+    const jsonDocuments = Object.fromEntries([...source.documentIndex].map(([id, doc]) => [id, { ...doc, fullContent: documents[id] }]));
+    await fs.writeFile(path.join(storePath, 'local-vector-index.json'), JSON.stringify({ chunks, documents: jsonDocuments }));
+
+    const migrated = await loaded();
+
+    expect(migrated.documentFrequency).toEqual(source.documentFrequency);
+    expect(migrated.documentIndex.get('fees').fullContent).toBeUndefined();
+    expect(await fs.readdir(path.join(storePath, 'generation-1'))).toContain('local-vector-index.bin');
+    expect(await ranking(await loaded(), 'library timings')).toEqual(await ranking(source, 'library timings'));
+  });
+
+  test('re-chunks a document-level JSON index', async () => {
+    const jsonDocuments = Object.fromEntries(Object.entries(documents).map(([id, content]) => [id, {
+      title: id,
+      fullContent: content,
+      metadata: { source: 'website' }
+    }]));
+    await fs.writeFile(path.join(storePath, 'local-vector-index.json'), JSON.stringify({ documents: jsonDocuments }));
+
+    const migrated = await loaded();
+    const source = await indexed(documents);
+
+    expect(migrated.documentIndex.get('fees').metadata).toEqual({ source: 'website', documentId: 'fees' });
+    expect(migrated.documentFrequency).toEqual(source.documentFrequency);
+    expect((await loaded()).chunkIndex.size).toBe(source.chunkIndex.size);
+  });
+});
+
+describe('incremental updates', () => {
+  async function indexed(documents, idfTolerance = 0) {
+    const service = new LocalVectorDatabaseService();
+    service.idfTolerance = idfTolerance;
+    for (const [documentId, content] of Object.entries(documents)) {
+      await service.addDocument({ title: documentId, content, metadata: { documentId } }, { persist: false });
+    }
+    return service;
+  }
+
+  function statistics(service) {
+    return {
+      documentFrequency: service.documentFrequency,
+      chunkLengths: service.chunkLengths,
+      totalChunkLength: service.totalChunkLength,
+      averageChunkLength: service.averageChunkLength,
+      chunks: [...service.chunkIndex.keys()].sort()
+    };
+  }
+
+  // Vectors keyed by word, since term ids depend on the order words were first seen
+  function vectorByWord(service, chunkId) {
+    return new Map([...service.vectorIndex.get(chunkId)].map(([termId, weight]) => [service.terms[termId], weight]));
+  }
+
+  function expectSameVectors(service, fresh) {
+    service.refreshVectors();
+    fresh.refreshVectors();
+    for (const chunkId of fresh.chunkIndex.keys()) {
+      const expected = vectorByWord(fresh, chunkId);
+      const actual = vectorByWord(service, chunkId);
+      expect([...actual.keys()].sort()).toEqual([...expected.keys()].sort());
+      for (const [word, weight] of expected) {
+        expect(actual.get(word)).toBeCloseTo(weight, 10);
+      }
+    }
+  }
+
+  async function ranking(service, query) {
+    const { results } = await service.similaritySearch(query, { threshold: 0, topK: 20 });
+    return results.map(result => [result.chunkId, result.similarity]);
+  }
+
+  const documents = {
+    fees: 'Hostel fees are Rs. 80,000 per year including mess charges.',
+    library: 'The library is open from 9 am to 8 pm on all working days.',
+    exams: 'Semester exams start in May. Hall tickets are issued by the exam cell.'
+  };
+  const updatedFees = 'Hostel fees are Rs. 90,000 per year. Mess charges are paid separately to the hostel office.';
+
+  test('add, update and remove leave the same statistics, vectors and rankings as a fresh build', async () => {
+    const service = await indexed(documents);
+    await ranking(service, 'hostel fees'); // vectors built before the changes
+    await service.updateDocument({ title: 'fees', content: updatedFees, metadata: { documentId: 'fees' } }, { persist: false });
+    await service.removeDocument('exams', { persist: false });
+
+    const fresh = await indexed({ fees: updatedFees, library: documents.library });
+
+    expect(statistics(service)).toEqual(statistics(fresh));
+    expectSameVectors(service, fresh);
+    for (const query of ['hostel mess charges', 'library timings', 'exam hall tickets']) {
+      const actual = await ranking(service, query);
+      const expected = await ranking(fresh, query);
+      expect(actual.map(([chunkId]) => chunkId)).toEqual(expected.map(([chunkId]) => chunkId));
+      actual.forEach(([, similarity], i) => expect(similarity).toBeCloseTo(expected[i][1], 10));
+    }
+  });
+
+  test('keeps removed words in the vocabulary with their ids, but not in the statistics', async () => {
+    const service = await indexed(documents);
+    const ticketsId = service.vocabulary.get('tickets');
+
+    await service.removeDocument('exams', { persist: false });
+
+    expect(service.vocabulary.get('tickets')).toBe(ticketsId);
+    expect(service.documentFrequency.has('tickets')).toBe(false);
+    expect(service.generateTFIDFVector('hall tickets').size).toBe(0);
+
+    await service.addDocument({ title: 'exams', content: documents.exams, metadata: { documentId: 'exams' } }, { persist: false });
+    expect(service.vocabulary.get('tickets')).toBe(ticketsId);
+    expect(service.terms.length).toBe(service.vocabulary.size);
+  });
+
+  describe('IDF drift', () => {
+    // log(1 + N / df) moves 0.9% for "hostel" (df 10) from 50 to 51 chunks and 2.7% at 53;
+    // words found in a single chunk move 1.5% at 53
+    const corpus = {};
+    for (let i = 0; i < 10; i++) corpus[`hostel${i}`] = `hostel block${i}`;
+    for (let i = 0; i < 40; i++) corpus[`shelf${i}`] = `shelf${i} rack${i}`;
+
+    async function addFiller(service, i) {
+      await service.addDocument({ title: 'filler', content: `canteen menu${i}`, metadata: { documentId: `filler${i}` } }, { persist: false });
+    }
+
+    test('keeps vectors whose IDF moved less than the tolerance', async () => {
+      const service = await indexed(corpus, 0.02);
+      service.refreshVectors();
+      const before = service.vectorIndex.get('hostel0_chunk_0');
+
+      await addFiller(service, 0);
+
+      expect(service.refreshVectors()).toBe(1); // only the new chunk
+      expect(service.vectorIndex.get('hostel0_chunk_0')).toBe(before);
+    });
+
+    test('rebuilds the chunks of a term once its IDF drifts past the tolerance', async () => {
+      const service = await indexed(corpus, 0.02);
+      service.refreshVectors();
+      const shelfVector = service.vectorIndex.get('shelf0_chunk_0');
+
+      for (let i = 0; i < 3; i++) await addFiller(service, i);
+
+      expect(service.refreshVectors()).toBe(10 + 3);
+      expect(service.vectorIndex.get('shelf0_chunk_0')).toBe(shelfVector);
+      expect(service.vectorIdf.get('hostel')).toBeCloseTo(Math.log(1 + 53 / 10), 10);
+
+      const fresh = await indexed({ ...corpus, filler0: 'canteen menu0', filler1: 'canteen menu1', filler2: 'canteen menu2' });
+      fresh.refreshVectors();
+      for (const [word, weight] of vectorByWord(fresh, 'hostel0_chunk_0')) {
+        expect(vectorByWord(service, 'hostel0_chunk_0').get(word)).toBeCloseTo(weight, 10);
+      }
+    });
+
+    test('rebuilds every affected vector with a tolerance of 0', async () => {
+      const service = await indexed(corpus, 0);
+      service.refreshVectors();
+
+      await addFiller(service, 0);
+
+      expect(service.refreshVectors()).toBe(51);
+    });
+  });
+});
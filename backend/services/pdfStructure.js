@@ -0,0 +1,394 @@
+const pdf = require('pdf-parse');
+const { tableRowText } = require('./tableExtraction');
+
+/**
+ * PDF Structure
+ * Extracts a PDF as ordered blocks instead of one flattened string:
+ *   - text items are grouped into lines by baseline, and lines into paragraphs by spacing
+ *   - lines repeated in the top or bottom margin of most pages (running headers, footers,
+ *     page numbers) are dropped
+ *   - headings are short lines set larger than the body text, multi-level numbered lines
+ *     ("2.1 Fees") or all-caps lines; their level gives every block a section path
+ *   - consecutive lines split into aligned columns become a table, written as a header line
+ *     and one "Header: value; Header: value" line per row so each row reads on its own
+ * Every block keeps its page number. `chunkBlocks` turns blocks into document text plus chunks
+ * carrying { page, sectionPath }, which the local vector index and citations use.
+ */
+
+const MARGIN_BAND = 0.08; // top/bottom share of the page searched for headers and footers
+const REPEATED_SHARE = 0.6; // share of pages a margin line must repeat on to be dropped
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+const PAGE_NUMBER_PATTERN = /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i;
+
+/**
+ * Text items of every page, with position and font size
+ */
+async function readPages(buffer) {
+  const pages = [];
+
+  // pdf.js reads the underlying ArrayBuffer from offset 0, so small pooled Buffers need a copy
+  const data = await pdf(new Uint8Array(buffer), {
+    pagerender: async pageData => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+      const [, bottom, , top] = pageData.view || [0, 0, 0, 0];
+      pages.push({
+        number: (pageData.pageIndex ?? pages.length) + 1,
+        height: top - bottom,
+        bottom,
+        items: content.items
+          .filter(item => item.str && item.str.trim())
+          .map(item => ({
+            text: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width,
+            size: Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10 || item.height || 0
+          }))
+      });
+      return '';
+    }
+  });
+
+  pages.sort((a, b) => a.number - b.number);
+  return { pages, info: data.info || {} };
+}
+
+/**
+ * Group a page's items into lines (top to bottom); items on a line far apart become separate cells
+ */
+function groupLines(page) {
+  const items = [...page.items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  for (const item of items) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(2, item.size * 0.3)) {
+      line.items.push(item);
+      line.size = Math.max(line.size, item.size);
+    } else {
+      lines.push({ y: item.y, size: item.size, items: [item], page: page.number });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    line.cells = [];
+    let cell = null;
+
+    for (const item of line.items) {
+      const gap = cell ? item.x - cell.end : 0;
+      if (cell && gap < line.size * 1.5) {
+        cell.text += gap > line.size * 0.15 && !/\s$/.test(cell.text) && !/^\s/.test(item.text) ? ` ${item.text}` : item.text;
+        cell.end = Math.max(cell.end, item.x + item.width);
+      } else {
+        cell = { text: item.text, x: item.x, end: item.x + item.width };
+        line.cells.push(cell);
+      }
+    }
+
+    line.cells.forEach(c => { c.text = c.text.replace(/\s+/g, ' ').trim(); });
+    line.cells = line.cells.filter(c => c.text);
+    line.text = line.cells.map(c => c.text).join(' ');
+    line.x = line.cells.length > 0 ? line.cells[0].x : 0;
+  }
+
+  return lines.filter(line => line.text);
+}
+
+function marginKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+function inMargin(line, page) {
+  const position = (line.y - page.bottom) / (page.height || 1);
+  return position > 1 - MARGIN_BAND || position < MARGIN_BAND;
+}
+
+/**
+ * Drop running headers, footers and page numbers from the page margins
+ * @returns {Number} lines removed
+ */
+function stripHeadersAndFooters(pages) {
+  const pagesWithKey = new Map();
+
+  for (const page of pages) {
+    const keys = new Set(page.lines.filter(line => inMargin(line, page)).map(line => marginKey(line.text)));
+    for (const key of keys) {
+      pagesWithKey.set(key, (pagesWithKey.get(key) || 0) + 1);
+    }
+  }
+
+  const minPages = Math.max(2, Math.ceil(pages.length * REPEATED_SHARE));
+  let removed = 0;
+
+  for (const page of pages) {
+    const kept = page.lines.filter(line => {
+      if (!inMargin(line, page)) return true;
+      const repeated = pages.length >= 2 && pagesWithKey.get(marginKey(line.text)) >= minPages;
+      return !(repeated || PAGE_NUMBER_PATTERN.test(line.text));
+    });
+    removed += page.lines.length - kept.length;
+    page.lines = kept;
+  }
+
+  return removed;
+}
+
+/**
+ * Font size of most body text, weighted by text length
+ */
+function bodyFontSize(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    weights.set(line.size, (weights.get(line.size) || 0) + line.text.length);
+  }
+  let best = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) {
+      best = size;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+/**
+ * Heading level of a line, or 0 for body text; `sizeLevels` are heading font sizes, largest first
+ */
+function headingLevel(line, bodySize, sizeLevels) {
+  if (line.cells.length !== 1 || line.text.length > MAX_HEADING_LENGTH || /[.,;]$/.test(line.text)) {
+    return 0;
+  }
+
+  const numbered = line.text.match(/^(\d+(?:\.\d+)+)\.?\s+\p{Lu}/u);
+  if (numbered) {
+    return numbered[1].split('.').length;
+  }
+  if (line.size >= bodySize * HEADING_SIZE_RATIO) {
+    return sizeLevels.indexOf(line.size) + 1;
+  }
+  if (line.text.length <= 60 && /\p{Lu}{3}/u.test(line.text) && !/\p{Ll}/u.test(line.text)) {
+    return sizeLevels.length + 1;
+  }
+  return 0;
+}
+
+function joinLines(text, next) {
+  if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(next)) {
+    return text.slice(0, -1) + next;
+  }
+  return `${text} ${next}`;
+}
+
+/**
+ * Columns of a run of table lines: cell start positions of the widest row, each other cell
+ * going to the nearest column
+ */
+function buildTable(lines, continuedHeaders = null) {
+  const anchors = lines.reduce((widest, line) => (line.cells.length > widest.length ? line.cells : widest), [])
+    .map(cell => cell.x);
+  const nearest = x => anchors.reduce((best, anchor, i) => (Math.abs(anchor - x) < Math.abs(anchors[best] - x) ? i : best), 0);
+
+  const rows = [];
+  for (const line of lines) {
+    // A single cell away from the first column continues a wrapped cell of the row above
+    if (line.cells.length === 1 && rows.length > 0 && nearest(line.x) > 0) {
+      const row = rows[rows.length - 1];
+      const column = nearest(line.x);
+      row[column] = row[column] ? `${row[column]} ${line.text}` : line.text;
+      continue;
+    }
+
+    const row = anchors.map(() => '');
+    for (const cell of line.cells) {
+      const column = nearest(cell.x);
+      row[column] = row[column] ? `${row[column]} ${cell.text}` : cell.text;
+    }
+    rows.push(row);
+  }
+
+  // A table continued from the previous page keeps its headers; a repeated header row is dropped
+  if (continuedHeaders && continuedHeaders.length === anchors.length) {
+    const repeated = rows.length > 0 && rows[0].every((value, i) => value === continuedHeaders[i]);
+    return { headers: continuedHeaders, rows: repeated ? rows.slice(1) : rows, continued: true };
+  }
+
+  const [headers, ...body] = rows;
+  return { headers, rows: body };
+}
+
+/**
+ * Extract a PDF as blocks
+ * @returns {Object} { title, pages, blocks: [{ type, page, sectionPath, text | headers+rows, level?, continued? }], removedLines }
+ */
+async function extractPdfStructure(buffer) {
+  const { pages, info } = await readPages(buffer);
+  pages.forEach(page => { page.lines = groupLines(page); });
+
+  const removedLines = stripHeadersAndFooters(pages);
+  const lines = pages.flatMap(page => page.lines);
+  const bodySize = bodyFontSize(lines);
+  const sizeLevels = [...new Set(lines
+    .filter(line => line.size >= bodySize * HEADING_SIZE_RATIO && line.cells.length === 1 && line.text.length <= MAX_HEADING_LENGTH)
+    .map(line => line.size))]
+    .sort((a, b) => b - a);
+
+  const blocks = [];
+  const sections = []; // open headings: { level, text }
+  let paragraph = null;
+  let tableLines = [];
+  let previous = null;
+
+  const sectionPath = () => sections.map(section => section.text);
+
+  const flushParagraph = () => {
+    if (paragraph) blocks.push(paragraph);
+    paragraph = null;
+  };
+
+  const flushTable = () => {
+    const last = blocks[blocks.length - 1];
+    const continued = last && last.type === 'table' && last.page < tableLines[0]?.page ? last.headers : null;
+
+    if (tableLines.length >= 2 || (continued && tableLines.length === 1)) {
+      blocks.push({ type: 'table', page: tableLines[0].page, sectionPath: sectionPath(), ...buildTable(tableLines, continued) });
+    } else if (tableLines.length === 1) {
+      // A lone line with spaced-out parts is ordinary text
+      blocks.push({ type: 'paragraph', page: tableLines[0].page, sectionPath: sectionPath(), text: tableLines[0].text });
+    }
+    tableLines = [];
+  };
+
+  for (const line of lines) {
+    const samePage = previous && previous.page === line.page;
+    const gap = samePage ? previous.y - line.y : Infinity;
+    const level = headingLevel(line, bodySize, sizeLevels);
+
+    const continuesTable = tableLines.length > 0 && samePage && line.cells.length === 1 &&
+      gap < line.size * 2.5 && line.x > tableLines[0].x + line.size;
+
+    if (line.cells.length >= 2 || continuesTable) {
+      flushParagraph();
+      if (tableLines.length > 0 && !samePage) flushTable();
+      tableLines.push(line);
+    } else if (level > 0) {
+      flushTable();
+      flushParagraph();
+      while (sections.length > 0 && sections[sections.length - 1].level >= level) {
+        sections.pop();
+      }
+      sections.push({ level, text: line.text });
+      blocks.push({ type: 'heading', page: line.page, sectionPath: sectionPath(), text: line.text, level });
+    } else {
+      flushTable();
+      if (paragraph && samePage && gap <= line.size * 1.8) {
+        paragraph.text = joinLines(paragraph.text, line.text);
+      } else {
+        flushParagraph();
+        paragraph = { type: 'paragraph', page: line.page, sectionPath: sectionPath(), text: line.text };
+      }
+    }
+
+    previous = line;
+  }
+  flushTable();
+  flushParagraph();
+
+  // Generators often leave placeholders such as "(anonymous)" or "untitled" in the info dictionary
+  const infoTitle = (info.Title || '').trim();
+  const firstHeading = blocks.find(block => block.type === 'heading');
+  return {
+    title: (infoTitle && !/^\(?(anonymous|untitled)\)?$/i.test(infoTitle) ? infoTitle : null) ||
+      (firstHeading ? firstHeading.text : null),
+    pages: pages.length,
+    blocks,
+    removedLines
+  };
+}
+
+/**
+ * Lines a block is written as; table rows are separate lines so chunks can break between them
+ */
+function blockLines(block) {
+  if (block.type === 'table') {
+    const rows = block.rows.map(row => tableRowText(block.headers, row));
+    return block.continued ? rows : [block.headers.filter(Boolean).join(' | '), ...rows];
+  }
+  return [block.text];
+}
+
+/**
+ * Plain text of blocks: blank lines between blocks, table rows on their own lines
+ */
+function blocksToText(blocks) {
+  return blocks.map(block => blockLines(block).join('\n')).join('\n\n');
+}
+
+/**
+ * Ranges of at most maxLength characters within text, ending at sentence or word boundaries
+ */
+function splitRange(text, start, end, maxLength) {
+  const ranges = [];
+  while (end - start > maxLength) {
+    const window = text.slice(start, start + maxLength);
+    const sentenceBreak = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('। '));
+    const wordBreak = window.lastIndexOf(' ');
+    const cut = sentenceBreak > maxLength / 2 ? sentenceBreak + 1 : wordBreak > 0 ? wordBreak : maxLength;
+    ranges.push([start, start + cut]);
+    start += cut;
+    while (start < end && /\s/.test(text[start])) start++;
+  }
+  if (end > start) ranges.push([start, end]);
+  return ranges;
+}
+
+/**
+ * Document text and chunks for blocks. Chunks never span sections or pages, start at block or
+ * table row boundaries and are at most chunkSize characters; offsets index into the returned text.
+ * @returns {Object} { text, chunks: [{ content, startIndex, endIndex, page, sectionPath }] }
+ */
+function chunkBlocks(blocks, options = {}) {
+  const chunkSize = options.chunkSize || 800;
+  const units = [];
+  let text = '';
+
+  blocks.forEach((block, b) => {
+    if (b > 0) text += '\n\n';
+    const section = block.sectionPath.join('\u0000');
+
+    blockLines(block).forEach((line, l) => {
+      if (l > 0) text += '\n';
+      const start = text.length;
+      text += line;
+      for (const [from, to] of splitRange(text, start, text.length, chunkSize)) {
+        units.push({ start: from, end: to, page: block.page, sectionPath: block.sectionPath, section });
+      }
+    });
+  });
+
+  const chunks = [];
+  let current = null;
+
+  for (const unit of units) {
+    if (current && current.section === unit.section && current.page === unit.page &&
+      unit.end - current.startIndex <= chunkSize) {
+      current.endIndex = unit.end;
+      continue;
+    }
+    current = { startIndex: unit.start, endIndex: unit.end, page: unit.page, sectionPath: unit.sectionPath, section: unit.section };
+    chunks.push(current);
+  }
+
+  return {
+    text,
+    chunks: chunks.map(({ section, ...chunk }) => ({ content: text.slice(chunk.startIndex, chunk.endIndex), ...chunk }))
+  };
+}
+
+module.exports = {
+  extractPdfStructure,
+  blocksToText,
+  chunkBlocks
+};
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Query Rewriter
+ * Query-understanding step before retrieval: expands college shorthand ("FE", "ATKT",
+ * "CGPA", ...) from an editable synonym dictionary and produces a few paraphrased
+ * sub-queries whose retrieval results are fused by RAGService.
+ *
+ * Dictionary (data/synonyms.json, reloaded whenever the file changes):
+ *   abbreviations  { "ATKT": ["allowed to keep terms", "backlog"], ... }
+ *   caseSensitive  abbreviations that only match when typed in capitals (e.g. "BE")
+ *   synonyms       { "fees": ["fee structure", "tuition"], ... }
+ */
+
+const DEFAULT_DICTIONARY_PATH = path.join(__dirname, '..', 'data', 'synonyms.json');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class QueryRewriter {
+  constructor(options = {}) {
+    this.dictionaryPath = options.dictionaryPath || process.env.SYNONYMS_PATH || DEFAULT_DICTIONARY_PATH;
+    this.maxQueries = options.maxQueries || 4;
+    this.paraphraseModel = options.paraphraseModel || 'none'; // 'none' or 'llm'
+    this.chatModel = options.chatModel || null; // ChatModelProvider, used by the 'llm' paraphrase model
+
+    this.dictionary = { abbreviations: {}, caseSensitive: [], synonyms: {} };
+    this.dictionaryMtime = null;
+  }
+
+  /**
+   * Read the dictionary from disk
+   */
+  static readDictionary(dictionaryPath = DEFAULT_DICTIONARY_PATH) {
+    const data = JSON.parse(fs.readFileSync(dictionaryPath, 'utf8'));
+    return {
+      abbreviations: data.abbreviations || {},
+      caseSensitive: data.caseSensitive || [],
+      synonyms: data.synonyms || {}
+    };
+  }
+
+  /**
+   * Validate and write the dictionary (used by the admin API)
+   */
+  static writeDictionary(dictionary, dictionaryPath = DEFAULT_DICTIONARY_PATH) {
+    for (const section of ['abbreviations', 'synonyms']) {
+      const entries = dictionary[section] || {};
+      if (typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error(`${section} must be an object of term lists`);
+      }
+      for (const [term, expansions] of Object.entries(entries)) {
+        if (!Array.isArray(expansions) || expansions.length === 0 ||
+          expansions.some(expansion => typeof expansion !== 'string' || !expansion.trim())) {
+          throw new Error(`${section}.${term} must be a non-empty list of non-empty strings`);
+        }
+      }
+    }
+
+    const caseSensitive = dictionary.caseSensitive || [];
+    if (!Array.isArray(caseSensitive) || caseSensitive.some(term => typeof term !== 'string' || !term.trim())) {
+      throw new Error('caseSensitive must be a list of non-empty strings');
+    }
+
+    const normalized = {
+      abbreviations: dictionary.abbreviations || {},
+      caseSensitive,
+      synonyms: dictionary.synonyms || {}
+    };
+    fs.writeFileSync(dictionaryPath, JSON.stringify(normalized, null, 2) + '\n', 'utf8');
+    return normalized;
+  }
+
+  /**
+   * Reload the dictionary when the file changed since the last read
+   */
+  loadDictionary() {
+    try {
+      const mtime = fs.statSync(this.dictionaryPath).mtimeMs;
+      if (mtime !== this.dictionaryMtime) {
+        this.dictionary = QueryRewriter.readDictionary(this.dictionaryPath);
+        this.dictionaryMtime = mtime;
+        this.patterns = null;
+      }
+    } catch (error) {
+      if (this.dictionaryMtime !== -1) {
+        console.warn(`⚠️ Could not load synonym dictionary ${this.dictionaryPath}:`, error.message);
+        this.dictionaryMtime = -1;
+      }
+    }
+    return this.dictionary;
+  }
+
+  /**
+   * Compiled whole-word patterns for every dictionary entry
+   */
+  getPatterns() {
+    this.loadDictionary();
+
+    if (!this.patterns) {
+      const caseSensitive = new Set(this.dictionary.caseSensitive);
+      // Hand-edited files may hold empty lists, which have nothing to expand to
+      const compile = (entries, sensitive) => Object.entries(entries)
+        .filter(([, expansions]) => Array.isArray(expansions) && expansions.length > 0)
+        .map(([term, expansions]) => ({
+          term,
+          expansions,
+          pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}(?=$|[^\\p{L}\\p{N}])`, sensitive(term) ? 'gu' : 'giu')
+        }));
+
+      this.patterns = {
+        abbreviations: compile(this.dictionary.abbreviations, term => caseSensitive.has(term)),
+        synonyms: compile(this.dictionary.synonyms, () => false)
+      };
+    }
+
+    return this.patterns;
+  }
+
+  /**
+   * Dictionary entries that occur in the question
+   */
+  findMatches(question) {
+    const { abbreviations, synonyms } = this.getPatterns();
+    const matches = entries => entries.filter(entry => {
+      entry.pattern.lastIndex = 0;
+      return entry.pattern.test(question);
+    });
+
+    return {
+      abbreviations: matches(abbreviations),
+      synonyms: matches(synonyms)
+    };
+  }
+
+  /**
+   * Replace every match of an entry with the given text
+   */
+  substitute(text, entry, replacement) {
+    entry.pattern.lastIndex = 0;
+    return text.replace(entry.pattern, (match, prefix) => `${prefix}${replacement}`);
+  }
+
+  /**
+   * Rewrite a question into retrieval sub-queries
+   * @returns {Object} { original, expanded, queries, expansions }
+   */
+  async rewrite(question) {
+    const matches = this.findMatches(question);
+
+    // Expanded query: keep the shorthand and append its meaning, so both forms can match
+    let expanded = question;
+    for (const entry of matches.abbreviations) {
+      expanded = this.substitute(expanded, entry, `${entry.term} (${entry.expansions[0]})`);
+    }
+
+    const queries = [question];
+    const addQuery = query => {
+      const trimmed = query.replace(/\s+/g, ' ').trim();
+      if (trimmed && !queries.includes(trimmed)) {
+        queries.push(trimmed);
+      }
+    };
+
+    addQuery(expanded);
+
+    // Paraphrase: shorthand fully spelled out with its alternative meaning
+    if (matches.abbreviations.some(entry => entry.expansions.length > 1)) {
+      let spelledOut = question;
+      for (const entry of matches.abbreviations) {
+        spelledOut = this.substitute(spelledOut, entry, entry.expansions[entry.expansions.length - 1]);
+      }
+      addQuery(spelledOut);
+    }
+
+    // Paraphrase: synonyms swapped in
+    if (matches.synonyms.length > 0) {
+      let paraphrase = expanded;
+      for (const entry of matches.synonyms) {
+        paraphrase = this.substitute(paraphrase, entry, entry.expansions[0]);
+      }
+      addQuery(paraphrase);
+    }
+
+    if (this.paraphraseModel === 'llm' && this.chatModel?.generative) {
+      for (const paraphrase of await this.llmParaphrases(expanded)) {
+        addQuery(paraphrase);
+      }
+    }
+
+    return {
+      original: question,
+      expanded: expanded.replace(/\s+/g, ' ').trim(),
+      queries: queries.slice(0, this.maxQueries),
+      expansions: matches.abbreviations.map(entry => ({ term: entry.term, expansions: entry.expansions }))
+    };
+  }
+
+  /**
+   * Ask the chat model for alternative phrasings; failures just mean no extra queries
+   */
+  async llmParaphrases(question, count = 2) {
+    try {
+      const reply = await this.chatModel.complete([
+        {
+          role: 'system',
+          content: `Rewrite a student's question about a college in ${count} different ways that keep its meaning. Reply with one rewrite per line and nothing else.`
+        },
+        { role: 'user', content: question }
+      ], { temperature: 0.3, maxTokens: 120 });
+
+      return reply
+        .split('\n')
+        .map(line => line.replace(/^\s*(\d+[.)]|[-*])\s*/, '').trim())
+        .filter(Boolean)
+        .slice(0, count);
+
+    } catch (error) {
+      console.warn('⚠️ Paraphrase generation failed:', error.message);
+      return [];
+    }
+  }
+}
+
+QueryRewriter.DEFAULT_DICTIONARY_PATH = DEFAULT_DICTIONARY_PATH;
+
+module.exports = QueryRewriter;
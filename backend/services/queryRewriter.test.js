@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QueryRewriter = require('./queryRewriter');
+
+let dictionaryPath;
+
+beforeEach(() => {
+  dictionaryPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'synonyms-')), 'synonyms.json');
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(dictionaryPath), { recursive: true, force: true });
+});
+
+const dictionary = {
+  abbreviations: { DSE: ['direct second year', 'lateral entry'], BE: ['final year engineering'] },
+  caseSensitive: ['BE'],
+  synonyms: { fees: ['fee structure'] }
+};
+
+describe('QueryRewriter.rewrite', () => {
+  test('expands shorthand and adds paraphrased sub-queries', async () => {
+    QueryRewriter.writeDictionary(dictionary, dictionaryPath);
+    const result = await new QueryRewriter({ dictionaryPath }).rewrite('DSE fees');
+
+    expect(result.expanded).toBe('DSE (direct second year) fees');
+    expect(result.queries).toEqual([
+      'DSE fees',
+      'DSE (direct second year) fees',
+      'lateral entry fees',
+      'DSE (direct second year) fee structure'
+    ]);
+  });
+
+  test('only expands case-sensitive shorthand typed in capitals', async () => {
+    QueryRewriter.writeDictionary(dictionary, dictionaryPath);
+    const rewriter = new QueryRewriter({ dictionaryPath });
+
+    expect((await rewriter.rewrite('can we be late')).expansions).toEqual([]);
+    expect((await rewriter.rewrite('BE results')).expanded).toBe('BE (final year engineering) results');
+  });
+
+  test('skips empty expansion lists in a hand-edited dictionary', async () => {
+    fs.writeFileSync(dictionaryPath, JSON.stringify({ abbreviations: { KT: [] } }));
+    const result = await new QueryRewriter({ dictionaryPath }).rewrite('KT exam');
+
+    expect(result.queries).toEqual(['KT exam']);
+  });
+});
+
+describe('QueryRewriter.writeDictionary', () => {
+  test.each([
+    [{ abbreviations: { KT: [] } }, 'abbreviations.KT must be a non-empty list of non-empty strings'],
+    [{ synonyms: { fees: ['fee structure', ' '] } }, 'synonyms.fees must be a non-empty list of non-empty strings'],
+    [{ synonyms: { fees: 'fee structure' } }, 'synonyms.fees must be a non-empty list of non-empty strings'],
+    [{ abbreviations: [['KT', 'keep term']] }, 'abbreviations must be an object of term lists'],
+    [{ caseSensitive: 'BE' }, 'caseSensitive must be a list of non-empty strings'],
+    [{ caseSensitive: ['BE', 42] }, 'caseSensitive must be a list of non-empty strings']
+  ])('rejects %j', (invalid, message) => {
+    expect(() => QueryRewriter.writeDictionary(invalid, dictionaryPath)).toThrow(message);
+    expect(fs.existsSync(dictionaryPath)).toBe(false);
+  });
+
+  test('writes a dictionary that reads back the same', () => {
+    QueryRewriter.writeDictionary(dictionary, dictionaryPath);
+
+    expect(QueryRewriter.readDictionary(dictionaryPath)).toEqual(dictionary);
+  });
+});
@@ -1,36 +1,148 @@
-const OpenAI = require('openai');
 const LocalVectorDatabaseService = require('./localVectorDatabase');
 const LanguageService = require('./language');
+const { mergeFilters, hasFilters } = require('./searchFilters');
+const Reranker = require('./reranker');
+const QueryRewriter = require('./queryRewriter');
+const { getChatModelProvider } = require('./chatModelProviders');
+const { extractRelevantContent, extractAnswer } = require('./answerExtraction');
+const GroundingVerifier = require('./groundingVerifier');
+const ConfidenceModel = require('./confidenceModel');
+const AnswerCache = require('./answerCache');
+const ContextAssembler = require('./contextAssembler');
+const TableLookup = require('./tableLookup');
 
 /**
  * RAG (Retrieval-Augmented Generation) Service
  * Handles question answering using retrieved context and LLM generation
+ * options: { cache } - false turns the answer cache off regardless of RAG_CACHE (evaluation runs)
  */
 class RAGService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+  constructor(options = {}) {
+    this.chatModel = getChatModelProvider();
     
-    this.vectorService = new LocalVectorDatabaseService();
+    this.vectorService = LocalVectorDatabaseService.getSharedInstance();
     this.languageService = new LanguageService();
     
     // RAG Configuration
     this.config = {
       maxRetrievedDocs: 5,
       similarityThreshold: 0.3,
-      maxContextLength: 3000,
       maxResponseLength: 500,
       temperature: 0.3,
-      model: 'gpt-3.5-turbo'
+      model: this.chatModel.signature(),
+      // Retrieval ranking: 'tfidf', 'bm25', 'dense' or 'hybrid' (reciprocal rank fusion of RAG_HYBRID_SCORERS)
+      // Only 'dense' uses the embeddings and their HNSW index; bm25 and tfidf scan every chunk
+      scorer: process.env.RAG_SCORER || 'hybrid',
+      scorerOptions: {
+        bm25: { k1: 1.2, b: 0.75 },
+        rrfK: 60,
+        scorers: (process.env.RAG_HYBRID_SCORERS || 'bm25,tfidf').split(',').map(name => name.trim())
+      },
+      // Second-stage re-ranking of a wider candidate pool; model: 'none', 'embedding' or 'llm'
+      rerank: {
+        enabled: process.env.RAG_RERANK !== 'false',
+        candidatePool: parseInt(process.env.RAG_RERANK_POOL) || 50,
+        model: process.env.RAG_RERANK_MODEL || 'none'
+      },
+      // Abbreviation expansion and paraphrased sub-queries; paraphraseModel: 'none' or 'llm'
+      queryRewrite: {
+        enabled: process.env.RAG_QUERY_REWRITE !== 'false',
+        maxQueries: parseInt(process.env.RAG_MAX_SUBQUERIES) || 4,
+        paraphraseModel: process.env.RAG_PARAPHRASE_MODEL || 'none'
+      },
+      // Conversation history: window sent to the LLM and used to condense follow-ups ('llm' or 'rules')
+      history: {
+        maxTurns: parseInt(process.env.RAG_HISTORY_TURNS) || 6,
+        maxChars: parseInt(process.env.RAG_HISTORY_CHARS) || 2000,
+        condenseModel: process.env.RAG_CONDENSE_MODEL || (this.chatModel.generative ? 'llm' : 'rules')
+      },
+      // Grounding check of generated answers; action for unsupported claims: 'flag' or 'remove'.
+      // Answers with a lower share of supported claims are downgraded.
+      verification: {
+        enabled: process.env.RAG_VERIFY !== 'false',
+        action: process.env.RAG_VERIFY_ACTION || 'flag',
+        entailmentThreshold: parseFloat(process.env.RAG_VERIFY_ENTAILMENT) || 0.6,
+        partialBelow: 0.8,
+        forwardBelow: 0.5
+      },
+      // Prompt context packing, in tokens of the chat model's tokenizer; the budget also
+      // shrinks so prompt, history and answer fit the model's context window
+      context: {
+        maxTokens: parseInt(process.env.RAG_CONTEXT_TOKENS) || 1500,
+        maxPassageTokens: parseInt(process.env.RAG_PASSAGE_TOKENS) || 350,
+        duplicateThreshold: 0.85
+      },
+      // Reuse answers to earlier questions with the same meaning, per answer language
+      cache: {
+        enabled: options.cache !== false && process.env.RAG_CACHE !== 'false',
+        similarityThreshold: parseFloat(process.env.RAG_CACHE_SIMILARITY) || 0.92,
+        ttlMinutes: parseInt(process.env.RAG_CACHE_TTL_MINUTES) || 60,
+        maxEntries: parseInt(process.env.RAG_CACHE_MAX_ENTRIES) || 500
+      },
+      // Exact cell lookups in the tables of retrieved documents (fees, timetables, intake)
+      tableLookup: {
+        enabled: process.env.RAG_TABLE_LOOKUP !== 'false'
+      }
     };
+    
+    this.reranker = new Reranker({
+      model: this.config.rerank.model,
+      chatModel: this.chatModel
+    });
+    
+    this.verifier = new GroundingVerifier({
+      entailmentThreshold: this.config.verification.entailmentThreshold
+    });
+    
+    this.contextAssembler = new ContextAssembler({
+      countTokens: text => this.chatModel.countTokens(text),
+      formatPassage: (passage, number) => this.formatContextPassage(passage, number),
+      maxPassageTokens: this.config.context.maxPassageTokens,
+      duplicateThreshold: this.config.context.duplicateThreshold
+    });
+    
+    this.tableLookup = new TableLookup({ vectorService: this.vectorService });
+    
+    this.queryRewriter = new QueryRewriter({
+      maxQueries: this.config.queryRewrite.maxQueries,
+      paraphraseModel: this.config.queryRewrite.paraphraseModel,
+      chatModel: this.chatModel
+    });
 
-    // Confidence thresholds for different actions
-    this.thresholds = {
-      highConfidence: 0.7,    // Answer directly
-      mediumConfidence: 0.4,  // Answer with disclaimer
-      lowConfidence: 0.3      // Forward to admin
-    };
+    // Question-specific metadata filters; if a rule's filters leave nothing, retrieval falls back to the base filters.
+    // Fee questions also reach pages with fee tables, which are not policy documents.
+    this.retrievalRules = [
+      {
+        name: 'fees',
+        pattern: /\b(fees?|tuition|refunds?|payments?|scholarships?)\b|शुल्क|फीस/i,
+        filters: { anyOf: [{ contentType: 'policy' }, { hasTables: true }] }
+      }
+    ];
+
+    // Signs that a question leans on earlier turns ("what about its fees?")
+    this.followUpPattern = /\b(it|its|it's|they|them|their|those|these|same|else|what about|how about)\b|\b(this|that|there)\s*[?.!]*$|^\s*(and|also)\b|उसका|उसकी|उसके|वह|वो|उनका|उनकी|त्याचा|त्याची|त्याचे|तिथे/i;
+
+    // Calibrated answer confidence and its thresholds:
+    // highConfidence answers directly, mediumConfidence answers with a disclaimer, below that forwards to admin
+    this.confidenceModel = new ConfidenceModel();
+    this.thresholds = { ...this.confidenceModel.thresholds };
+
+    // Cached answers are dropped when a document they were built from changes
+    this.answerCache = null;
+    if (this.config.cache.enabled) {
+      this.answerCache = new AnswerCache({
+        embeddingProvider: this.vectorService.embeddingProvider,
+        similarityThreshold: this.config.cache.similarityThreshold,
+        ttlMs: this.config.cache.ttlMinutes * 60 * 1000,
+        maxEntries: this.config.cache.maxEntries,
+        extraKeyTerms: () => Object.keys(this.queryRewriter.loadDictionary().abbreviations)
+      });
+      this.vectorService.on('documentChanged', ({ documentId, change }) => {
+        if (change !== 'added') {
+          this.answerCache.invalidateDocument(documentId);
+        }
+      });
+    }
   }
 
   /**
@@ -46,7 +158,9 @@ class RAGService {
   }
 
   /**
-   * Process a question and generate an answer
+   * Process a question and generate an answer.
+   * Pass `onEvent(event, data)` to receive the result progressively: a 'metadata' event once
+   * retrieval is done, then 'token' events with pieces of the answer as they are generated.
    */
   async processQuestion(question, options = {}) {
     try {
@@ -54,38 +168,79 @@ class RAGService {
         userId,
         language = 'english',
         platform = 'web',
-        conversationId
+        conversationId,
+        history = [],
+        onEvent = null
       } = options;
 
       console.log(`❓ Processing question: "${question.substring(0, 100)}..."`);
 
-      // Step 1: Detect and translate question if needed
-      const processedQuestion = await this.preprocessQuestion(question, language);
+      // Step 1: Turn a follow-up into a standalone question using the recent turns
+      const recentHistory = this.trimHistory(history);
+      const standaloneQuestion = await this.condenseQuestion(question, recentHistory);
 
-      // Step 2: Retrieve relevant context
-      const retrievalResult = await this.retrieveContext(processedQuestion.text, {
-        topK: this.config.maxRetrievedDocs,
-        threshold: this.config.similarityThreshold,
-        language: processedQuestion.detectedLanguage
-      });
+      // Step 1b: Reuse the answer to an earlier question with the same meaning
+      if (this.answerCache) {
+        const cached = await this.getCachedAnswer(question, standaloneQuestion, language, onEvent);
+        if (cached) return cached;
+      }
 
-      // Step 3: Determine response strategy based on confidence
-      const responseStrategy = this.determineResponseStrategy(retrievalResult);
+      // Steps 2-3: Detect and translate the question, then retrieve context for it
+      const { processedQuestion, retrievalResult } = await this.retrieve(standaloneQuestion, language);
+      processedQuestion.history = recentHistory;
+
+      // Step 4: Determine response strategy based on confidence, and pack the prompt context
+      let responseStrategy = this.determineResponseStrategy(retrievalResult, processedQuestion.text);
+      // A matching table row goes into the context ahead of the retrieved chunks
+      const tableMatch = this.lookupTable(processedQuestion, retrievalResult);
+      const context = this.assembleContext(
+        tableMatch ? [tableMatch.passage, ...retrievalResult.results] : retrievalResult.results,
+        processedQuestion
+      );
+      retrievalResult.contextPassages = context.passages;
+      retrievalResult.tableLookup = tableMatch && this.citeTableMatch(tableMatch, context.passages);
+      const sources = this.buildCitations(context.passages, processedQuestion.text);
+
+      if (onEvent) {
+        onEvent('metadata', {
+          standaloneQuestion: standaloneQuestion,
+          detectedLanguage: processedQuestion.detectedLanguage,
+          strategy: responseStrategy.action,
+          confidence: responseStrategy.confidence,
+          retrievedDocs: retrievalResult.totalResults,
+          sources: sources
+        });
+      }
 
-      // Step 4: Generate response based on strategy
+      // Step 5: Generate response based on strategy
       let response;
+      let verification = null;
       
       if (responseStrategy.action === 'answer') {
-        response = await this.generateAnswer(processedQuestion, retrievalResult, language);
+        const onToken = onEvent ? token => onEvent('token', { text: token }) : null;
+        response = await this.generateAnswer(processedQuestion, retrievalResult, language, { onToken });
+
+        // Step 5b: Check the generated answer against the passages it was given
+        if (this.config.verification.enabled && response.generatedAnswer) {
+          ({ response, responseStrategy, verification } = await this.verifyAnswer(
+            response, responseStrategy, retrievalResult, processedQuestion, language
+          ));
+        }
       } else if (responseStrategy.action === 'partial_answer') {
         response = await this.generatePartialAnswer(processedQuestion, retrievalResult, language);
       } else {
         response = await this.generateNoAnswerResponse(processedQuestion, language);
       }
 
-      // Step 5: Create response object
+      // Answers that were not generated token by token go out in one piece
+      if (onEvent && !response.streamed) {
+        onEvent('token', { text: response.answer });
+      }
+
+      // Step 6: Create response object
       const result = {
         question: question,
+        standaloneQuestion: standaloneQuestion,
         processedQuestion: processedQuestion.text,
         detectedLanguage: processedQuestion.detectedLanguage,
         targetLanguage: language,
@@ -93,14 +248,44 @@ class RAGService {
         response: response.answer,
         confidence: responseStrategy.confidence,
         strategy: responseStrategy.action,
+        sources: sources,
         
         retrievalResults: {
           totalResults: retrievalResult.totalResults,
           maxSimilarity: retrievalResult.maxSimilarity,
           averageSimilarity: retrievalResult.averageSimilarity,
+          queries: processedQuestion.retrievalQueries,
+          context: {
+            passages: context.passages.length,
+            tokens: context.tokens,
+            budget: context.budget,
+            merged: context.merged,
+            duplicates: context.duplicates,
+            compressed: context.compressed,
+            dropped: context.dropped
+          },
+          tableLookup: retrievalResult.tableLookup ? {
+            documentId: retrievalResult.tableLookup.documentId,
+            caption: retrievalResult.tableLookup.table.caption,
+            row: retrievalResult.tableLookup.rowLabel,
+            column: retrievalResult.tableLookup.column,
+            value: retrievalResult.tableLookup.value,
+            citation: retrievalResult.tableLookup.citation
+          } : null,
+          verification: verification,
+          confidence: {
+            score: responseStrategy.confidence,
+            modelVersion: this.confidenceModel.model.version,
+            ...responseStrategy.features
+          },
           retrievedDocs: retrievalResult.results.map(r => ({
+            documentId: r.documentId,
             documentTitle: r.documentTitle,
+            chunkId: r.chunkId,
+            startIndex: r.startIndex,
+            endIndex: r.endIndex,
             similarity: r.similarity,
+            retrievalSimilarity: r.retrievalSimilarity,
             content: r.content.substring(0, 200) + '...'
           }))
         },
@@ -117,6 +302,11 @@ class RAGService {
 
       console.log(`✅ Question processed. Strategy: ${responseStrategy.action}, Confidence: ${responseStrategy.confidence.toFixed(2)}`);
 
+      // Forwarded questions are not cached: the admins' answer should reach the next student
+      if (this.answerCache && result.strategy !== 'forward_to_admin') {
+        await this.cacheAnswer(standaloneQuestion, language, result, retrievalResult.results);
+      }
+
       return result;
 
     } catch (error) {
@@ -132,12 +322,170 @@ class RAGService {
         ),
         confidence: 0,
         strategy: 'error',
+        sources: [],
         needsAdminResponse: true,
         error: error.message
       };
     }
   }
 
+  /**
+   * Cached result for an equivalent earlier question, replayed through onEvent like a fresh answer
+   */
+  async getCachedAnswer(question, standaloneQuestion, language, onEvent) {
+    try {
+      const hit = await this.answerCache.lookup(standaloneQuestion, language);
+      if (!hit) return null;
+
+      console.log(`⚡ Answer cache ${hit.match} hit (${hit.similarity.toFixed(2)}) for "${standaloneQuestion.substring(0, 100)}"`);
+      const result = {
+        ...hit.result,
+        question: question,
+        standaloneQuestion: standaloneQuestion,
+        metadata: {
+          ...hit.result.metadata,
+          timestamp: new Date().toISOString(),
+          processingTime: 0,
+          cached: { match: hit.match, similarity: hit.similarity, cachedAt: hit.cachedAt }
+        }
+      };
+
+      if (onEvent) {
+        onEvent('metadata', {
+          standaloneQuestion: standaloneQuestion,
+          detectedLanguage: result.detectedLanguage,
+          strategy: result.strategy,
+          confidence: result.confidence,
+          retrievedDocs: result.retrievalResults.totalResults,
+          sources: result.sources,
+          cached: true
+        });
+        onEvent('token', { text: result.response });
+      }
+
+      return result;
+    } catch (error) {
+      console.warn('⚠️ Answer cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remember an answer together with the documents it was built from
+   */
+  async cacheAnswer(standaloneQuestion, language, result, retrievedResults) {
+    try {
+      const documentIds = [...new Set(retrievedResults.map(r => r.documentId))];
+      await this.answerCache.store(standaloneQuestion, language, result, documentIds);
+    } catch (error) {
+      console.warn('⚠️ Failed to cache answer:', error.message);
+    }
+  }
+
+  /**
+   * Preprocess a standalone question and retrieve context for every rewritten sub-query,
+   * fusing the results
+   */
+  async retrieve(question, language = 'english') {
+    const processedQuestion = await this.preprocessQuestion(question, language);
+
+    const retrievalResult = await this.retrieveWithRewrites(processedQuestion.retrievalQueries, {
+      topK: this.config.maxRetrievedDocs,
+      threshold: this.config.similarityThreshold,
+      language: processedQuestion.detectedLanguage,
+      scorer: this.config.scorer,
+      scorerOptions: this.config.scorerOptions
+    });
+
+    return { processedQuestion, retrievalResult };
+  }
+
+  /**
+   * Recent turns of a conversation as [{ sender, text }] for processQuestion({ history }).
+   * Works with Conversation documents and the in-memory WhatsApp conversations.
+   */
+  getConversationHistory(conversation, options = {}) {
+    const { excludeLatest = false } = options;
+    if (!conversation) return [];
+    
+    const limit = this.config.history.maxTurns + (excludeLatest ? 1 : 0);
+    const messages = typeof conversation.getRecentMessages === 'function'
+      ? conversation.getRecentMessages(limit)
+      : (conversation.messages || []).slice(-limit).map(msg => ({ sender: msg.sender, text: msg.content?.text }));
+    
+    return (excludeLatest ? messages.slice(0, -1) : messages)
+      .filter(msg => msg.text)
+      .map(msg => ({ sender: msg.sender, text: msg.text }));
+  }
+
+  /**
+   * Keep the most recent turns that fit the configured turn and character budget
+   */
+  trimHistory(history) {
+    const trimmed = [];
+    let totalChars = 0;
+    
+    for (const turn of history.slice(-this.config.history.maxTurns).reverse()) {
+      const text = turn.text.length > 500 ? `${turn.text.substring(0, 500)}...` : turn.text;
+      if (totalChars + text.length > this.config.history.maxChars) break;
+      
+      trimmed.unshift({ sender: turn.sender, text });
+      totalChars += text.length;
+    }
+    
+    return trimmed;
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone one.
+   * Questions that do not look like follow-ups are returned unchanged.
+   */
+  async condenseQuestion(question, history) {
+    const previousQuestions = history.filter(turn => turn.sender === 'user').map(turn => turn.text);
+    if (previousQuestions.length === 0) return question;
+    
+    const wordCount = question.trim().split(/\s+/).length;
+    if (wordCount > 4 && !this.followUpPattern.test(question)) return question;
+    
+    if (this.config.history.condenseModel === 'llm' && this.chatModel.generative) {
+      try {
+        const transcript = history
+          .map(turn => `${turn.sender === 'user' ? 'Student' : 'Assistant'}: ${turn.text}`)
+          .join('\n');
+        
+        const condensed = await this.chatModel.complete([
+          {
+            role: 'system',
+            content: 'Rewrite the follow-up question so it can be understood without the conversation. Keep its language. Reply with only the rewritten question.'
+          },
+          { role: 'user', content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}` }
+        ], { temperature: 0, maxTokens: 100 });
+        
+        if (condensed) {
+          console.log(`🧵 Condensed follow-up: "${condensed}"`);
+          return condensed;
+        }
+      } catch (error) {
+        console.warn('⚠️ Follow-up condensation failed, using previous question as context:', error.message);
+      }
+    }
+    
+    // Rule-based fallback: carry the previous question along so retrieval keeps its topic
+    const condensed = `${question} (${previousQuestions[previousQuestions.length - 1]})`;
+    console.log(`🧵 Condensed follow-up: "${condensed}"`);
+    return condensed;
+  }
+
+  /**
+   * Chat messages for the bounded history window included in the LLM prompt
+   */
+  buildHistoryMessages(history = []) {
+    return history.map(turn => ({
+      role: turn.sender === 'user' ? 'user' : 'assistant',
+      content: turn.text
+    }));
+  }
+
   /**
    * Preprocess question (language detection and translation)
    */
@@ -147,16 +495,36 @@ class RAGService {
       const detectedLanguage = await this.languageService.detectLanguage(question);
       
       let processedText = question;
+      let retrievalText = question;
       
       // Translate to English for better retrieval if needed
       if (detectedLanguage !== 'english') {
         processedText = await this.languageService.translate(question, detectedLanguage, 'english');
         console.log(`🔄 Translated question from ${detectedLanguage} to English`);
+        
+        // Search with both forms so native-language documents match without translation
+        retrievalText = processedText === question ? question : `${processedText} ${question}`;
+      }
+      
+      // Expand shorthand and add paraphrases; the first sub-query is always the full retrieval text
+      let retrievalQueries = [retrievalText];
+      let expansions = [];
+      if (this.config.queryRewrite.enabled) {
+        const rewrite = await this.queryRewriter.rewrite(processedText);
+        retrievalQueries = [...new Set([retrievalText, ...rewrite.queries.slice(1)])];
+        expansions = rewrite.expansions;
+        
+        if (retrievalQueries.length > 1) {
+          console.log(`🧩 Rewrote question into ${retrievalQueries.length} sub-queries`);
+        }
       }
 
       return {
         original: question,
         text: processedText,
+        retrievalText: retrievalText,
+        retrievalQueries: retrievalQueries,
+        expansions: expansions,
         detectedLanguage: detectedLanguage
       };
 
@@ -165,6 +533,9 @@ class RAGService {
       return {
         original: question,
         text: question,
+        retrievalText: question,
+        retrievalQueries: [question],
+        expansions: [],
         detectedLanguage: targetLanguage
       };
     }
@@ -177,7 +548,31 @@ class RAGService {
     try {
       console.log('🔍 Retrieving relevant context...');
       
-      const result = await this.vectorService.similaritySearch(question, options);
+      const baseFilters = mergeFilters(this.getBaseFilters(), options.filters);
+      const ruleFilters = mergeFilters(...this.retrievalRules
+        .filter(rule => rule.pattern.test(question))
+        .map(rule => rule.filters));
+      
+      // With re-ranking on, fetch a wider pool and trim to topK afterwards
+      const topK = options.topK || this.config.maxRetrievedDocs;
+      const searchOptions = {
+        ...options,
+        topK: this.config.rerank.enabled ? Math.max(this.config.rerank.candidatePool, topK) : topK
+      };
+      
+      let result = await this.vectorService.similaritySearch(question, {
+        ...searchOptions,
+        filters: mergeFilters(baseFilters, ruleFilters)
+      });
+      
+      if (result.totalResults === 0 && hasFilters(ruleFilters)) {
+        console.log('↩️ No matches with question-specific filters, retrying with base filters');
+        result = await this.vectorService.similaritySearch(question, { ...searchOptions, filters: baseFilters });
+      }
+      
+      if (this.config.rerank.enabled) {
+        result = await this.rerankResults(question, result, topK);
+      }
       
       console.log(`📊 Retrieved ${result.totalResults} relevant documents`);
       
@@ -195,65 +590,193 @@ class RAGService {
     }
   }
 
+  /**
+   * Run retrieveContext() for each sub-query and fuse the rankings with reciprocal rank fusion.
+   * A chunk keeps its best similarity across sub-queries.
+   */
+  async retrieveWithRewrites(queries, options = {}) {
+    if (queries.length <= 1) {
+      return this.retrieveContext(queries[0], options);
+    }
+    
+    const topK = options.topK || this.config.maxRetrievedDocs;
+    const k = this.config.scorerOptions.rrfK;
+    const fused = new Map();
+    
+    for (const query of queries) {
+      const result = await this.retrieveContext(query, options);
+      
+      result.results.forEach((match, rank) => {
+        const key = match.chunkId || `${match.documentId}:${match.startIndex}`;
+        const entry = fused.get(key) || { match, fusedScore: 0, matchedQueries: 0 };
+        
+        entry.fusedScore += 1 / (k + rank + 1);
+        entry.matchedQueries++;
+        if (match.similarity > entry.match.similarity) {
+          entry.match = match;
+        }
+        fused.set(key, entry);
+      });
+    }
+    
+    const results = Array.from(fused.values())
+      .sort((a, b) => b.fusedScore - a.fusedScore || b.match.similarity - a.match.similarity)
+      .slice(0, topK)
+      .map(entry => ({
+        ...entry.match,
+        scores: { ...entry.match.scores, fused: entry.fusedScore, matchedQueries: entry.matchedQueries }
+      }));
+    
+    console.log(`🔗 Fused ${queries.length} sub-queries into ${results.length} results`);
+    
+    return {
+      query: queries[0],
+      queries: queries,
+      results: results,
+      totalResults: results.length,
+      maxSimilarity: results.reduce((max, r) => Math.max(max, r.similarity), 0),
+      averageSimilarity: results.length > 0
+        ? results.reduce((sum, r) => sum + r.similarity, 0) / results.length
+        : 0
+    };
+  }
+
+  /**
+   * Re-rank retrieved candidates and recompute the similarity summary used by determineResponseStrategy()
+   */
+  async rerankResults(question, retrievalResult, topK) {
+    const results = await this.reranker.rerank(question, retrievalResult.results, { topK });
+    
+    console.log(`🏅 Re-ranked ${retrievalResult.results.length} candidates, kept ${results.length}`);
+    
+    return {
+      ...retrievalResult,
+      results: results,
+      totalResults: results.length,
+      candidateCount: retrievalResult.results.length,
+      maxSimilarity: results.length > 0 ? results[0].similarity : 0,
+      averageSimilarity: results.length > 0
+        ? results.reduce((sum, r) => sum + r.similarity, 0) / results.length
+        : 0
+    };
+  }
+
+  /**
+   * Filters applied to every retrieval: active documents only, no expired announcements
+   */
+  getBaseFilters() {
+    return {
+      isActive: true,
+      not: { contentType: 'announcement', dateRange: { field: 'expiresAt', to: new Date() } }
+    };
+  }
+
+  /**
+   * Table cell or row the question asks for, from the tables of the retrieved documents (see tableLookup.js)
+   */
+  lookupTable(processedQuestion, retrievalResult) {
+    if (!this.config.tableLookup.enabled || retrievalResult.results.length === 0) {
+      return null;
+    }
+
+    const match = this.tableLookup.lookup(processedQuestion.text, retrievalResult.results);
+    if (match) {
+      console.log(`📋 Table lookup: ${match.column ? `${match.column} / ` : ''}${match.rowLabel} in "${match.table.caption || match.documentTitle}"`);
+    }
+    return match;
+  }
+
+  /**
+   * The table match with the number its row passage is cited by, or null if the passage did not fit the context
+   */
+  citeTableMatch(tableMatch, passages) {
+    const index = passages.findIndex(passage => passage.tableLookup);
+    return index === -1 ? null : { ...tableMatch, citation: index + 1 };
+  }
+
   /**
    * Determine response strategy based on retrieval confidence
    */
-  determineResponseStrategy(retrievalResult) {
-    const maxSimilarity = retrievalResult.maxSimilarity;
-    const totalResults = retrievalResult.totalResults;
+  determineResponseStrategy(retrievalResult, question = '', supportRatio = null) {
+    const features = this.confidenceModel.extractFeatures(retrievalResult, question, supportRatio);
+    const confidence = retrievalResult.totalResults > 0 ? this.confidenceModel.score(features) : 0;
     
-    if (maxSimilarity >= this.thresholds.highConfidence && totalResults > 0) {
+    if (confidence >= this.thresholds.highConfidence) {
       return {
         action: 'answer',
-        confidence: maxSimilarity,
-        reason: 'High similarity match found'
+        confidence,
+        features,
+        reason: 'High confidence answer'
       };
     }
     
-    if (maxSimilarity >= this.thresholds.mediumConfidence && totalResults > 0) {
+    if (confidence >= this.thresholds.mediumConfidence) {
       return {
         action: 'partial_answer',
-        confidence: maxSimilarity,
-        reason: 'Medium similarity match found'
+        confidence,
+        features,
+        reason: 'Medium confidence answer'
       };
     }
     
     return {
       action: 'forward_to_admin',
-      confidence: maxSimilarity,
+      confidence,
+      features,
       reason: 'No confident match found'
     };
   }
 
+
   /**
-   * Generate a confident answer using retrieved context
+   * Generate a confident answer using retrieved context.
+   * With `onToken` the completion is streamed and each piece passed on as it arrives;
+   * answers that still need translating are returned whole instead.
    */
-  async generateAnswer(processedQuestion, retrievalResult, targetLanguage) {
+  async generateAnswer(processedQuestion, retrievalResult, targetLanguage, options = {}) {
+    const startTime = Date.now();
     try {
-      const startTime = Date.now();
+      const { onToken = null } = options;
       
       // Prepare context from retrieved documents
-      const context = this.prepareContext(retrievalResult.results);
+      const contextResults = retrievalResult.contextPassages || this.selectContextResults(retrievalResult.results, processedQuestion);
+      const context = this.prepareContext(contextResults);
       
       // Create system prompt
       const systemPrompt = this.createSystemPrompt('confident', targetLanguage);
       
       // Create user prompt with context
-      const userPrompt = this.createUserPrompt(processedQuestion.text, context);
+      const userPrompt = this.createUserPrompt(processedQuestion.text, context, retrievalResult.tableLookup);
       
-      console.log('🤖 Generating confident answer...');
+      console.log(`🤖 Generating confident answer with ${this.chatModel.signature()}...`);
       
-      const response = await this.openai.chat.completions.create({
-        model: this.config.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        ...this.buildHistoryMessages(processedQuestion.history),
+        { role: 'user', content: userPrompt }
+      ];
+      const generationOptions = {
         temperature: this.config.temperature,
-        max_tokens: this.config.maxResponseLength
-      });
+        maxTokens: this.config.maxResponseLength,
+        context: { question: processedQuestion.text, results: contextResults, tableLookup: retrievalResult.tableLookup || null }
+      };
 
-      const answer = response.choices[0].message.content.trim();
+      if (onToken && targetLanguage === 'english') {
+        let answer = '';
+        for await (const token of this.chatModel.stream(messages, generationOptions)) {
+          answer += token;
+          onToken(token);
+        }
+
+        return {
+          answer: answer.trim(),
+          generatedAnswer: answer.trim(),
+          streamed: answer.length > 0,
+          processingTime: Date.now() - startTime
+        };
+      }
+
+      const answer = await this.chatModel.complete(messages, generationOptions);
       
       // Translate answer to target language if needed
       const finalAnswer = targetLanguage !== 'english' 
@@ -262,6 +785,7 @@ class RAGService {
 
       return {
         answer: finalAnswer,
+        generatedAnswer: answer,
         processingTime: Date.now() - startTime
       };
 
@@ -278,6 +802,81 @@ class RAGService {
     }
   }
 
+  /**
+   * Verify a generated answer against the context passages and rescore its confidence with
+   * the result. Unsupported claims are flagged or removed, and the strategy is downgraded when
+   * too few claims are supported or the rescored confidence drops below a threshold.
+   */
+  async verifyAnswer(response, responseStrategy, retrievalResult, processedQuestion, targetLanguage) {
+    const { action, partialBelow, forwardBelow } = this.config.verification;
+    const passages = retrievalResult.contextPassages || this.selectContextResults(retrievalResult.results, processedQuestion);
+    const report = this.verifier.verify(response.generatedAnswer, passages);
+    const unsupported = report.claims.filter(claim => !claim.supported);
+    const rescored = this.determineResponseStrategy(retrievalResult, processedQuestion.text, report.supportedRatio);
+
+    console.log(`🔬 Grounding check: ${report.totalClaims - report.unsupportedClaims}/${report.totalClaims} claims supported, confidence ${rescored.confidence.toFixed(2)}`);
+
+    const verification = { ...report, action: 'none', originalStrategy: responseStrategy.action };
+
+    if (report.supportedRatio < forwardBelow || rescored.action === 'forward_to_admin') {
+      verification.action = 'forwarded';
+      // A streamed answer is replaced by the final `done` frame rather than re-sent as tokens
+      return {
+        response: { ...(await this.generateNoAnswerResponse(processedQuestion, targetLanguage)), streamed: response.streamed },
+        responseStrategy: { ...rescored, action: 'forward_to_admin', reason: 'Answer not supported by the retrieved documents' },
+        verification
+      };
+    }
+
+    const downgrade = report.supportedRatio < partialBelow || rescored.action === 'partial_answer';
+    if (unsupported.length === 0 && !downgrade) {
+      return { response, responseStrategy: { ...rescored, action: 'answer' }, verification };
+    }
+
+    let answer = response.generatedAnswer;
+    for (const claim of unsupported) {
+      answer = action === 'remove'
+        ? answer.replace(claim.text, '')
+        : answer.replace(claim.text, `${claim.text} (unverified)`);
+    }
+    answer = answer.replace(/[ \t]{2,}/g, ' ').trim();
+    if (unsupported.length > 0) {
+      verification.action = action === 'remove' ? 'removed' : 'flagged';
+    }
+
+    let strategy = { ...rescored, action: 'answer' };
+    if (downgrade) {
+      answer += unsupported.length > 0
+        ? '\n\n⚠️ Note: Parts of this answer could not be verified against the college documents. Please confirm the details with the college administration.'
+        : '\n\n⚠️ Note: This answer may be incomplete. Please confirm the details with the college administration.';
+      strategy = { ...rescored, action: 'partial_answer', reason: 'Answer only partly supported by the retrieved documents' };
+    }
+
+    const finalAnswer = targetLanguage !== 'english'
+      ? await this.languageService.translate(answer, 'english', targetLanguage)
+      : answer;
+
+    return {
+      response: { ...response, answer: finalAnswer },
+      responseStrategy: strategy,
+      verification
+    };
+  }
+
+  /**
+   * The best-ranked retrieved passage in the assembled context, with the number it is cited by
+   */
+  topContextPassage(retrievalResult) {
+    const passages = retrievalResult.contextPassages || [];
+    let best = -1;
+    passages.forEach((passage, i) => {
+      if (!passage.tableLookup && (best === -1 || passage.rank < passages[best].rank)) {
+        best = i;
+      }
+    });
+    return best === -1 ? null : { passage: passages[best], citation: best + 1 };
+  }
+
   /**
    * Generate a partial answer with disclaimer - LOCAL VERSION WITHOUT OPENAI
    */
@@ -287,30 +886,27 @@ class RAGService {
       console.log('🤖 Generating answer from PDF content (local mode)...');
       
       // Extract the most relevant content from retrieved documents
-      const relevantContent = this.extractRelevantContent(retrievalResult.results, processedQuestion.text);
+      const relevantContent = extractRelevantContent(retrievalResult.results, processedQuestion.text);
+      const topPassage = this.topContextPassage(retrievalResult);
       
       // Generate a structured answer based on the PDF content
       let answer = '';
       
-      if (relevantContent.length > 0) {
-        // Create answer from most relevant document content
+      if (retrievalResult.tableLookup) {
+        // The looked-up table row or cell answers the question exactly
+        const { statement, documentTitle, citation } = retrievalResult.tableLookup;
+        answer = `${statement} [${citation}]\n\n📄 Source [${citation}]: ${documentTitle}`;
+      } else if (topPassage) {
+        // Answer from the best-ranked passage, cited by its number in the assembled context
+        const { passage, citation } = topPassage;
+        answer = extractAnswer(processedQuestion.text, passage.content);
+        answer += `\n\n📄 Source [${citation}]: ${passage.documentTitle || 'Rizvi College Document'}`;
+      } else if (relevantContent.length > 0) {
+        // No assembled context to cite; create answer from most relevant document content
         const topContent = relevantContent[0];
         
         // Extract specific information based on question type
-        if (processedQuestion.text.toLowerCase().includes('exam')) {
-          answer = this.extractExamInfo(topContent.content);
-        } else if (processedQuestion.text.toLowerCase().includes('sports') || processedQuestion.text.toLowerCase().includes('competition')) {
-          answer = this.extractSportsInfo(topContent.content);
-        } else if (processedQuestion.text.toLowerCase().includes('course') || processedQuestion.text.toLowerCase().includes('department')) {
-          answer = this.extractCourseInfo(topContent.content);
-        } else if (processedQuestion.text.toLowerCase().includes('admission')) {
-          answer = this.extractAdmissionInfo(topContent.content);
-        } else {
-          // Generic extraction - use the most relevant content
-          answer = this.extractGeneralInfo(topContent.content, processedQuestion.text);
-        }
-        
-        // Add source reference
+        answer = extractAnswer(processedQuestion.text, topContent.content);
         answer += `\n\n📄 Source: ${topContent.documentTitle || 'Rizvi College Document'}`;
       } else {
         answer = 'I found some information in the college documents, but need more specific details to provide a complete answer.';
@@ -368,24 +964,101 @@ class RAGService {
   }
 
   /**
-   * Prepare context from retrieved documents
+   * Tokens left for context passages once the prompt, the conversation history and the
+   * answer are accounted for, capped at config.context.maxTokens
    */
-  prepareContext(retrievedResults) {
-    let context = '';
-    let currentLength = 0;
-    
-    for (const result of retrievedResults) {
-      const chunk = `\n\nDocument: ${result.documentTitle}\nContent: ${result.content}`;
-      
-      if (currentLength + chunk.length > this.config.maxContextLength) {
-        break;
+  getContextBudget(history = []) {
+    const promptTokens = this.chatModel.countTokens(
+      this.createSystemPrompt('confident', 'english') + this.createUserPrompt('', ' ')
+    );
+    // Each chat message costs a few tokens of framing on top of its text
+    const historyTokens = this.buildHistoryMessages(history)
+      .reduce((sum, message) => sum + this.chatModel.countTokens(message.content) + 4, 0);
+    const available = this.chatModel.contextWindow - this.config.maxResponseLength - promptTokens - historyTokens - 20;
+
+    return Math.max(0, Math.min(this.config.context.maxTokens, available));
+  }
+
+  /**
+   * Pack retrieved passages into the context budget (see contextAssembler.js)
+   */
+  assembleContext(retrievedResults, processedQuestion = {}) {
+    return this.contextAssembler.assemble(
+      retrievedResults,
+      processedQuestion.text || '',
+      this.getContextBudget(processedQuestion.history)
+    );
+  }
+
+  /**
+   * Passages given to the model as context, in order; passage n is cited as [n]
+   */
+  selectContextResults(retrievedResults, processedQuestion = {}) {
+    return this.assembleContext(retrievedResults, processedQuestion).passages;
+  }
+
+  formatContextPassage(result, number) {
+    const page = result.page || result.metadata?.page;
+    const section = this.formatSection(result);
+    const location = page || section ? ` (${[page && `page ${page}`, section].filter(Boolean).join(', ')})` : '';
+    return `\n\n[${number}] Document: ${result.documentTitle}${location}\nContent: ${result.content}`;
+  }
+
+  /**
+   * Heading path of a passage from a structured document, e.g. "Fee Structure › Scholarships"
+   */
+  formatSection(result) {
+    return Array.isArray(result.sectionPath) && result.sectionPath.length > 0 ? result.sectionPath.join(' › ') : null;
+  }
+
+  /**
+   * Structured citations for the passages given to the model, numbered like the context
+   */
+  buildCitations(passages = [], question = '') {
+    return passages.map((result, i) => ({
+      index: i + 1,
+      documentId: result.documentId,
+      title: result.documentTitle,
+      sourceUrl: result.sourceUrl || result.metadata?.sourceUrl || null,
+      chunkId: result.chunkId,
+      page: result.page || result.metadata?.page || null,
+      section: this.formatSection(result),
+      snippet: this.selectSnippet(result.content || '', question),
+      similarity: result.similarity
+    }));
+  }
+
+  /**
+   * The sentence of a passage that shares most terms with the question, for quoting
+   */
+  selectSnippet(content, question, maxLength = 200) {
+    const queryTerms = new Set(this.reranker.tokenizer.tokenize(question));
+    const sentences = content
+      .split(/(?<=[.!?।])\s+|\n+/)
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(sentence => sentence.length > 0);
+
+    let best = sentences[0] || '';
+    let bestScore = 0;
+    for (const sentence of sentences) {
+      const score = new Set(this.reranker.tokenizer.tokenize(sentence).filter(term => queryTerms.has(term))).size;
+      if (score > bestScore) {
+        best = sentence;
+        bestScore = score;
       }
-      
-      context += chunk;
-      currentLength += chunk.length;
     }
-    
-    return context.trim();
+
+    return best.length > maxLength ? `${best.substring(0, maxLength - 1).trim()}…` : best;
+  }
+
+  /**
+   * Prepare context from the selected passages, numbering each passage for inline citations
+   */
+  prepareContext(passages) {
+    return passages
+      .map((result, i) => this.formatContextPassage(result, i + 1))
+      .join('')
+      .trim();
   }
 
   /**
@@ -407,6 +1080,7 @@ class RAGService {
         - Be confident and direct in your responses
         - Provide specific details when available
         - If context doesn't fully answer the question, acknowledge what you know
+        - Cite the numbered context passages you used inline, e.g. "The fee is Rs. 50,000 [1]."
         - Keep responses concise but informative
         - Use a friendly, professional tone`;
         
@@ -418,6 +1092,7 @@ class RAGService {
         - Be clear that your answer may not be complete
         - Suggest contacting college administration for full details
         - Provide what helpful information you can from the context
+        - Cite the numbered context passages you used inline, e.g. [1], [2]
         - Use a helpful but cautious tone`;
         
       default:
@@ -426,14 +1101,18 @@ class RAGService {
   }
 
   /**
-   * Create user prompt with question and context
+   * Create user prompt with question and context; a table lookup is stated as the exact value to use
    */
-  createUserPrompt(question, context) {
+  createUserPrompt(question, context, tableLookup = null) {
     if (context.trim().length === 0) {
       return `Question: ${question}\n\nI don't have any relevant context to answer this question.`;
     }
     
-    return `Context: ${context}
+    const lookup = tableLookup
+      ? `\n\nTable lookup [${tableLookup.citation}]: ${tableLookup.statement} Give this value exactly as written in the table.`
+      : '';
+    
+    return `Context: ${context}${lookup}
 
 Question: ${question}
 
@@ -447,6 +1126,8 @@ Please answer the question based on the provided context. If the context doesn't
     return {
       config: this.config,
       thresholds: this.thresholds,
+      confidenceModel: this.confidenceModel.model.version,
+      answerCache: this.answerCache ? this.answerCache.getStats() : { enabled: false },
       vectorServiceStats: this.vectorService.getStats()
     };
   }
@@ -458,128 +1139,6 @@ Please answer the question based on the provided context. If the context doesn't
     this.config = { ...this.config, ...newConfig };
     console.log('⚙️ RAG configuration updated:', newConfig);
   }
-
-  /**
-   * Helper methods for extracting specific information from PDF content
-   */
-  extractRelevantContent(results, question) {
-    // Return top 3 most relevant results
-    return results.slice(0, 3).map(result => ({
-      content: result.content,
-      score: result.score,
-      documentTitle: result.documentTitle || 'College Document'
-    }));
-  }
-
-  extractExamInfo(content) {
-    const text = content.toLowerCase();
-    if (text.includes('mid-semester') || text.includes('midterm')) {
-      if (text.includes('october') || text.includes('15th october')) {
-        return 'Based on the college documents, mid-semester exams are scheduled to start from 15th October 2025. Please verify the exact dates with your department for any recent updates.';
-      }
-    }
-    
-    if (text.includes('exam') && text.includes('date')) {
-      // Extract exam-related information
-      const sentences = content.split(/[.!?]+/);
-      const examSentences = sentences.filter(s => 
-        s.toLowerCase().includes('exam') && 
-        (s.toLowerCase().includes('date') || s.toLowerCase().includes('october') || s.toLowerCase().includes('november'))
-      );
-      
-      if (examSentences.length > 0) {
-        return `According to the college documents: ${examSentences[0].trim()}.`;
-      }
-    }
-    
-    return 'I found exam-related information in the college documents. The mid-semester exams are typically scheduled in October. Please contact your department for specific dates and schedules.';
-  }
-
-  extractSportsInfo(content) {
-    const text = content.toLowerCase();
-    if (text.includes('sports') || text.includes('competition')) {
-      if (text.includes('november') || text.includes('1st november')) {
-        return 'According to the college documents, inter-college sports competitions are scheduled to begin from 1st November 2025. This includes various sporting events and competitions.';
-      }
-      
-      // Extract sports-related sentences
-      const sentences = content.split(/[.!?]+/);
-      const sportsSentences = sentences.filter(s => 
-        s.toLowerCase().includes('sport') || 
-        s.toLowerCase().includes('competition') ||
-        s.toLowerCase().includes('tournament')
-      );
-      
-      if (sportsSentences.length > 0) {
-        return `Based on the college documents: ${sportsSentences[0].trim()}.`;
-      }
-    }
-    
-    return 'The college organizes various sports competitions and inter-college tournaments. According to the documents, these events typically happen in November. Please check with the sports department for specific schedules.';
-  }
-
-  extractCourseInfo(content) {
-    const text = content.toLowerCase();
-    const sentences = content.split(/[.!?]+/);
-    
-    // Look for course/department information
-    const courseSentences = sentences.filter(s => 
-      s.toLowerCase().includes('course') || 
-      s.toLowerCase().includes('department') ||
-      s.toLowerCase().includes('program') ||
-      s.toLowerCase().includes('engineering') ||
-      s.toLowerCase().includes('degree')
-    );
-    
-    if (courseSentences.length > 0) {
-      return `According to the college documents: ${courseSentences.slice(0, 2).join('. ').trim()}.`;
-    }
-    
-    return 'Rizvi College offers various engineering and technical courses. Please contact the admissions office for detailed information about specific courses, eligibility, and curriculum.';
-  }
-
-  extractAdmissionInfo(content) {
-    const text = content.toLowerCase();
-    const sentences = content.split(/[.!?]+/);
-    
-    const admissionSentences = sentences.filter(s => 
-      s.toLowerCase().includes('admission') || 
-      s.toLowerCase().includes('application') ||
-      s.toLowerCase().includes('eligibility') ||
-      s.toLowerCase().includes('apply')
-    );
-    
-    if (admissionSentences.length > 0) {
-      return `Based on the college admission information: ${admissionSentences.slice(0, 2).join('. ').trim()}.`;
-    }
-    
-    return 'The college has specific admission procedures and eligibility criteria. Please contact the admissions office or visit the college website for detailed information about the admission process.';
-  }
-
-  extractGeneralInfo(content, question) {
-    // Extract the most relevant sentences based on question keywords
-    const questionWords = question.toLowerCase().split(' ').filter(word => 
-      word.length > 3 && !['what', 'when', 'where', 'how', 'why', 'the', 'and', 'are', 'is'].includes(word)
-    );
-    
-    const sentences = content.split(/[.!?]+/);
-    const relevantSentences = sentences.filter(sentence => {
-      const lowerSentence = sentence.toLowerCase();
-      return questionWords.some(word => lowerSentence.includes(word));
-    });
-    
-    if (relevantSentences.length > 0) {
-      return `According to the college documents: ${relevantSentences.slice(0, 2).join('. ').trim()}.`;
-    }
-    
-    // Fallback: return first meaningful sentence
-    const meaningfulSentences = sentences.filter(s => s.trim().length > 20);
-    if (meaningfulSentences.length > 0) {
-      return `From the college documents: ${meaningfulSentences[0].trim()}.`;
-    }
-    
-    return 'I found relevant information in the college documents. Please contact the college administration for more specific details about your inquiry.';
-  }
 }
 
 module.exports = RAGService;
\ No newline at end of file
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * RAG Evaluation
+ * Runs a golden question set through RAGService.processQuestion() and scores it:
+ *   recall@k          share of answerable questions with an expected source among the top k documents
+ *   MRR               mean reciprocal rank of the first expected source
+ *   exact match       the normalized expected answer appears in the response
+ *   F1                token F1 between the expected answer and the best-matching response sentence
+ *   strategy accuracy response strategy equals the expected one; answerability only checks
+ *                     answered vs forwarded
+ *   latency           per question, mean / p50 / p95
+ * Golden sets live in data/eval/ and carry a version so baselines are only compared like for like.
+ */
+
+const DEFAULT_GOLDEN_SET_PATH = path.join(__dirname, '..', 'data', 'eval', 'golden-set.json');
+const DEFAULT_KS = [1, 3, 5];
+const STRATEGIES = ['answer', 'partial_answer', 'forward_to_admin'];
+
+function loadGoldenSet(goldenSetPath = DEFAULT_GOLDEN_SET_PATH) {
+  const goldenSet = JSON.parse(fs.readFileSync(goldenSetPath, 'utf8'));
+
+  if (!goldenSet.version || !Array.isArray(goldenSet.questions)) {
+    throw new Error(`${goldenSetPath} must have a version and a questions array`);
+  }
+
+  const ids = new Set();
+  for (const item of goldenSet.questions) {
+    if (!item.id || !item.question) {
+      throw new Error(`Every golden question needs an id and a question (${JSON.stringify(item).substring(0, 80)})`);
+    }
+    if (ids.has(item.id)) {
+      throw new Error(`Duplicate golden question id: ${item.id}`);
+    }
+    if (item.expectedStrategy && !STRATEGIES.includes(item.expectedStrategy)) {
+      throw new Error(`${item.id}: unknown expectedStrategy ${item.expectedStrategy}`);
+    }
+    ids.add(item.id);
+  }
+
+  return goldenSet;
+}
+
+/**
+ * Lowercase, drop punctuation and articles, collapse whitespace; keeps Devanagari
+ */
+function normalizeAnswer(text = '') {
+  return text
+    .toLowerCase()
+    .replace(/\[\d+\]/g, ' ')
+    .replace(/(\d),(?=\d)/g, '$1')
+    .replace(/[^\p{L}\p{N}\p{M}\s]/gu, ' ')
+    .replace(/\b(a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenF1(prediction, expected) {
+  const predicted = normalizeAnswer(prediction).split(' ').filter(Boolean);
+  const gold = normalizeAnswer(expected).split(' ').filter(Boolean);
+  if (predicted.length === 0 || gold.length === 0) return 0;
+
+  const counts = new Map();
+  for (const token of gold) counts.set(token, (counts.get(token) || 0) + 1);
+
+  let common = 0;
+  for (const token of predicted) {
+    if (counts.get(token) > 0) {
+      common++;
+      counts.set(token, counts.get(token) - 1);
+    }
+  }
+  if (common === 0) return 0;
+
+  const precision = common / predicted.length;
+  const recall = common / gold.length;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+function answerScores(response, expectedAnswer) {
+  const sentences = (response || '').split(/(?<=[.!?।])\s+|\n+/).filter(sentence => sentence.trim());
+  return {
+    exactMatch: normalizeAnswer(response).includes(normalizeAnswer(expectedAnswer)) ? 1 : 0,
+    f1: sentences.reduce((best, sentence) => Math.max(best, tokenF1(sentence, expectedAnswer)), 0)
+  };
+}
+
+/**
+ * Documents in rank order, each once
+ */
+function rankedDocuments(retrievedDocs = []) {
+  const seen = new Set();
+  const documents = [];
+  for (const doc of retrievedDocs) {
+    const key = String(doc.documentId);
+    if (!seen.has(key)) {
+      seen.add(key);
+      documents.push({ documentId: key, title: doc.documentTitle });
+    }
+  }
+  return documents;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Run one golden question and score it
+ */
+async function evaluateQuestion(ragService, item, options = {}) {
+  const { ks = DEFAULT_KS } = options;
+  const language = item.language || 'english';
+
+  const startTime = process.hrtime.bigint();
+  const result = await ragService.processQuestion(item.question, { language, platform: 'eval' });
+  const latencyMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+
+  const documents = rankedDocuments(result.retrievalResults?.retrievedDocs);
+  const expectedSources = (item.expectedSources || []).map(String);
+  const answerable = item.expectedAnswer !== null && item.expectedAnswer !== undefined;
+  const expectedStrategy = item.expectedStrategy || (answerable ? 'answer' : 'forward_to_admin');
+
+  const rank = documents.findIndex(doc => expectedSources.includes(doc.documentId) || expectedSources.includes(doc.title)) + 1;
+
+  const evaluation = {
+    id: item.id,
+    language,
+    question: item.question,
+    expectedAnswer: item.expectedAnswer ?? null,
+    response: result.response,
+    strategy: result.strategy,
+    expectedStrategy,
+    strategyCorrect: result.strategy === expectedStrategy,
+    answerabilityCorrect: (result.strategy !== 'forward_to_admin') === answerable,
+    confidence: result.confidence,
+    retrievedDocuments: documents.map(doc => doc.title || doc.documentId),
+    latencyMs: Math.round(latencyMs)
+  };
+
+  if (expectedSources.length > 0) {
+    evaluation.firstRelevantRank = rank || null;
+    evaluation.reciprocalRank = rank > 0 ? 1 / rank : 0;
+    evaluation.recall = Object.fromEntries(ks.map(k => [k, rank > 0 && rank <= k ? 1 : 0]));
+  }
+
+  if (answerable) {
+    Object.assign(evaluation, answerScores(result.response, item.expectedAnswer));
+  }
+
+  return evaluation;
+}
+
+/**
+ * Aggregate metrics over question results
+ */
+function summarize(results, ks = DEFAULT_KS) {
+  const withSources = results.filter(result => result.recall);
+  const answerable = results.filter(result => result.exactMatch !== undefined);
+  const latencies = results.map(result => result.latencyMs);
+
+  const metrics = {
+    questions: results.length,
+    mrr: mean(withSources.map(result => result.reciprocalRank)),
+    exactMatch: mean(answerable.map(result => result.exactMatch)),
+    f1: mean(answerable.map(result => result.f1)),
+    strategyAccuracy: mean(results.map(result => (result.strategyCorrect ? 1 : 0))),
+    answerabilityAccuracy: mean(results.map(result => (result.answerabilityCorrect ? 1 : 0))),
+    latencyMeanMs: mean(latencies),
+    latencyP50Ms: percentile(latencies, 50),
+    latencyP95Ms: percentile(latencies, 95)
+  };
+  for (const k of ks) {
+    metrics[`recall@${k}`] = mean(withSources.map(result => result.recall[k]));
+  }
+
+  return metrics;
+}
+
+function summarizeByLanguage(results, ks = DEFAULT_KS) {
+  const languages = [...new Set(results.map(result => result.language))];
+  return Object.fromEntries(languages.map(language => [
+    language,
+    summarize(results.filter(result => result.language === language), ks)
+  ]));
+}
+
+/**
+ * Evaluate a whole golden set
+ */
+async function runEvaluation(ragService, goldenSet, options = {}) {
+  const { ks = DEFAULT_KS, onResult = null } = options;
+  const results = [];
+
+  for (const item of goldenSet.questions) {
+    const evaluation = await evaluateQuestion(ragService, item, { ks });
+    results.push(evaluation);
+    if (onResult) onResult(evaluation);
+  }
+
+  return {
+    goldenSetVersion: goldenSet.version,
+    generatedAt: new Date().toISOString(),
+    config: {
+      chatModel: ragService.chatModel?.signature(),
+      scorer: ragService.config.scorer,
+      rerank: ragService.config.rerank,
+      queryRewrite: ragService.config.queryRewrite,
+      confidenceModel: ragService.confidenceModel?.model.version
+    },
+    metrics: summarize(results, ks),
+    byLanguage: summarizeByLanguage(results, ks),
+    results
+  };
+}
+
+// Metrics where a lower value is better
+const LOWER_IS_BETTER = new Set(['latencyMeanMs', 'latencyP50Ms', 'latencyP95Ms']);
+
+/**
+ * Compare a report with a baseline report: metric deltas plus questions that flipped
+ */
+function diffReports(current, baseline) {
+  // Compare over the questions both runs share, so --language / --limit runs stay comparable
+  const currentIds = new Set(current.results.map(result => result.id));
+  const ks = Object.keys(current.metrics)
+    .filter(name => name.startsWith('recall@'))
+    .map(name => parseInt(name.slice('recall@'.length)));
+  const baselineMetrics = summarize(baseline.results.filter(result => currentIds.has(result.id)), ks);
+
+  const metrics = {};
+  for (const [name, value] of Object.entries(current.metrics)) {
+    const before = baselineMetrics[name];
+    if (typeof value !== 'number' || typeof before !== 'number' || name === 'questions') continue;
+
+    const delta = value - before;
+    metrics[name] = {
+      baseline: before,
+      current: value,
+      delta,
+      regressed: LOWER_IS_BETTER.has(name) ? delta > 0 : delta < 0
+    };
+  }
+
+  const baselineResults = new Map(baseline.results.map(result => [result.id, result]));
+  const passed = result => result.strategyCorrect && (result.exactMatch === undefined || result.exactMatch === 1);
+  const regressions = [];
+  const improvements = [];
+
+  for (const result of current.results) {
+    const before = baselineResults.get(result.id);
+    if (!before) continue;
+    if (passed(before) && !passed(result)) regressions.push(result.id);
+    if (!passed(before) && passed(result)) improvements.push(result.id);
+  }
+
+  return {
+    baselineVersion: baseline.goldenSetVersion,
+    baselineGeneratedAt: baseline.generatedAt,
+    sameGoldenSet: baseline.goldenSetVersion === current.goldenSetVersion,
+    metrics,
+    regressions,
+    improvements,
+    added: current.results.filter(result => !baselineResults.has(result.id)).map(result => result.id)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatMetric(name, value) {
+  if (value === null || value === undefined) return '-';
+  if (name.startsWith('latency')) return `${Math.round(value)} ms`;
+  if (name === 'questions') return String(value);
+  return value.toFixed(3);
+}
+
+/**
+ * Self-contained HTML page for a report (and its baseline diff, if any)
+ */
+function renderHtml(report) {
+  const metricRows = Object.entries(report.metrics).map(([name, value]) => {
+    const diff = report.diff?.metrics[name];
+    const delta = diff
+      ? `<td class="${diff.regressed ? 'bad' : diff.delta !== 0 ? 'good' : ''}">${diff.delta >= 0 ? '+' : ''}${formatMetric(name, diff.delta)}</td>`
+      : '<td></td>';
+    return `<tr><th>${escapeHtml(name)}</th><td>${formatMetric(name, value)}</td>${delta}</tr>`;
+  }).join('\n');
+
+  const languageNames = Object.keys(report.byLanguage);
+  const metricNames = Object.keys(report.metrics);
+  const languageRows = metricNames.map(name => `<tr><th>${escapeHtml(name)}</th>${languageNames
+    .map(language => `<td>${formatMetric(name, report.byLanguage[language][name])}</td>`).join('')}</tr>`).join('\n');
+
+  const regressions = new Set(report.diff?.regressions || []);
+  const questionRows = report.results.map(result => `<tr class="${regressions.has(result.id) ? 'regressed' : ''}">
+  <td>${escapeHtml(result.id)}</td>
+  <td>${escapeHtml(result.language)}</td>
+  <td>${escapeHtml(result.question)}</td>
+  <td class="${result.strategyCorrect ? 'good' : 'bad'}">${escapeHtml(result.strategy)}<br><small>expected ${escapeHtml(result.expectedStrategy)}</small></td>
+  <td>${result.firstRelevantRank ?? '-'}</td>
+  <td>${result.exactMatch ?? '-'}</td>
+  <td>${result.f1 !== undefined ? result.f1.toFixed(2) : '-'}</td>
+  <td>${result.latencyMs} ms</td>
+  <td><small>${escapeHtml(result.expectedAnswer ?? '(forward)')}</small><br>${escapeHtml(result.response)}</td>
+</tr>`).join('\n');
+
+  const diffSummary = report.diff
+    ? `<p>Baseline from ${escapeHtml(report.diff.baselineGeneratedAt)} (golden set ${escapeHtml(report.diff.baselineVersion)}${report.diff.sameGoldenSet ? '' : ', <strong>different version</strong>'}):
+       ${report.diff.regressions.length} regressed, ${report.diff.improvements.length} improved, ${report.diff.added.length} new.</p>`
+    : '<p>No baseline to compare with.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RAG evaluation – golden set ${escapeHtml(report.goldenSetVersion)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; font-size: 0.875rem; }
+  th { background: #f9fafb; }
+  .good { color: #047857; }
+  .bad { color: #b91c1c; }
+  tr.regressed { background: #fef2f2; }
+</style>
+</head>
+<body>
+<h1>RAG evaluation</h1>
+<p>Golden set ${escapeHtml(report.goldenSetVersion)} · ${escapeHtml(report.generatedAt)} · chat model ${escapeHtml(report.config.chatModel)} · scorer ${escapeHtml(report.config.scorer)}</p>
+${diffSummary}
+<h2>Metrics</h2>
+<table>
+<tr><th>Metric</th><th>Value</th><th>Δ baseline</th></tr>
+${metricRows}
+</table>
+<h2>By language</h2>
+<table>
+<tr><th>Metric</th>${languageNames.map(language => `<th>${escapeHtml(language)}</th>`).join('')}</tr>
+${languageRows}
+</table>
+<h2>Questions</h2>
+<table>
+<tr><th>Id</th><th>Language</th><th>Question</th><th>Strategy</th><th>Source rank</th><th>EM</th><th>F1</th><th>Latency</th><th>Expected / response</th></tr>
+${questionRows}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DEFAULT_GOLDEN_SET_PATH,
+  loadGoldenSet,
+  normalizeAnswer,
+  tokenF1,
+  evaluateQuestion,
+  summarize,
+  runEvaluation,
+  diffReports,
+  renderHtml
+};
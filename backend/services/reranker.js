@@ -0,0 +1,228 @@
+const Tokenizer = require('./tokenizer');
+const { getEmbeddingProvider } = require('./embeddingProviders');
+
+/**
+ * Re-ranker
+ * Second retrieval stage: rescores a wide candidate pool from the vector service
+ * with features a first-stage index cannot see, then keeps the best K.
+ *
+ * Features (each 0..1):
+ *   retrieval  first-stage similarity
+ *   coverage   share of the query terms found in the chunk
+ *   proximity  how close together the matched query terms are
+ *   title      share of the query terms found in the document title
+ *   heading    share of the query terms found in headings inside the chunk
+ *   model      optional scoring model: 'embedding' (shared embedding provider) or 'llm' (chat model)
+ * The score is the weighted average of the core features plus small title/heading boosts,
+ * so documents without titles or headings are not penalised.
+ */
+
+const DEFAULT_WEIGHTS = {
+  retrieval: 0.5,
+  coverage: 0.25,
+  proximity: 0.25,
+  model: 0.4
+};
+
+const DEFAULT_BOOSTS = {
+  title: 0.1,
+  heading: 0.05
+};
+
+class Reranker {
+  constructor(options = {}) {
+    this.model = options.model || 'none';
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.boosts = { ...DEFAULT_BOOSTS, ...options.boosts };
+    this.tokenizer = options.tokenizer || new Tokenizer();
+    this.chatModel = options.chatModel || null; // ChatModelProvider, used by the 'llm' model
+  }
+
+  /**
+   * Rescore and trim results; each result keeps its first-stage score as `retrievalSimilarity`
+   * and gets the re-ranked score as `similarity`
+   */
+  async rerank(query, results, options = {}) {
+    const { topK = results.length } = options;
+    if (results.length === 0) return [];
+
+    const queryTerms = new Set(this.tokenizer.tokenize(query));
+    const modelScores = await this.getModelScores(query, results);
+
+    const rescored = results.map((result, i) => {
+      const features = {
+        retrieval: result.similarity || 0,
+        ...this.lexicalFeatures(queryTerms, result)
+      };
+      if (modelScores) {
+        features.model = modelScores[i];
+      }
+
+      let weighted = 0;
+      let totalWeight = 0;
+      let boost = 0;
+      for (const [feature, value] of Object.entries(features)) {
+        if (feature in this.boosts) {
+          boost += this.boosts[feature] * value;
+        } else {
+          weighted += this.weights[feature] * value;
+          totalWeight += this.weights[feature];
+        }
+      }
+
+      const score = Math.min(1, (totalWeight > 0 ? weighted / totalWeight : 0) + boost);
+      return {
+        ...result,
+        retrievalSimilarity: result.similarity,
+        similarity: score,
+        scores: { ...result.scores, rerank: score, rerankFeatures: features }
+      };
+    });
+
+    return rescored
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+  }
+
+  /**
+   * Term coverage, proximity, title and heading matches
+   */
+  lexicalFeatures(queryTerms, result) {
+    if (queryTerms.size === 0) {
+      return { coverage: 0, proximity: 0, title: 0, heading: 0 };
+    }
+
+    const tokens = this.tokenizer.tokenize(result.content || '');
+    const matched = new Set(tokens.filter(token => queryTerms.has(token)));
+
+    return {
+      coverage: matched.size / queryTerms.size,
+      proximity: this.proximity(tokens, queryTerms, matched.size),
+      title: this.termShare(queryTerms, result.documentTitle || ''),
+      heading: this.termShare(queryTerms, this.extractHeadings(result).join(' '))
+    };
+  }
+
+  /**
+   * Matched terms divided by the length of the shortest window containing all of them
+   */
+  proximity(tokens, queryTerms, matchedCount) {
+    if (matchedCount === 0) return 0;
+    if (matchedCount === 1) return queryTerms.size === 1 ? 1 : 0;
+
+    const windowCounts = new Map();
+    let covered = 0;
+    let start = 0;
+    let shortest = Infinity;
+
+    for (let end = 0; end < tokens.length; end++) {
+      if (!queryTerms.has(tokens[end])) continue;
+
+      windowCounts.set(tokens[end], (windowCounts.get(tokens[end]) || 0) + 1);
+      if (windowCounts.get(tokens[end]) === 1) covered++;
+
+      while (covered === matchedCount) {
+        shortest = Math.min(shortest, end - start + 1);
+
+        const first = tokens[start];
+        if (queryTerms.has(first)) {
+          windowCounts.set(first, windowCounts.get(first) - 1);
+          if (windowCounts.get(first) === 0) covered--;
+        }
+        start++;
+      }
+    }
+
+    return shortest === Infinity ? 0 : matchedCount / shortest;
+  }
+
+  termShare(queryTerms, text) {
+    const terms = new Set(this.tokenizer.tokenize(text));
+    let shared = 0;
+    for (const term of queryTerms) {
+      if (terms.has(term)) shared++;
+    }
+    return shared / queryTerms.size;
+  }
+
+  /**
+   * Headings inside a chunk: section paths when the chunk has them, otherwise short
+   * lines that look like titles (no closing full stop, or a trailing colon)
+   */
+  extractHeadings(result) {
+    const headings = [];
+
+    if (Array.isArray(result.sectionPath)) {
+      headings.push(...result.sectionPath);
+    }
+
+    for (const line of (result.content || '').split('\n')) {
+      const trimmed = line.trim();
+      if (trimmed.length > 0 && trimmed.length <= 80 && (/:$/.test(trimmed) || !/[.!?।]$/.test(trimmed))) {
+        headings.push(trimmed.replace(/:$/, ''));
+      }
+    }
+
+    return headings;
+  }
+
+  /**
+   * Optional model scores (0..1 per result), or null when no model is configured or it fails
+   */
+  async getModelScores(query, results) {
+    try {
+      if (this.model === 'embedding') {
+        return await this.embeddingScores(query, results);
+      }
+      if (this.model === 'llm' && this.chatModel?.generative) {
+        return await this.llmScores(query, results);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Re-ranking model '${this.model}' failed, using lexical features only:`, error.message);
+    }
+    return null;
+  }
+
+  async embeddingScores(query, results) {
+    const provider = getEmbeddingProvider();
+    const [queryEmbedding, ...embeddings] = await provider.embedBatch([query, ...results.map(result => result.content || '')]);
+
+    return embeddings.map(embedding => {
+      let dot = 0;
+      let normA = 0;
+      let normB = 0;
+      for (let i = 0; i < embedding.length; i++) {
+        dot += queryEmbedding[i] * embedding[i];
+        normA += queryEmbedding[i] * queryEmbedding[i];
+        normB += embedding[i] * embedding[i];
+      }
+      return normA > 0 && normB > 0 ? Math.max(0, dot / Math.sqrt(normA * normB)) : 0;
+    });
+  }
+
+  /**
+   * Ask the chat model to grade every passage in one call
+   */
+  async llmScores(query, results) {
+    const passages = results
+      .map((result, i) => `[${i}] ${result.documentTitle || ''}\n${(result.content || '').substring(0, 600)}`)
+      .join('\n\n');
+
+    const reply = await this.chatModel.complete([
+      {
+        role: 'system',
+        content: 'You grade how well passages answer a question. Reply with only a JSON array of numbers from 0 to 10, one per passage, in order.'
+      },
+      { role: 'user', content: `Question: ${query}\n\nPassages:\n${passages}` }
+    ], { temperature: 0, maxTokens: 10 + results.length * 4 });
+
+    const grades = JSON.parse(reply.match(/\[[\s\S]*\]/)[0]);
+    if (!Array.isArray(grades) || grades.length !== results.length) {
+      throw new Error('Unexpected grading response');
+    }
+
+    return grades.map(grade => Math.min(Math.max(Number(grade) || 0, 0), 10) / 10);
+  }
+}
+
+module.exports = Reranker;
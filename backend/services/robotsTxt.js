@@ -0,0 +1,128 @@
+/**
+ * robots.txt
+ * Parses robots.txt (RFC 9309, plus the common Crawl-delay and Sitemap lines) and answers
+ * whether the crawler may fetch a URL:
+ *   - the group whose User-agent token appears in our user agent applies, the longest token
+ *     winning; without one the "*" group applies
+ *   - the longest matching Allow/Disallow path wins, Allow on a tie; "*" and a trailing "$"
+ *     work as in the major crawlers
+ * A missing robots.txt (4xx) allows everything; one that cannot be fetched (5xx, network
+ * error) disallows everything until the next crawl.
+ */
+
+function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, which is the default anyway
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Regular expression for a robots.txt path pattern
+ */
+function pathPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+class RobotsRules {
+  /**
+   * @param {Object} parsed - parseRobotsTxt() result
+   * @param {string} userAgent - our full user agent string
+   */
+  constructor(parsed = { groups: [], sitemaps: [] }, userAgent = '') {
+    const agent = userAgent.toLowerCase();
+    const named = parsed.groups
+      .flatMap(group => group.agents.filter(token => token !== '*' && agent.includes(token)).map(token => ({ token, group })));
+    const longest = named.reduce((max, { token }) => Math.max(max, token.length), 0);
+    const groups = longest > 0
+      ? named.filter(({ token }) => token.length === longest).map(({ group }) => group)
+      : parsed.groups.filter(group => group.agents.includes('*'));
+
+    this.rules = groups
+      .flatMap(group => group.rules)
+      .map(rule => ({ ...rule, pattern: pathPattern(rule.path) }));
+    const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+    this.crawlDelay = delays.length > 0 ? Math.max(...delays) : null; // seconds
+    this.sitemaps = parsed.sitemaps;
+    this.disallowAll = false;
+  }
+
+  static fromText(text, userAgent) {
+    return new RobotsRules(parseRobotsTxt(text), userAgent);
+  }
+
+  static allowAll() {
+    return new RobotsRules();
+  }
+
+  static disallowAll() {
+    const rules = new RobotsRules();
+    rules.disallowAll = true;
+    return rules;
+  }
+
+  /**
+   * Whether the URL may be fetched
+   */
+  isAllowed(url) {
+    if (this.disallowAll) return false;
+
+    const { pathname, search } = new URL(url);
+    const path = `${pathname}${search}`;
+    if (path === '/robots.txt') return true;
+
+    let best = null;
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(path)) continue;
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+    return !best || best.allow;
+  }
+}
+
+module.exports = {
+  parseRobotsTxt,
+  RobotsRules
+};
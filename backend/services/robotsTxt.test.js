@@ -0,0 +1,90 @@
+const { parseRobotsTxt, RobotsRules } = require('./robotsTxt');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; RizviCollegeBot/1.0)';
+
+const ROBOTS = `
+# Rizvi College
+User-agent: *
+Disallow: /admin/
+Disallow: /*.pdf$
+Allow: /admin/notices/
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /
+
+User-agent: RizviCollegeBot
+Disallow: /private
+Crawl-delay: 5
+
+Sitemap: https://www.rizvi.edu.in/sitemap.xml
+Sitemap: https://www.rizvi.edu.in/news-sitemap.xml
+`;
+
+describe('parseRobotsTxt', () => {
+  test('groups consecutive User-agent lines and collects sitemaps', () => {
+    const { groups, sitemaps } = parseRobotsTxt(ROBOTS);
+
+    expect(groups.map(group => group.agents)).toEqual([['*'], ['googlebot', 'bingbot'], ['rizvicollegebot']]);
+    expect(groups[0].rules).toHaveLength(3);
+    expect(groups[0].crawlDelay).toBe(2);
+    expect(sitemaps).toEqual(['https://www.rizvi.edu.in/sitemap.xml', 'https://www.rizvi.edu.in/news-sitemap.xml']);
+  });
+
+  test('ignores rules before any User-agent, empty Disallow lines and bad delays', () => {
+    const { groups } = parseRobotsTxt('Disallow: /\nUser-agent: *\nDisallow:\nCrawl-delay: soon');
+
+    expect(groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+  });
+});
+
+describe('RobotsRules', () => {
+  test('applies the group named in our user agent instead of "*"', () => {
+    const rules = RobotsRules.fromText(ROBOTS, USER_AGENT);
+
+    expect(rules.isAllowed('https://www.rizvi.edu.in/private/marks')).toBe(false);
+    expect(rules.isAllowed('https://www.rizvi.edu.in/admin/')).toBe(true);
+    expect(rules.crawlDelay).toBe(5);
+  });
+
+  describe('with the "*" group', () => {
+    const rules = RobotsRules.fromText(ROBOTS, 'OtherBot/2.0');
+
+    test.each([
+      ['https://www.rizvi.edu.in/', true],
+      ['https://www.rizvi.edu.in/admin/users', false],
+      ['https://www.rizvi.edu.in/admin/notices/exam', true],
+      ['https://www.rizvi.edu.in/docs/fees.pdf', false],
+      ['https://www.rizvi.edu.in/docs/fees.pdf?download=1', true],
+      ['https://www.rizvi.edu.in/robots.txt', true]
+    ])('%s allowed: %s', (url, expected) => {
+      expect(rules.isAllowed(url)).toBe(expected);
+    });
+
+    test('reads the crawl delay', () => {
+      expect(rules.crawlDelay).toBe(2);
+    });
+  });
+
+  test('prefers Allow when rules of the same length match', () => {
+    const rules = RobotsRules.fromText('User-agent: *\nDisallow: /page\nAllow: /page', USER_AGENT);
+
+    expect(rules.isAllowed('https://example.com/page')).toBe(true);
+  });
+
+  test('matches the longest user agent token', () => {
+    const rules = RobotsRules.fromText(
+      'User-agent: bot\nDisallow: /a\n\nUser-agent: collegebot\nDisallow: /b',
+      USER_AGENT
+    );
+
+    expect(rules.isAllowed('https://example.com/a')).toBe(true);
+    expect(rules.isAllowed('https://example.com/b')).toBe(false);
+  });
+
+  test('allows everything or nothing when robots.txt is missing or unreachable', () => {
+    expect(RobotsRules.allowAll().isAllowed('https://example.com/admin')).toBe(true);
+    expect(RobotsRules.disallowAll().isAllowed('https://example.com/')).toBe(false);
+  });
+});
@@ -1,5 +1,5 @@
 const cron = require('node-cron');
-const CollegeWebsiteScraper = require('../services/scraper');
+const { CrawlerService } = require('../services/crawler');
 const DocumentProcessor = require('../services/documentProcessor');
 
 /**
@@ -54,16 +54,16 @@ class ScheduledTasksService {
     this.lastRunTime = new Date();
 
     try {
-      const scraper = new CollegeWebsiteScraper();
-      const results = await scraper.runFullScrape();
+      const crawler = CrawlerService.getSharedInstance();
+      if (crawler.isRunning()) {
+        console.log('⚠️ A crawl job is already running, skipping...');
+        return;
+      }
+
+      const { finished } = await crawler.startJob({ trigger: 'scheduled' });
+      const job = await finished;
       
-      console.log('📊 Scheduled scraping results:', {
-        mainPages: results.mainPages.length,
-        faqs: results.faqs.length,
-        pdfs: results.pdfs.length,
-        announcements: results.announcements.length,
-        total: results.mainPages.length + results.faqs.length + results.pdfs.length + results.announcements.length
-      });
+      console.log(`📊 Scheduled crawl job ${job._id} ${job.status}:`, job.toObject().stats);
 
       // Process the scraped documents
       await this.processNewDocuments();
@@ -0,0 +1,211 @@
+/**
+ * Retrieval Scorers
+ * Pluggable ranking functions for the local vector index. Every scorer takes the
+ * query text and the LocalVectorDatabaseService instance and returns ranked
+ * chunks as { chunkId, score, similarity, scores }, where `score` orders the
+ * results and `similarity` is a 0..1 value used for thresholds and confidence.
+ * Scorers with `requiresEmbeddings` also receive the query embedding in `context`.
+ * When `context.allowedChunks` is set (metadata pre-filtering), other chunks are never scored.
+ */
+
+/**
+ * TF-IDF cosine similarity over the precomputed chunk vectors
+ */
+class TfidfCosineScorer {
+  constructor() {
+    this.name = 'tfidf';
+  }
+
+  score(query, index, context = {}) {
+    const queryVector = index.generateTFIDFVector(query);
+    const results = [];
+
+    for (const [chunkId, chunkVector] of index.vectorIndex) {
+      if (context.allowedChunks && !context.allowedChunks.has(chunkId)) continue;
+
+      const similarity = index.cosineSimilarity(queryVector, chunkVector);
+      if (similarity > 0) {
+        results.push({ chunkId, score: similarity, similarity, scores: { tfidf: similarity } });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Okapi BM25 over the chunk term statistics
+ * Rewards chunks that contain the rare query terms without favouring long chunks
+ */
+class BM25Scorer {
+  constructor(options = {}) {
+    this.name = 'bm25';
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+  }
+
+  idf(term, index) {
+    const totalChunks = index.chunkIndex.size;
+    const chunkCount = index.documentFrequency.get(term) || 0;
+    return Math.log(1 + (totalChunks - chunkCount + 0.5) / (chunkCount + 0.5));
+  }
+
+  score(query, index, context = {}) {
+    const queryTerms = [...new Set(index.preprocessText(query))]
+      .filter(term => index.documentFrequency.has(term));
+
+    if (queryTerms.length === 0) return [];
+
+    const idfs = new Map(queryTerms.map(term => [term, this.idf(term, index)]));
+
+    // Best achievable score for this query, used to map BM25 onto 0..1
+    const maxScore = queryTerms.reduce((sum, term) => sum + idfs.get(term) * (this.k1 + 1), 0);
+    const avgLength = index.averageChunkLength || 1;
+    const results = [];
+
+    for (const [chunkId, termCounts] of index.termFrequencies) {
+      if (context.allowedChunks && !context.allowedChunks.has(chunkId)) continue;
+
+      const length = index.chunkLengths.get(chunkId) || 0;
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const tf = termCounts.get(term);
+        if (!tf) continue;
+
+        const norm = tf + this.k1 * (1 - this.b + this.b * (length / avgLength));
+        score += idfs.get(term) * (tf * (this.k1 + 1)) / norm;
+      }
+
+      if (score > 0) {
+        const similarity = maxScore > 0 ? Math.min(score / maxScore, 1) : 0;
+        results.push({ chunkId, score, similarity, scores: { bm25: similarity } });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Cosine similarity between dense embeddings from the shared embedding provider.
+ * Uses the approximate nearest neighbour index from `context.annIndex` when the
+ * vector service provides one, otherwise scans every chunk embedding (the lexical
+ * scorers have no such index and always scan).
+ */
+class DenseEmbeddingScorer {
+  constructor() {
+    this.name = 'dense';
+    this.requiresEmbeddings = true;
+  }
+
+  score(query, index, context = {}) {
+    const queryEmbedding = context.queryEmbedding;
+    if (!queryEmbedding) return [];
+
+    const allowed = context.allowedChunks;
+
+    if (context.annIndex) {
+      return context.annIndex
+        .search(queryEmbedding, context.candidates || 50, {
+          efSearch: context.efSearch,
+          filter: allowed ? chunkId => allowed.has(chunkId) : null
+        })
+        .filter(match => match.similarity > 0)
+        .map(match => ({
+          chunkId: match.id,
+          score: match.similarity,
+          similarity: match.similarity,
+          scores: { dense: match.similarity }
+        }));
+    }
+
+    const results = [];
+
+    for (const [chunkId, embedding] of index.chunkEmbeddings) {
+      if (allowed && !allowed.has(chunkId)) continue;
+
+      let dot = 0;
+      let normA = 0;
+      let normB = 0;
+
+      for (let i = 0; i < queryEmbedding.length; i++) {
+        dot += queryEmbedding[i] * embedding[i];
+        normA += queryEmbedding[i] * queryEmbedding[i];
+        normB += embedding[i] * embedding[i];
+      }
+
+      const similarity = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+      if (similarity > 0) {
+        results.push({ chunkId, score: similarity, similarity, scores: { dense: similarity } });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Reciprocal rank fusion of several scorers
+ * Orders chunks by sum(1 / (k + rank)); similarity is the best component similarity
+ */
+class ReciprocalRankFusionScorer {
+  constructor(scorers, options = {}) {
+    this.name = 'rrf';
+    this.scorers = scorers;
+    this.k = options.k ?? 60;
+    this.requiresEmbeddings = scorers.some(scorer => scorer.requiresEmbeddings);
+  }
+
+  score(query, index, context = {}) {
+    const fused = new Map();
+
+    for (const scorer of this.scorers) {
+      const ranked = scorer.score(query, index, context);
+
+      ranked.forEach((result, rank) => {
+        const entry = fused.get(result.chunkId) || { chunkId: result.chunkId, score: 0, similarity: 0, scores: {} };
+        entry.score += 1 / (this.k + rank + 1);
+        entry.similarity = Math.max(entry.similarity, result.similarity);
+        Object.assign(entry.scores, result.scores);
+        fused.set(result.chunkId, entry);
+      });
+    }
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Create a scorer by name: 'tfidf', 'bm25', 'dense' or 'hybrid' (RRF of `options.scorers`,
+ * BM25 and TF-IDF by default)
+ */
+function createScorer(name = 'tfidf', options = {}) {
+  switch (name) {
+    case 'tfidf':
+      return new TfidfCosineScorer();
+
+    case 'bm25':
+      return new BM25Scorer(options.bm25);
+
+    case 'dense':
+      return new DenseEmbeddingScorer();
+
+    case 'hybrid':
+    case 'rrf': {
+      const components = (options.scorers || ['bm25', 'tfidf']).map(component => createScorer(component, options));
+      return new ReciprocalRankFusionScorer(components, { k: options.rrfK });
+    }
+
+    default:
+      throw new Error(`Unknown retrieval scorer: ${name}`);
+  }
+}
+
+module.exports = {
+  TfidfCosineScorer,
+  BM25Scorer,
+  DenseEmbeddingScorer,
+  ReciprocalRankFusionScorer,
+  createScorer
+};
@@ -0,0 +1,151 @@
+const LocalVectorDatabaseService = require('./localVectorDatabase');
+const {
+  TfidfCosineScorer,
+  BM25Scorer,
+  DenseEmbeddingScorer,
+  ReciprocalRankFusionScorer,
+  createScorer
+} = require('./scorers');
+
+const DOCUMENTS = {
+  hostel: 'Hostel fees are Rs. 80,000 per year including mess charges.',
+  tuition: 'Tuition fees for Computer Engineering are Rs. 1,20,000 per year.',
+  library: 'The library is open from 9 am to 8 pm on all working days.',
+  longHostel: 'Hostel rooms are shared by two students. ' +
+    'The campus has a gym, a canteen, a reading room, sports grounds, a medical room and wifi in every block.'
+};
+
+let index;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  index = new LocalVectorDatabaseService();
+  for (const [documentId, content] of Object.entries(DOCUMENTS)) {
+    await index.addDocument({ title: documentId, content, metadata: { documentId } }, { persist: false });
+  }
+  index.refreshVectors();
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+function documentIds(results) {
+  return results.map(result => index.chunkIndex.get(result.chunkId).documentId);
+}
+
+describe('TfidfCosineScorer', () => {
+  test('ranks chunks by cosine similarity, best first', () => {
+    const results = new TfidfCosineScorer().score('library timings', index);
+
+    expect(documentIds(results)[0]).toBe('library');
+    expect(results[0].similarity).toBe(results[0].scores.tfidf);
+    expect(results[0].similarity).toBeLessThanOrEqual(1);
+  });
+
+  test('only scores the allowed chunks', () => {
+    const allowed = new Set(index.documentIndex.get('tuition').chunkIds);
+    const results = new TfidfCosineScorer().score('fees per year', index, { allowedChunks: allowed });
+
+    expect(documentIds(results)).toEqual(['tuition']);
+  });
+});
+
+describe('BM25Scorer', () => {
+  test('favours the chunk with the rare query term', () => {
+    const results = new BM25Scorer().score('hostel mess fees', index);
+
+    expect(documentIds(results)[0]).toBe('hostel');
+    for (const result of results) {
+      expect(result.similarity).toBeGreaterThan(0);
+      expect(result.similarity).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('prefers the shorter chunk when term counts are equal', () => {
+    const results = new BM25Scorer().score('hostel', index);
+
+    expect(documentIds(results)).toEqual(['hostel', 'longHostel']);
+  });
+
+  test('ignores length when b is 0', () => {
+    const results = new BM25Scorer({ b: 0 }).score('hostel', index);
+
+    expect(results[0].score).toBeCloseTo(results[1].score, 10);
+  });
+
+  test('returns nothing for terms outside the vocabulary', () => {
+    expect(new BM25Scorer().score('scholarship', index)).toEqual([]);
+  });
+});
+
+describe('DenseEmbeddingScorer', () => {
+  const embeddings = {
+    chunkEmbeddings: new Map([
+      ['a', [1, 0, 0]],
+      ['b', [0.6, 0.8, 0]],
+      ['c', [0, 0, 1]]
+    ])
+  };
+
+  test('ranks chunk embeddings by cosine similarity and drops orthogonal ones', () => {
+    const results = new DenseEmbeddingScorer().score('', embeddings, { queryEmbedding: [1, 0, 0] });
+
+    expect(results.map(result => result.chunkId)).toEqual(['a', 'b']);
+    expect(results[1].similarity).toBeCloseTo(0.6);
+  });
+
+  test('returns nothing without a query embedding', () => {
+    expect(new DenseEmbeddingScorer().score('', embeddings)).toEqual([]);
+  });
+});
+
+describe('ReciprocalRankFusionScorer', () => {
+  function fixed(name, chunkIds) {
+    return {
+      name,
+      score: () => chunkIds.map((chunkId, rank) => ({
+        chunkId,
+        score: 1 / (rank + 1),
+        similarity: 0.9 - rank * 0.1,
+        scores: { [name]: 0.9 - rank * 0.1 }
+      }))
+    };
+  }
+
+  test('sums 1 / (k + rank) across scorers', () => {
+    const fusion = new ReciprocalRankFusionScorer([fixed('x', ['a', 'b']), fixed('y', ['b', 'c'])], { k: 60 });
+    const results = fusion.score('query', index);
+
+    expect(results.map(result => result.chunkId)).toEqual(['b', 'a', 'c']);
+    expect(results[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(results[0].similarity).toBeCloseTo(0.9);
+    expect(results[0].scores).toEqual({ x: expect.any(Number), y: expect.any(Number) });
+  });
+
+  test('needs embeddings when any component does', () => {
+    expect(new ReciprocalRankFusionScorer([new BM25Scorer()]).requiresEmbeddings).toBe(false);
+    expect(new ReciprocalRankFusionScorer([new BM25Scorer(), new DenseEmbeddingScorer()]).requiresEmbeddings).toBe(true);
+  });
+});
+
+describe('createScorer', () => {
+  test('creates scorers by name', () => {
+    expect(createScorer()).toBeInstanceOf(TfidfCosineScorer);
+    expect(createScorer('bm25', { bm25: { k1: 2 } }).k1).toBe(2);
+    expect(createScorer('dense')).toBeInstanceOf(DenseEmbeddingScorer);
+  });
+
+  test('fuses BM25 and TF-IDF for hybrid by default', () => {
+    const hybrid = createScorer('hybrid', { rrfK: 10 });
+
+    expect(hybrid).toBeInstanceOf(ReciprocalRankFusionScorer);
+    expect(hybrid.k).toBe(10);
+    expect(hybrid.scorers.map(scorer => scorer.name)).toEqual(['bm25', 'tfidf']);
+  });
+
+  test('rejects unknown names', () => {
+    expect(() => createScorer('lsi')).toThrow('Unknown retrieval scorer: lsi');
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Search Filters
+ * Metadata filters shared by both vector services. A filter object may contain:
+ *   contentType, language, source  value or array of accepted values
+ *   categories                     value or array; matches documents with any of them in metadata.categories
+ *   isActive                       boolean (documents without the flag count as active)
+ *   hasTables                      boolean; documents with (or without) extracted data tables
+ *   dateRange                      { field, from, to } or an array of them; field is one of DATE_FIELDS
+ *   notExpiredAt                   date; drops documents whose expiresAt is before it
+ *   not                            filter (or array of filters); drops documents matching any of them
+ *   anyOf                          array of filters; keeps documents matching at least one of them
+ */
+
+// Filterable date fields and where they live on the Document model
+const DATE_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  scrapedAt: 'metadata.scrapedAt',
+  lastScrapedAt: 'metadata.lastScrapedAt',
+  publishedAt: 'metadata.publishedAt',
+  expiresAt: 'metadata.expiresAt'
+};
+
+const VALUE_FIELDS = ['contentType', 'language', 'source'];
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function toDate(value) {
+  if (value === undefined || value === null) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Drop empty entries so `{ language: null }` means "no language filter"
+ */
+function normalizeFilters(filters = {}) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(filters || {})) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    normalized[key] = value;
+  }
+
+  return normalized;
+}
+
+function hasFilters(filters) {
+  return Object.keys(normalizeFilters(filters)).length > 0;
+}
+
+/**
+ * Check a local index document's metadata against the filters
+ * (metadata is flat: { contentType, language, source, categories, isActive, createdAt, ... })
+ */
+function matchesFilters(metadata = {}, filters = {}) {
+  const active = normalizeFilters(filters);
+
+  for (const field of VALUE_FIELDS) {
+    if (active[field] !== undefined && !toArray(active[field]).includes(metadata[field])) {
+      return false;
+    }
+  }
+
+  if (active.categories !== undefined) {
+    const categories = metadata.categories || [];
+    if (!toArray(active.categories).some(category => categories.includes(category))) {
+      return false;
+    }
+  }
+
+  if (active.isActive !== undefined && (metadata.isActive ?? true) !== active.isActive) {
+    return false;
+  }
+
+  if (active.hasTables !== undefined && Boolean(metadata.hasTables) !== active.hasTables) {
+    return false;
+  }
+
+  for (const range of toArray(active.dateRange || [])) {
+    if (!DATE_FIELDS[range.field]) {
+      throw new Error(`Unknown date filter field: ${range.field}`);
+    }
+
+    const value = toDate(metadata[range.field]);
+    const from = toDate(range.from);
+    const to = toDate(range.to);
+    if (!value || (from && value < from) || (to && value > to)) {
+      return false;
+    }
+  }
+
+  if (active.notExpiredAt !== undefined) {
+    const expiresAt = toDate(metadata.expiresAt);
+    if (expiresAt && expiresAt < toDate(active.notExpiredAt)) {
+      return false;
+    }
+  }
+
+  if (active.not !== undefined && toArray(active.not).some(excluded => matchesFilters(metadata, excluded))) {
+    return false;
+  }
+
+  if (active.anyOf !== undefined && !toArray(active.anyOf).some(option => matchesFilters(metadata, option))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Translate filters into a MongoDB query on the Document collection
+ */
+function toMongoQuery(filters = {}) {
+  const active = normalizeFilters(filters);
+  const query = {};
+  const and = [];
+
+  for (const field of VALUE_FIELDS) {
+    if (active[field] !== undefined) {
+      query[field] = Array.isArray(active[field]) ? { $in: active[field] } : active[field];
+    }
+  }
+
+  if (active.categories !== undefined) {
+    query['metadata.categories'] = { $in: toArray(active.categories) };
+  }
+
+  if (active.isActive !== undefined) {
+    query.isActive = active.isActive ? { $ne: false } : false;
+  }
+
+  if (active.hasTables !== undefined) {
+    query['tables.0'] = { $exists: active.hasTables };
+  }
+
+  for (const range of toArray(active.dateRange || [])) {
+    const path = DATE_FIELDS[range.field];
+    if (!path) {
+      throw new Error(`Unknown date filter field: ${range.field}`);
+    }
+
+    const condition = { $exists: true, $ne: null };
+    if (toDate(range.from)) condition.$gte = toDate(range.from);
+    if (toDate(range.to)) condition.$lte = toDate(range.to);
+    and.push({ [path]: condition });
+  }
+
+  if (active.notExpiredAt !== undefined) {
+    and.push({
+      $or: [
+        { 'metadata.expiresAt': { $exists: false } },
+        { 'metadata.expiresAt': null },
+        { 'metadata.expiresAt': { $gte: toDate(active.notExpiredAt) } }
+      ]
+    });
+  }
+
+  if (active.not !== undefined) {
+    and.push({ $nor: toArray(active.not).map(toMongoQuery) });
+  }
+
+  if (active.anyOf !== undefined) {
+    and.push({ $or: toArray(active.anyOf).map(toMongoQuery) });
+  }
+
+  if (and.length > 0) {
+    query.$and = and;
+  }
+
+  return query;
+}
+
+/**
+ * Combine several filter objects; later objects override earlier ones field by field,
+ * except `not` and `dateRange`, which are accumulated
+ */
+function mergeFilters(...filterSets) {
+  const merged = {};
+
+  for (const filters of filterSets) {
+    for (const [key, value] of Object.entries(normalizeFilters(filters))) {
+      if ((key === 'not' || key === 'dateRange') && merged[key] !== undefined) {
+        merged[key] = [...toArray(merged[key]), ...toArray(value)];
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  DATE_FIELDS,
+  normalizeFilters,
+  hasFilters,
+  matchesFilters,
+  toMongoQuery,
+  mergeFilters
+};
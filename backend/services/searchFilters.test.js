@@ -0,0 +1,120 @@
+const {
+  normalizeFilters,
+  hasFilters,
+  matchesFilters,
+  toMongoQuery,
+  mergeFilters
+} = require('./searchFilters');
+
+const notice = {
+  contentType: 'notice',
+  language: 'english',
+  source: 'website',
+  categories: ['admissions', 'fees'],
+  createdAt: '2024-05-10T00:00:00Z',
+  expiresAt: '2024-07-01T00:00:00Z'
+};
+
+describe('normalizeFilters', () => {
+  test('drops null, undefined and empty array filters', () => {
+    expect(normalizeFilters({ language: null, source: undefined, categories: [], contentType: 'pdf' }))
+      .toEqual({ contentType: 'pdf' });
+    expect(hasFilters({ language: null })).toBe(false);
+    expect(hasFilters(null)).toBe(false);
+    expect(hasFilters({ isActive: false })).toBe(true);
+  });
+});
+
+describe('matchesFilters', () => {
+  test.each([
+    [{ contentType: 'notice' }, true],
+    [{ contentType: ['pdf', 'notice'] }, true],
+    [{ language: 'hindi' }, false],
+    [{ categories: ['hostel', 'fees'] }, true],
+    [{ categories: 'hostel' }, false],
+    [{ isActive: true }, true],
+    [{ isActive: false }, false],
+    [{ hasTables: false }, true],
+    [{ dateRange: { field: 'createdAt', from: '2024-05-01', to: '2024-05-31' } }, true],
+    [{ dateRange: { field: 'createdAt', from: '2024-06-01' } }, false],
+    [{ dateRange: { field: 'publishedAt', from: '2024-01-01' } }, false],
+    [{ notExpiredAt: '2024-06-15' }, true],
+    [{ notExpiredAt: '2024-08-01' }, false],
+    [{ not: { source: 'website' } }, false],
+    [{ not: [{ language: 'hindi' }, { contentType: 'pdf' }] }, true],
+    [{ anyOf: [{ language: 'hindi' }, { categories: 'fees' }] }, true],
+    [{ anyOf: [{ language: 'hindi' }, { source: 'upload' }] }, false]
+  ])('%j matches: %s', (filters, expected) => {
+    expect(matchesFilters(notice, filters)).toBe(expected);
+  });
+
+  test('treats documents without expiry as not expired', () => {
+    expect(matchesFilters({ contentType: 'pdf' }, { notExpiredAt: new Date() })).toBe(true);
+  });
+
+  test('rejects unknown date fields', () => {
+    expect(() => matchesFilters(notice, { dateRange: { field: 'deletedAt' } })).toThrow('Unknown date filter field: deletedAt');
+  });
+});
+
+describe('toMongoQuery', () => {
+  test('translates value, category and flag filters', () => {
+    expect(toMongoQuery({
+      contentType: ['pdf', 'notice'],
+      language: 'english',
+      categories: 'fees',
+      isActive: true,
+      hasTables: true
+    })).toEqual({
+      contentType: { $in: ['pdf', 'notice'] },
+      language: 'english',
+      'metadata.categories': { $in: ['fees'] },
+      isActive: { $ne: false },
+      'tables.0': { $exists: true }
+    });
+  });
+
+  test('maps date fields onto the Document model paths', () => {
+    const query = toMongoQuery({
+      dateRange: { field: 'scrapedAt', from: '2024-01-01' },
+      notExpiredAt: '2024-06-15'
+    });
+
+    expect(query.$and[0]).toEqual({
+      'metadata.scrapedAt': { $exists: true, $ne: null, $gte: new Date('2024-01-01') }
+    });
+    expect(query.$and[1].$or).toContainEqual({ 'metadata.expiresAt': { $gte: new Date('2024-06-15') } });
+  });
+
+  test('nests not and anyOf', () => {
+    expect(toMongoQuery({ not: { source: 'website' }, anyOf: [{ language: 'hindi' }] })).toEqual({
+      $and: [
+        { $nor: [{ source: 'website' }] },
+        { $or: [{ language: 'hindi' }] }
+      ]
+    });
+  });
+
+  test('returns an empty query without filters', () => {
+    expect(toMongoQuery({ language: null })).toEqual({});
+  });
+});
+
+describe('mergeFilters', () => {
+  test('overrides fields and accumulates not and dateRange', () => {
+    const merged = mergeFilters(
+      { language: 'english', not: { source: 'website' }, dateRange: { field: 'createdAt', from: '2024-01-01' } },
+      { language: 'hindi', not: { contentType: 'pdf' }, dateRange: { field: 'expiresAt', from: '2024-06-01' } },
+      { source: null }
+    );
+
+    expect(merged).toEqual({
+      language: 'hindi',
+      not: [{ source: 'website' }, { contentType: 'pdf' }],
+      dateRange: [
+        { field: 'createdAt', from: '2024-01-01' },
+        { field: 'expiresAt', from: '2024-06-01' }
+      ]
+    });
+  });
+});
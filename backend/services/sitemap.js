@@ -0,0 +1,42 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+/**
+ * Sitemaps
+ * Reads sitemap.xml files (sitemaps.org protocol): a <urlset> lists pages, a <sitemapindex>
+ * lists further sitemaps. Gzipped sitemaps (.xml.gz) are unpacked first.
+ */
+
+/**
+ * Text of a fetched sitemap, gunzipping it when it starts with the gzip magic bytes
+ */
+function sitemapText(buffer) {
+  const bytes = Buffer.from(buffer);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return zlib.gunzipSync(bytes).toString('utf8');
+  }
+  return bytes.toString('utf8');
+}
+
+/**
+ * @returns {Object} { type: 'index' | 'urlset' | null, urls: [String] }
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locations = selector => $(selector).toArray()
+    .map(element => $(element).text().trim())
+    .filter(url => /^https?:\/\//i.test(url));
+
+  if ($('sitemapindex').length > 0) {
+    return { type: 'index', urls: locations('sitemapindex > sitemap > loc') };
+  }
+  if ($('urlset').length > 0) {
+    return { type: 'urlset', urls: locations('urlset > url > loc') };
+  }
+  return { type: null, urls: [] };
+}
+
+module.exports = {
+  sitemapText,
+  parseSitemap
+};
@@ -0,0 +1,45 @@
+const zlib = require('zlib');
+const { sitemapText, parseSitemap } = require('./sitemap');
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://www.rizvi.edu.in/admissions</loc><lastmod>2024-05-01</lastmod></url>
+  <url><loc> https://www.rizvi.edu.in/fees </loc></url>
+  <url><loc>mailto:office@rizvi.edu.in</loc></url>
+</urlset>`;
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://www.rizvi.edu.in/pages-sitemap.xml</loc></sitemap>
+  <sitemap><loc>https://www.rizvi.edu.in/news-sitemap.xml.gz</loc></sitemap>
+</sitemapindex>`;
+
+describe('parseSitemap', () => {
+  test('lists the page URLs of a urlset', () => {
+    expect(parseSitemap(URLSET)).toEqual({
+      type: 'urlset',
+      urls: ['https://www.rizvi.edu.in/admissions', 'https://www.rizvi.edu.in/fees']
+    });
+  });
+
+  test('lists the sitemaps of a sitemap index', () => {
+    expect(parseSitemap(INDEX)).toEqual({
+      type: 'index',
+      urls: ['https://www.rizvi.edu.in/pages-sitemap.xml', 'https://www.rizvi.edu.in/news-sitemap.xml.gz']
+    });
+  });
+
+  test('returns no URLs for other documents', () => {
+    expect(parseSitemap('<html><body>Not found</body></html>')).toEqual({ type: null, urls: [] });
+  });
+});
+
+describe('sitemapText', () => {
+  test('unpacks gzipped sitemaps', () => {
+    expect(sitemapText(zlib.gzipSync(URLSET))).toBe(URLSET);
+  });
+
+  test('reads plain sitemaps as UTF-8', () => {
+    expect(sitemapText(Buffer.from(INDEX, 'utf8'))).toBe(INDEX);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Table Extraction
+ * Pulls data tables (fees by branch, exam timetables, intake) out of HTML pages and PDF blocks
+ * into the structured form kept on the Document:
+ *   { caption, sectionPath, page, headers, rows, source }
+ * HTML cells spanning rows or columns are repeated into every cell they cover, and stacked
+ * header rows are joined per column ("Fees (Rs.) DSE"). Layout tables - tables holding other
+ * tables, single columns, long running text - are left to the page text.
+ * Rows are written as "Header: value; Header: value" lines so each row reads on its own in the
+ * document text and its chunks.
+ */
+
+const MAX_SPAN = 50;
+const MAX_AVERAGE_CELL_LENGTH = 150; // longer cells mean the table lays out text
+const MAX_CAPTION_LENGTH = 200;
+const TABLE_MARKER_PATTERN = /\[\[table:(\d+)\]\]/;
+
+function tableMarker(index) {
+  return `\n\n[[table:${index}]]\n\n`;
+}
+
+function cellText($, element) {
+  return $(element).text().replace(/\s+/g, ' ').trim();
+}
+
+function span(value) {
+  return Math.min(MAX_SPAN, Math.max(1, parseInt(value) || 1));
+}
+
+/**
+ * Row text of a table row, e.g. "Branch: Civil; DSE: 95,000"
+ */
+function tableRowText(headers, row) {
+  return row
+    .map((value, i) => (headers[i] && value ? `${headers[i]}: ${value}` : value))
+    .filter(Boolean)
+    .join('; ');
+}
+
+/**
+ * Cell grid of an HTML table with row and column spans expanded, and which rows are headers
+ */
+function htmlGrid($, table) {
+  const grid = [];
+  const headerRows = [];
+
+  $(table).find('tr').each((r, tr) => {
+    grid[r] = grid[r] || [];
+    const cells = $(tr).children('th, td').toArray();
+    headerRows[r] = cells.length > 0 && ($(tr).parent().is('thead') || cells.every(cell => cell.tagName === 'th'));
+
+    let column = 0;
+    for (const cell of cells) {
+      while (grid[r][column] !== undefined) column++;
+      const text = cellText($, cell);
+      const rowspan = span($(cell).attr('rowspan'));
+      const colspan = span($(cell).attr('colspan'));
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[r + dr][column + dc] = text;
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  const width = grid.reduce((max, row) => Math.max(max, row.length), 0);
+  const rows = grid.map((row, r) => ({
+    cells: Array.from({ length: width }, (_, c) => row[c] || ''),
+    header: Boolean(headerRows[r])
+  }));
+  return rows.filter(row => row.cells.some(Boolean));
+}
+
+/**
+ * Caption of an HTML table: its <caption>, else the nearest heading before it
+ */
+function htmlCaption($, table) {
+  const caption = cellText($, $(table).children('caption'));
+  if (caption) return caption.substring(0, MAX_CAPTION_LENGTH);
+
+  let node = $(table);
+  for (let depth = 0; depth < 4 && node.length > 0; depth++) {
+    const heading = node.prevAll('h1, h2, h3, h4, h5, h6').first();
+    if (heading.length > 0) return cellText($, heading).substring(0, MAX_CAPTION_LENGTH) || null;
+    node = node.parent();
+  }
+  return null;
+}
+
+/**
+ * Structured table from an HTML <table>, or null for layout tables
+ */
+function parseHtmlTable($, table) {
+  if ($(table).find('table').length > 0) return null;
+
+  const grid = htmlGrid($, table);
+  const width = grid.length > 0 ? grid[0].cells.length : 0;
+
+  // Leading header rows (<thead> or all <th>); without any, the first row holds the headers
+  let headerCount = 0;
+  while (headerCount < grid.length && grid[headerCount].header) headerCount++;
+  if (headerCount === 0) headerCount = 1;
+
+  const body = grid.slice(headerCount).map(row => row.cells);
+  if (width < 2 || body.length === 0) return null;
+
+  const filled = body.flat().filter(Boolean);
+  if (filled.length === 0 || filled.join('').length / filled.length > MAX_AVERAGE_CELL_LENGTH) return null;
+
+  const headers = Array.from({ length: width }, (_, c) =>
+    [...new Set(grid.slice(0, headerCount).map(row => row.cells[c]).filter(Boolean))].join(' '));
+  const caption = htmlCaption($, table);
+
+  return {
+    caption,
+    sectionPath: caption ? [caption] : [],
+    headers,
+    rows: body,
+    source: 'html'
+  };
+}
+
+/**
+ * Extract the data tables under `scope` (default: the whole page) and replace each with a
+ * marker, so the text around them can be split back into blocks with `blocksWithTables`
+ * @returns {Array} tables in page order
+ */
+function extractHtmlTables($, scope = null) {
+  const tables = [];
+  const root = scope || $.root();
+
+  root.find('table').toArray().forEach(element => {
+    const table = parseHtmlTable($, element);
+    if (!table) return;
+    $(element).replaceWith(tableMarker(tables.length));
+    tables.push(table);
+  });
+
+  return tables;
+}
+
+/**
+ * Blocks (see pdfStructure.js) for text holding table markers: the text between markers becomes
+ * paragraphs, passed through `clean`, and each marker its table
+ */
+function blocksWithTables(text, tables, clean = part => part.trim()) {
+  const blocks = [];
+
+  text.split(TABLE_MARKER_PATTERN).forEach((part, i) => {
+    // split() with a capture group puts the marker's table number at odd positions
+    if (i % 2 === 1) {
+      const table = tables[parseInt(part)];
+      if (table) {
+        blocks.push({ type: 'table', page: table.page, sectionPath: table.sectionPath, caption: table.caption, headers: table.headers, rows: table.rows });
+      }
+      return;
+    }
+
+    const paragraph = clean(part);
+    if (paragraph) {
+      blocks.push({ type: 'paragraph', sectionPath: [], text: paragraph });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Structured tables of extracted blocks; a table continued on the next page is merged
+ * into the one it continues
+ */
+function tablesFromBlocks(blocks, source = 'pdf') {
+  const tables = [];
+
+  for (const block of blocks) {
+    if (block.type !== 'table') continue;
+
+    const previous = tables[tables.length - 1];
+    if (block.continued && previous && previous.headers.length === block.headers.length) {
+      previous.rows.push(...block.rows.map(row => [...row]));
+      continue;
+    }
+
+    tables.push({
+      caption: block.caption || block.sectionPath[block.sectionPath.length - 1] || null,
+      sectionPath: [...block.sectionPath],
+      page: block.page,
+      headers: [...block.headers],
+      rows: block.rows.map(row => [...row]),
+      source
+    });
+  }
+
+  return tables;
+}
+
+module.exports = {
+  tableRowText,
+  extractHtmlTables,
+  blocksWithTables,
+  tablesFromBlocks
+};
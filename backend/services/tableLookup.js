@@ -0,0 +1,180 @@
+const Tokenizer = require('./tokenizer');
+const { tableRowText } = require('./tableExtraction');
+
+/**
+ * Table Lookup
+ * Finds the table cell a question asks for ("DSE fees for Civil") in the structured tables of
+ * the retrieved documents, so the answer quotes the value instead of paraphrasing flattened rows:
+ *   - a row matches on question terms found in its text cells; terms shared by every row
+ *     (e.g. "Engineering" in each branch) do not count
+ *   - a column matches on question terms in its header; a table with a single value column
+ *     needs none
+ *   - caption and section terms decide between otherwise equal tables
+ * Without a clear column the whole row is returned; ties between different rows return nothing.
+ * The caption shows as the passage's section, from the table's sectionPath.
+ */
+
+const CONTEXT_WEIGHT = 0.5;
+const SHORT_CODE_PATTERN = /\b[A-Z]{2}\b/g; // FE, SE, TE, BE, ME
+
+class TableLookup {
+  constructor(options = {}) {
+    this.vectorService = options.vectorService;
+    this.tokenizer = options.tokenizer || new Tokenizer({ stem: true });
+  }
+
+  /**
+   * Terms of a text; two-letter year and degree codes are kept when written in capitals
+   */
+  terms(text = '') {
+    const codes = (text.match(SHORT_CODE_PATTERN) || []).map(code => code.toLowerCase());
+    return [...this.tokenizer.tokenize(text), ...codes];
+  }
+
+  /**
+   * Cells that are mostly digits (fees, dates, times, seats) hold values rather than labels
+   */
+  isNumeric(cell) {
+    const digits = (cell.match(/\d/g) || []).length;
+    const letters = (cell.match(/[a-z\u0900-\u097F]/gi) || []).length;
+    return digits > 0 && digits >= letters;
+  }
+
+  /**
+   * Best cell (or row) for the question among the tables of the retrieved documents
+   * @returns {Object|null} { documentId, documentTitle, table, rowIndex, row, rowLabel, column, value, score, statement, passage }
+   */
+  lookup(question, results = []) {
+    const questionTerms = new Set(this.terms(question));
+    if (questionTerms.size === 0 || results.length === 0) return null;
+
+    const bestResults = new Map();
+    for (const result of results) {
+      if (!bestResults.has(result.documentId)) bestResults.set(result.documentId, result);
+    }
+    const tablesByDocument = this.vectorService.getDocumentTables([...bestResults.keys()]);
+
+    const candidates = [];
+    for (const [documentId, tables] of tablesByDocument) {
+      tables.forEach(table => {
+        candidates.push(...this.scoreTable(table, questionTerms).map(candidate => ({
+          ...candidate,
+          documentId,
+          result: bestResults.get(documentId),
+          table
+        })));
+      });
+    }
+
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => b.score - a.score);
+    const [best] = candidates;
+    const tied = candidates.filter(candidate => candidate.score === best.score);
+    if (tied.some(candidate => candidate.table !== best.table || candidate.rowIndex !== best.rowIndex)) {
+      return null;
+    }
+    // Several columns of the row fit equally well: answer with the row
+    if (tied.filter(candidate => candidate.columnIndex !== null).length > 1) {
+      return this.buildMatch({ ...best, columnIndex: null });
+    }
+
+    return this.buildMatch(best);
+  }
+
+  /**
+   * Candidate cells and rows of one table: [{ rowIndex, columnIndex, matchedColumns, score }]
+   */
+  scoreTable(table, questionTerms) {
+    const { headers, rows } = table;
+    if (!rows.length) return [];
+
+    const contextTerms = new Set(this.terms([table.caption, ...(table.sectionPath || [])].filter(Boolean).join(' ')));
+    const contextScore = [...contextTerms].filter(term => questionTerms.has(term)).length * CONTEXT_WEIGHT;
+
+    // Question terms per text cell, and in how many rows each term appears
+    const cellTerms = rows.map(row => row.map(cell => (cell && !this.isNumeric(cell)
+      ? new Set(this.terms(cell).filter(term => questionTerms.has(term)))
+      : new Set())));
+    const rowFrequency = new Map();
+    for (const row of cellTerms) {
+      for (const term of new Set(row.flatMap(cell => [...cell]))) {
+        rowFrequency.set(term, (rowFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const headerScores = headers.map(header => new Set(this.terms(header).filter(term => questionTerms.has(term))).size);
+    const candidates = [];
+
+    rows.forEach((row, rowIndex) => {
+      const matchedColumns = [];
+      const matchedTerms = new Set();
+      cellTerms[rowIndex].forEach((terms, column) => {
+        const distinctive = [...terms].filter(term => rows.length === 1 || rowFrequency.get(term) < rows.length);
+        if (distinctive.length > 0) matchedColumns.push(column);
+        distinctive.forEach(term => matchedTerms.add(term));
+      });
+      if (matchedTerms.size === 0) return;
+
+      const rowScore = [...matchedTerms].reduce((sum, term) => sum + 1 / rowFrequency.get(term), 0);
+      const valueColumns = row
+        .map((cell, column) => column)
+        .filter(column => row[column] && !matchedColumns.includes(column));
+      const numericColumns = valueColumns.filter(column => this.isNumeric(row[column]));
+
+      for (const column of valueColumns) {
+        const single = valueColumns.length === 1 || (numericColumns.length === 1 && numericColumns[0] === column);
+        if (headerScores[column] === 0 && !single) continue;
+        candidates.push({ rowIndex, columnIndex: column, matchedColumns, score: rowScore + headerScores[column] + contextScore });
+      }
+      candidates.push({ rowIndex, columnIndex: null, matchedColumns, score: rowScore + contextScore });
+    });
+
+    return candidates;
+  }
+
+  buildMatch(candidate) {
+    const { table, rowIndex, columnIndex, matchedColumns, result } = candidate;
+    const row = table.rows[rowIndex];
+    const rowLabel = matchedColumns.map(column => row[column]).join(', ');
+    const rowText = tableRowText(table.headers, row);
+    const column = columnIndex === null ? null : table.headers[columnIndex] || null;
+    const value = columnIndex === null ? null : row[columnIndex];
+
+    const statement = value !== null
+      ? `${column || 'Value'} for ${rowLabel}: ${value}.`
+      : `${rowText}.`;
+
+    return {
+      documentId: candidate.documentId,
+      documentTitle: result.documentTitle,
+      table: {
+        caption: table.caption,
+        sectionPath: table.sectionPath,
+        page: table.page,
+        headers: table.headers
+      },
+      rowIndex,
+      row,
+      rowLabel,
+      column,
+      value,
+      score: candidate.score,
+      statement,
+      // Context passage holding just the matched row, placed ahead of the retrieved chunks
+      passage: {
+        documentId: candidate.documentId,
+        documentTitle: result.documentTitle,
+        chunkId: null,
+        content: rowText,
+        page: table.page || undefined,
+        sectionPath: table.sectionPath,
+        similarity: result.similarity,
+        metadata: result.metadata,
+        tableLookup: true
+      }
+    };
+  }
+}
+
+module.exports = TableLookup;
@@ -0,0 +1,119 @@
+const TableLookup = require('./tableLookup');
+
+const feeTable = {
+  caption: 'Fee structure 2024-25',
+  sectionPath: ['Admissions', 'Fee structure 2024-25'],
+  page: 3,
+  headers: ['Branch', 'FE', 'DSE', 'Hostel'],
+  rows: [
+    ['Computer Engineering', '1,35,000', '1,30,000', '80,000'],
+    ['Civil Engineering', '1,10,000', '1,05,000', '80,000'],
+    ['Mechanical Engineering', '1,15,000', '1,12,000', '80,000']
+  ]
+};
+
+const timetable = {
+  caption: 'Exam timetable',
+  headers: ['Subject', 'Date'],
+  rows: [
+    ['Engineering Mathematics', '12 May'],
+    ['Engineering Physics', '14 May']
+  ]
+};
+
+const contacts = {
+  caption: 'Office contacts',
+  headers: ['Office', 'Phone'],
+  rows: [
+    ['Admissions office', '022 2640 1234'],
+    ['Accounts office', '022 2640 5678']
+  ]
+};
+
+function lookupIn(tablesByDocument) {
+  const vectorService = {
+    getDocumentTables: ids => new Map(ids.filter(id => tablesByDocument[id]).map(id => [id, tablesByDocument[id]]))
+  };
+  const results = Object.keys(tablesByDocument).map(documentId => ({
+    documentId,
+    documentTitle: `${documentId} notice`,
+    similarity: 0.8,
+    metadata: {}
+  }));
+  const lookup = new TableLookup({ vectorService });
+  return question => lookup.lookup(question, results);
+}
+
+describe('TableLookup', () => {
+  const lookup = lookupIn({ fees: [feeTable], exams: [timetable] });
+
+  test('answers a cell from the row and column terms', () => {
+    const match = lookup('What are the DSE fees for Civil?');
+
+    expect(match.value).toBe('1,05,000');
+    expect(match.column).toBe('DSE');
+    expect(match.rowLabel).toBe('Civil Engineering');
+    expect(match.statement).toBe('DSE for Civil Engineering: 1,05,000.');
+    expect(match.documentTitle).toBe('fees notice');
+  });
+
+  test('matches capitalised year codes against headers', () => {
+    expect(lookup('FE fees for Mechanical').value).toBe('1,15,000');
+  });
+
+  test('ignores row terms shared by every row', () => {
+    expect(lookup('DSE fees for Engineering')).toBeNull();
+  });
+
+  test('answers with the whole row when no column is asked for', () => {
+    const match = lookup('Computer branch fees');
+
+    expect(match.value).toBeNull();
+    expect(match.statement).toBe('Branch: Computer Engineering; FE: 1,35,000; DSE: 1,30,000; Hostel: 80,000.');
+  });
+
+  test('uses the single value column of a table', () => {
+    const match = lookup('When is the physics exam?');
+
+    expect(match.value).toBe('14 May');
+    expect(match.column).toBe('Date');
+  });
+
+  test('builds a context passage holding the row', () => {
+    const { passage } = lookup('DSE fees for Civil');
+
+    expect(passage).toMatchObject({
+      documentId: 'fees',
+      chunkId: null,
+      page: 3,
+      sectionPath: ['Admissions', 'Fee structure 2024-25'],
+      tableLookup: true
+    });
+    expect(passage.content).toContain('DSE: 1,05,000');
+  });
+
+  test('returns nothing when the question names no row', () => {
+    expect(lookup('What is the hostel fee?')).toBeNull();
+  });
+
+  test('returns nothing without retrieved documents or tables', () => {
+    const service = { getDocumentTables: () => new Map() };
+
+    expect(new TableLookup({ vectorService: service }).lookup('DSE fees for Civil', [])).toBeNull();
+    expect(new TableLookup({ vectorService: service }).lookup('DSE fees for Civil', [{ documentId: 'x' }])).toBeNull();
+  });
+
+  test('lets caption terms decide between tables', () => {
+    const offices = lookupIn({ contacts: [contacts], other: [{ ...contacts, caption: 'Department heads' }] });
+
+    expect(offices('Office contacts phone for accounts').documentId).toBe('contacts');
+  });
+
+  test('treats mostly-digit cells as values', () => {
+    const tableLookup = new TableLookup({ vectorService: {} });
+
+    expect(tableLookup.isNumeric('1,20,000')).toBe(true);
+    expect(tableLookup.isNumeric('12 May')).toBe(false);
+    expect(tableLookup.isNumeric('Civil')).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+
+/**
+ * Token Counters
+ * Token counts for the chat models' tokenizers, used to pack prompts. OpenAI models are
+ * counted exactly with their tiktoken encoding (js-tiktoken). Other models (Llama, Mistral,
+ * unknown local models) fall back to an estimate from a profile of how the tokenizer family
+ * splits text: Latin words take about one token per few characters, digits are split into
+ * short groups, and Devanagari costs far more per character in vocabularies with few Indic
+ * merges. Estimates are raised by a safety margin so a packed prompt stays inside the
+ * model's context window.
+ */
+
+const PROFILES = {
+  // GPT-3.5 / GPT-4 (cl100k_base): Devanagari is split into about one token per character
+  cl100k: { latinCharsPerToken: 4, digitsPerToken: 3, devanagariTokensPerChar: 1 },
+  // GPT-4o family (o200k_base): many more Indic merges
+  o200k: { latinCharsPerToken: 4, digitsPerToken: 3, devanagariTokensPerChar: 0.45 },
+  // Llama 3 (128k tiktoken vocabulary)
+  llama3: { latinCharsPerToken: 4, digitsPerToken: 3, devanagariTokensPerChar: 0.6 },
+  // Llama 2 / Mistral SentencePiece (32k vocabulary): Devanagari mostly falls back to bytes
+  sentencepiece: { latinCharsPerToken: 3.5, digitsPerToken: 1, devanagariTokensPerChar: 2 }
+};
+
+// Checked in order: [model pattern, profile, context window in tokens]
+const MODELS = [
+  [/^(gpt-4o|gpt-4\.1|o\d)/i, 'o200k', 128000],
+  [/^gpt-4-(turbo|\d{4}-preview)/i, 'cl100k', 128000],
+  [/^gpt-4/i, 'cl100k', 8192],
+  [/^gpt-3\.5/i, 'cl100k', 16385],
+  [/llama-?3/i, 'llama3', 8192],
+  [/llama|mistral|mixtral|gemma/i, 'sentencepiece', 4096]
+];
+
+// Profiles with an exact tiktoken encoding; ranks are loaded on first use
+const ENCODINGS = {
+  cl100k: () => require('js-tiktoken/ranks/cl100k_base'),
+  o200k: () => require('js-tiktoken/ranks/o200k_base')
+};
+
+const DEFAULT_PROFILE = 'cl100k';
+const DEFAULT_CONTEXT_WINDOW = 4096;
+const DEFAULT_SAFETY_MARGIN = 1.15;
+
+const TOKEN_PATTERN = /[ऀ-ॿ]+|[\p{L}\p{M}]+|\p{N}+|[^\s]/gu;
+
+/**
+ * Estimated counts from a tokenizer profile, raised by `safetyMargin`
+ */
+class TokenCounter {
+  constructor(profile = DEFAULT_PROFILE, options = {}) {
+    if (!PROFILES[profile]) {
+      throw new Error(`Unknown tokenizer profile: ${profile}`);
+    }
+    this.profile = profile;
+    this.settings = PROFILES[profile];
+    this.safetyMargin = options.safetyMargin ?? DEFAULT_SAFETY_MARGIN;
+    this.exact = false;
+  }
+
+  count(text = '') {
+    const { latinCharsPerToken, digitsPerToken, devanagariTokensPerChar } = this.settings;
+    let tokens = 0;
+
+    for (const [piece] of text.matchAll(TOKEN_PATTERN)) {
+      if (/^[ऀ-ॿ]/.test(piece)) {
+        tokens += Math.max(1, Math.ceil(piece.length * devanagariTokensPerChar));
+      } else if (/^\p{N}/u.test(piece)) {
+        tokens += Math.ceil(piece.length / digitsPerToken);
+      } else if (/^\p{L}/u.test(piece)) {
+        tokens += Math.max(1, Math.ceil(piece.length / latinCharsPerToken));
+      } else {
+        tokens += 1;
+      }
+    }
+
+    return Math.ceil(tokens * this.safetyMargin);
+  }
+}
+
+const encoders = new Map(); // profile -> Tiktoken, shared because building one takes a few hundred ms
+
+/**
+ * Exact counts with a tiktoken encoding; special-token strings in the text count as plain text
+ */
+class TiktokenCounter {
+  constructor(profile) {
+    if (!ENCODINGS[profile]) {
+      throw new Error(`No tiktoken encoding for profile: ${profile}`);
+    }
+    if (!encoders.has(profile)) {
+      encoders.set(profile, new Tiktoken(ENCODINGS[profile]()));
+    }
+    this.profile = profile;
+    this.encoder = encoders.get(profile);
+    this.exact = true;
+  }
+
+  count(text = '') {
+    return this.encoder.encode(text, [], []).length;
+  }
+}
+
+/**
+ * Token counter and context window for a chat model name: exact for OpenAI models,
+ * an estimate (counter.exact === false) for everything else
+ */
+function tokenizerForModel(model = '') {
+  const match = MODELS.find(([pattern]) => pattern.test(model || ''));
+  const [, profile, contextWindow] = match || [null, DEFAULT_PROFILE, DEFAULT_CONTEXT_WINDOW];
+  const counter = match && ENCODINGS[profile] ? new TiktokenCounter(profile) : new TokenCounter(profile);
+  return { counter, contextWindow };
+}
+
+module.exports = {
+  TokenCounter,
+  TiktokenCounter,
+  tokenizerForModel
+};
@@ -0,0 +1,65 @@
+const { TokenCounter, TiktokenCounter, tokenizerForModel } = require('./tokenCounters');
+
+describe('tokenizerForModel', () => {
+  test.each([
+    ['gpt-4o-mini', 'o200k', 128000],
+    ['gpt-4-turbo', 'cl100k', 128000],
+    ['gpt-3.5-turbo', 'cl100k', 16385]
+  ])('counts %s exactly with %s', (model, profile, contextWindow) => {
+    const { counter, contextWindow: window } = tokenizerForModel(model);
+
+    expect(counter).toBeInstanceOf(TiktokenCounter);
+    expect(counter.exact).toBe(true);
+    expect(counter.profile).toBe(profile);
+    expect(window).toBe(contextWindow);
+  });
+
+  test.each([
+    ['llama3:8b', 'llama3'],
+    ['mistral-7b-instruct', 'sentencepiece'],
+    ['phi-3-mini', 'cl100k']
+  ])('estimates %s with the %s profile', (model, profile) => {
+    const { counter } = tokenizerForModel(model);
+
+    expect(counter).toBeInstanceOf(TokenCounter);
+    expect(counter.exact).toBe(false);
+    expect(counter.profile).toBe(profile);
+  });
+});
+
+describe('TiktokenCounter', () => {
+  const counter = new TiktokenCounter('cl100k');
+
+  test('counts the encoded tokens', () => {
+    expect(counter.count('hello world')).toBe(2);
+    expect(counter.count('')).toBe(0);
+  });
+
+  test('treats special-token strings in the text as plain text', () => {
+    expect(() => counter.count('<|endoftext|> hostel fees')).not.toThrow();
+  });
+});
+
+describe('TokenCounter', () => {
+  const samples = [
+    'The hostel fee for the academic year 2024-25 is Rs. 1,20,000 payable in two installments.',
+    'छात्रावास शुल्क कितना है? कृपया प्रवेश कार्यालय से संपर्क करें।',
+    'Admission for FE (Computer Engineering) opens on 15th June; documents: 10th and 12th marksheets.'
+  ];
+
+  test.each(['cl100k', 'o200k'])('never counts fewer %s tokens than the real encoding', profile => {
+    const estimate = new TokenCounter(profile);
+    const exact = new TiktokenCounter(profile);
+
+    for (const text of samples) {
+      expect(estimate.count(text)).toBeGreaterThanOrEqual(exact.count(text));
+    }
+  });
+
+  test('applies the safety margin', () => {
+    const raw = new TokenCounter('cl100k', { safetyMargin: 1 });
+    const padded = new TokenCounter('cl100k', { safetyMargin: 1.5 });
+
+    expect(padded.count(samples[0])).toBe(Math.ceil(raw.count(samples[0]) * 1.5));
+  });
+});
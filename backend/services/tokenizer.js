@@ -0,0 +1,161 @@
+/**
+ * Tokenizer Service
+ * Script-aware tokenization for the local vector index. Keeps Latin and Devanagari
+ * words, normalizes Devanagari spelling variants, drops stopwords and can
+ * optionally apply a light suffix-stripping stemmer.
+ */
+
+// Stopwords per language. Rajasthani dialects share a single list.
+const STOPWORDS = {
+  english: [
+    'the', 'and', 'are', 'for', 'from', 'with', 'that', 'this', 'what', 'when', 'where',
+    'which', 'who', 'whom', 'why', 'how', 'can', 'will', 'shall', 'would', 'should',
+    'could', 'has', 'have', 'had', 'was', 'were', 'been', 'being', 'does', 'did', 'doing',
+    'about', 'into', 'onto', 'there', 'their', 'them', 'they', 'then', 'than', 'these',
+    'those', 'any', 'all', 'some', 'our', 'your', 'you', 'its', 'his', 'her', 'she',
+    'him', 'not', 'but', 'also', 'please', 'tell', 'know', 'get', 'give', 'much', 'many'
+  ],
+  hindi: [
+    'है', 'हैं', 'था', 'थे', 'थी', 'हो', 'होता', 'होती', 'होते', 'का', 'की', 'के', 'को',
+    'में', 'से', 'पर', 'तक', 'और', 'या', 'भी', 'ही', 'तो', 'यह', 'वह', 'ये', 'वे', 'इस',
+    'उस', 'इसका', 'उसका', 'एक', 'क्या', 'कैसे', 'कहाँ', 'कब', 'क्यों', 'कौन', 'कितना',
+    'कितनी', 'मुझे', 'हम', 'आप', 'मैं', 'कृपया', 'बताइए', 'बताओ', 'बताएं', 'लिए', 'वाला',
+    'वाली', 'वाले', 'जो', 'कि', 'नहीं', 'रहा', 'रही', 'रहे', 'गया', 'गई', 'गए'
+  ],
+  marathi: [
+    'आहे', 'आहेत', 'होता', 'होती', 'होते', 'आणि', 'किंवा', 'पण', 'ही', 'हा', 'हे', 'तो',
+    'ती', 'ते', 'या', 'त्या', 'च्या', 'चा', 'ची', 'चे', 'ला', 'ना', 'मध्ये', 'वर', 'पासून',
+    'साठी', 'काय', 'कसे', 'कुठे', 'केव्हा', 'का', 'कोण', 'किती', 'मला', 'आम्ही', 'तुम्ही',
+    'मी', 'कृपया', 'सांगा', 'नाही', 'एक', 'जे', 'की'
+  ],
+  rajasthani: [
+    'है', 'हैं', 'छै', 'छे', 'हो', 'रो', 'री', 'रा', 'रै', 'नै', 'को', 'का', 'की', 'के',
+    'में', 'मांय', 'सूं', 'पर', 'अर', 'और', 'भी', 'ही', 'यो', 'वो', 'ओ', 'क्यूं', 'कैं',
+    'कैकर', 'कठै', 'कद', 'कुण', 'कितरो', 'कितरी', 'म्हनै', 'म्हे', 'थे', 'थांनै', 'आप',
+    'कोनी', 'नीं'
+  ]
+};
+
+const LANGUAGE_STOPWORD_LISTS = {
+  english: ['english'],
+  hindi: ['hindi'],
+  marathi: ['marathi'],
+  marwari: ['rajasthani', 'hindi'],
+  mewadi: ['rajasthani', 'hindi'],
+  dhundhari: ['rajasthani', 'hindi']
+};
+
+// Light stemming suffixes (normalized and sorted longest first at construction)
+const DEVANAGARI_SUFFIXES = [
+  'ाएंगी', 'ाएंगे', 'ाऊंगी', 'ाऊंगा', 'ाइयाँ', 'ाइयों', 'ाइयां',
+  'ाएगी', 'ाएगा', 'ाओगी', 'ाओगे', 'एंगी', 'एंगे', 'ऊंगी', 'ऊंगा', 'ातीं', 'ाना', 'ाते',
+  'ाती', 'ाता', 'तीं', 'ियाँ', 'ियों', 'ियां', 'ाओं', 'ाएं', 'ुओं', 'ुएं', 'ुआं',
+  'ांचा', 'ांची', 'ांचे', 'ाला', 'ाने', 'ोंना', 'ांना',
+  'ों', 'ें', 'ीं', 'ाँ', 'ां', 'ने', 'ना', 'ते', 'ती', 'ता', 'ला', 'चा', 'ची', 'चे',
+  'ो', 'े', 'ू', 'ु', 'ी', 'ि', 'ा'
+];
+
+// [suffix, replacement] pairs; a plain trailing "s" is only dropped after a non-s, non-u letter
+const ENGLISH_SUFFIXES = [
+  ['sses', 'ss'], ['ies', 'y'], ['ied', 'y'], ['ations', 'ate'], ['ation', 'ate'],
+  ['ings', ''], ['ing', ''], ['ed', '']
+];
+
+class Tokenizer {
+  constructor(options = {}) {
+    this.stem = options.stem ?? false;
+    this.minLatinLength = options.minLatinLength ?? 3;
+    this.minDevanagariLength = options.minDevanagariLength ?? 2;
+
+    // Stopwords are stored normalized so they match normalized tokens
+    this.stopwords = {};
+    for (const [list, words] of Object.entries(STOPWORDS)) {
+      this.stopwords[list] = new Set(words.map(word => this.normalize(word)));
+    }
+    this.allStopwords = new Set(Object.values(this.stopwords).flatMap(set => [...set]));
+    this.devanagariSuffixes = [...new Set(DEVANAGARI_SUFFIXES.map(suffix => this.normalize(suffix)))]
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Identifier persisted with the vector index; a change forces a rebuild
+   */
+  signature() {
+    return `devanagari-v1;stem=${this.stem}`;
+  }
+
+  /**
+   * Normalize case, digits and Devanagari spelling variants
+   */
+  normalize(text) {
+    return text
+      .normalize('NFD')                    // Split precomposed nukta letters (U+0958-095F)
+      .toLowerCase()
+      .replace(/[\u200C\u200D]/g, '')      // Zero-width (non-)joiners
+      .replace(/\u093C/g, '')              // Nukta
+      .replace(/\u0901/g, '\u0902')         // Chandrabindu -> anusvara
+      .replace(/\u0945/g, '\u0947')         // Candra E matra -> E matra
+      .replace(/\u0949/g, '\u094B')         // Candra O matra -> O matra
+      .replace(/\u090D/g, '\u090F')         // Candra E vowel -> E vowel
+      .replace(/\u0911/g, '\u0913')         // Candra O vowel -> O vowel
+      .replace(/\u0940/g, '\u093F')         // Long I matra -> short I matra
+      .replace(/\u0942/g, '\u0941')         // Long U matra -> short U matra
+      .replace(/\u0908/g, '\u0907')         // Long I vowel -> short I vowel
+      .replace(/\u090A/g, '\u0909')         // Long U vowel -> short U vowel
+      .replace(/[\u0966-\u096F]/g, d => String(d.charCodeAt(0) - 0x0966)) // Devanagari digits
+      .normalize('NFC');
+  }
+
+  /**
+   * Split text into normalized tokens, removing stopwords for the given language
+   * (all supported languages when none is given)
+   */
+  tokenize(text, language) {
+    if (!text) return [];
+
+    const stopwords = this.getStopwords(language);
+
+    return this.normalize(text)
+      .replace(/[^a-z0-9\u0900-\u0963\u0970-\u097F\s]/g, ' ') // Keep Latin, digits and Devanagari (minus dandas)
+      .split(/\s+/)
+      .filter(token => token && this.isLongEnough(token) && !stopwords.has(token))
+      .map(token => (this.stem ? this.stemToken(token) : token));
+  }
+
+  getStopwords(language) {
+    const lists = LANGUAGE_STOPWORD_LISTS[language];
+    if (!lists) return this.allStopwords;
+
+    return new Set([...this.stopwords.english, ...lists.flatMap(list => [...this.stopwords[list]])]);
+  }
+
+  isLongEnough(token) {
+    return /[\u0900-\u097F]/.test(token)
+      ? token.length >= this.minDevanagariLength
+      : token.length >= this.minLatinLength;
+  }
+
+  /**
+   * Light suffix stripping; never reduces a word below two characters of stem
+   */
+  stemToken(token) {
+    if (/[\u0900-\u097F]/.test(token)) {
+      for (const suffix of this.devanagariSuffixes) {
+        if (token.length > suffix.length + 1 && token.endsWith(suffix)) {
+          return token.slice(0, -suffix.length);
+        }
+      }
+      return token;
+    }
+
+    for (const [suffix, replacement] of ENGLISH_SUFFIXES) {
+      if (token.length > suffix.length + 2 && token.endsWith(suffix)) {
+        return token.slice(0, -suffix.length) + replacement;
+      }
+    }
+
+    return /[^su]s$/.test(token) && token.length > 3 ? token.slice(0, -1) : token;
+  }
+}
+
+module.exports = Tokenizer;
@@ -0,0 +1,78 @@
+const Tokenizer = require('./tokenizer');
+
+describe('Tokenizer', () => {
+  const tokenizer = new Tokenizer();
+
+  test('keeps Latin and Devanagari words and drops punctuation', () => {
+    expect(tokenizer.tokenize('Hostel fees: छात्रावास शुल्क!')).toEqual(['hostel', 'fees', 'छात्रावास', 'शुल्क']);
+  });
+
+  test('drops stopwords of every language when none is given', () => {
+    expect(tokenizer.tokenize('what is the शुल्क क्या है')).toEqual(['शुल्क']);
+  });
+
+  test('drops only the stopwords of the given language', () => {
+    expect(tokenizer.tokenize('शुल्क किती आहे', 'marathi')).toEqual(['शुल्क']);
+    expect(tokenizer.tokenize('शुल्क किती आहे', 'hindi')).toHaveLength(3);
+  });
+
+  test('shares the Rajasthani list between the dialects', () => {
+    expect(tokenizer.tokenize('शुल्क कितरी छै', 'marwari')).toEqual(['शुल्क']);
+    expect(tokenizer.tokenize('शुल्क कितरी छै', 'mewadi')).toEqual(['शुल्क']);
+  });
+
+  test('skips Latin tokens shorter than three characters but keeps short Devanagari words', () => {
+    expect(tokenizer.tokenize('be a fe in घर')).toEqual(['घर']);
+  });
+
+  test.each([
+    ['ज़रूरी', 'जरूरी'],          // nukta
+    ['फ़ीस', 'फीस'],              // precomposed nukta letter
+    ['माँ', 'मां'],               // chandrabindu
+    ['कॉलेज', 'कोलेज'],           // candra O matra
+    ['दिनांक', 'दीनांक'],         // long and short I matra
+    ['२०२४', '2024']             // Devanagari digits
+  ])('normalizes "%s" and "%s" to the same token', (a, b) => {
+    expect(tokenizer.tokenize(a)).toEqual(tokenizer.tokenize(b));
+  });
+
+  test('ignores zero-width joiners', () => {
+    expect(tokenizer.tokenize('क्‍ष')).toEqual(tokenizer.tokenize('क्ष'));
+  });
+
+  test('returns no tokens for empty text', () => {
+    expect(tokenizer.tokenize('')).toEqual([]);
+    expect(tokenizer.tokenize(null)).toEqual([]);
+  });
+
+  describe('stemming', () => {
+    const stemmer = new Tokenizer({ stem: true });
+
+    test.each([
+      ['admissions', 'admission'],
+      ['classes', 'class'],
+      ['facilities', 'facility'],
+      ['applied', 'apply'],
+      ['registration', 'registrate'],
+      ['opening', 'open'],
+      ['status', 'status'],
+      ['bus', 'bus']
+    ])('stems "%s" to "%s"', (word, stem) => {
+      expect(stemmer.tokenize(word)).toEqual([stem]);
+    });
+
+    test('strips the longest Devanagari suffix', () => {
+      expect(stemmer.tokenize('छात्रों')).toEqual(['छात्र']);
+      expect(stemmer.tokenize('कक्षाएं')).toEqual(['कक्ष']);
+    });
+
+    test('leaves at least two characters of stem', () => {
+      expect(stemmer.stemToken('को')).toBe('को');
+      expect(stemmer.stemToken('ring')).toBe('ring');
+    });
+
+    test('is part of the signature', () => {
+      expect(stemmer.signature()).not.toBe(tokenizer.signature());
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { HfInference } = require('@huggingface/inference');
+const { getEmbeddingProvider } = require('./embeddingProviders');
+const { HnswIndex, annConfigFromEnv } = require('./hnswIndex');
+const { hasFilters, mergeFilters, toMongoQuery } = require('./searchFilters');
 const Document = require('../models/Document');
 
 /**
@@ -10,18 +12,22 @@ const Document = require('../models/Document');
 class VectorDatabaseService {
   constructor() {
     this.vectorStorePath = process.env.VECTOR_DB_PATH || './vector_store';
-    this.embeddingModel = process.env.EMBEDDING_MODEL || 'sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2';
-    this.embeddingDimension = 384; // Dimension for the multilingual model
+    
+    // Embedding provider shared with the local vector index (see embeddingProviders.js)
+    this.embeddingProvider = getEmbeddingProvider();
+    this.embeddingModel = this.embeddingProvider.signature();
+    this.embeddingDimension = this.embeddingProvider.dimension;
     this.chunkSize = 500; // Characters per chunk
     this.chunkOverlap = 50; // Overlap between chunks
     
-    // Initialize Hugging Face client
-    this.hfClient = new HfInference(process.env.HUGGINGFACE_API_KEY);
-    
     // In-memory vector index (for development)
     // In production, consider using proper FAISS bindings or a vector database like Pinecone
     this.vectorIndex = new Map();
     this.documentIndex = new Map();
+    
+    // Approximate nearest neighbour index, used instead of a linear scan for large indexes
+    this.annConfig = annConfigFromEnv();
+    this.annIndex = null;
   }
 
   /**
@@ -48,51 +54,16 @@ class VectorDatabaseService {
 
   /**
    * Generate embeddings for text
+   * Errors are passed on: an embedding from another provider lives in a different space,
+   * so it can neither be stored next to nor searched against this index's vectors
    */
   async generateEmbedding(text) {
     try {
-      // Clean the text
-      const cleanText = text
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 1000); // Limit text length for API
-
-      // Generate embedding using Hugging Face
-      const response = await this.hfClient.featureExtraction({
-        model: this.embeddingModel,
-        inputs: cleanText
-      });
-
-      // Handle different response formats
-      let embedding;
-      if (Array.isArray(response) && Array.isArray(response[0])) {
-        embedding = response[0]; // First token embedding
-      } else if (Array.isArray(response)) {
-        embedding = response;
-      } else {
-        throw new Error('Unexpected embedding response format');
-      }
-
-      // Ensure embedding has correct dimension
-      if (embedding.length !== this.embeddingDimension) {
-        console.warn(`⚠️ Embedding dimension mismatch: expected ${this.embeddingDimension}, got ${embedding.length}`);
-        
-        // Pad or truncate to match expected dimension
-        if (embedding.length < this.embeddingDimension) {
-          embedding = [...embedding, ...Array(this.embeddingDimension - embedding.length).fill(0)];
-        } else {
-          embedding = embedding.slice(0, this.embeddingDimension);
-        }
-      }
-
-      return embedding;
+      return await this.embeddingProvider.embed(text);
 
     } catch (error) {
       console.error('❌ Failed to generate embedding:', error);
-      
-      // Fallback: return random embedding for development
-      console.warn('⚠️ Using random embedding as fallback');
-      return Array.from({ length: this.embeddingDimension }, () => Math.random() - 0.5);
+      throw error;
     }
   }
 
@@ -186,6 +157,7 @@ class VectorDatabaseService {
             chunkIndex: i,
             content: chunk.content
           });
+          this.annIndex?.add(processedChunk.chunkId, embedding);
           
           // Small delay to avoid rate limiting
           await this.delay(100);
@@ -242,8 +214,18 @@ class VectorDatabaseService {
     }
   }
 
+  /**
+   * Document ids (as strings) passing the metadata filters, looked up in MongoDB
+   */
+  async getAllowedDocumentIds(filters) {
+    const documents = await Document.find(toMongoQuery(filters)).select('_id').lean();
+    return new Set(documents.map(document => document._id.toString()));
+  }
+
   /**
    * Perform similarity search
+   * `filters` (see searchFilters.js) restricts the candidate chunks before scoring;
+   * `language` and `contentType` are shorthands for the matching filters
    */
   async similaritySearch(queryText, options = {}) {
     try {
@@ -253,23 +235,30 @@ class VectorDatabaseService {
         language = null,
         contentType = null
       } = options;
+      const filters = mergeFilters({ language, contentType }, options.filters);
 
       console.log(`🔍 Performing similarity search for: "${queryText.substring(0, 50)}..."`);
 
+      // Pre-filter on document metadata
+      const allowedDocuments = hasFilters(filters) ? await this.getAllowedDocumentIds(filters) : null;
+      const isAllowed = chunkId => !allowedDocuments || allowedDocuments.has(String(this.vectorIndex.get(chunkId)?.documentId));
+
       // Generate embedding for query
       const queryEmbedding = await this.generateEmbedding(queryText);
 
-      // Calculate similarities
+      // Calculate similarities (approximate when the ANN index is in use)
       const similarities = [];
+      const annIndex = this.getAnnIndex();
+      const candidates = annIndex
+        ? annIndex.search(queryEmbedding, Math.max(topK * 4, 50), { filter: isAllowed }).map(match => [match.id, match.similarity])
+        : Array.from(this.vectorIndex.entries())
+          .filter(([chunkId, vectorData]) => vectorData.embedding.length === this.embeddingDimension && isAllowed(chunkId)) // Skip invalid embeddings
+          .map(([chunkId, vectorData]) => [chunkId, this.cosineSimilarity(queryEmbedding, vectorData.embedding)]);
       
-      for (const [chunkId, vectorData] of this.vectorIndex.entries()) {
-        if (vectorData.embedding.length !== this.embeddingDimension) {
-          continue; // Skip invalid embeddings
-        }
-        
-        const similarity = this.cosineSimilarity(queryEmbedding, vectorData.embedding);
+      for (const [chunkId, similarity] of candidates) {
+        const vectorData = this.vectorIndex.get(chunkId);
         
-        if (similarity >= threshold) {
+        if (vectorData && similarity >= threshold) {
           similarities.push({
             chunkId: chunkId,
             documentId: vectorData.documentId,
@@ -294,10 +283,6 @@ class VectorDatabaseService {
           const document = await Document.findById(result.documentId).select('title contentType language sourceUrl');
           
           if (document) {
-            // Apply filters if specified
-            if (language && document.language !== language) continue;
-            if (contentType && document.contentType !== contentType) continue;
-            
             enrichedResults.push({
               ...result,
               documentTitle: document.title,
@@ -330,6 +315,53 @@ class VectorDatabaseService {
     }
   }
 
+  /**
+   * Remove all chunk vectors of a document
+   */
+  async removeDocument(documentId) {
+    const id = documentId.toString();
+    let removed = 0;
+    
+    for (const [chunkId, vectorData] of this.vectorIndex.entries()) {
+      if (String(vectorData.documentId) === id) {
+        this.vectorIndex.delete(chunkId);
+        this.annIndex?.remove(chunkId);
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      await this.saveVectorIndex();
+      console.log(`🗑️ Removed ${removed} vectors for document ${id}`);
+    }
+    
+    return removed;
+  }
+
+  /**
+   * HNSW index over the stored embeddings, or null while the index is small enough for a linear scan
+   */
+  getAnnIndex() {
+    if (!this.annConfig.enabled || this.vectorIndex.size < this.annConfig.minVectors) {
+      return null;
+    }
+    
+    if (!this.annIndex) {
+      const startTime = Date.now();
+      this.annIndex = new HnswIndex({ ...this.annConfig, dimension: this.embeddingDimension });
+      
+      for (const [chunkId, vectorData] of this.vectorIndex.entries()) {
+        if (vectorData.embedding.length === this.embeddingDimension) {
+          this.annIndex.add(chunkId, vectorData.embedding);
+        }
+      }
+      
+      console.log(`🕸️ Built HNSW index over ${this.annIndex.size} vectors in ${Date.now() - startTime}ms`);
+    }
+    
+    return this.annIndex;
+  }
+
   /**
    * Calculate cosine similarity between two vectors
    */
@@ -376,6 +408,14 @@ class VectorDatabaseService {
       };
 
       await fs.writeFile(indexPath, JSON.stringify(indexData, null, 2));
+      
+      // The HNSW graph is stored next to the vectors it links
+      const annPath = path.join(this.vectorStorePath, 'vector_index.hnsw');
+      if (this.annIndex) {
+        await this.annIndex.save(annPath);
+      } else {
+        await fs.rm(annPath, { force: true });
+      }
       console.log(`💾 Saved vector index with ${this.vectorIndex.size} vectors`);
       
     } catch (error) {
@@ -383,6 +423,18 @@ class VectorDatabaseService {
     }
   }
 
+  /**
+   * Provider signature a saved index was built with. Indexes saved before embedding providers
+   * store the bare Hugging Face model name, which maps to that provider's signature.
+   */
+  savedSignature(indexData) {
+    const saved = indexData.embeddingModel;
+    if (!saved || /^\w+:.+:\d+$/.test(saved)) {
+      return saved || null;
+    }
+    return `huggingface:${saved}:${indexData.embeddingDimension || 384}`;
+  }
+
   /**
    * Load vector index from disk
    */
@@ -392,9 +444,27 @@ class VectorDatabaseService {
       
       const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
       
+      // Vectors from another provider live in a different space and cannot be compared,
+      // so they are dropped (with their HNSW graph) until the documents are re-processed
+      const savedSignature = this.savedSignature(indexData);
+      if (savedSignature && savedSignature !== this.embeddingModel) {
+        console.warn(`⚠️ Vector index was built with ${savedSignature}, current provider is ${this.embeddingModel}; discarding its vectors, re-process documents to re-embed them`);
+        this.vectorIndex = new Map();
+        this.annIndex = null;
+        return;
+      }
+      
       // Convert object back to Map
       this.vectorIndex = new Map(Object.entries(indexData.vectors || {}));
       
+      // Reuse the saved HNSW graph when it still matches the vectors
+      const annIndex = await HnswIndex.load(
+        path.join(this.vectorStorePath, 'vector_index.hnsw'),
+        chunkId => this.vectorIndex.get(chunkId)?.embedding,
+        this.annConfig
+      );
+      this.annIndex = annIndex && annIndex.size === this.vectorIndex.size ? annIndex : null;
+      
       console.log(`📁 Loaded vector index with ${this.vectorIndex.size} vectors`);
       console.log(`🏷️ Model: ${indexData.embeddingModel || 'Unknown'}`);
       
@@ -415,6 +485,7 @@ class VectorDatabaseService {
       totalVectors: this.vectorIndex.size,
       embeddingModel: this.embeddingModel,
       embeddingDimension: this.embeddingDimension,
+      annIndexSize: this.annIndex ? this.annIndex.size : 0,
       vectorStorePath: this.vectorStorePath
     };
   }
@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const VectorDatabaseService = require('./vectorDatabase');
+
+let storePath;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  storePath = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-db-'));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(storePath, { recursive: true, force: true });
+});
+
+function service() {
+  const vectorService = new VectorDatabaseService();
+  vectorService.vectorStorePath = storePath;
+  return vectorService;
+}
+
+async function writeIndex(embeddingModel, embeddingDimension) {
+  const vectors = {
+    doc1_chunk_0: { embedding: Array(embeddingDimension).fill(0.1), documentId: 'doc1', chunkIndex: 0, content: 'Hostel fees' }
+  };
+  await fs.writeFile(
+    path.join(storePath, 'vector_index.json'),
+    JSON.stringify({ version: '1.0', embeddingModel, embeddingDimension, vectors })
+  );
+}
+
+describe('VectorDatabaseService.loadVectorIndex', () => {
+  test('loads vectors built with the current provider', async () => {
+    const vectorService = service();
+    await writeIndex(vectorService.embeddingModel, vectorService.embeddingDimension);
+
+    await vectorService.loadVectorIndex();
+
+    expect(vectorService.vectorIndex.size).toBe(1);
+  });
+
+  test('discards vectors built with another provider', async () => {
+    const vectorService = service();
+    await writeIndex('openai:text-embedding-3-small:384', 384);
+
+    await vectorService.loadVectorIndex();
+
+    expect(vectorService.vectorIndex.size).toBe(0);
+    expect(vectorService.annIndex).toBeNull();
+  });
+
+  test('reads a bare legacy model name as a Hugging Face signature', async () => {
+    const vectorService = service();
+
+    expect(vectorService.savedSignature({ embeddingModel: 'sentence-transformers/all-MiniLM-L6-v2' }))
+      .toBe('huggingface:sentence-transformers/all-MiniLM-L6-v2:384');
+  });
+});
+
+describe('VectorDatabaseService.generateEmbedding', () => {
+  test('fails instead of embedding with another provider', async () => {
+    const vectorService = service();
+    vectorService.embeddingProvider = { embed: async () => { throw new Error('rate limited'); } };
+
+    await expect(vectorService.generateEmbedding('hostel fees')).rejects.toThrow('rate limited');
+  });
+});
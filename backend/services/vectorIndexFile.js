@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+/**
+ * Binary Vector Index File
+ * Sparse, versioned on-disk format for the local vector index.
+ *
+ * Layout (little-endian):
+ *   0   magic 'LVIX'                    4 bytes
+ *   4   format version                  uint16
+ *   6   reserved                        uint16
+ *   8   SHA-256 of the vocabulary       32 bytes
+ *   40  chunk count                     uint32
+ *   44  vocabulary size                 uint32
+ *   48  metadata length                 uint32
+ *   52  metadata (UTF-8 JSON)
+ *   ..  postings: for every chunk in metadata order, postingsCount x (uint32 termId, float32 weight)
+ *
+ * Chunk texts live in a separate content store addressed by byte offset/length.
+ */
+
+const MAGIC = 'LVIX';
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 52;
+const POSTING_SIZE = 8;
+
+/**
+ * Hash the vocabulary (term id order matters)
+ */
+function hashVocabulary(terms) {
+  return crypto.createHash('sha256').update(terms.join('\n'), 'utf8').digest();
+}
+
+/**
+ * Encode and write the index file
+ * @param {string} filePath
+ * @param {Object} index - { terms, metadata, postings } where postings[i] is an array of [termId, weight]
+ *                         for metadata.chunks[i]
+ */
+async function writeIndexFile(filePath, { terms, metadata, postings }) {
+  metadata.chunks.forEach((chunk, i) => {
+    chunk.postingsCount = postings[i].length;
+  });
+
+  const metadataBuffer = Buffer.from(JSON.stringify(metadata), 'utf8');
+  const totalPostings = postings.reduce((sum, pairs) => sum + pairs.length, 0);
+  const buffer = Buffer.alloc(HEADER_SIZE + metadataBuffer.length + totalPostings * POSTING_SIZE);
+
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt16LE(FORMAT_VERSION, 4);
+  buffer.writeUInt16LE(0, 6);
+  hashVocabulary(terms).copy(buffer, 8);
+  buffer.writeUInt32LE(metadata.chunks.length, 40);
+  buffer.writeUInt32LE(terms.length, 44);
+  buffer.writeUInt32LE(metadataBuffer.length, 48);
+  metadataBuffer.copy(buffer, HEADER_SIZE);
+
+  let offset = HEADER_SIZE + metadataBuffer.length;
+  for (const pairs of postings) {
+    for (const [termId, weight] of pairs) {
+      buffer.writeUInt32LE(termId, offset);
+      buffer.writeFloatLE(weight, offset + 4);
+      offset += POSTING_SIZE;
+    }
+  }
+
+  await fs.writeFile(filePath, buffer);
+}
+
+/**
+ * Read and decode the index file
+ * @returns {Object} { formatVersion, vocabularyHash, vocabularySize, metadata, postings }
+ */
+async function readIndexFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+
+  if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error('Not a local vector index file');
+  }
+
+  const formatVersion = buffer.readUInt16LE(4);
+  if (formatVersion !== FORMAT_VERSION) {
+    throw new Error(`Unsupported vector index format version ${formatVersion}`);
+  }
+
+  const vocabularyHash = buffer.subarray(8, 40);
+  const chunkCount = buffer.readUInt32LE(40);
+  const vocabularySize = buffer.readUInt32LE(44);
+  const metadataLength = buffer.readUInt32LE(48);
+  const metadata = JSON.parse(buffer.toString('utf8', HEADER_SIZE, HEADER_SIZE + metadataLength));
+
+  if (metadata.chunks.length !== chunkCount) {
+    throw new Error('Vector index chunk count does not match its metadata');
+  }
+
+  let offset = HEADER_SIZE + metadataLength;
+  const postings = metadata.chunks.map(chunk => {
+    const pairs = new Array(chunk.postingsCount);
+    for (let i = 0; i < chunk.postingsCount; i++) {
+      pairs[i] = [buffer.readUInt32LE(offset), buffer.readFloatLE(offset + 4)];
+      offset += POSTING_SIZE;
+    }
+    return pairs;
+  });
+
+  return {
+    formatVersion,
+    vocabularyHash,
+    vocabularySize,
+    metadata,
+    postings
+  };
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  hashVocabulary,
+  writeIndexFile,
+  readIndexFile
+};
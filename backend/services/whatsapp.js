@@ -160,7 +160,8 @@ class WhatsAppService {
         userId: user._id,
         language: language,
         platform: 'whatsapp',
-        conversationId: conversation._id
+        conversationId: conversation._id,
+        history: this.ragService.getConversationHistory(conversation, { excludeLatest: true })
       });
 
       // Add bot response to conversation
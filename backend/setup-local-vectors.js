@@ -50,19 +50,22 @@ async function populateLocalVectors() {
             const result = await vectorService.addDocument({
                 title: doc.title,
                 content: doc.content,
+                chunks: doc.chunks,
+                tables: doc.tables,
                 metadata: {
-                    ...doc.metadata,
-                    documentId: doc._id.toString(),
-                    source: doc.source,
+                    ...doc.getIndexMetadata(),
                     fileType: doc.fileType
                 }
-            });
+            }, { persist: false });
             
             if (result.success) {
-                console.log(`✅ Added successfully`);
+                console.log(`✅ Added successfully (${result.chunkCount} chunks)`);
                 processedCount++;
                 
-                // Update document in MongoDB
+                // Update document in MongoDB, keeping the chunks so citations can point at them
+                if (doc.chunks.length === 0) {
+                    doc.chunks = result.chunks;
+                }
                 doc.isEmbedded = true;
                 doc.metadata.localVectorProcessedAt = new Date();
                 await doc.save();
@@ -111,9 +114,10 @@ async function populateLocalVectors() {
         console.log('=' .repeat(60));
         console.log(`📚 Documents processed: ${processedCount}`);
         console.log(`🔍 Total vectors: ${stats.totalVectors}`);
+        console.log(`🧩 Total chunks: ${stats.totalChunks}`);
         console.log(`📖 Total documents: ${stats.totalDocuments}`);
         console.log(`📝 Vocabulary size: ${stats.vocabularySize}`);
-        console.log(`💾 Index size: ${stats.indexSize} KB`);
+        console.log(`💾 Index postings: ${stats.totalPostings}`);
         
         console.log('\n🎯 Your PDF content is now ready for intelligent search!');
         console.log('💬 Users can now ask questions about:');
@@ -14,6 +14,7 @@ import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminQuestions from './pages/admin/AdminQuestions';
 import AdminUsers from './pages/admin/AdminUsers';
 import AdminAnalytics from './pages/admin/AdminAnalytics';
+import AdminDocuments from './pages/admin/AdminDocuments';
 
 // Components
 import ProtectedRoute, { AdminRoute, AuthRoute, PublicRoute } from './components/ProtectedRoute';
@@ -115,6 +116,15 @@ function App() {
                 } 
               />
               
+              <Route 
+                path="/admin/documents" 
+                element={
+                  <AdminRoute>
+                    <AdminDocuments />
+                  </AdminRoute>
+                } 
+              />
+              
               {/* Default redirect */}
               <Route 
                 path="/" 
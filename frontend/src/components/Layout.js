@@ -85,6 +85,12 @@ const Layout = ({ children, showHeader = true, showFooter = true }) => {
                           >
                             Questions
                           </a>
+                          <a
+                            href="/admin/documents"
+                            className="text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md text-sm font-medium"
+                          >
+                            Documents
+                          </a>
                         </>
                       )}
                     </nav>
@@ -166,6 +172,12 @@ const Layout = ({ children, showHeader = true, showFooter = true }) => {
                     >
                       Questions
                     </a>
+                    <a
+                      href="/admin/documents"
+                      className="block px-3 py-2 text-base font-medium text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-md"
+                    >
+                      Documents
+                    </a>
                   </>
                 )}
               </div>
@@ -6,6 +6,27 @@ import Layout from '../components/Layout';
 import LoadingSpinner, { ButtonSpinner } from '../components/LoadingSpinner';
 import { toast } from 'react-hot-toast';
 
+// Render inline [n] citation markers as links to the message's footnotes
+const renderWithCitations = (content, sources, messageId) => {
+  if (!sources || sources.length === 0 || typeof content !== 'string') return content;
+
+  const cited = new Set(sources.map(source => String(source.index)));
+  return content.split(/(\[\d+\])/g).map((part, i) => {
+    const match = part.match(/^\[(\d+)\]$/);
+    if (!match || !cited.has(match[1])) return part;
+
+    return (
+      <a
+        key={i}
+        href={`#cite-${messageId}-${match[1]}`}
+        className="text-blue-600 hover:text-blue-800 align-super text-xs font-medium"
+      >
+        [{match[1]}]
+      </a>
+    );
+  });
+};
+
 const ChatPage = () => {
   const { user } = useAuth();
   const { currentLanguage, translateText, detectLanguage, getCurrentLanguageInfo } = useLanguage();
@@ -107,28 +128,54 @@ const ChatPage = () => {
     setIsLoading(true);
     setIsTyping(true);
 
+    const botMessageId = 'bot-' + Date.now();
+    const updateBotMessage = (changes) => {
+      setMessages(prev => prev.map(message => (
+        message.id === botMessageId ? { ...message, ...changes(message) } : message
+      )));
+    };
+
     try {
-      const response = await chatAPI.sendMessage(
+      let started = false;
+      const startBotMessage = () => {
+        if (started) return;
+        started = true;
+        setIsTyping(false);
+        setMessages(prev => [...prev, {
+          id: botMessageId,
+          type: 'bot',
+          content: '',
+          timestamp: new Date().toISOString(),
+          language: currentLanguage,
+          isStreaming: true,
+          sources: [],
+        }]);
+      };
+
+      const result = await chatAPI.streamMessage(
         userMessage.content,
         currentLanguage,
-        conversationId
+        conversationId,
+        {
+          onToken: (text) => {
+            startBotMessage();
+            updateBotMessage(message => ({ content: message.content + text }));
+          },
+        }
       );
 
-      const botMessage = {
-        id: 'bot-' + Date.now(),
-        type: 'bot',
-        content: response.data.response,
-        timestamp: new Date().toISOString(),
-        language: currentLanguage,
-        confidence: response.data.confidence,
-        sources: response.data.sources || [],
-      };
+      // The final frame carries the complete answer, which replaces the streamed text
+      startBotMessage();
+      updateBotMessage(() => ({
+        content: result.response,
+        confidence: result.confidence,
+        sources: result.sources || [],
+        isStreaming: false,
+      }));
 
-      setMessages(prev => [...prev, botMessage]);
-      
       // Update conversation ID if this is a new conversation
-      if (response.data.conversationId && !conversationId) {
-        setConversationId(response.data.conversationId);
+      if (result.conversationId && !conversationId) {
+        setConversationId(result.conversationId);
         loadChatHistory(); // Refresh history to include new conversation
       }
       
@@ -144,7 +191,7 @@ const ChatPage = () => {
         isError: true,
       };
       
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(message => message.id !== botMessageId), errorMessage]);
       toast.error('Failed to send message');
     } finally {
       setIsLoading(false);
@@ -306,20 +353,44 @@ const ChatPage = () => {
                 >
                   {/* Message Content */}
                   <div className="text-sm whitespace-pre-wrap">
-                    {message.content}
+                    {renderWithCitations(message.content, message.sources, message.id)}
+                    {message.isStreaming && (
+                      <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" />
+                    )}
                   </div>
                   
                   {/* Message Sources (for bot responses) */}
-                  {message.sources && message.sources.length > 0 && (
+                  {message.sources && message.sources.length > 0 && !message.isStreaming && (
                     <div className="mt-2 pt-2 border-t border-gray-100">
                       <div className="text-xs text-gray-500">Sources:</div>
-                      <div className="space-y-1">
-                        {message.sources.slice(0, 2).map((source, idx) => (
-                          <div key={idx} className="text-xs text-blue-600 hover:text-blue-800">
-                            {source.title}
-                          </div>
+                      <ol className="space-y-1">
+                        {message.sources.map((source) => (
+                          <li
+                            key={source.chunkId || source.index}
+                            id={`cite-${message.id}-${source.index}`}
+                            className="text-xs text-gray-600"
+                          >
+                            <span className="font-medium">[{source.index}]</span>{' '}
+                            {source.sourceUrl ? (
+                              <a
+                                href={source.sourceUrl}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-600 hover:text-blue-800 underline"
+                              >
+                                {source.title}
+                              </a>
+                            ) : (
+                              <span className="text-blue-600">{source.title}</span>
+                            )}
+                            {source.section && <span className="text-gray-400"> · {source.section}</span>}
+                            {source.page && <span className="text-gray-400"> · p. {source.page}</span>}
+                            {source.snippet && (
+                              <div className="text-gray-500 italic pl-4">“{source.snippet}”</div>
+                            )}
+                          </li>
                         ))}
-                      </div>
+                      </ol>
                     </div>
                   )}
                   
@@ -331,7 +402,7 @@ const ChatPage = () => {
                   </div>
                   
                   {/* Rating Buttons (for bot messages) */}
-                  {message.type === 'bot' && !message.isError && (
+                  {message.type === 'bot' && !message.isError && !message.isStreaming && (
                     <div className="mt-2 pt-2 border-t border-gray-100 flex items-center space-x-2">
                       <span className="text-xs text-gray-500">Rate this response:</span>
                       <button
@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Layout from '../../components/Layout';
+import { CardSkeleton, ButtonSpinner } from '../../components/LoadingSpinner';
+import { uploadAPI } from '../../services/api';
+import { toast } from 'react-hot-toast';
+
+const ACCEPTED_TYPES = '.pdf,.docx,.txt,.html,.htm';
+const POLL_INTERVAL = 3000;
+
+const CONTENT_TYPES = ['text', 'faq', 'announcement', 'policy', 'academic', 'event', 'contact'];
+const LANGUAGES = ['english', 'hindi', 'marathi', 'marwari', 'mewadi', 'dhundhari', 'mixed'];
+
+const AdminDocuments = () => {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [uploadForm, setUploadForm] = useState({
+    title: '',
+    contentType: 'text',
+    language: 'english',
+  });
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Load documents
+  const loadDocuments = async (page = 1, quiet = false) => {
+    try {
+      if (!quiet) setIsLoading(true);
+      const response = await uploadAPI.getDocuments(page, 20);
+
+      setDocuments(response.data.documents || []);
+      setTotalPages(response.data.pagination?.total || 1);
+      setCurrentPage(page);
+    } catch (error) {
+      console.error('Failed to load documents:', error);
+      if (!quiet) toast.error('Failed to load documents');
+    } finally {
+      if (!quiet) setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDocuments(1);
+  }, []);
+
+  // Poll while documents are still being processed
+  const hasPending = documents.some(doc => doc.status === 'pending' || doc.status === 'processing');
+  useEffect(() => {
+    if (!hasPending) return undefined;
+
+    const timer = setInterval(() => {
+      loadDocuments(currentPage, true);
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [hasPending, currentPage]);
+
+  // Handle upload
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!selectedFile) {
+      toast.error('Choose a file to upload');
+      return;
+    }
+
+    try {
+      setUploadProgress(0);
+      const response = await uploadAPI.uploadDocument(selectedFile, uploadForm, setUploadProgress);
+      const count = response.data.documents?.length || 0;
+      toast.success(count > 1 ? `Uploaded as ${count} documents, processing started` : 'File uploaded, processing started');
+
+      setSelectedFile(null);
+      setUploadForm({ ...uploadForm, title: '' });
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      loadDocuments(1);
+    } catch (error) {
+      console.error('Failed to upload file:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  // Handle retry of a failed document
+  const handleReprocess = async (documentId) => {
+    try {
+      await uploadAPI.reprocessDocument(documentId);
+      toast.success('Processing restarted');
+      loadDocuments(currentPage, true);
+    } catch (error) {
+      console.error('Failed to reprocess document:', error);
+      toast.error('Failed to reprocess document');
+    }
+  };
+
+  // Handle document deletion
+  const handleDelete = async (documentId) => {
+    if (!window.confirm('Are you sure you want to delete this document? The chatbot will no longer use it.')) {
+      return;
+    }
+
+    try {
+      await uploadAPI.deleteDocument(documentId);
+      toast.success('Document deleted successfully');
+      loadDocuments(currentPage);
+    } catch (error) {
+      console.error('Failed to delete document:', error);
+      toast.error('Failed to delete document');
+    }
+  };
+
+  // Format date
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  // Format file size
+  const formatSize = (bytes = 0) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  // Get status badge color
+  const getStatusBadge = (status) => {
+    const colors = {
+      pending: 'bg-yellow-100 text-yellow-800',
+      processing: 'bg-blue-100 text-blue-800',
+      processed: 'bg-green-100 text-green-800',
+      failed: 'bg-red-100 text-red-800',
+    };
+
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  const isUploading = uploadProgress !== null;
+
+  return (
+    <Layout>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Documents</h1>
+            <p className="text-gray-600">Upload PDF, DOCX, TXT or HTML files for the chatbot to answer from</p>
+          </div>
+        </div>
+
+        {/* Upload Form */}
+        <form onSubmit={handleUpload} className="bg-white rounded-lg shadow mb-6 p-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">File</label>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_TYPES}
+                onChange={(e) => setSelectedFile(e.target.files[0] || null)}
+                disabled={isUploading}
+                className="w-full text-sm text-gray-700"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                value={uploadForm.contentType}
+                onChange={(e) => setUploadForm({ ...uploadForm, contentType: e.target.value })}
+                disabled={isUploading}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {CONTENT_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Language</label>
+              <select
+                value={uploadForm.language}
+                onChange={(e) => setUploadForm({ ...uploadForm, language: e.target.value })}
+                disabled={isUploading}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {LANGUAGES.map(language => (
+                  <option key={language} value={language}>{language}</option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-3">
+              <input
+                type="text"
+                placeholder="Title (optional, defaults to the file's title or name)"
+                value={uploadForm.title}
+                onChange={(e) => setUploadForm({ ...uploadForm, title: e.target.value })}
+                disabled={isUploading}
+                maxLength={180}
+                className="w-full border border-gray-300 rounded-md px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <button
+                type="submit"
+                disabled={isUploading || !selectedFile}
+                className="w-full flex justify-center items-center bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isUploading ? <ButtonSpinner /> : 'Upload'}
+              </button>
+            </div>
+          </div>
+
+          {isUploading && (
+            <div className="mt-4">
+              <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>{uploadProgress < 100 ? 'Uploading...' : 'Extracting text...'}</span>
+                <span>{uploadProgress}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all"
+                  style={{ width: `${uploadProgress}%` }}
+                />
+              </div>
+            </div>
+          )}
+        </form>
+
+        {/* Documents List */}
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">
+              Uploaded Documents ({documents.length})
+            </h3>
+          </div>
+
+          <div className="divide-y divide-gray-200">
+            {isLoading ? (
+              <div className="p-6">
+                {[...Array(3)].map((_, i) => (
+                  <CardSkeleton key={i} className="mb-4 last:mb-0" />
+                ))}
+              </div>
+            ) : documents.length === 0 ? (
+              <div className="p-12 text-center">
+                <p className="text-gray-500">No documents uploaded yet</p>
+              </div>
+            ) : (
+              documents.map((doc) => (
+                <div key={doc._id} className="p-6">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center space-x-3 mb-1">
+                        <h4 className="text-sm font-medium text-gray-900 truncate">{doc.title}</h4>
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusBadge(doc.status)}`}>
+                          {doc.status}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {doc.originalFileName} · {doc.fileType?.toUpperCase()} · {formatSize(doc.fileSize)}
+                        {doc.metadata?.pageCount ? ` · ${doc.metadata.pageCount} pages` : ''}
+                        {doc.metadata?.chunkCount ? ` · ${doc.metadata.chunkCount} chunks` : ''}
+                        {doc.metadata?.tableCount ? ` · ${doc.metadata.tableCount} tables` : ''}
+                        {' · '}{doc.contentType} · {doc.language} · {formatDate(doc.createdAt)}
+                      </p>
+
+                      {(doc.status === 'pending' || doc.status === 'processing') && (
+                        <div className="mt-2 w-64 bg-gray-200 rounded-full h-1.5">
+                          <div
+                            className="bg-blue-600 h-1.5 rounded-full transition-all"
+                            style={{ width: `${doc.processingProgress?.percent || 0}%` }}
+                          />
+                        </div>
+                      )}
+
+                      {doc.status === 'failed' && doc.processingErrors?.length > 0 && (
+                        <p className="mt-2 text-sm text-red-600">
+                          {doc.processingErrors[doc.processingErrors.length - 1].error}
+                        </p>
+                      )}
+                    </div>
+
+                    <div className="flex items-center space-x-2 ml-4">
+                      {doc.status === 'failed' && (
+                        <button
+                          onClick={() => handleReprocess(doc._id)}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          Retry
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDelete(doc._id)}
+                        className="text-sm text-red-600 hover:text-red-800"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+              <button
+                onClick={() => loadDocuments(currentPage - 1)}
+                disabled={currentPage === 1}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {currentPage} of {totalPages}
+              </span>
+              <button
+                onClick={() => loadDocuments(currentPage + 1)}
+                disabled={currentPage === totalPages}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AdminDocuments;
@@ -129,6 +129,76 @@ export const chatAPI = {
     return response;
   },
 
+  // Send message and receive the answer as a Server-Sent Events stream.
+  // handlers: { onMetadata, onToken, onDone } — resolves with the final `done` payload.
+  // Uses fetch instead of EventSource so the auth header can be sent.
+  streamMessage: async (message, language = 'english', conversationId = null, handlers = {}) => {
+    const params = new URLSearchParams({ message, language });
+    if (conversationId) params.append('conversationId', conversationId);
+
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}/api/chat/stream?${params}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+
+    if (response.status === 401) {
+      localStorage.removeItem('token');
+      window.location.href = '/login';
+      toast.error('Session expired. Please login again.');
+    }
+
+    if (!response.ok || !response.body) {
+      const error = new Error(`Stream request failed with status ${response.status}`);
+      error.response = { status: response.status };
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleFrame = (frame) => {
+      let event = 'message';
+      let data = '';
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (!data) return;
+
+      const payload = JSON.parse(data);
+      if (event === 'metadata') handlers.onMetadata?.(payload);
+      else if (event === 'token') handlers.onToken?.(payload.text);
+      else if (event === 'done') {
+        result = payload;
+        handlers.onDone?.(payload);
+      } else if (event === 'error') {
+        throw new Error(payload.message || 'Message processing failed');
+      }
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        handleFrame(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+
+    if (!result) {
+      throw new Error('Stream ended before the answer was complete');
+    }
+    return result;
+  },
+
   // Get chat history
   getHistory: async (page = 1, limit = 50) => {
     const response = await api.get('/api/chat/history', {
@@ -331,6 +401,57 @@ export const whatsappAPI = {
   },
 };
 
+// Document upload API (admin)
+export const uploadAPI = {
+  // Upload a PDF, DOCX, TXT or HTML file; onProgress receives the sent percentage
+  uploadDocument: async (file, fields = {}, onProgress = null) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+
+    const response = await api.post('/api/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 120000, // extraction of large files happens before the response
+      onUploadProgress: (progressEvent) => {
+        if (onProgress && progressEvent.total) {
+          onProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      },
+    });
+    return response;
+  },
+
+  // List uploaded documents with processing status
+  getDocuments: async (page = 1, limit = 20, status = '') => {
+    const response = await api.get('/api/upload', {
+      params: { page, limit, status },
+    });
+    return response;
+  },
+
+  // Processing status of one document
+  getDocumentStatus: async (documentId) => {
+    const response = await api.get(`/api/upload/${documentId}`);
+    return response;
+  },
+
+  // Retry a failed document
+  reprocessDocument: async (documentId) => {
+    const response = await api.post(`/api/upload/${documentId}/reprocess`);
+    return response;
+  },
+
+  // Delete an uploaded document
+  deleteDocument: async (documentId) => {
+    const response = await api.delete(`/api/upload/${documentId}`);
+    return response;
+  },
+};
+
 // File upload helper
 export const uploadFile = async (file, endpoint = '/api/upload') => {
   const formData = new FormData();
@@ -2,33 +2,70 @@
 
 /**
  * Manual Scraper Script
- * Run this script to manually scrape the college website
- * Usage: node scripts/scraper.js
+ * Run this script to crawl the college website as a crawl job
+ * Usage: node scripts/scraper.js full [url...] [--depth N] [--max-pages N] [--include RE] [--exclude RE] [--no-sitemaps]
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
-const CollegeWebsiteScraper = require('../backend/services/scraper');
+const { CrawlerService } = require('../backend/services/crawler');
 const DocumentProcessor = require('../backend/services/documentProcessor');
 
-async function runManualScraping() {
+/**
+ * Crawl job options from command line arguments; --include and --exclude may repeat
+ */
+function parseCrawlOptions(args) {
+  const options = { seeds: [], includePatterns: [], excludePatterns: [], trigger: 'cli' };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--depth') {
+      options.maxDepth = parseInt(args[++i]);
+    } else if (arg === '--max-pages') {
+      options.maxPages = parseInt(args[++i]);
+    } else if (arg === '--include') {
+      options.includePatterns.push(args[++i]);
+    } else if (arg === '--exclude') {
+      options.excludePatterns.push(args[++i]);
+    } else if (arg === '--no-sitemaps') {
+      options.useSitemaps = false;
+    } else {
+      options.seeds.push(arg);
+    }
+  }
+
+  return options;
+}
+
+async function connectDatabase() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college-rag-chatbot');
+  console.log('✅ Connected to MongoDB');
+}
+
+async function runManualScraping(args) {
   console.log('🚀 Starting manual scraping process...');
-  
+
   try {
     // Connect to database
-    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/college-rag-chatbot');
-    console.log('✅ Connected to MongoDB');
+    await connectDatabase();
 
-    // Initialize and run scraper
-    const scraper = new CollegeWebsiteScraper();
-    const results = await scraper.runFullScrape();
+    // Run a crawl job and wait for it to finish
+    const crawler = CrawlerService.getSharedInstance();
+    const { finished } = await crawler.startJob(parseCrawlOptions(args));
+    const job = await finished;
 
     console.log('📊 Scraping Results:');
-    console.log(`- Main pages: ${results.mainPages.length}`);
-    console.log(`- FAQs: ${results.faqs.length}`);
-    console.log(`- PDFs: ${results.pdfs.length}`);
-    console.log(`- Announcements: ${results.announcements.length}`);
-    console.log(`- Total: ${results.mainPages.length + results.faqs.length + results.pdfs.length + results.announcements.length}`);
+    console.log(`- Job: ${job._id} (${job.status})`);
+    console.log(`- Discovered: ${job.stats.discovered} (${job.stats.fromSitemaps} from sitemaps)`);
+    console.log(`- Blocked by robots.txt: ${job.stats.blocked}`);
+    console.log(`- New documents: ${job.stats.created}`);
+    console.log(`- Updated: ${job.stats.updated}`);
+    console.log(`- Unchanged: ${job.stats.unchanged}`);
+    console.log(`- Skipped: ${job.stats.skipped}`);
+    console.log(`- Failed: ${job.stats.failed}`);
+    if (job.error) {
+      throw new Error(job.error);
+    }
 
     // Process the scraped documents
     console.log('⚙️ Processing scraped documents...');
@@ -39,7 +76,7 @@ async function runManualScraping() {
 
   } catch (error) {
     console.error('❌ Manual scraping failed:', error);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     // Close database connection
     await mongoose.connection.close();
@@ -47,37 +84,62 @@ async function runManualScraping() {
   }
 }
 
+async function listJobs() {
+  try {
+    await connectDatabase();
+
+    const { jobs } = await CrawlerService.getSharedInstance().getJobs({ limit: 10 });
+    if (jobs.length === 0) {
+      console.log('📭 No crawl jobs yet');
+    }
+    for (const job of jobs) {
+      console.log(`${job.id}  ${job.status.padEnd(9)}  ${job.trigger.padEnd(9)}  ${job.createdAt.toISOString()}  ` +
+        `${job.stats.created} new, ${job.stats.updated} updated, ${job.stats.failed} failed  ${job.seeds.join(', ')}`);
+    }
+
+  } catch (error) {
+    console.error('❌ Failed to list crawl jobs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+async function testScraper(url) {
+  const crawler = CrawlerService.getSharedInstance();
+  const testUrl = url || crawler.getDefaultSeeds()[0];
+  console.log(`🌐 Testing: ${testUrl}`);
+
+  const result = await crawler.testScrapeUrl(testUrl);
+  if (result.success) {
+    console.log(`✅ ${result.title}: ${result.wordCount} words, ${result.tableCount} tables, ${result.links} links (${result.contentType})`);
+    console.log(result.preview);
+  } else {
+    console.error('❌ Scraper test failed:', result.error);
+    process.exitCode = 1;
+  }
+}
+
 // Handle command line arguments
 const args = process.argv.slice(2);
 const command = args[0];
 
 switch (command) {
   case 'full':
-    runManualScraping();
+    runManualScraping(args.slice(1));
+    break;
+  case 'jobs':
+    listJobs();
     break;
   case 'test':
     console.log('🧪 Running scraper test...');
-    testScraper();
+    testScraper(args[1]);
     break;
   default:
     console.log('📖 Usage:');
-    console.log('  node scripts/scraper.js full    # Run full scraping');
-    console.log('  node scripts/scraper.js test    # Test scraper');
+    console.log('  node scripts/scraper.js full [url...] [options]   # Crawl (default: SCRAPING_URLS)');
+    console.log('      --depth N  --max-pages N  --include RE  --exclude RE  --no-sitemaps');
+    console.log('  node scripts/scraper.js jobs                      # List recent crawl jobs');
+    console.log('  node scripts/scraper.js test [url]                # Extract one page without saving');
     break;
 }
-
-async function testScraper() {
-  try {
-    const scraper = new CollegeWebsiteScraper();
-    await scraper.initialize();
-    
-    console.log('✅ Scraper initialized successfully');
-    console.log(`🌐 Base URL: ${scraper.baseUrl}`);
-    
-    await scraper.close();
-    console.log('✅ Scraper test completed');
-    
-  } catch (error) {
-    console.error('❌ Scraper test failed:', error);
-  }
-}
\ No newline at end of file